@@ -7,6 +7,7 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const requestContext = require('./src/utils/requestContext');
 // Load environment variables
 require('dotenv').config({ path: './production.env' });
 require('dotenv').config();
@@ -24,6 +25,9 @@ let parasiteControlRoutes, vaccinationRoutes, mobileClinicsRoutes;
 let equineHealthRoutes, laboratoriesRoutes, clientsRoutes;
 let reportsRoutes, uploadRoutes, villagesRoutes, holdingCodesRoutes, importExportRoutes;
 let dromoImportRoutes, dropdownListsRoutes;
+let auditRoutes, recycleBinRoutes, campaignsRoutes, inventoryRoutes, vehicleTripsRoutes, outbreaksRoutes;
+let notificationsRoutes, animalsRoutes, movementsRoutes, testParametersRoutes, verifyRoutes, certificatesRoutes;
+let importJobsRoutes, importsRoutes, importMappingsRoutes, cronRoutes;
 
 let errorHandler, notFound, authMiddleware;
 
@@ -47,6 +51,22 @@ try {
   importExportRoutes = require('./src/routes/import-export');
   dromoImportRoutes = require('./src/routes/dromo-import');
   dropdownListsRoutes = require('./src/routes/dropdownLists');
+  auditRoutes = require('./src/routes/audit');
+  recycleBinRoutes = require('./src/routes/recycleBin');
+  campaignsRoutes = require('./src/routes/campaigns');
+  inventoryRoutes = require('./src/routes/inventory');
+  vehicleTripsRoutes = require('./src/routes/vehicleTrips');
+  outbreaksRoutes = require('./src/routes/outbreaks');
+  notificationsRoutes = require('./src/routes/notifications');
+  animalsRoutes = require('./src/routes/animals');
+  movementsRoutes = require('./src/routes/movements');
+  testParametersRoutes = require('./src/routes/testParameters');
+  verifyRoutes = require('./src/routes/verify');
+  certificatesRoutes = require('./src/routes/certificates');
+  importJobsRoutes = require('./src/routes/importJobs');
+  importsRoutes = require('./src/routes/imports');
+  importMappingsRoutes = require('./src/routes/importMappings');
+  cronRoutes = require('./src/routes/cron');
   console.log('✅ Dromo import routes loaded');
 
   // Import middleware
@@ -103,7 +123,8 @@ const corsOptions = {
   exposedHeaders: [
     'Content-Length',
     'Content-Type',
-    'Content-Disposition'
+    'Content-Disposition',
+    'X-Skipped-Records'
   ],
   preflightContinue: false,
   optionsSuccessStatus: 200,
@@ -125,6 +146,9 @@ if (process.env.NODE_ENV !== 'test') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request context (user, IP, route) for model middleware such as the audit trail
+app.use(requestContext.middleware());
+
 // Middleware to prevent 304 responses and ensure 200 OK
 app.use((req, res, next) => {
   res.set({
@@ -230,6 +254,8 @@ if (authRoutes) {
 }
 if (sectionsRoutes) app.use('/api/sections', sectionsRoutes);
 if (seedRoutes) app.use('/api/seed', seedRoutes);
+// Public certificate verification (QR codes on printed certificates)
+if (verifyRoutes) app.use('/api/verify', verifyRoutes);
 
 // Use authentication for production
 const selectedAuth = authMiddleware;
@@ -282,6 +308,54 @@ if (dropdownListsRoutes) {
   console.log('✅ Loading dropdown-lists routes with authentication');
   app.use('/api/dropdown-lists', selectedAuth, dropdownListsRoutes);
 }
+if (auditRoutes) {
+  console.log('✅ Loading audit routes with authentication');
+  app.use('/api/audit', selectedAuth, auditRoutes);
+}
+if (recycleBinRoutes) {
+  console.log('✅ Loading recycle-bin routes with authentication');
+  app.use('/api/recycle-bin', selectedAuth, recycleBinRoutes);
+}
+if (campaignsRoutes) {
+  console.log('✅ Loading campaigns routes with authentication');
+  app.use('/api/campaigns', selectedAuth, campaignsRoutes);
+}
+if (inventoryRoutes) {
+  console.log('✅ Loading inventory routes with authentication');
+  app.use('/api/inventory', selectedAuth, inventoryRoutes);
+}
+if (vehicleTripsRoutes) {
+  console.log('✅ Loading vehicle-trips routes with authentication');
+  app.use('/api/vehicle-trips', selectedAuth, vehicleTripsRoutes);
+}
+if (outbreaksRoutes) {
+  console.log('✅ Loading outbreaks routes with authentication');
+  app.use('/api/outbreaks', selectedAuth, outbreaksRoutes);
+}
+if (notificationsRoutes) {
+  console.log('✅ Loading notifications routes with authentication');
+  app.use('/api/notifications', selectedAuth, notificationsRoutes);
+}
+
+if (animalsRoutes) {
+  console.log('✅ Loading animals routes with authentication');
+  app.use('/api/animals', selectedAuth, animalsRoutes);
+}
+
+if (movementsRoutes) {
+  console.log('✅ Loading movements routes with authentication');
+  app.use('/api/movements', selectedAuth, movementsRoutes);
+}
+
+if (testParametersRoutes) {
+  console.log('✅ Loading test parameters routes with authentication');
+  app.use('/api/test-parameters', selectedAuth, testParametersRoutes);
+}
+
+if (certificatesRoutes) {
+  console.log('✅ Loading certificates routes with authentication');
+  app.use('/api/certificates', selectedAuth, certificatesRoutes);
+}
 
 // Import/Export routes
 if (importExportRoutes) {
@@ -289,6 +363,27 @@ if (importExportRoutes) {
   app.use('/api/import-export', selectedAuth, importExportRoutes);
 }
 
+if (importJobsRoutes) {
+  console.log('✅ Loading import jobs routes with authentication');
+  app.use('/api/import-jobs', selectedAuth, importJobsRoutes);
+}
+
+if (importsRoutes) {
+  console.log('✅ Loading import batches routes with authentication');
+  app.use('/api/imports', selectedAuth, importsRoutes);
+}
+
+if (importMappingsRoutes) {
+  console.log('✅ Loading import mappings routes with authentication');
+  app.use('/api/import-mappings', selectedAuth, importMappingsRoutes);
+}
+
+// Scheduled jobs (Vercel Cron) - protected by CRON_SECRET instead of user auth
+if (cronRoutes) {
+  console.log('✅ Loading cron routes (cron secret)');
+  app.use('/api/cron', cronRoutes);
+}
+
 // Dedicated Dromo Import routes (no auth required)
 if (dromoImportRoutes) {
   console.log('✅ Loading dedicated Dromo import routes (no auth)');
@@ -343,7 +438,22 @@ app.get('/', (req, res) => {
         upload: '/api/upload',
         villages: '/api/villages',
         holdingCodes: '/api/holding-codes',
-        dropdownLists: '/api/dropdown-lists'
+        dropdownLists: '/api/dropdown-lists',
+        audit: '/api/audit',
+        recycleBin: '/api/recycle-bin',
+        campaigns: '/api/campaigns',
+        inventory: '/api/inventory',
+        vehicleTrips: '/api/vehicle-trips',
+        outbreaks: '/api/outbreaks',
+        notifications: '/api/notifications',
+        animals: '/api/animals',
+        movements: '/api/movements',
+        testParameters: '/api/test-parameters',
+        verify: '/api/verify',
+        certificates: '/api/certificates',
+        importJobs: '/api/import-jobs',
+        imports: '/api/imports',
+        importMappings: '/api/import-mappings'
       }
     });
   } catch (error) {
@@ -383,6 +493,11 @@ const connectDB = async () => {
     });
     console.log('✅ Connected to MongoDB successfully');
     console.log(`📊 Database: ${mongoose.connection.name}`);
+
+    // استئناف الاستيرادات التي توقفت مع إعادة تشغيل الخادم
+    if (!process.env.VERCEL) {
+      require('./src/utils/importQueue').drainImportQueue();
+    }
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
     // Don't exit the process in serverless environment
@@ -1,5 +1,32 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const requestContext = require('../utils/requestContext');
+
+// lastUsedAt يُحدَّث مرة كل 5 دقائق على الأكثر لتقليل الكتابة
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Check the session an access token belongs to.
+ * Tokens issued before sessions existed carry no sid; they stay valid until they expire
+ * unless the password was changed after they were issued.
+ * @returns {Promise<{ session: Document|null, error: string|null }>}
+ */
+const checkTokenSession = async (decoded, user) => {
+  if (!decoded.sid) {
+    const revoked = user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime();
+    return { session: null, error: revoked ? 'TOKEN_REVOKED' : null };
+  }
+
+  const session = await Session.findOne({ _id: decoded.sid, user: user._id }).select('revokedAt lastUsedAt');
+  if (!session || session.revokedAt) return { session: null, error: 'SESSION_REVOKED' };
+
+  if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('Error updating session last use:', error));
+  }
+  return { session, error: null };
+};
 
 /**
  * Authentication middleware to verify JWT tokens
@@ -38,11 +65,23 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Check that the session was not revoked (logout, password change, deactivation)
+    const { session, error } = await checkTokenSession(decoded, user);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+        error
+      });
+    }
+
     // Add user to request object
     req.user = user;
+    req.sessionId = session ? session._id : null;
     
     // Set current user for model middleware
     User.currentUser = user._id;
+    requestContext.setUser(user);
     
     next();
   } catch (error) {
@@ -142,9 +181,12 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id).select('-password');
       
-      if (user && user.isActive) {
+      const { session, error } = user && user.isActive ? await checkTokenSession(decoded, user) : { error: 'INACTIVE' };
+      if (!error) {
         req.user = user;
+        req.sessionId = session ? session._id : null;
         User.currentUser = user._id;
+        requestContext.setUser(user);
       }
     }
     
@@ -60,6 +60,15 @@ const validateQuery = (schema) => {
   };
 };
 
+// فلاتر جغرافية مشتركة لقوائم السجلات، كل نقطة بترتيب lat,lng (بما فيها زوايا bbox)
+const latLng = '-?\\d+(\\.\\d+)?\\s*,\\s*-?\\d+(\\.\\d+)?';
+const geoQueryKeys = {
+  near: Joi.string().pattern(new RegExp(`^${latLng}$`)).optional(),
+  radiusKm: Joi.number().positive().max(1000).optional(),
+  withinPolygon: Joi.string().pattern(new RegExp(`^${latLng}(\\s*;\\s*${latLng}){2,}\\s*;?$`)).optional(),
+  bbox: Joi.string().pattern(new RegExp(`^${latLng}\\s*,\\s*${latLng}$`)).optional()
+};
+
 /**
  * Common validation schemas
  */
@@ -74,7 +83,12 @@ const schemas = {
 
   userLogin: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().required()
+    password: Joi.string().required(),
+    deviceName: Joi.string().max(100).optional()
+  }),
+
+  tokenRefresh: Joi.object({
+    refreshToken: Joi.string().required()
   }),
 
   userUpdate: Joi.object({
@@ -125,6 +139,7 @@ const schemas = {
         village: Joi.string().optional()
       }) // Client object for create/update
     ).required(),
+    animals: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
     coordinates: Joi.object({
       latitude: Joi.number().min(-90).max(90).optional(),
       longitude: Joi.number().min(-180).max(180).optional()
@@ -208,6 +223,7 @@ const schemas = {
       }), // Client object for create/update
       Joi.string().valid('temp-client-id') // Temporary ID for client creation
     ).optional(),
+    animals: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
     clientData: Joi.object({
       name: Joi.string().optional(),
       nationalId: Joi.string().optional(),
@@ -263,7 +279,8 @@ const schemas = {
       situation: Joi.string().optional(), // Removed enum validation
       fulfillingDate: Joi.date().optional()
     }).optional(),
-    remarks: Joi.string().max(2000).optional()
+    remarks: Joi.string().max(2000).optional(),
+    campaign: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional()
   }),
 
   // Laboratory schemas - Updated for flexible import (removed strict validations)
@@ -293,9 +310,36 @@ const schemas = {
     positiveCases: Joi.number().min(0).default(0),
     negativeCases: Joi.number().min(0).default(0),
     remarks: Joi.string().max(2000).optional(),
+    animals: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
+    testType: Joi.string().max(100).optional(),
+    priority: Joi.string().valid('Low', 'Normal', 'High', 'Urgent').optional(),
+    expectedCompletionDate: Joi.date().optional(),
     client: Joi.string().optional() // Allow client reference
   }),
 
+  // Laboratory sample lifecycle (chain of custody)
+  sampleStatusUpdate: Joi.object({
+    status: Joi.string().valid('in_transit', 'received', 'testing', 'completed', 'failed', 'rejected').required(),
+    at: Joi.date().max('now').optional(),
+    handlerName: Joi.string().max(200).optional(),
+    location: Joi.string().max(200).optional(),
+    notes: Joi.string().max(500).when('status', {
+      is: Joi.valid('failed', 'rejected'),
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+  }),
+
+  labSlaQuery: Joi.object({
+    status: Joi.string()
+      .pattern(/^(collected|in_transit|received|testing)(,(collected|in_transit|received|testing))*$/)
+      .optional(),
+    hours: Joi.number().positive().max(8760).optional(),
+    testType: Joi.string().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(50)
+  }),
+
   // Mobile Clinic schemas - Flexible for import
   mobileClinicCreate: Joi.object({
     serialNo: Joi.string().max(50).optional(),
@@ -311,6 +355,7 @@ const schemas = {
         birthDate: Joi.date().optional()
       }) // Client object for create/update
     ).optional(),
+    animals: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
     // Flat client fields (alternative to client object)
     clientName: Joi.string().max(200).optional(),
     clientId: Joi.string().optional(), // Removed pattern validation
@@ -368,6 +413,7 @@ const schemas = {
         birthDate: Joi.date().optional()
       }) // Client object for create/update
     ).optional(),
+    animals: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
     // Flat client fields (alternative to client object)
     clientName: Joi.string().min(2).max(100).optional(),
     clientId: Joi.string().pattern(/^\d{9,10}$/).optional(),
@@ -420,14 +466,16 @@ const schemas = {
     status: Joi.string().optional(),
     village: Joi.string().optional(),
     animalType: Joi.string().optional(),
-    includeServices: Joi.string().valid('true', 'false').optional()
+    includeServices: Joi.string().valid('true', 'false').optional(),
+    ...geoQueryKeys
   }),
 
   dateRangeQuery: Joi.object({
     startDate: Joi.date().optional(),
     endDate: Joi.date().optional(),
     page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(1000).default(10) // زيادة الحد الأقصى إلى 1000
+    limit: Joi.number().integer().min(1).max(1000).default(10), // زيادة الحد الأقصى إلى 1000
+    ...geoQueryKeys
   }),
 
   // Parasite Control update schema (all fields optional)
@@ -443,6 +491,7 @@ const schemas = {
         village: Joi.string().optional()
       })
     ).optional(),
+    animals: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
     coordinates: Joi.object({
       latitude: Joi.number().min(-90).max(90).optional(),
       longitude: Joi.number().min(-180).max(180).optional()
@@ -520,6 +569,7 @@ const schemas = {
     horseDetails: Joi.array().items(
       Joi.object({
         id: Joi.string().max(50).optional(),
+        animal: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
         breed: Joi.string().max(100).optional(),
         age: Joi.number().integer().min(0).max(100).optional(),
         gender: Joi.string().optional(), // Removed enum validation
@@ -557,6 +607,331 @@ const schemas = {
     holdingCode: Joi.string().optional()
   }),
 
+  // Campaign schemas
+  campaignCreate: Joi.object({
+    name: Joi.string().max(200).required(),
+    description: Joi.string().max(1000).allow('').optional(),
+    vaccineType: Joi.string().max(200).required(),
+    vaccineCategory: Joi.string().valid('Preventive', 'Emergency').optional(),
+    startDate: Joi.date().required(),
+    endDate: Joi.date().min(Joi.ref('startDate')).required(),
+    targetSectors: Joi.array().items(Joi.string()).optional(),
+    targetVillages: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
+    targetHoldingCodes: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
+    targetCounts: Joi.object({
+      sheep: Joi.number().min(0).default(0),
+      goats: Joi.number().min(0).default(0),
+      camel: Joi.number().min(0).default(0),
+      cattle: Joi.number().min(0).default(0),
+      horse: Joi.number().min(0).default(0)
+    }).optional(),
+    status: Joi.string().valid('planned', 'active', 'completed', 'cancelled').optional()
+  }),
+
+  campaignUpdate: Joi.object({
+    name: Joi.string().max(200).optional(),
+    description: Joi.string().max(1000).allow('').optional(),
+    vaccineType: Joi.string().max(200).optional(),
+    vaccineCategory: Joi.string().valid('Preventive', 'Emergency').optional(),
+    startDate: Joi.date().optional(),
+    endDate: Joi.date().optional(),
+    targetSectors: Joi.array().items(Joi.string()).optional(),
+    targetVillages: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
+    targetHoldingCodes: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
+    targetCounts: Joi.object({
+      sheep: Joi.number().min(0).optional(),
+      goats: Joi.number().min(0).optional(),
+      camel: Joi.number().min(0).optional(),
+      cattle: Joi.number().min(0).optional(),
+      horse: Joi.number().min(0).optional()
+    }).optional(),
+    status: Joi.string().valid('planned', 'active', 'completed', 'cancelled').optional()
+  }),
+
+  // Inventory schemas
+  inventoryItemCreate: Joi.object({
+    name: Joi.string().max(200).required(),
+    aliases: Joi.array().items(Joi.string().max(200)).optional(),
+    category: Joi.string().valid('insecticide', 'medication', 'vaccine', 'supply').required(),
+    unit: Joi.string().valid('ml', 'l', 'g', 'kg', 'dose', 'tablet', 'vial', 'unit').optional(),
+    reorderLevel: Joi.number().min(0).optional(),
+    notes: Joi.string().max(1000).allow('').optional(),
+    batches: Joi.array().items(Joi.object({
+      lotNumber: Joi.string().max(100).required(),
+      quantity: Joi.number().min(0).required(),
+      expiryDate: Joi.date().optional(),
+      receivedAt: Joi.date().optional(),
+      supplier: Joi.string().max(200).allow('').optional(),
+      reference: Joi.string().max(100).allow('').optional()
+    })).optional()
+  }),
+
+  inventoryItemUpdate: Joi.object({
+    name: Joi.string().max(200).optional(),
+    aliases: Joi.array().items(Joi.string().max(200)).optional(),
+    category: Joi.string().valid('insecticide', 'medication', 'vaccine', 'supply').optional(),
+    unit: Joi.string().valid('ml', 'l', 'g', 'kg', 'dose', 'tablet', 'vial', 'unit').optional(),
+    reorderLevel: Joi.number().min(0).optional(),
+    notes: Joi.string().max(1000).allow('').optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  // Laboratory test parameter catalogue (reference ranges)
+  testParameterCreate: Joi.object({
+    name: Joi.string().max(100).required(),
+    aliases: Joi.array().items(Joi.string().max(100)).optional(),
+    testType: Joi.string().max(100).optional(),
+    unit: Joi.string().max(20).allow('').optional(),
+    ranges: Joi.array().items(Joi.object({
+      species: Joi.string().valid('all', 'sheep', 'goats', 'camel', 'cattle', 'horse').default('all'),
+      low: Joi.number().optional(),
+      high: Joi.number().optional(),
+      criticalLow: Joi.number().optional(),
+      criticalHigh: Joi.number().optional()
+    }).or('low', 'high', 'criticalLow', 'criticalHigh')).optional(),
+    notes: Joi.string().max(1000).allow('').optional()
+  }),
+
+  testParameterUpdate: Joi.object({
+    name: Joi.string().max(100).optional(),
+    aliases: Joi.array().items(Joi.string().max(100)).optional(),
+    testType: Joi.string().max(100).optional(),
+    unit: Joi.string().max(20).allow('').optional(),
+    ranges: Joi.array().items(Joi.object({
+      species: Joi.string().valid('all', 'sheep', 'goats', 'camel', 'cattle', 'horse').default('all'),
+      low: Joi.number().optional(),
+      high: Joi.number().optional(),
+      criticalLow: Joi.number().optional(),
+      criticalHigh: Joi.number().optional()
+    }).or('low', 'high', 'criticalLow', 'criticalHigh')).optional(),
+    notes: Joi.string().max(1000).allow('').optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  // Signed certificates (laboratory results, vaccination cards)
+  certificateIssue: Joi.object({
+    recordType: Joi.string().valid('laboratory', 'vaccination').required(),
+    recordId: Joi.string().required()
+  }),
+
+  certificateRevoke: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  // Staged imports (preview -> commit)
+  importCommit: Joi.object({
+    includeDuplicates: Joi.boolean().default(false)
+  }),
+
+  importJobsQuery: Joi.object({
+    module: Joi.string().valid('clients', 'vaccination', 'parasite-control', 'mobile-clinics', 'laboratories', 'equine-health', 'inventory').optional(),
+    status: Joi.string().valid('queued', 'processing', 'completed', 'failed', 'cancelled').optional(),
+    source: Joi.string().valid('upload', 'dromo', 'staged').optional(),
+    user: Joi.string().hex().length(24).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  importBatchesQuery: Joi.object({
+    module: Joi.string().valid('clients', 'vaccination', 'parasite-control', 'mobile-clinics', 'laboratories', 'equine-health', 'inventory').optional(),
+    status: Joi.string().valid('active', 'rolling_back', 'rolled_back').optional(),
+    source: Joi.string().valid('upload', 'dromo', 'staged').optional(),
+    user: Joi.string().hex().length(24).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  importRowsQuery: Joi.object({
+    status: Joi.string().valid('valid', 'invalid', 'duplicate', 'imported', 'failed', 'skipped').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  // Column mapping profiles for imports
+  importMappingCreate: Joi.object({
+    name: Joi.string().max(100).required(),
+    module: Joi.string().valid('clients', 'vaccination', 'parasite-control', 'mobile-clinics', 'laboratories', 'equine-health', 'inventory').required(),
+    description: Joi.string().max(500).allow('').optional(),
+    columns: Joi.array().items(Joi.object({
+      source: Joi.string().max(200).required(),
+      field: Joi.string().max(100).required(),
+      transform: Joi.string().valid('none', 'trim', 'uppercase', 'lowercase', 'number', 'date', 'boolean', 'map').default('none'),
+      dateFormat: Joi.string().valid('DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD').optional(),
+      values: Joi.array().items(Joi.object({
+        from: Joi.string().required(),
+        to: Joi.string().required()
+      })).optional()
+    })).min(1).required(),
+    defaults: Joi.array().items(Joi.object({
+      field: Joi.string().max(100).required(),
+      value: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()).required()
+    })).optional()
+  }),
+
+  importMappingUpdate: Joi.object({
+    name: Joi.string().max(100).optional(),
+    description: Joi.string().max(500).allow('').optional(),
+    columns: Joi.array().items(Joi.object({
+      source: Joi.string().max(200).required(),
+      field: Joi.string().max(100).required(),
+      transform: Joi.string().valid('none', 'trim', 'uppercase', 'lowercase', 'number', 'date', 'boolean', 'map').default('none'),
+      dateFormat: Joi.string().valid('DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD').optional(),
+      values: Joi.array().items(Joi.object({
+        from: Joi.string().required(),
+        to: Joi.string().required()
+      })).optional()
+    })).min(1).optional(),
+    defaults: Joi.array().items(Joi.object({
+      field: Joi.string().max(100).required(),
+      value: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()).required()
+    })).optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  importMappingsQuery: Joi.object({
+    module: Joi.string().valid('clients', 'vaccination', 'parasite-control', 'mobile-clinics', 'laboratories', 'equine-health', 'inventory').optional(),
+    isActive: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  importMappingDetect: Joi.object({
+    module: Joi.string().valid('clients', 'vaccination', 'parasite-control', 'mobile-clinics', 'laboratories', 'equine-health', 'inventory').required(),
+    headers: Joi.array().items(Joi.string().allow('')).min(1).required()
+  }),
+
+  stockReceipt: Joi.object({
+    lotNumber: Joi.string().max(100).required(),
+    quantity: Joi.number().positive().required(),
+    expiryDate: Joi.date().optional(),
+    receivedAt: Joi.date().optional(),
+    supplier: Joi.string().max(200).allow('').optional(),
+    reference: Joi.string().max(100).allow('').optional()
+  }),
+
+  stockAdjustment: Joi.object({
+    batchId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    quantity: Joi.number().invalid(0).required(),
+    reason: Joi.string().max(500).required()
+  }),
+
+  // Vehicle trip log schemas
+  vehicleTripCreate: Joi.object({
+    vehicleNo: Joi.string().max(20).required(),
+    date: Joi.date().required(),
+    driver: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    supervisor: Joi.string().max(100).allow('').optional(),
+    odometerStart: Joi.number().min(0).required(),
+    odometerEnd: Joi.number().min(Joi.ref('odometerStart')).optional(),
+    fuelLiters: Joi.number().min(0).optional(),
+    notes: Joi.string().max(500).allow('').optional()
+  }),
+
+  vehicleTripUpdate: Joi.object({
+    vehicleNo: Joi.string().max(20).optional(),
+    date: Joi.date().optional(),
+    driver: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    supervisor: Joi.string().max(100).allow('').optional(),
+    odometerStart: Joi.number().min(0).optional(),
+    odometerEnd: Joi.number().min(0).allow(null).optional(),
+    fuelLiters: Joi.number().min(0).allow(null).optional(),
+    notes: Joi.string().max(500).allow('').optional()
+  }),
+
+  // Animal registry schemas
+  animalCreate: Joi.object({
+    tagId: Joi.string().max(50).required(),
+    tagType: Joi.string().valid('ear_tag', 'microchip', 'brand', 'other').optional(),
+    animalType: Joi.string().valid('sheep', 'goats', 'camel', 'cattle', 'horse').required(),
+    name: Joi.string().max(100).allow('').optional(),
+    breed: Joi.string().max(100).allow('').optional(),
+    gender: Joi.string().valid('ذكر', 'أنثى').optional(),
+    birthDate: Joi.date().max('now').optional(),
+    color: Joi.string().max(50).allow('').optional(),
+    healthStatus: Joi.string().valid('سليم', 'مريض', 'تحت العلاج').optional(),
+    status: Joi.string().valid('active', 'sold', 'dead', 'slaughtered').optional(),
+    client: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    holdingCode: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    notes: Joi.string().max(1000).allow('').optional()
+  }),
+
+  animalUpdate: Joi.object({
+    tagId: Joi.string().max(50).optional(),
+    tagType: Joi.string().valid('ear_tag', 'microchip', 'brand', 'other').optional(),
+    animalType: Joi.string().valid('sheep', 'goats', 'camel', 'cattle', 'horse').optional(),
+    name: Joi.string().max(100).allow('').optional(),
+    breed: Joi.string().max(100).allow('').optional(),
+    gender: Joi.string().valid('ذكر', 'أنثى').optional(),
+    birthDate: Joi.date().max('now').allow(null).optional(),
+    color: Joi.string().max(50).allow('').optional(),
+    healthStatus: Joi.string().valid('سليم', 'مريض', 'تحت العلاج').optional(),
+    status: Joi.string().valid('active', 'sold', 'dead', 'slaughtered').optional(),
+    client: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    holdingCode: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional(),
+    notes: Joi.string().max(1000).allow('').optional()
+  }),
+
+  movementCreate: Joi.object({
+    date: Joi.date().max('now').required(),
+    reason: Joi.string().valid('sale', 'gift', 'inheritance', 'grazing', 'market', 'slaughter', 'quarantine', 'other').required(),
+    permitNumber: Joi.string().max(50).allow('').optional(),
+    fromClient: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    toClient: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    fromHoldingCode: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    toHoldingCode: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    animalCounts: Joi.array().items(Joi.object({
+      animalType: Joi.string().valid('sheep', 'goats', 'camel', 'cattle', 'horse').required(),
+      breed: Joi.string().max(50).optional(),
+      count: Joi.number().integer().min(1).required()
+    })).optional(),
+    animals: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).unique().optional(),
+    notes: Joi.string().max(1000).allow('').optional()
+  }).or('animalCounts', 'animals'),
+
+  outbreakStatusUpdate: Joi.object({
+    status: Joi.string().valid('active', 'resolved', 'dismissed').required(),
+    notes: Joi.string().max(1000).allow('').optional()
+  }),
+
+  notificationPreferencesUpdate: Joi.object().pattern(
+    Joi.string().valid('lab_overdue', 'follow_up_due', 'import_completed', 'outbreak_detected', 'lab_critical_result'),
+    Joi.object({
+      inApp: Joi.boolean().optional(),
+      email: Joi.boolean().optional()
+    })
+  ).min(1),
+
+  // Client deduplication schemas
+  clientDuplicatesQuery: Joi.object({
+    village: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    minScore: Joi.number().min(0.5).max(1).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  clientMerge: Joi.object({
+    survivorId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    duplicateIds: Joi.array()
+      .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/).invalid(Joi.ref('...survivorId')))
+      .min(1)
+      .max(50)
+      .unique()
+      .required(),
+    notes: Joi.string().max(1000).allow('').optional()
+  }),
+
+  // Service history timeline (client history, animal medical record)
+  timelineQuery: Joi.object({
+    services: Joi.string()
+      .pattern(/^(parasite_control|vaccination|mobile_clinic|equine_health|laboratory)(,(parasite_control|vaccination|mobile_clinic|equine_health|laboratory))*$/)
+      .optional(),
+    startDate: Joi.date().optional(),
+    endDate: Joi.date().optional(),
+    format: Joi.string().valid('html', 'csv', 'excel').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(20)
+  }),
+
   // Bulk delete schema - accepts serial numbers instead of ObjectIds
   bulkDeleteSchema: Joi.object({
     ids: Joi.array().items(Joi.string().min(1).max(50)).min(1).required()
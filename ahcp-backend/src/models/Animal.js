@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Animal:
+ *       type: object
+ *       required:
+ *         - tagId
+ *         - animalType
+ *         - client
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Animal ID
+ *         tagId:
+ *           type: string
+ *           description: Ear-tag or microchip number (unique, stored upper case)
+ *         tagType:
+ *           type: string
+ *           enum: [ear_tag, microchip, brand, other]
+ *           default: ear_tag
+ *         animalType:
+ *           type: string
+ *           enum: [sheep, goats, camel, cattle, horse]
+ *         name:
+ *           type: string
+ *           description: Animal name (mostly used for horses)
+ *         breed:
+ *           type: string
+ *         gender:
+ *           type: string
+ *           enum: [ذكر, أنثى]
+ *         birthDate:
+ *           type: string
+ *           format: date
+ *         color:
+ *           type: string
+ *         healthStatus:
+ *           type: string
+ *           enum: [سليم, مريض, تحت العلاج]
+ *         status:
+ *           type: string
+ *           enum: [active, sold, dead, slaughtered]
+ *           description: Whether the animal is still in the owner's herd
+ *         client:
+ *           type: string
+ *           description: Owner (client ID)
+ *         holdingCode:
+ *           type: string
+ *           description: Holding code ID where the animal is kept
+ *         notes:
+ *           type: string
+ *         ageYears:
+ *           type: number
+ *           description: Age in years from birthDate (virtual)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const animalSchema = new mongoose.Schema({
+  tagId: {
+    type: String,
+    required: [true, 'Tag ID is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Tag ID cannot exceed 50 characters']
+  },
+  tagType: {
+    type: String,
+    enum: {
+      values: ['ear_tag', 'microchip', 'brand', 'other'],
+      message: 'Tag type must be one of: ear_tag, microchip, brand, other'
+    },
+    default: 'ear_tag'
+  },
+  animalType: {
+    type: String,
+    required: [true, 'Animal type is required'],
+    enum: {
+      values: ['sheep', 'goats', 'camel', 'cattle', 'horse'],
+      message: 'Animal type must be one of: sheep, goats, camel, cattle, horse'
+    }
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  breed: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Breed cannot exceed 100 characters']
+  },
+  gender: {
+    type: String,
+    enum: {
+      values: ['ذكر', 'أنثى'],
+      message: 'Gender must be either ذكر or أنثى'
+    }
+  },
+  birthDate: {
+    type: Date
+  },
+  color: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Color cannot exceed 50 characters']
+  },
+  healthStatus: {
+    type: String,
+    enum: {
+      values: ['سليم', 'مريض', 'تحت العلاج'],
+      message: 'Health status must be one of: سليم, مريض, تحت العلاج'
+    },
+    default: 'سليم'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'sold', 'dead', 'slaughtered'],
+      message: 'Status must be one of: active, sold, dead, slaughtered'
+    },
+    default: 'active'
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Owner is required']
+  },
+  holdingCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HoldingCode'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+animalSchema.index({ tagId: 1 }, { unique: true });
+animalSchema.index({ client: 1, animalType: 1 });
+animalSchema.index({ holdingCode: 1 });
+animalSchema.index({ status: 1 });
+
+// Virtual for age in years
+animalSchema.virtual('ageYears').get(function() {
+  if (!this.birthDate) return null;
+  const years = (Date.now() - new Date(this.birthDate).getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+  return Math.floor(years * 10) / 10;
+});
+
+// Static method to find an animal by its tag (case-insensitive, ignores spaces)
+animalSchema.statics.findByTag = function(tagId) {
+  return this.findOne({ tagId: String(tagId || '').replace(/\s+/g, '').toUpperCase() });
+};
+
+// أرقام الترقيم تُكتب بدون مسافات حتى يتطابق البحث بالقارئ الإلكتروني مع الإدخال اليدوي
+animalSchema.pre('validate', function(next) {
+  if (this.tagId) this.tagId = this.tagId.replace(/\s+/g, '').toUpperCase();
+  next();
+});
+
+// Soft delete (recycle bin)
+animalSchema.plugin(softDeletePlugin, { modelName: 'Animal', uniqueFields: ['tagId'] });
+
+module.exports = mongoose.model('Animal', animalSchema);
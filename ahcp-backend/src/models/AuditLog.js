@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Audit entry ID
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *           description: Type of change
+ *         modelName:
+ *           type: string
+ *           enum: [ParasiteControl, Vaccination, MobileClinic, EquineHealth, Laboratory]
+ *           description: Model of the changed record
+ *         recordId:
+ *           type: string
+ *           description: ID of the changed record
+ *         serialNo:
+ *           type: string
+ *           description: Serial number of the changed record (if any)
+ *         changes:
+ *           type: array
+ *           description: Field-level diff between before and after
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               from: {}
+ *               to: {}
+ *         before:
+ *           type: object
+ *           description: Record snapshot before the change
+ *         after:
+ *           type: object
+ *           description: Record snapshot after the change
+ *         user:
+ *           type: string
+ *           description: User who made the change
+ *         ip:
+ *           type: string
+ *           description: Client IP address
+ *         method:
+ *           type: string
+ *           description: HTTP method of the request
+ *         route:
+ *           type: string
+ *           description: Request URL that caused the change
+ *         operation:
+ *           type: string
+ *           description: Mongoose operation (save, findOneAndUpdate, deleteMany, ...)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ['create', 'update', 'delete', 'restore', 'purge'],
+      message: 'Action must be one of: create, update, delete, restore, purge'
+    }
+  },
+  modelName: {
+    type: String,
+    required: [true, 'Model name is required'],
+    enum: {
+      values: ['ParasiteControl', 'Vaccination', 'MobileClinic', 'EquineHealth', 'Laboratory'],
+      message: 'Invalid model name'
+    }
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Record ID is required']
+  },
+  serialNo: {
+    type: String,
+    trim: true
+  },
+  changes: [changeSchema],
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  method: {
+    type: String,
+    trim: true
+  },
+  route: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  operation: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+auditLogSchema.index({ modelName: 1, recordId: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'changes.field': 1 });
+
+// Static method to get the change history of a single record
+auditLogSchema.statics.getRecordHistory = function(modelName, recordId) {
+  return this.find({ modelName, recordId })
+    .sort({ createdAt: -1 })
+    .populate('user', 'name email role')
+    .lean();
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Campaign:
+ *       type: object
+ *       required:
+ *         - name
+ *         - vaccineType
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Campaign ID
+ *         name:
+ *           type: string
+ *           description: Campaign name (e.g. FMD spring 2026 - sector X)
+ *         description:
+ *           type: string
+ *           description: Campaign description
+ *         vaccineType:
+ *           type: string
+ *           description: Vaccine type administered in this campaign
+ *         vaccineCategory:
+ *           type: string
+ *           enum: [Preventive, Emergency]
+ *           description: Vaccine category
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: Campaign start date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Campaign end date
+ *         targetSectors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Target sectors (all villages of the sector are in scope)
+ *         targetVillages:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Target village IDs
+ *         targetHoldingCodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Target holding code IDs
+ *         targetCounts:
+ *           type: object
+ *           description: Target number of animals to vaccinate per species
+ *           properties:
+ *             sheep:
+ *               type: number
+ *             goats:
+ *               type: number
+ *             camel:
+ *               type: number
+ *             cattle:
+ *               type: number
+ *             horse:
+ *               type: number
+ *         status:
+ *           type: string
+ *           enum: [planned, active, completed, cancelled]
+ *           description: Campaign status
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const SPECIES = ['sheep', 'goats', 'camel', 'cattle', 'horse'];
+
+// حملة ملغاة أو مكتملة لا تُربط بها سجلات جديدة
+const CLOSED_STATUSES = ['cancelled', 'completed'];
+
+const targetCountsSchema = new mongoose.Schema(
+  SPECIES.reduce((fields, species) => {
+    fields[species] = {
+      type: Number,
+      min: [0, `Target ${species} count cannot be negative`],
+      default: 0
+    };
+    return fields;
+  }, {}),
+  { _id: false }
+);
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [200, 'Campaign name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  vaccineType: {
+    type: String,
+    required: [true, 'Vaccine type is required'],
+    trim: true
+  },
+  vaccineCategory: {
+    type: String,
+    enum: {
+      values: ['Preventive', 'Emergency'],
+      message: 'Vaccine category must be Preventive or Emergency'
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(date) {
+        return !this.startDate || date >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  targetSectors: [{
+    type: String,
+    trim: true
+  }],
+  targetVillages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village'
+  }],
+  targetHoldingCodes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HoldingCode'
+  }],
+  targetCounts: {
+    type: targetCountsSchema,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['planned', 'active', 'completed', 'cancelled'],
+      message: 'Status must be one of: planned, active, completed, cancelled'
+    },
+    default: 'planned'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+campaignSchema.index({ vaccineType: 1, startDate: 1, endDate: 1 });
+campaignSchema.index({ status: 1 });
+campaignSchema.index({ targetVillages: 1 });
+campaignSchema.index({ targetHoldingCodes: 1 });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Virtual for total target animals
+campaignSchema.virtual('totalTarget').get(function() {
+  const counts = this.targetCounts || {};
+  return SPECIES.reduce((sum, species) => sum + (counts[species] || 0), 0);
+});
+
+// Virtual: campaign has no geographic restriction
+campaignSchema.virtual('isNationwide').get(function() {
+  return !this.targetSectors?.length && !this.targetVillages?.length && !this.targetHoldingCodes?.length;
+});
+
+/**
+ * Resolve target sectors + villages to the list of village IDs in scope
+ */
+campaignSchema.methods.resolveVillageIds = async function() {
+  const villageIds = (this.targetVillages || []).map(id => id.toString());
+
+  if (this.targetSectors?.length) {
+    const Village = mongoose.model('Village');
+    const sectorVillages = await Village.find({ sector: { $in: this.targetSectors } }).distinct('_id');
+    sectorVillages.forEach(id => villageIds.push(id.toString()));
+  }
+
+  return [...new Set(villageIds)].map(id => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Build the Vaccination filter for records falling in the campaign scope
+ * (vaccine type + date window + target villages/holding codes)
+ */
+campaignSchema.methods.buildScopeFilter = async function() {
+  const filter = {
+    vaccineType: new RegExp(`^${escapeRegex(this.vaccineType)}$`, 'i'),
+    date: { $gte: this.startDate, $lte: this.endDate }
+  };
+
+  if (this.isNationwide) return filter;
+
+  const Client = mongoose.model('Client');
+  const villageIds = await this.resolveVillageIds();
+  const scope = [];
+
+  if (this.targetHoldingCodes?.length) {
+    scope.push({ holdingCode: { $in: this.targetHoldingCodes } });
+  }
+
+  if (villageIds.length > 0) {
+    const clientIds = await Client.find({ village: { $in: villageIds } }).distinct('_id');
+    if (clientIds.length > 0) {
+      scope.push({ client: { $in: clientIds } });
+    }
+  }
+
+  // نطاق محدد لكن لا يطابق أي عميل/رمز حيازة
+  filter.$or = scope.length > 0 ? scope : [{ _id: null }];
+  return filter;
+};
+
+/**
+ * Link all unassigned Vaccination records in scope to this campaign
+ * (a cancelled or completed campaign takes no records, as in findForVaccination)
+ * @returns {Promise<number>} number of newly associated records
+ */
+campaignSchema.methods.associateRecords = async function() {
+  if (CLOSED_STATUSES.includes(this.status)) return 0;
+
+  const Vaccination = mongoose.model('Vaccination');
+  const filter = await this.buildScopeFilter();
+  const result = await Vaccination.updateMany(
+    { ...filter, campaign: null },
+    { $set: { campaign: this._id } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Remove association from all records and re-associate (after scope change)
+ */
+campaignSchema.methods.reassociateRecords = async function() {
+  // الحملة المكتملة تحتفظ بسجلاتها، والملغاة تحررها
+  if (this.status === 'completed') return 0;
+
+  const Vaccination = mongoose.model('Vaccination');
+  await Vaccination.updateMany({ campaign: this._id }, { $set: { campaign: null } });
+  return this.associateRecords();
+};
+
+/**
+ * Coverage progress: vaccinated animals (herdCounts.*.vaccinated) versus target
+ */
+campaignSchema.methods.getProgress = async function() {
+  const Vaccination = mongoose.model('Vaccination');
+
+  const speciesGroup = {};
+  SPECIES.forEach((species) => {
+    speciesGroup[`${species}Vaccinated`] = { $sum: { $ifNull: [`$herdCounts.${species}.vaccinated`, 0] } };
+    speciesGroup[`${species}Total`] = { $sum: { $ifNull: [`$herdCounts.${species}.total`, 0] } };
+  });
+
+  const [totals] = await Vaccination.aggregate([
+    { $match: { campaign: this._id } },
+    {
+      $group: {
+        _id: null,
+        records: { $sum: 1 },
+        clients: { $addToSet: '$client' },
+        firstVisit: { $min: '$date' },
+        lastVisit: { $max: '$date' },
+        ...speciesGroup
+      }
+    }
+  ]);
+
+  const byVillage = await Vaccination.aggregate([
+    { $match: { campaign: this._id } },
+    { $lookup: { from: 'clients', localField: 'client', foreignField: '_id', as: 'clientData' } },
+    { $unwind: { path: '$clientData', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: '$clientData.village',
+        records: { $sum: 1 },
+        vaccinated: {
+          $sum: {
+            $add: SPECIES.map(species => ({ $ifNull: [`$herdCounts.${species}.vaccinated`, 0] }))
+          }
+        }
+      }
+    },
+    { $lookup: { from: 'villages', localField: '_id', foreignField: '_id', as: 'village' } },
+    { $unwind: { path: '$village', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        villageId: '$_id',
+        nameArabic: '$village.nameArabic',
+        nameEnglish: '$village.nameEnglish',
+        sector: '$village.sector',
+        records: 1,
+        vaccinated: 1
+      }
+    },
+    { $sort: { vaccinated: -1 } }
+  ]);
+
+  const targetCounts = this.targetCounts || {};
+  const coveragePercent = (vaccinated, target) => {
+    return target > 0 ? Math.round((vaccinated / target) * 1000) / 10 : null;
+  };
+
+  const species = {};
+  let totalVaccinated = 0;
+  SPECIES.forEach((name) => {
+    const vaccinated = totals ? totals[`${name}Vaccinated`] : 0;
+    const target = targetCounts[name] || 0;
+    totalVaccinated += vaccinated;
+    species[name] = {
+      target,
+      vaccinated,
+      herdTotal: totals ? totals[`${name}Total`] : 0,
+      remaining: Math.max(target - vaccinated, 0),
+      coverage: coveragePercent(vaccinated, target)
+    };
+  });
+
+  // نسبة الوقت المنقضي من نافذة الحملة
+  const now = new Date();
+  const windowMs = this.endDate - this.startDate;
+  const elapsedMs = Math.min(Math.max(now - this.startDate, 0), windowMs);
+
+  return {
+    campaignId: this._id,
+    status: this.status,
+    records: totals ? totals.records : 0,
+    clientsReached: totals ? totals.clients.filter(Boolean).length : 0,
+    firstVisit: totals ? totals.firstVisit : null,
+    lastVisit: totals ? totals.lastVisit : null,
+    totalTarget: this.totalTarget,
+    totalVaccinated,
+    overallCoverage: coveragePercent(totalVaccinated, this.totalTarget),
+    timeElapsed: windowMs > 0 ? Math.round((elapsedMs / windowMs) * 1000) / 10 : 100,
+    species,
+    byVillage
+  };
+};
+
+/**
+ * Find the campaign a vaccination record belongs to (vaccine type, date, scope)
+ */
+campaignSchema.statics.findForVaccination = async function(record) {
+  if (!record.vaccineType || !record.date) return null;
+
+  const candidates = await this.find({
+    status: { $nin: CLOSED_STATUSES },
+    vaccineType: new RegExp(`^${escapeRegex(record.vaccineType)}$`, 'i'),
+    startDate: { $lte: record.date },
+    endDate: { $gte: record.date }
+  }).sort({ startDate: -1 });
+
+  if (candidates.length === 0) return null;
+
+  let clientVillage = null;
+  if (record.client) {
+    const Client = mongoose.model('Client');
+    const client = await Client.findById(record.client).select('village').lean();
+    clientVillage = client?.village ? client.village.toString() : null;
+  }
+
+  const holdingCode = record.holdingCode ? record.holdingCode.toString() : null;
+
+  for (const campaign of candidates) {
+    if (campaign.isNationwide) return campaign;
+
+    if (holdingCode && campaign.targetHoldingCodes.some(id => id.toString() === holdingCode)) {
+      return campaign;
+    }
+
+    if (clientVillage) {
+      const villageIds = await campaign.resolveVillageIds();
+      if (villageIds.some(id => id.toString() === clientVillage)) {
+        return campaign;
+      }
+    }
+  }
+
+  return null;
+};
+
+campaignSchema.statics.CLOSED_STATUSES = CLOSED_STATUSES;
+
+module.exports = mongoose.model('Campaign', campaignSchema);
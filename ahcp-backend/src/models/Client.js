@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { geoLocationPlugin } = require('../utils/geoLocation');
+const { importBatchPlugin } = require('../utils/importBatch');
 
 /**
  * @swagger
@@ -71,6 +74,18 @@ const mongoose = require('mongoose');
  *               type: number
  *             longitude:
  *               type: number
+ *         location:
+ *           type: object
+ *           readOnly: true
+ *           description: GeoJSON point [longitude, latitude] derived from coordinates
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
  *         status:
  *           type: string
  *           enum: [نشط, غير نشط]
@@ -246,7 +261,6 @@ clientSchema.index({ village: 1 });
 clientSchema.index({ status: 1 });
 clientSchema.index({ phone: 1 });
 clientSchema.index({ holdingCode: 1 });
-clientSchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
 
 // Virtual for total animals count
 clientSchema.virtual('totalAnimals').get(function() {
@@ -337,4 +351,26 @@ clientSchema.pre('save', function(next) {
   next();
 });
 
+// تغيير قرية العميل قد يُخرج تحصيناته من نطاق حملتها أو يُدخلها في نطاق حملة أخرى
+clientSchema.pre('save', function(next) {
+  this.$locals.villageChanged = !this.isNew && this.isModified('village');
+  next();
+});
+
+clientSchema.post('save', async function() {
+  if (!this.$locals.villageChanged) return;
+  this.$locals.villageChanged = false;
+  const Vaccination = require('./Vaccination');
+  await Vaccination.relinkCampaigns({ client: this._id });
+});
+
+// GeoJSON location (2dsphere) derived from coordinates, used by geospatial filters
+clientSchema.plugin(geoLocationPlugin);
+
+// Soft delete (recycle bin)
+clientSchema.plugin(softDeletePlugin, { modelName: 'Client', uniqueFields: ['nationalId'] });
+
+// Import batch tag (rollback of an import)
+clientSchema.plugin(importBatchPlugin, { modelName: 'Client' });
+
 module.exports = mongoose.model('Client', clientSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClientMerge:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Merge record ID
+ *         survivor:
+ *           type: string
+ *           description: Client that was kept
+ *         mergedClients:
+ *           type: array
+ *           description: Snapshots of the duplicate clients as they were before the merge
+ *           items:
+ *             type: object
+ *         reassigned:
+ *           type: object
+ *           description: Number of service records re-pointed to the survivor, per model
+ *           example: { Vaccination: 3, ParasiteControl: 1, MobileClinic: 0, EquineHealth: 0, Laboratory: 2, Animal: 4 }
+ *         status:
+ *           type: string
+ *           enum: [pending, completed, failed]
+ *           description: A failed merge left the duplicates live; merging the same clients again finishes it
+ *         failureReason:
+ *           type: string
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: string
+ *         mergedBy:
+ *           type: string
+ *           description: User who performed the merge
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const clientMergeSchema = new mongoose.Schema({
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Surviving client is required']
+  },
+  // نسخة كاملة من العملاء المدمجين قبل الدمج (للمراجعة والاسترجاع اليدوي)
+  mergedClients: {
+    type: [mongoose.Schema.Types.Mixed],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'At least one merged client is required'
+    }
+  },
+  reassigned: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // يُنشأ السجل قبل الدمج حتى يبقى أثر لأي دمج توقف في منتصفه
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed']
+  },
+  failureReason: String,
+  completedAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Merged by user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+clientMergeSchema.index({ survivor: 1, createdAt: -1 });
+clientMergeSchema.index({ 'mergedClients._id': 1 });
+clientMergeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ClientMerge', clientMergeSchema);
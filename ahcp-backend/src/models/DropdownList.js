@@ -32,6 +32,22 @@ const mongoose = require('mongoose');
  *           type: boolean
  *           default: true
  *           description: Whether the option is active and available for selection
+ *         metadata:
+ *           type: object
+ *           description: Category-specific settings (e.g. vaccine_types use boosterIntervalDays, test_types use outbreak thresholds)
+ *           properties:
+ *             boosterIntervalDays:
+ *               type: integer
+ *               description: Days between doses before a herd is due for revaccination (vaccine_types only)
+ *             outbreakMinPositives:
+ *               type: integer
+ *               description: Positive samples that make a cluster an outbreak (test_types only)
+ *             outbreakWindowDays:
+ *               type: integer
+ *               description: Days a cluster of positives is counted over (test_types only)
+ *             outbreakRadiusKm:
+ *               type: number
+ *               description: Cluster radius for cross-village detection, 0 disables it (test_types only)
  *         createdBy:
  *           type: string
  *           description: User who created this option
@@ -121,6 +137,11 @@ const dropdownListSchema = new mongoose.Schema({
     index: true
   },
   
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -154,10 +175,64 @@ dropdownListSchema.statics.getByCategory = function(category, includeInactive =
   
   return this.find(filter)
     .sort({ createdAt: 1 })
-    .select('value label labelAr isActive')
+    .select('value label labelAr isActive metadata')
     .lean();
 };
 
+// Static method to get booster intervals (days) keyed by lowercased vaccine value/labels
+dropdownListSchema.statics.getBoosterIntervals = async function() {
+  const vaccineTypes = await this.find({
+    category: 'vaccine_types',
+    isActive: true,
+    'metadata.boosterIntervalDays': { $gt: 0 }
+  }).select('value label labelAr metadata').lean();
+
+  const intervals = {};
+  vaccineTypes.forEach((option) => {
+    const days = parseInt(option.metadata.boosterIntervalDays);
+    [option.value, option.label, option.labelAr]
+      .filter(Boolean)
+      .forEach((key) => {
+        intervals[key.toString().trim().toLowerCase()] = days;
+      });
+  });
+
+  return intervals;
+};
+
+/**
+ * Outbreak detection thresholds per test type, from test_types metadata
+ * (outbreakMinPositives, outbreakWindowDays, outbreakRadiusKm); keys lower-cased
+ */
+dropdownListSchema.statics.getOutbreakThresholds = async function() {
+  const testTypes = await this.find({
+    category: 'test_types',
+    isActive: true,
+    $or: [
+      { 'metadata.outbreakMinPositives': { $exists: true } },
+      { 'metadata.outbreakWindowDays': { $exists: true } },
+      { 'metadata.outbreakRadiusKm': { $exists: true } }
+    ]
+  }).select('value label labelAr metadata').lean();
+
+  const thresholds = {};
+  testTypes.forEach((option) => {
+    const threshold = {};
+    ['outbreakMinPositives', 'outbreakWindowDays', 'outbreakRadiusKm'].forEach((key) => {
+      const value = parseFloat(option.metadata[key]);
+      if (!isNaN(value) && value >= 0) threshold[key] = value;
+    });
+
+    [option.value, option.label, option.labelAr]
+      .filter(Boolean)
+      .forEach((key) => {
+        thresholds[key.toString().trim().toLowerCase()] = threshold;
+      });
+  });
+
+  return thresholds;
+};
+
 // Static method to get all categories
 dropdownListSchema.statics.getCategories = function() {
   return this.distinct('category');
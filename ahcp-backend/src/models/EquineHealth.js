@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { geoLocationPlugin } = require('../utils/geoLocation');
+const { inventoryConsumptionPlugin } = require('../utils/inventoryConsumption');
 const { populate } = require('./Client');
+const { importBatchPlugin } = require('../utils/importBatch');
 
 /**
  * @swagger
@@ -35,6 +40,18 @@ const { populate } = require('./Client');
  *               type: number
  *             longitude:
  *               type: number
+ *         location:
+ *           type: object
+ *           readOnly: true
+ *           description: GeoJSON point [longitude, latitude] derived from coordinates
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
  *         supervisor:
  *           type: string
  *           description: Supervisor name
@@ -51,6 +68,9 @@ const { populate } = require('./Client');
  *             properties:
  *               id:
  *                 type: string
+ *               animal:
+ *                 type: string
+ *                 description: Registered animal (Animal ID) examined, linked by tag
  *               breed:
  *                 type: string
  *               age:
@@ -114,6 +134,10 @@ const horseDetailSchema = new mongoose.Schema({
     maxlength: [50, 'Horse ID cannot exceed 50 characters'],
     default: 'N/A' // Default value for missing data
   },
+  animal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Animal'
+  },
   breed: {
     type: String,
     required: false, // Made optional for import flexibility
@@ -393,11 +417,11 @@ const equineHealthSchema = new mongoose.Schema({
 equineHealthSchema.index({ serialNo: 1 });
 equineHealthSchema.index({ date: -1 });
 equineHealthSchema.index({ client: 1 });
+equineHealthSchema.index({ 'horseDetails.animal': 1 });
 equineHealthSchema.index({ supervisor: 1 });
 equineHealthSchema.index({ interventionCategory: 1 });
 equineHealthSchema.index({ 'request.situation': 1 });
 equineHealthSchema.index({ followUpRequired: 1 });
-equineHealthSchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
 
 // Virtual for healthy horses count
 equineHealthSchema.virtual('healthyHorsesCount').get(function() {
@@ -522,4 +546,44 @@ equineHealthSchema.pre('save', function(next) {
   next();
 });
 
+// ربط الخيول بسجل الحيوانات عن طريق رقم الشريحة/الترقيم المدخل في horseDetails.id
+equineHealthSchema.pre('save', async function() {
+  if (!this.isModified('horseDetails')) return;
+
+  const unlinked = (this.horseDetails || []).filter(horse => !horse.animal && horse.id && horse.id !== 'N/A');
+  if (unlinked.length === 0) return;
+
+  const Animal = require('./Animal');
+  const tags = unlinked.map(horse => horse.id.replace(/\s+/g, '').toUpperCase());
+  const animals = await Animal.find({ tagId: { $in: tags } }).select('tagId');
+  const byTag = new Map(animals.map(animal => [animal.tagId, animal._id]));
+
+  unlinked.forEach((horse, index) => {
+    if (byTag.has(tags[index])) horse.animal = byTag.get(tags[index]);
+  });
+});
+
+// GeoJSON location (2dsphere) derived from coordinates, used by geospatial filters
+equineHealthSchema.plugin(geoLocationPlugin);
+
+// Soft delete (recycle bin) - must be registered before the audit trail
+equineHealthSchema.plugin(softDeletePlugin, { modelName: 'EquineHealth' });
+
+// Inventory: medications used are deducted from stock
+equineHealthSchema.plugin(inventoryConsumptionPlugin, {
+  modelName: 'EquineHealth',
+  usagePaths: ['medicationsUsed'],
+  getUsage: record => (record.medicationsUsed || []).map(medication => ({
+    name: medication.name,
+    quantity: medication.quantity,
+    categories: ['medication', 'vaccine']
+  }))
+});
+
+// Import batch tag (rollback of an import)
+equineHealthSchema.plugin(importBatchPlugin, { modelName: 'EquineHealth' });
+
+// Audit trail (create/update/delete history)
+equineHealthSchema.plugin(auditTrailPlugin, { modelName: 'EquineHealth' });
+
 module.exports = mongoose.model('EquineHealth', equineHealthSchema);
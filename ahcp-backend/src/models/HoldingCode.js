@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { importBatchPlugin } = require('../utils/importBatch');
 
 /**
  * @swagger
@@ -127,4 +128,7 @@ holdingCodeSchema.pre('save', async function(next) {
   next();
 });
 
+// Import batch tag (rollback of an import)
+holdingCodeSchema.plugin(importBatchPlugin, { modelName: 'HoldingCode' });
+
 module.exports = mongoose.model('HoldingCode', holdingCodeSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportBatch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Batch ID - the same as the import job ID (file / Dromo imports) or the staged import ID
+ *         user:
+ *           type: string
+ *         module:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *         source:
+ *           type: string
+ *           enum: [upload, dromo, staged]
+ *         fileName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, rolling_back, rolled_back]
+ *         insertedRows:
+ *           type: integer
+ *           description: Rows that created a new record
+ *         updatedRows:
+ *           type: integer
+ *           description: Rows that changed an existing record (e.g. a stock receipt for an existing inventory item)
+ *         failedRows:
+ *           type: integer
+ *         rollback:
+ *           type: object
+ *           properties:
+ *             removed:
+ *               type: integer
+ *               description: Records moved to the recycle bin, deleted or deactivated
+ *             reverted:
+ *               type: integer
+ *               description: Existing records and stock receipts restored to their state before the import
+ *             kept:
+ *               type: array
+ *               description: Changes left in place, with the reason
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   model:
+ *                     type: string
+ *                   documentId:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *         rolledBackAt:
+ *           type: string
+ *           format: date-time
+ *         rolledBackBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const importBatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  module: {
+    type: String,
+    required: [true, 'Module is required']
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'dromo', 'staged'],
+    default: 'upload'
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'rolling_back', 'rolled_back'],
+    default: 'active'
+  },
+  insertedRows: {
+    type: Number,
+    default: 0
+  },
+  updatedRows: {
+    type: Number,
+    default: 0
+  },
+  failedRows: {
+    type: Number,
+    default: 0
+  },
+  // السجلات الموجودة التي عدّلها الاستيراد مع قيمها السابقة، أما السجلات الجديدة فتحمل importBatch
+  changes: {
+    type: [{
+      _id: false,
+      model: String,
+      documentId: mongoose.Schema.Types.ObjectId,
+      fields: [{
+        _id: false,
+        path: String,
+        previous: mongoose.Schema.Types.Mixed,
+        applied: mongoose.Schema.Types.Mixed
+      }]
+    }],
+    select: false
+  },
+  rollback: {
+    removed: Number,
+    reverted: Number,
+    kept: [{
+      _id: false,
+      model: String,
+      documentId: mongoose.Schema.Types.ObjectId,
+      reason: String
+    }],
+    // حركات الاستلام التي سُحبت كمياتها، حتى لا تُسحب مرتين إذا أُعيد التراجع بعد خطأ
+    reversedReceipts: {
+      type: [mongoose.Schema.Types.ObjectId],
+      select: false
+    }
+  },
+  rolledBackAt: Date,
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ user: 1, createdAt: -1 });
+importBatchSchema.index({ module: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: User who uploaded the file (the super admin account for Dromo webhook imports)
+ *         module:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *         source:
+ *           type: string
+ *           enum: [upload, dromo, staged]
+ *         fileName:
+ *           type: string
+ *         mapping:
+ *           type: object
+ *           description: Column mapping profile applied to the file
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             detected:
+ *               type: boolean
+ *               description: Chosen automatically from the file's headers
+ *         status:
+ *           type: string
+ *           enum: [queued, processing, completed, failed, cancelled]
+ *         totalRows:
+ *           type: integer
+ *         processedRows:
+ *           type: integer
+ *         successRows:
+ *           type: integer
+ *         errorRows:
+ *           type: integer
+ *         progress:
+ *           type: integer
+ *           description: Percentage of rows processed
+ *         errors:
+ *           type: array
+ *           description: Failed rows (only returned by GET /api/import-jobs/{id})
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *               message:
+ *                 type: string
+ *         lastError:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const IMPORT_JOB_STATUSES = ['queued', 'processing', 'completed', 'failed', 'cancelled'];
+
+const importJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  module: {
+    type: String,
+    required: [true, 'Module is required']
+  },
+  // staged: اعتماد معاينة، والمهمة تحمل نفس معرف جلسة المعاينة
+  source: {
+    type: String,
+    enum: ['upload', 'dromo', 'staged'],
+    default: 'upload'
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  // ملف تعيين الأعمدة الذي حُوّلت به الصفوف قبل وضعها في الطابور
+  mapping: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportMapping'
+    },
+    name: String,
+    detected: Boolean
+  },
+  status: {
+    type: String,
+    enum: IMPORT_JOB_STATUSES,
+    default: 'queued'
+  },
+  // الصفوف بانتظار المعالجة: قيم كل صف بترتيب headers، وتُحذف عند انتهاء المهمة
+  headers: [String],
+  rows: {
+    type: [mongoose.Schema.Types.Mixed],
+    select: false
+  },
+  // رقم كل صف في الملف عندما لا تُستورد كل صفوفه
+  rowNumbers: {
+    type: [Number],
+    select: false
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  // موضع الاستئناف: عدد الصفوف التي حُفظت نتيجتها
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  successRows: {
+    type: Number,
+    default: 0
+  },
+  errorRows: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    message: String
+  }],
+  // عقد المعالجة: العامل الذي يحمل lockToken وحده يحدّث التقدم حتى lockedUntil
+  lockToken: String,
+  lockedUntil: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ user: 1, module: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, lockedUntil: 1 });
+
+importJobSchema.virtual('isFinished').get(function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+});
+
+/**
+ * Row values keyed by the file's column headers
+ */
+importJobSchema.methods.rowData = function(values) {
+  const data = {};
+  this.headers.forEach((header, index) => {
+    if (values[index] !== null && values[index] !== undefined) data[header] = values[index];
+  });
+  return data;
+};
+
+/**
+ * Job progress as returned by the API
+ * @param {Object} options - { includeErrors }
+ */
+importJobSchema.methods.toSummary = function(options = {}) {
+  const summary = {
+    _id: this._id,
+    user: this.user,
+    module: this.module,
+    source: this.source,
+    fileName: this.fileName,
+    mapping: this.mapping && this.mapping.id ? this.mapping : null,
+    status: this.status,
+    totalRows: this.totalRows,
+    processedRows: this.processedRows,
+    successRows: this.successRows,
+    errorRows: this.errorRows,
+    progress: this.totalRows > 0 ? Math.floor((this.processedRows / this.totalRows) * 100) : 100,
+    lastError: this.lastError,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    cancelledAt: this.cancelledAt
+  };
+  if (options.includeErrors) summary.errors = this.rowErrors;
+  return summary;
+};
+
+importJobSchema.statics.STATUSES = IMPORT_JOB_STATUSES;
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
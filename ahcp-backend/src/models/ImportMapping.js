@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportMappingColumn:
+ *       type: object
+ *       required:
+ *         - source
+ *         - field
+ *       properties:
+ *         source:
+ *           type: string
+ *           description: Column header in the office's file (matched ignoring case, spaces and punctuation)
+ *           example: رقم الهوية
+ *         field:
+ *           type: string
+ *           description: Model field the column fills (see GET /api/import-mappings/fields/{module})
+ *           example: client.nationalId
+ *         transform:
+ *           type: string
+ *           enum: [none, trim, uppercase, lowercase, number, date, boolean, map]
+ *           default: none
+ *           description: number and date also convert Arabic-Indic digits
+ *         dateFormat:
+ *           type: string
+ *           enum: [DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD]
+ *           description: Day/month order of text dates (date transform)
+ *         values:
+ *           type: array
+ *           description: Value replacements (map transform), compared ignoring case
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *     ImportMapping:
+ *       type: object
+ *       required:
+ *         - name
+ *         - module
+ *         - columns
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: مكتب تبوك - التحصين
+ *         module:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *         description:
+ *           type: string
+ *         columns:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImportMappingColumn'
+ *         defaults:
+ *           type: array
+ *           description: Values used when the file has no value for the field
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: supervisor
+ *               value:
+ *                 type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+const VALUE_TRANSFORMS = ['none', 'trim', 'uppercase', 'lowercase', 'number', 'date', 'boolean', 'map'];
+
+const mappingColumnSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: [true, 'Source column is required'],
+    trim: true
+  },
+  field: {
+    type: String,
+    required: [true, 'Target field is required'],
+    trim: true
+  },
+  transform: {
+    type: String,
+    enum: VALUE_TRANSFORMS,
+    default: 'none'
+  },
+  dateFormat: {
+    type: String,
+    enum: DATE_FORMATS
+  },
+  // أزواج بدلاً من Map لأن القيم قد تحتوي نقاطاً
+  values: [{
+    _id: false,
+    from: { type: String, required: true },
+    to: { type: String, required: true }
+  }]
+}, { _id: false });
+
+const importMappingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Mapping name is required'],
+    trim: true,
+    maxlength: [100, 'Mapping name cannot exceed 100 characters']
+  },
+  module: {
+    type: String,
+    required: [true, 'Module is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  columns: {
+    type: [mappingColumnSchema],
+    validate: {
+      validator: columns => columns.length > 0,
+      message: 'A mapping needs at least one column'
+    }
+  },
+  defaults: [{
+    _id: false,
+    field: { type: String, required: true, trim: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+importMappingSchema.index({ module: 1, name: 1 }, { unique: true });
+importMappingSchema.index({ module: 1, isActive: 1 });
+
+importMappingSchema.statics.DATE_FORMATS = DATE_FORMATS;
+importMappingSchema.statics.VALUE_TRANSFORMS = VALUE_TRANSFORMS;
+
+module.exports = mongoose.model('ImportMapping', importMappingSchema);
@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportRow:
+ *       type: object
+ *       properties:
+ *         rowNumber:
+ *           type: integer
+ *           description: Row number in the file (1 = first data row)
+ *         status:
+ *           type: string
+ *           enum: [valid, invalid, duplicate]
+ *           description: Dry-run result - duplicate means the serial number (or sample code / national ID) already exists or repeats an earlier row
+ *         issues:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               level:
+ *                 type: string
+ *                 enum: [error, warning]
+ *               model:
+ *                 type: string
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         client:
+ *           type: object
+ *           description: Proposed herd owner - create a new client or match an existing one
+ *           properties:
+ *             action:
+ *               type: string
+ *               enum: [create, match]
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             nationalId:
+ *               type: string
+ *         holdingCode:
+ *           type: object
+ *           properties:
+ *             action:
+ *               type: string
+ *               enum: [create, match]
+ *             id:
+ *               type: string
+ *             code:
+ *               type: string
+ *             village:
+ *               type: string
+ *         existing:
+ *           type: object
+ *           description: Existing record with the same key
+ *           properties:
+ *             recordId:
+ *               type: string
+ *             field:
+ *               type: string
+ *             value:
+ *               type: string
+ *             changes:
+ *               type: array
+ *               description: Fields where the row differs from the existing record (nested fields as dotted paths)
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   field:
+ *                     type: string
+ *                     example: herdCounts.sheep.total
+ *                   from:
+ *                     description: Value in the existing record
+ *                   to:
+ *                     description: Value in the row
+ *         duplicateOfRow:
+ *           type: integer
+ *           description: Earlier row in the same file with the same key
+ *         outcome:
+ *           type: string
+ *           enum: [imported, failed, skipped]
+ *           description: Set when the import is committed
+ *         recordId:
+ *           type: string
+ *           description: Record created by the commit
+ *         data:
+ *           type: object
+ *           description: Row values as read from the file
+ *     ImportSession:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         importType:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *         fileName:
+ *           type: string
+ *         mapping:
+ *           type: object
+ *           description: Column mapping profile applied to the file
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             detected:
+ *               type: boolean
+ *               description: Chosen automatically from the file's headers
+ *         status:
+ *           type: string
+ *           enum: [previewed, committing, committed, failed, cancelled]
+ *           description: committing while the commit runs on the import queue (progress at /api/import-jobs/{id}, same ID)
+ *         summary:
+ *           type: object
+ *           properties:
+ *             totalRows:
+ *               type: integer
+ *             valid:
+ *               type: integer
+ *             invalid:
+ *               type: integer
+ *             duplicate:
+ *               type: integer
+ *             withWarnings:
+ *               type: integer
+ *             newClients:
+ *               type: integer
+ *             matchedClients:
+ *               type: integer
+ *             newHoldingCodes:
+ *               type: integer
+ *             matchedHoldingCodes:
+ *               type: integer
+ *         result:
+ *           type: object
+ *           properties:
+ *             imported:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *             skipped:
+ *               type: integer
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The session and its error report are discarded after this time
+ */
+
+const IMPORT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const referenceSchema = {
+  action: { type: String, enum: ['create', 'match'] },
+  id: { type: mongoose.Schema.Types.ObjectId }
+};
+
+const importRowSchema = new mongoose.Schema({
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+  // القيم بترتيب أعمدة الجلسة (أسماء الأعمدة قد تحتوي نقاطاً لا تصلح كمفاتيح)
+  values: [mongoose.Schema.Types.Mixed],
+  // القيم كما في الملف قبل ملف التعيين، بترتيب sourceHeaders
+  sourceValues: [mongoose.Schema.Types.Mixed],
+  status: {
+    type: String,
+    enum: ['valid', 'invalid', 'duplicate'],
+    required: true
+  },
+  issues: [{
+    _id: false,
+    level: { type: String, enum: ['error', 'warning'] },
+    model: String,
+    field: String,
+    message: String
+  }],
+  client: {
+    ...referenceSchema,
+    name: String,
+    nationalId: String
+  },
+  holdingCode: {
+    ...referenceSchema,
+    code: String,
+    village: String
+  },
+  existing: {
+    recordId: { type: mongoose.Schema.Types.ObjectId },
+    field: String,
+    value: String,
+    changes: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }]
+  },
+  duplicateOfRow: Number,
+  outcome: {
+    type: String,
+    enum: ['imported', 'failed', 'skipped']
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, { _id: false });
+
+const importSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  importType: {
+    type: String,
+    required: [true, 'Import type is required']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  // ملف تعيين الأعمدة المطبق على الملف (الاسم محفوظ لأن الملف قد يُعدّل لاحقاً)
+  mapping: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportMapping'
+    },
+    name: String,
+    detected: Boolean
+  },
+  status: {
+    type: String,
+    enum: ['previewed', 'committing', 'committed', 'failed', 'cancelled'],
+    default: 'previewed'
+  },
+  headers: [String],
+  // عناوين الملف الأصلية عند تطبيق ملف تعيين (فارغة بدونه)، لتقرير الأخطاء
+  sourceHeaders: [String],
+  // عمود الملف الذي عُيّن لكل عمود من أعمدة النظام
+  columnSources: [{
+    _id: false,
+    header: String,
+    source: String
+  }],
+  rows: [importRowSchema],
+  summary: {
+    totalRows: { type: Number, default: 0 },
+    valid: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    withWarnings: { type: Number, default: 0 },
+    newClients: { type: Number, default: 0 },
+    matchedClients: { type: Number, default: 0 },
+    newHoldingCodes: { type: Number, default: 0 },
+    matchedHoldingCodes: { type: Number, default: 0 }
+  },
+  result: {
+    imported: Number,
+    failed: Number,
+    skipped: Number
+  },
+  committedAt: Date,
+  cancelledAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IMPORT_SESSION_TTL_MS)
+  }
+}, {
+  timestamps: true
+});
+
+importSessionSchema.index({ user: 1, createdAt: -1 });
+// الجلسات تُحذف تلقائياً بعد يوم من رفع الملف سواء اعتُمدت أم لا
+importSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Row values keyed by the file's column headers
+ */
+importSessionSchema.methods.rowData = function(row) {
+  const data = {};
+  this.headers.forEach((header, index) => {
+    const value = row.values[index];
+    if (value !== null && value !== undefined) data[header] = value;
+  });
+  return data;
+};
+
+/**
+ * Row as returned by the API (values keyed by header)
+ */
+importSessionSchema.methods.formatRow = function(row) {
+  const { values, sourceValues, ...fields } = row.toObject();
+  return { ...fields, data: this.rowData(row) };
+};
+
+/**
+ * Session without its rows (rows are paged separately)
+ */
+importSessionSchema.methods.toSummary = function() {
+  return {
+    _id: this._id,
+    importType: this.importType,
+    fileName: this.fileName,
+    mapping: this.mapping && this.mapping.id ? this.mapping : null,
+    status: this.status,
+    headers: this.headers,
+    summary: this.summary,
+    result: this.result,
+    createdAt: this.createdAt,
+    committedAt: this.committedAt,
+    cancelledAt: this.cancelledAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('ImportSession', importSessionSchema);
@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const { importBatchPlugin } = require('../utils/importBatch');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryBatch:
+ *       type: object
+ *       required:
+ *         - lotNumber
+ *         - quantity
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Batch ID
+ *         lotNumber:
+ *           type: string
+ *           description: Batch / lot number
+ *         quantity:
+ *           type: number
+ *           description: Quantity remaining in the batch (item unit)
+ *         receivedQuantity:
+ *           type: number
+ *           description: Quantity originally received
+ *         expiryDate:
+ *           type: string
+ *           format: date
+ *           description: Expiry date
+ *         receivedAt:
+ *           type: string
+ *           format: date
+ *           description: Receipt date
+ *         supplier:
+ *           type: string
+ *           description: Supplier name
+ *         reference:
+ *           type: string
+ *           description: Receipt reference (delivery note, PO number)
+ *     InventoryItem:
+ *       type: object
+ *       required:
+ *         - name
+ *         - category
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Item ID
+ *         name:
+ *           type: string
+ *           description: Item name as written on treatment records (insecticide type / medication name)
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Alternative names used on treatment records
+ *         category:
+ *           type: string
+ *           enum: [insecticide, medication, vaccine, supply]
+ *           description: Item category
+ *         unit:
+ *           type: string
+ *           enum: [ml, l, g, kg, dose, tablet, vial, unit]
+ *           description: Stock unit
+ *         reorderLevel:
+ *           type: number
+ *           description: Low-stock threshold
+ *         batches:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InventoryBatch'
+ *         totalQuantity:
+ *           type: number
+ *           description: Quantity in stock across all batches (virtual)
+ *         availableQuantity:
+ *           type: number
+ *           description: Quantity in non-expired batches (virtual)
+ *         isLowStock:
+ *           type: boolean
+ *           description: Available quantity at or below reorder level (virtual)
+ *         isActive:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const UNITS = ['ml', 'l', 'g', 'kg', 'dose', 'tablet', 'vial', 'unit'];
+
+const batchSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    maxlength: [100, 'Lot number cannot exceed 100 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  receivedQuantity: {
+    type: Number,
+    min: [0, 'Received quantity cannot be negative'],
+    default: 0
+  },
+  expiryDate: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  supplier: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Supplier cannot exceed 200 characters']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const inventoryItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true,
+    maxlength: [200, 'Item name cannot exceed 200 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: {
+      values: ['insecticide', 'medication', 'vaccine', 'supply'],
+      message: 'Category must be one of: insecticide, medication, vaccine, supply'
+    }
+  },
+  unit: {
+    type: String,
+    enum: {
+      values: UNITS,
+      message: `Unit must be one of: ${UNITS.join(', ')}`
+    },
+    default: 'unit'
+  },
+  reorderLevel: {
+    type: Number,
+    min: [0, 'Reorder level cannot be negative'],
+    default: 0
+  },
+  batches: [batchSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+inventoryItemSchema.index({ name: 1, category: 1 }, { unique: true });
+inventoryItemSchema.index({ aliases: 1 });
+inventoryItemSchema.index({ category: 1, isActive: 1 });
+inventoryItemSchema.index({ 'batches.expiryDate': 1 });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isExpired = (batch, at = new Date()) => Boolean(batch.expiryDate && batch.expiryDate < at);
+
+// Virtual for quantity across all batches
+inventoryItemSchema.virtual('totalQuantity').get(function() {
+  return (this.batches || []).reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+});
+
+// Virtual for quantity that can still be used (expired batches excluded)
+inventoryItemSchema.virtual('availableQuantity').get(function() {
+  return (this.batches || [])
+    .filter(batch => !isExpired(batch))
+    .reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+});
+
+// Virtual for low-stock flag
+inventoryItemSchema.virtual('isLowStock').get(function() {
+  return this.availableQuantity <= (this.reorderLevel || 0);
+});
+
+/**
+ * Batches that can be consumed, first-expiry-first-out
+ */
+inventoryItemSchema.methods.getConsumableBatches = function() {
+  const now = new Date();
+  return (this.batches || [])
+    .filter(batch => batch.quantity > 0 && !isExpired(batch, now))
+    .sort((a, b) => {
+      const aExpiry = a.expiryDate ? a.expiryDate.getTime() : Infinity;
+      const bExpiry = b.expiryDate ? b.expiryDate.getTime() : Infinity;
+      return (aExpiry - bExpiry) || (a.receivedAt - b.receivedAt);
+    });
+};
+
+/**
+ * Receive stock into a batch (existing lot with same expiry is topped up) and log the receipt
+ * @returns {Promise<Object>} the batch that received the stock
+ */
+inventoryItemSchema.methods.receive = async function(receipt, userId) {
+  const StockMovement = require('./StockMovement');
+  const quantity = Number(receipt.quantity);
+  const expiryDate = receipt.expiryDate ? new Date(receipt.expiryDate) : undefined;
+
+  const batchMatch = { lotNumber: receipt.lotNumber, expiryDate: expiryDate || null };
+  const topUp = () => this.constructor.updateOne(
+    { _id: this._id, batches: { $elemMatch: batchMatch } },
+    { $inc: { 'batches.$.quantity': quantity, 'batches.$.receivedQuantity': quantity }, $set: { updatedBy: userId } }
+  );
+
+  // تحديث ذري حتى لا يتعارض مع الخصم التلقائي أو استلام متزامن لنفس التشغيلة
+  let result = await topUp();
+  if (result.modifiedCount === 0) {
+    result = await this.constructor.updateOne(
+      { _id: this._id, batches: { $not: { $elemMatch: batchMatch } } },
+      {
+        $push: {
+          batches: {
+            lotNumber: receipt.lotNumber,
+            quantity,
+            receivedQuantity: quantity,
+            expiryDate,
+            receivedAt: receipt.receivedAt || new Date(),
+            supplier: receipt.supplier,
+            reference: receipt.reference,
+            receivedBy: userId
+          }
+        },
+        $set: { updatedBy: userId }
+      }
+    );
+    if (result.modifiedCount === 0) await topUp();
+  }
+
+  const updated = await this.constructor.findById(this._id);
+  this.set('batches', updated.batches);
+  this.updatedBy = updated.updatedBy;
+  const batch = this.batches.find(existing =>
+    existing.lotNumber === receipt.lotNumber &&
+    (existing.expiryDate ? existing.expiryDate.getTime() : null) === (expiryDate ? expiryDate.getTime() : null)
+  );
+
+  await StockMovement.create({
+    item: this._id,
+    itemName: this.name,
+    batchId: batch._id,
+    lotNumber: batch.lotNumber,
+    type: 'receipt',
+    quantity,
+    notes: receipt.reference || receipt.supplier,
+    user: userId
+  });
+
+  return batch;
+};
+
+/**
+ * Find the active item a treatment record refers to (by name or alias)
+ */
+inventoryItemSchema.statics.findByUsageName = function(name, categories = []) {
+  const nameRegex = new RegExp(`^${escapeRegex(name.trim())}$`, 'i');
+  const filter = {
+    isActive: true,
+    $or: [{ name: nameRegex }, { aliases: nameRegex }]
+  };
+  if (categories.length > 0) filter.category = { $in: categories };
+
+  return this.findOne(filter);
+};
+
+/**
+ * Active items whose non-expired stock is at or below the reorder level
+ */
+inventoryItemSchema.statics.getLowStock = async function(filters = {}) {
+  const items = await this.find({ isActive: true, ...filters }).sort({ name: 1 });
+  return items.filter(item => item.isLowStock);
+};
+
+/**
+ * Batches with stock left that expire within the given number of days (already expired included)
+ */
+inventoryItemSchema.statics.getExpiring = async function(days = 30, filters = {}) {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  return await this.aggregate([
+    { $match: { isActive: true, ...filters } },
+    { $unwind: '$batches' },
+    { $match: { 'batches.quantity': { $gt: 0 }, 'batches.expiryDate': { $ne: null, $lte: horizon } } },
+    {
+      $project: {
+        _id: 0,
+        itemId: '$_id',
+        name: 1,
+        category: 1,
+        unit: 1,
+        batchId: '$batches._id',
+        lotNumber: '$batches.lotNumber',
+        quantity: '$batches.quantity',
+        expiryDate: '$batches.expiryDate',
+        supplier: '$batches.supplier',
+        expired: { $lt: ['$batches.expiryDate', now] },
+        daysToExpiry: {
+          $ceil: { $divide: [{ $subtract: ['$batches.expiryDate', now] }, 24 * 60 * 60 * 1000] }
+        }
+      }
+    },
+    { $sort: { expiryDate: 1 } }
+  ]);
+};
+
+// Import batch tag (rollback of an import)
+inventoryItemSchema.plugin(importBatchPlugin, { modelName: 'InventoryItem' });
+
+module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { geoLocationPlugin } = require('../utils/geoLocation');
+const { certificatePlugin } = require('../utils/certificates');
+const { importBatchPlugin } = require('../utils/importBatch');
 
 /**
  * @swagger
@@ -31,6 +36,11 @@ const mongoose = require('mongoose');
  *         client:
  *           type: string
  *           description: Client ID reference
+ *         animals:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Individually tagged animals the samples were taken from (Animal IDs)
  *         coordinates:
  *           type: object
  *           properties:
@@ -38,6 +48,18 @@ const mongoose = require('mongoose');
  *               type: number
  *             longitude:
  *               type: number
+ *         location:
+ *           type: object
+ *           readOnly: true
+ *           description: GeoJSON point [longitude, latitude] derived from coordinates
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
  *         speciesCounts:
  *           type: object
  *           properties:
@@ -67,6 +89,20 @@ const mongoose = require('mongoose');
  *                 type: string
  *               status:
  *                 type: string
+ *               unit:
+ *                 type: string
+ *               species:
+ *                 type: string
+ *                 enum: [sheep, goats, camel, cattle, horse]
+ *                 description: Species the result is for (defaults to the only species sampled)
+ *               numericValue:
+ *                 type: number
+ *                 readOnly: true
+ *               flag:
+ *                 type: string
+ *                 enum: [normal, low, high, critical]
+ *                 readOnly: true
+ *                 description: Set on save from the test parameter catalogue reference ranges
  *         positiveCases:
  *           type: number
  *           description: Number of positive test results
@@ -76,6 +112,64 @@ const mongoose = require('mongoose');
  *         testStatus:
  *           type: string
  *           enum: [Pending, In Progress, Completed, Failed]
+ *           description: Overall test status, kept in step with sampleStatus
+ *         priority:
+ *           type: string
+ *           enum: [Low, Normal, High, Urgent]
+ *         expectedCompletionDate:
+ *           type: string
+ *           format: date
+ *         actualCompletionDate:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         sampleStatus:
+ *           type: string
+ *           enum: [collected, in_transit, received, testing, completed, failed, rejected]
+ *           readOnly: true
+ *           description: Sample lifecycle stage, changed only through POST /api/laboratories/{id}/status
+ *         statusChangedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         certificateId:
+ *           type: string
+ *           readOnly: true
+ *           description: Signed ID printed on the result certificate, checked by GET /api/verify/{certificateId}
+ *         certificateIssuedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         certificateRevokedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Set when the certificate is revoked; verification then reports it as revoked
+ *         certificateRevocationReason:
+ *           type: string
+ *           readOnly: true
+ *         custodyEvents:
+ *           type: array
+ *           readOnly: true
+ *           description: Chain of custody, one entry per lifecycle stage
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               handledBy:
+ *                 type: string
+ *                 description: User who recorded the event
+ *               handlerName:
+ *                 type: string
+ *                 description: Person who physically handled the sample (collector, driver, technician)
+ *               location:
+ *                 type: string
+ *               notes:
+ *                 type: string
  *         remarks:
  *           type: string
  *           description: Additional remarks
@@ -117,6 +211,57 @@ const testResultSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  species: {
+    type: String,
+    enum: {
+      values: ['sheep', 'goats', 'camel', 'cattle', 'horse'],
+      message: 'Species must be one of: sheep, goats, camel, cattle, horse'
+    }
+  },
+  numericValue: {
+    type: Number
+  },
+  flag: {
+    type: String,
+    enum: {
+      values: ['normal', 'low', 'high', 'critical'],
+      message: 'Flag must be one of: normal, low, high, critical'
+    }
+  }
+}, { _id: false });
+
+const custodyEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: [true, 'Custody status is required'],
+    enum: {
+      values: ['collected', 'in_transit', 'received', 'testing', 'completed', 'failed', 'rejected'],
+      message: 'Custody status must be one of: collected, in_transit, received, testing, completed, failed, rejected'
+    }
+  },
+  at: {
+    type: Date,
+    required: [true, 'Event time is required']
+  },
+  handledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  handlerName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Handler name cannot exceed 200 characters']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
   }
 }, { _id: false });
 
@@ -175,6 +320,10 @@ const laboratorySchema = new mongoose.Schema({
     ref: 'Client',
     required: false // Optional since we have flat client fields
   },
+  animals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Animal'
+  }],
   coordinates: { 
     latitude: { 
       type: Number, 
@@ -258,6 +407,45 @@ const laboratorySchema = new mongoose.Schema({
     maxlength: [1000, 'Remarks cannot exceed 1000 characters'] 
   },
   testResults: [testResultSchema],
+  testType: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Test type cannot exceed 100 characters']
+  },
+  testStatus: {
+    type: String,
+    enum: {
+      values: ['Pending', 'In Progress', 'Completed', 'Failed'],
+      message: 'Test status must be one of: Pending, In Progress, Completed, Failed'
+    },
+    default: 'Pending'
+  },
+  priority: {
+    type: String,
+    enum: {
+      values: ['Low', 'Normal', 'High', 'Urgent'],
+      message: 'Priority must be one of: Low, Normal, High, Urgent'
+    },
+    default: 'Normal'
+  },
+  expectedCompletionDate: {
+    type: Date
+  },
+  actualCompletionDate: {
+    type: Date
+  },
+  // بدون قيمة افتراضية: السجلات القديمة تُستنتج مرحلتها من testStatus
+  sampleStatus: {
+    type: String,
+    enum: {
+      values: ['collected', 'in_transit', 'received', 'testing', 'completed', 'failed', 'rejected'],
+      message: 'Sample status must be one of: collected, in_transit, received, testing, completed, failed, rejected'
+    }
+  },
+  statusChangedAt: {
+    type: Date
+  },
+  custodyEvents: [custodyEventSchema],
   createdBy: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User', 
@@ -277,12 +465,14 @@ const laboratorySchema = new mongoose.Schema({
 laboratorySchema.index({ sampleCode: 1 });
 laboratorySchema.index({ date: -1 });
 laboratorySchema.index({ client: 1 });
+laboratorySchema.index({ animals: 1 });
 laboratorySchema.index({ collector: 1 });
 laboratorySchema.index({ testType: 1 });
 laboratorySchema.index({ testStatus: 1 });
 laboratorySchema.index({ priority: 1 });
 laboratorySchema.index({ sampleType: 1 });
-laboratorySchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
+laboratorySchema.index({ sampleStatus: 1, statusChangedAt: 1 });
+laboratorySchema.index({ 'testResults.flag': 1 });
 
 // Virtual for total samples
 laboratorySchema.virtual('totalSamples').get(function() {
@@ -349,6 +539,17 @@ laboratorySchema.statics.findOverdue = function() {
   }).populate('client', 'name nationalId phone village');
 };
 
+// Static method to find tests still open a number of days after sampling
+laboratorySchema.statics.findOverdueByAge = function(days = 7) {
+  const overdueDate = new Date();
+  overdueDate.setDate(overdueDate.getDate() - days);
+
+  return this.find({
+    testStatus: { $in: ['Pending', 'In Progress'] },
+    date: { $lt: overdueDate }
+  });
+};
+
 // Static method to get statistics
 laboratorySchema.statics.getStatistics = async function(filters = {}) {
   const pipeline = [
@@ -415,6 +616,82 @@ laboratorySchema.statics.getTestTypeStats = async function(filters = {}) {
   return await this.aggregate(pipeline);
 };
 
+// سجل العينة الجديدة يبدأ سلسلة الحيازة بحدث الجمع
+laboratorySchema.pre('validate', function(next) {
+  if (this.isNew && !this.sampleStatus) {
+    const derived = {
+      'In Progress': 'testing',
+      'Completed': 'completed',
+      'Failed': 'failed'
+    };
+    this.sampleStatus = derived[this.testStatus] || 'collected';
+    const at = this.sampleStatus === 'completed' && this.actualCompletionDate ? this.actualCompletionDate : (this.date || new Date());
+    this.statusChangedAt = at;
+    this.custodyEvents = [{
+      status: this.sampleStatus,
+      at,
+      handledBy: this.createdBy,
+      handlerName: this.collector !== 'N/A' ? this.collector : undefined
+    }];
+  }
+  next();
+});
+
+const ARABIC_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+
+// "12.5", "12,5 g/dl", "<0.5" و الأرقام العربية؛ النتائج الوصفية أو العيارات (1:64) لا تُقيَّم
+const parseNumericResult = (result) => {
+  const text = (result === undefined || result === null ? '' : result).toString().trim()
+    .replace(/[٠-٩]/g, digit => ARABIC_DIGITS.indexOf(digit))
+    .replace('٫', '.');
+  const match = text.match(/^[<>≤≥=\s]*(-?\d+(?:[.,]\d+)?)(?:\s*[^\d\s:/.,].*)?$/);
+  return match ? parseFloat(match[1].replace(',', '.')) : null;
+};
+
+const formatRange = (range) => {
+  if (typeof range.low === 'number' && typeof range.high === 'number') return `${range.low}-${range.high}`;
+  if (typeof range.low === 'number') return `>= ${range.low}`;
+  if (typeof range.high === 'number') return `<= ${range.high}`;
+  return undefined;
+};
+
+// النوع الوحيد الذي أخذت منه العينات (إن وجد) يُستخدم لاختيار النطاق المرجعي
+const sampledSpecies = (speciesCounts) => {
+  const species = ['sheep', 'goats', 'camel', 'cattle', 'horse'].filter(type => speciesCounts && speciesCounts[type] > 0);
+  return species.length === 1 ? species[0] : undefined;
+};
+
+// تقييم النتائج الرقمية تلقائياً حسب دليل معاملات الفحص
+laboratorySchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('testResults') && !this.isModified('speciesCounts')) return;
+  if (!this.testResults || this.testResults.length === 0) return;
+
+  const TestParameter = require('./TestParameter');
+  const catalogue = await TestParameter.getCatalogue();
+  if (catalogue.size === 0) return;
+
+  const defaultSpecies = sampledSpecies(this.speciesCounts);
+  const criticalResults = [];
+  this.testResults.forEach((row) => {
+    const parameter = catalogue.get(TestParameter.normalizeName(row.parameter));
+    if (!parameter) return;
+    // لا تحويل بين الوحدات: نتيجة بوحدة مختلفة عن الدليل لا تُقارن
+    if (row.unit && parameter.unit && TestParameter.normalizeName(row.unit) !== TestParameter.normalizeName(parameter.unit)) return;
+
+    const value = parseNumericResult(row.result);
+    const evaluation = parameter.evaluate(value, row.species || defaultSpecies);
+    if (!evaluation) return;
+
+    row.numericValue = value;
+    row.flag = evaluation.flag;
+    row.status = evaluation.flag === 'normal' ? 'Normal' : 'Abnormal';
+    row.unit = row.unit || parameter.unit;
+    row.normalRange = formatRange(evaluation.range) || row.normalRange;
+    if (evaluation.flag === 'critical') criticalResults.push(row.toObject());
+  });
+  this.$locals.criticalResults = criticalResults;
+});
+
 // Pre-save middleware to update updatedBy
 laboratorySchema.pre('save', function(next) {
   if (this.isModified() && !this.isNew) {
@@ -440,4 +717,50 @@ laboratorySchema.pre('save', function(next) {
   next();
 });
 
+// النتائج الحرجة تُبلَّغ فوراً لمن سجّل العينة وللمشرفين
+laboratorySchema.post('save', async function(doc) {
+  const criticalResults = doc.$locals.criticalResults || [];
+  doc.$locals.criticalResults = [];
+  if (criticalResults.length === 0) return;
+
+  const { notify, notifyRoles, SUPERVISOR_ROLES } = require('../utils/notificationService');
+  for (const row of criticalResults) {
+    const notification = {
+      type: 'lab_critical_result',
+      severity: 'critical',
+      title: `Critical ${row.parameter} result in sample ${doc.sampleCode}`,
+      message: `${row.parameter}: ${row.result}${row.unit ? ` ${row.unit}` : ''}` +
+        `${row.normalRange ? ` (normal ${row.normalRange})` : ''} for ${doc.clientName || 'unknown client'}.`,
+      relatedModel: 'Laboratory',
+      relatedId: doc._id,
+      dedupeKey: `lab_critical_result:${doc._id}:${row.parameter}:${row.result}`
+    };
+    await notify([doc.createdBy], notification);
+    await notifyRoles(SUPERVISOR_ROLES, notification);
+  }
+});
+
+// GeoJSON location (2dsphere) derived from coordinates, used by geospatial filters
+laboratorySchema.plugin(geoLocationPlugin);
+
+// Signed certificate ID for the printed result certificate; the summary is all the public verify endpoint shows
+laboratorySchema.plugin(certificatePlugin, {
+  prefix: 'LAB',
+  summary: record => ({
+    date: record.date,
+    species: Object.keys(record.speciesCounts || {}).filter(species => record.speciesCounts[species] > 0),
+    test: record.testType || record.sampleType,
+    testStatus: record.testStatus
+  })
+});
+
+// Soft delete (recycle bin) - must be registered before the audit trail
+laboratorySchema.plugin(softDeletePlugin, { modelName: 'Laboratory' });
+
+// Import batch tag (rollback of an import)
+laboratorySchema.plugin(importBatchPlugin, { modelName: 'Laboratory' });
+
+// Audit trail (create/update/delete history)
+laboratorySchema.plugin(auditTrailPlugin, { modelName: 'Laboratory' });
+
 module.exports = mongoose.model('Laboratory', laboratorySchema);
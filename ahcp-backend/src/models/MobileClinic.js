@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { geoLocationPlugin } = require('../utils/geoLocation');
+const { inventoryConsumptionPlugin } = require('../utils/inventoryConsumption');
+const { importBatchPlugin } = require('../utils/importBatch');
 
 /**
  * @swagger
@@ -27,6 +32,11 @@ const mongoose = require('mongoose');
  *         client:
  *           type: string
  *           description: Client ID reference
+ *         animals:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Individually tagged animals examined or treated in this visit (Animal IDs)
  *         coordinates:
  *           type: object
  *           properties:
@@ -34,6 +44,18 @@ const mongoose = require('mongoose');
  *               type: number
  *             longitude:
  *               type: number
+ *         location:
+ *           type: object
+ *           readOnly: true
+ *           description: GeoJSON point [longitude, latitude] derived from coordinates
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
  *         supervisor:
  *           type: string
  *           description: Supervisor name
@@ -182,6 +204,10 @@ const mobileClinicSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client'
   },
+  animals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Animal'
+  }],
   
   // Flat client fields (alternative to client reference)
   clientName: {
@@ -329,12 +355,12 @@ const mobileClinicSchema = new mongoose.Schema({
 mobileClinicSchema.index({ serialNo: 1 });
 mobileClinicSchema.index({ date: -1 });
 mobileClinicSchema.index({ client: 1 });
+mobileClinicSchema.index({ animals: 1 });
 mobileClinicSchema.index({ supervisor: 1 });
 mobileClinicSchema.index({ interventionCategory: 1 });
 mobileClinicSchema.index({ interventionCategories: 1 });
 mobileClinicSchema.index({ 'request.situation': 1 });
 mobileClinicSchema.index({ followUpRequired: 1 });
-mobileClinicSchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
 
 // Virtual for total animals treated
 mobileClinicSchema.virtual('totalAnimals').get(function() {
@@ -485,4 +511,27 @@ mobileClinicSchema.pre('save', function(next) {
   next();
 });
 
+// GeoJSON location (2dsphere) derived from coordinates, used by geospatial filters
+mobileClinicSchema.plugin(geoLocationPlugin);
+
+// Soft delete (recycle bin) - must be registered before the audit trail
+mobileClinicSchema.plugin(softDeletePlugin, { modelName: 'MobileClinic', uniqueFields: ['serialNo'] });
+
+// Inventory: medications used are deducted from stock
+mobileClinicSchema.plugin(inventoryConsumptionPlugin, {
+  modelName: 'MobileClinic',
+  usagePaths: ['medicationsUsed'],
+  getUsage: record => (record.medicationsUsed || []).map(medication => ({
+    name: medication.name,
+    quantity: medication.quantity,
+    categories: ['medication', 'vaccine']
+  }))
+});
+
+// Import batch tag (rollback of an import)
+mobileClinicSchema.plugin(importBatchPlugin, { modelName: 'MobileClinic' });
+
+// Audit trail (create/update/delete history)
+mobileClinicSchema.plugin(auditTrailPlugin, { modelName: 'MobileClinic' });
+
 module.exports = mongoose.model('MobileClinic', mobileClinicSchema);
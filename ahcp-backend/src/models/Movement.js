@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Movement:
+ *       type: object
+ *       required:
+ *         - date
+ *         - reason
+ *         - fromClient
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Movement ID
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Date the animals moved
+ *         reason:
+ *           type: string
+ *           enum: [sale, gift, inheritance, grazing, market, slaughter, quarantine, other]
+ *         permitNumber:
+ *           type: string
+ *           description: Movement / transport permit number
+ *         fromClient:
+ *           type: string
+ *           description: Owner the animals came from (client ID)
+ *         toClient:
+ *           type: string
+ *           description: New owner (client ID); same as fromClient when only the holding changes, empty for slaughter
+ *         fromHoldingCode:
+ *           type: string
+ *           description: Holding code ID the animals left
+ *         toHoldingCode:
+ *           type: string
+ *           description: Holding code ID the animals arrived at
+ *         fromVillage:
+ *           type: string
+ *           description: Village of the previous owner (set automatically)
+ *         toVillage:
+ *           type: string
+ *           description: Village of the new owner (set automatically)
+ *         animalCounts:
+ *           type: array
+ *           description: Untagged animals moved, by type
+ *           items:
+ *             type: object
+ *             properties:
+ *               animalType:
+ *                 type: string
+ *                 enum: [sheep, goats, camel, cattle, horse]
+ *               breed:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         animals:
+ *           type: array
+ *           description: Individually tagged animals moved (Animal IDs)
+ *           items:
+ *             type: string
+ *         totalAnimals:
+ *           type: integer
+ *           description: Counted plus tagged animals (virtual)
+ *         notes:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, applied, failed]
+ *           description: failed when applying the movement to the clients or animals stopped partway (see failureReason)
+ *         failureReason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const animalCountSchema = new mongoose.Schema({
+  animalType: {
+    type: String,
+    required: [true, 'Animal type is required'],
+    enum: {
+      values: ['sheep', 'goats', 'camel', 'cattle', 'horse'],
+      message: 'Animal type must be one of: sheep, goats, camel, cattle, horse'
+    }
+  },
+  breed: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Breed name cannot exceed 50 characters']
+  },
+  count: {
+    type: Number,
+    required: [true, 'Count is required'],
+    min: [1, 'Count must be at least 1']
+  }
+}, {
+  _id: false
+});
+
+const movementSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Movement date is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: {
+      values: ['sale', 'gift', 'inheritance', 'grazing', 'market', 'slaughter', 'quarantine', 'other'],
+      message: 'Reason must be one of: sale, gift, inheritance, grazing, market, slaughter, quarantine, other'
+    }
+  },
+  permitNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Permit number cannot exceed 50 characters']
+  },
+  fromClient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Source client is required']
+  },
+  toClient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  fromHoldingCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HoldingCode'
+  },
+  toHoldingCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HoldingCode'
+  },
+  // قرية المالك وقت النقل (للتتبع الوبائي حتى لو تغيرت قرية العميل لاحقاً)
+  fromVillage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village'
+  },
+  toVillage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village'
+  },
+  animalCounts: [animalCountSchema],
+  animals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Animal'
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  // pending حتى تُطبق الحركة على العملاء والحيوانات؛ failed إذا توقف التطبيق في منتصفه
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'failed'],
+    default: 'applied'
+  },
+  failureReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+movementSchema.index({ date: -1 });
+movementSchema.index({ fromClient: 1, date: -1 });
+movementSchema.index({ toClient: 1, date: -1 });
+movementSchema.index({ fromVillage: 1, date: -1 });
+movementSchema.index({ toVillage: 1, date: -1 });
+movementSchema.index({ fromHoldingCode: 1 });
+movementSchema.index({ toHoldingCode: 1 });
+movementSchema.index({ animals: 1 });
+
+// Virtual for total animals moved
+movementSchema.virtual('totalAnimals').get(function() {
+  const counted = (this.animalCounts || []).reduce((total, row) => total + (row.count || 0), 0);
+  return counted + (this.animals || []).length;
+});
+
+// يجب نقل حيوان واحد على الأقل
+movementSchema.pre('validate', function(next) {
+  if ((this.animalCounts || []).length === 0 && (this.animals || []).length === 0) {
+    this.invalidate('animalCounts', 'At least one animal count or tagged animal is required');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Movement', movementSchema);
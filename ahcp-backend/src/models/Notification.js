@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Notification ID
+ *         user:
+ *           type: string
+ *           description: Recipient user ID
+ *         type:
+ *           type: string
+ *           enum: [lab_overdue, follow_up_due, import_completed, outbreak_detected, lab_critical_result]
+ *           description: Event that raised the notification
+ *         severity:
+ *           type: string
+ *           enum: [info, warning, critical]
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         link:
+ *           type: string
+ *           description: Frontend path to the related record
+ *         relatedModel:
+ *           type: string
+ *         relatedId:
+ *           type: string
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the user marked it as read (null = unread)
+ *         emailStatus:
+ *           type: string
+ *           enum: [not_requested, sent, failed]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: ['lab_overdue', 'follow_up_due', 'import_completed', 'outbreak_detected', 'lab_critical_result'],
+      message: 'Type must be one of: lab_overdue, follow_up_due, import_completed, outbreak_detected, lab_critical_result'
+    }
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  link: {
+    type: String,
+    trim: true
+  },
+  relatedModel: {
+    type: String
+  },
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // مفتاح منع التكرار: الحدث نفسه لا يُرسل للمستخدم أكثر من مرة (مثلاً lab_overdue:<id>)
+  dedupeKey: {
+    type: String
+  },
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  emailStatus: {
+    type: String,
+    enum: ['not_requested', 'sent', 'failed'],
+    default: 'not_requested'
+  },
+  emailError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+notificationSchema.index({ user: 1, inApp: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index(
+  { user: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
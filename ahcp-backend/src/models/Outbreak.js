@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Outbreak:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Outbreak ID
+ *         testType:
+ *           type: string
+ *           description: Test type (or positive test parameter) the cluster was detected for
+ *         scope:
+ *           type: string
+ *           enum: [village, radius]
+ *           description: Whether positives clustered within one village or within a radius
+ *         village:
+ *           type: string
+ *           description: Village ID (village scope)
+ *         villageName:
+ *           type: string
+ *         center:
+ *           type: object
+ *           description: GeoJSON point at the centre of the located samples
+ *         radiusKm:
+ *           type: number
+ *           description: Cluster radius (radius scope)
+ *         windowDays:
+ *           type: integer
+ *           description: Detection window used
+ *         threshold:
+ *           type: integer
+ *           description: Minimum positive samples used
+ *         samples:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Contributing laboratory record IDs
+ *         positiveSamples:
+ *           type: integer
+ *         positiveCases:
+ *           type: integer
+ *         firstSampleDate:
+ *           type: string
+ *           format: date
+ *         lastSampleDate:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [active, resolved, dismissed]
+ *         detectedAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const outbreakSchema = new mongoose.Schema({
+  testType: {
+    type: String,
+    required: [true, 'Test type is required'],
+    trim: true
+  },
+  scope: {
+    type: String,
+    required: [true, 'Scope is required'],
+    enum: {
+      values: ['village', 'radius'],
+      message: 'Scope must be either village or radius'
+    }
+  },
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village'
+  },
+  villageName: {
+    type: String,
+    trim: true
+  },
+  center: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  radiusKm: {
+    type: Number,
+    min: [0, 'Radius cannot be negative']
+  },
+  windowDays: {
+    type: Number,
+    required: true,
+    min: [1, 'Window must be at least 1 day']
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    min: [1, 'Threshold must be at least 1']
+  },
+  samples: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Laboratory'
+  }],
+  positiveSamples: {
+    type: Number,
+    default: 0
+  },
+  positiveCases: {
+    type: Number,
+    default: 0
+  },
+  firstSampleDate: {
+    type: Date
+  },
+  lastSampleDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'resolved', 'dismissed'],
+      message: 'Status must be one of: active, resolved, dismissed'
+    },
+    default: 'active'
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+outbreakSchema.index({ status: 1, testType: 1, scope: 1 });
+outbreakSchema.index({ village: 1 });
+outbreakSchema.index({ lastSampleDate: -1 });
+outbreakSchema.index({ center: '2dsphere' });
+
+module.exports = mongoose.model('Outbreak', outbreakSchema);
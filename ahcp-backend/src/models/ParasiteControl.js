@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { geoLocationPlugin } = require('../utils/geoLocation');
+const { inventoryConsumptionPlugin } = require('../utils/inventoryConsumption');
+const { importBatchPlugin } = require('../utils/importBatch');
 
 /**
  * Parasite Control Model - Rebuilt from scratch
@@ -30,6 +35,11 @@ const mongoose = require('mongoose');
  *         client:
  *           type: string
  *           description: Client ObjectId reference
+ *         animals:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Individually tagged animals treated in this visit (Animal IDs)
  *         supervisor:
  *           type: string
  *         vehicleNo:
@@ -183,6 +193,10 @@ const parasiteControlSchema = new mongoose.Schema({
     },
     required: [true, 'Client reference is required']
   },
+  animals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Animal'
+  }],
   coordinates: {
     latitude: {
       type: Number,
@@ -308,10 +322,10 @@ const parasiteControlSchema = new mongoose.Schema({
 parasiteControlSchema.index({ serialNo: 1 });
 parasiteControlSchema.index({ date: -1 });
 parasiteControlSchema.index({ client: 1 });
+parasiteControlSchema.index({ animals: 1 });
 parasiteControlSchema.index({ supervisor: 1 });
 parasiteControlSchema.index({ 'request.situation': 1 });
 parasiteControlSchema.index({ herdHealthStatus: 1 });
-parasiteControlSchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
 
 // Pre-save middleware to calculate totals from herd counts
 parasiteControlSchema.pre('save', function(next) {
@@ -451,4 +465,27 @@ parasiteControlSchema.pre('save', function(next) {
   next();
 });
 
+// GeoJSON location (2dsphere) derived from coordinates, used by geospatial filters
+parasiteControlSchema.plugin(geoLocationPlugin);
+
+// Soft delete (recycle bin) - must be registered before the audit trail
+parasiteControlSchema.plugin(softDeletePlugin, { modelName: 'ParasiteControl', uniqueFields: ['serialNo'] });
+
+// Inventory: insecticide volume is deducted from stock
+parasiteControlSchema.plugin(inventoryConsumptionPlugin, {
+  modelName: 'ParasiteControl',
+  usagePaths: ['insecticide'],
+  getUsage: (record) => {
+    const insecticide = record.insecticide;
+    if (!insecticide || insecticide.status === 'Not Sprayed') return [];
+    return [{ name: insecticide.type, quantity: insecticide.volumeMl, unit: 'ml', categories: ['insecticide'] }];
+  }
+});
+
+// Import batch tag (rollback of an import)
+parasiteControlSchema.plugin(importBatchPlugin, { modelName: 'ParasiteControl' });
+
+// Audit trail (create/update/delete history)
+parasiteControlSchema.plugin(auditTrailPlugin, { modelName: 'ParasiteControl' });
+
 module.exports = mongoose.model('ParasiteControl', parasiteControlSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Session ID (carried in the access token as sid)
+ *         device:
+ *           type: string
+ *           description: Device name sent at login, or browser and OS derived from the user agent
+ *         userAgent:
+ *           type: string
+ *         ip:
+ *           type: string
+ *           description: IP address of the last login or refresh
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the refresh token expires if it is not used
+ *         current:
+ *           type: boolean
+ *           description: True for the session the request was made with
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const REVOCATION_REASONS = ['logout', 'revoked', 'password_changed', 'user_deactivated', 'user_deleted', 'token_reuse'];
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // يُخزن تجزئة رمز التحديث فقط وليس الرمز نفسه
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // الرمز السابق بعد التدوير، لاكتشاف إعادة استخدام رمز مسروق
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotatedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOCATION_REASONS
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// الجلسات المنتهية تُحذف تلقائياً بعد أسبوع من انتهاء صلاحيتها
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Active (not revoked, not expired) sessions of a user, most recently used first
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {Object} options - { except: session ID to keep }
+ * @returns {Promise<number>} number of sessions revoked
+ */
+sessionSchema.statics.revokeForUser = async function(userId, reason, options = {}) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (options.except) filter._id = { $ne: options.except };
+
+  const result = await this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+/**
+ * Session as shown in the session list (no token hashes)
+ */
+sessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    _id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && this._id.equals(currentSessionId)
+  };
+};
+
+sessionSchema.statics.REVOCATION_REASONS = REVOCATION_REASONS;
+
+module.exports = mongoose.model('Session', sessionSchema);
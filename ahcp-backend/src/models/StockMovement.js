@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { importBatchPlugin } = require('../utils/importBatch');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Movement ID
+ *         item:
+ *           type: string
+ *           description: Inventory item ID
+ *         itemName:
+ *           type: string
+ *           description: Item name at the time of the movement
+ *         batchId:
+ *           type: string
+ *           description: Batch the stock was taken from / put into
+ *         lotNumber:
+ *           type: string
+ *           description: Batch lot number
+ *         type:
+ *           type: string
+ *           enum: [receipt, consumption, reversal, adjustment]
+ *           description: Movement type
+ *         quantity:
+ *           type: number
+ *           description: Signed stock change (negative = out of stock)
+ *         requested:
+ *           type: number
+ *           description: Signed quantity required by the treatment record (consumption/reversal only)
+ *         shortfall:
+ *           type: number
+ *           description: Requested quantity that could not be taken from stock
+ *         sourceModel:
+ *           type: string
+ *           enum: [ParasiteControl, MobileClinic, EquineHealth]
+ *           description: Treatment model that consumed the stock
+ *         sourceId:
+ *           type: string
+ *           description: Treatment record ID
+ *         serialNo:
+ *           type: string
+ *           description: Treatment record serial number
+ *         notes:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: User who made the change
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const stockMovementSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  itemName: {
+    type: String,
+    trim: true
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['receipt', 'consumption', 'reversal', 'adjustment']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  requested: {
+    type: Number,
+    default: 0
+  },
+  shortfall: {
+    type: Number,
+    default: 0
+  },
+  sourceModel: {
+    type: String,
+    enum: ['ParasiteControl', 'MobileClinic', 'EquineHealth']
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  serialNo: {
+    type: String
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+stockMovementSchema.index({ item: 1, createdAt: -1 });
+stockMovementSchema.index({ sourceModel: 1, sourceId: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+/**
+ * Stock already accounted for a treatment record, per item and per batch
+ */
+stockMovementSchema.statics.getRecordLedger = async function(sourceModel, sourceId) {
+  const movements = await this.find({
+    sourceModel,
+    sourceId,
+    type: { $in: ['consumption', 'reversal'] }
+  }).sort({ createdAt: 1 }).lean();
+
+  const ledger = new Map();
+  movements.forEach((movement) => {
+    const key = movement.item.toString();
+    if (!ledger.has(key)) {
+      ledger.set(key, { item: movement.item, requested: 0, consumed: 0, batches: new Map() });
+    }
+    const entry = ledger.get(key);
+    entry.requested += movement.requested || 0;
+    entry.consumed -= movement.quantity || 0;
+
+    if (movement.batchId) {
+      const batchKey = movement.batchId.toString();
+      const batch = entry.batches.get(batchKey) || { batchId: movement.batchId, lotNumber: movement.lotNumber, quantity: 0 };
+      batch.quantity -= movement.quantity || 0;
+      entry.batches.set(batchKey, batch);
+    }
+  });
+
+  return ledger;
+};
+
+// Import batch tag (rollback of an import)
+stockMovementSchema.plugin(importBatchPlugin, { modelName: 'StockMovement' });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
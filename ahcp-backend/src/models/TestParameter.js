@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReferenceRange:
+ *       type: object
+ *       properties:
+ *         species:
+ *           type: string
+ *           enum: [all, sheep, goats, camel, cattle, horse]
+ *           description: Species the range applies to (all = fallback for any species)
+ *         low:
+ *           type: number
+ *           description: Lower limit of the normal range
+ *         high:
+ *           type: number
+ *           description: Upper limit of the normal range
+ *         criticalLow:
+ *           type: number
+ *           description: Values below this are critical
+ *         criticalHigh:
+ *           type: number
+ *           description: Values above this are critical
+ *     TestParameter:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Parameter ID
+ *         name:
+ *           type: string
+ *           description: Parameter name as written in test results (e.g. Hemoglobin)
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Other names used for the parameter in results and imports (e.g. HGB, Hb)
+ *         testType:
+ *           type: string
+ *           description: Test type the parameter belongs to (e.g. Hematology)
+ *         unit:
+ *           type: string
+ *           description: Unit the reference ranges are expressed in
+ *         ranges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReferenceRange'
+ *         isActive:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ */
+
+const SPECIES = ['all', 'sheep', 'goats', 'camel', 'cattle', 'horse'];
+
+const referenceRangeSchema = new mongoose.Schema({
+  species: {
+    type: String,
+    enum: {
+      values: SPECIES,
+      message: `Species must be one of: ${SPECIES.join(', ')}`
+    },
+    default: 'all'
+  },
+  low: {
+    type: Number
+  },
+  high: {
+    type: Number
+  },
+  criticalLow: {
+    type: Number
+  },
+  criticalHigh: {
+    type: Number
+  }
+}, { _id: false });
+
+const testParameterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Parameter name is required'],
+    trim: true,
+    maxlength: [100, 'Parameter name cannot exceed 100 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  testType: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Test type cannot exceed 100 characters']
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  ranges: [referenceRangeSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+testParameterSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+testParameterSchema.index({ aliases: 1 });
+testParameterSchema.index({ testType: 1, isActive: 1 });
+
+// حدود كل نطاق يجب أن تكون متسلسلة: حرج منخفض ≤ منخفض ≤ مرتفع ≤ حرج مرتفع
+testParameterSchema.pre('validate', function(next) {
+  const species = new Set();
+  (this.ranges || []).forEach((range, index) => {
+    if (species.has(range.species)) {
+      this.invalidate(`ranges.${index}.species`, `Duplicate reference range for ${range.species}`);
+    }
+    species.add(range.species);
+
+    const limits = [range.criticalLow, range.low, range.high, range.criticalHigh].filter(limit => typeof limit === 'number');
+    if (limits.length === 0) {
+      this.invalidate(`ranges.${index}`, 'Reference range needs at least one limit');
+    }
+    if (limits.some((limit, position) => position > 0 && limit < limits[position - 1])) {
+      this.invalidate(`ranges.${index}`, 'Limits must satisfy criticalLow <= low <= high <= criticalHigh');
+    }
+  });
+  next();
+});
+
+const normalizeName = value => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Reference range for a species, falling back to the range for all species
+ */
+testParameterSchema.methods.rangeFor = function(species) {
+  const ranges = this.ranges || [];
+  return ranges.find(range => species && range.species === species) ||
+    ranges.find(range => range.species === 'all') ||
+    null;
+};
+
+/**
+ * Flag a numeric result against the reference range of a species
+ * @returns {{ flag: string, range: Object } | null} null when no range applies
+ */
+testParameterSchema.methods.evaluate = function(value, species) {
+  const range = this.rangeFor(species);
+  if (!range || typeof value !== 'number' || Number.isNaN(value)) return null;
+
+  let flag = 'normal';
+  if ((typeof range.criticalLow === 'number' && value < range.criticalLow) ||
+      (typeof range.criticalHigh === 'number' && value > range.criticalHigh)) {
+    flag = 'critical';
+  } else if (typeof range.low === 'number' && value < range.low) {
+    flag = 'low';
+  } else if (typeof range.high === 'number' && value > range.high) {
+    flag = 'high';
+  }
+  return { flag, range };
+};
+
+/**
+ * Active parameters indexed by lower-cased name and alias, for matching result rows
+ * @returns {Promise<Map>}
+ */
+testParameterSchema.statics.getCatalogue = async function() {
+  const parameters = await this.find({ isActive: true });
+  const catalogue = new Map();
+  parameters.forEach((parameter) => {
+    [parameter.name, ...(parameter.aliases || [])].forEach((name) => {
+      const key = normalizeName(name);
+      if (key && !catalogue.has(key)) catalogue.set(key, parameter);
+    });
+  });
+  return catalogue;
+};
+
+testParameterSchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('TestParameter', testParameterSchema);
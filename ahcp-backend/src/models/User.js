@@ -43,11 +43,13 @@ const bcrypt = require('bcryptjs');
  *           type: string
  *           format: date-time
  *           description: Last login timestamp
- *         refreshTokens:
- *           type: array
- *           items:
- *             type: string
- *           description: Active refresh tokens
+ *         passwordChangedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last password change; all sessions are revoked when it changes
+ *         notificationPreferences:
+ *           type: object
+ *           description: Per notification type channel settings, e.g. lab_overdue with inApp and email flags
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -115,9 +117,14 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
-  refreshTokens: [{
-    type: String
-  }],
+  passwordChangedAt: {
+    type: Date
+  },
+  // إعدادات التنبيهات لكل نوع: { lab_overdue: { inApp: true, email: false }, ... }
+  notificationPreferences: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   passwordResetToken: {
     type: String,
     select: false
@@ -150,6 +157,42 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// تغيير كلمة المرور أو تعطيل الحساب ينهي كل الجلسات المفتوحة
+userSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+
+  if (this.isModified('password')) {
+    this.passwordChangedAt = new Date();
+    this.$locals.sessionRevocation = 'password_changed';
+  } else if (this.isModified('isActive') && !this.isActive) {
+    this.$locals.sessionRevocation = 'user_deactivated';
+  }
+  next();
+});
+
+userSchema.post('save', async function(doc) {
+  if (!doc.$locals.sessionRevocation) return;
+  const Session = require('./Session');
+  // keepSessionId: the user changing their own password stays signed in on the current device
+  await Session.revokeForUser(doc._id, doc.$locals.sessionRevocation, { except: doc.$locals.keepSessionId });
+  doc.$locals.sessionRevocation = undefined;
+});
+
+// التعطيل عبر findByIdAndUpdate لا يمر بـ save
+userSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  const isActive = update.$set && update.$set.isActive !== undefined ? update.$set.isActive : update.isActive;
+  if (!doc || (isActive !== false && isActive !== 'false')) return;
+  const Session = require('./Session');
+  await Session.revokeForUser(doc._id, 'user_deactivated');
+});
+
+userSchema.post('findOneAndDelete', async function(doc) {
+  if (!doc) return;
+  const Session = require('./Session');
+  await Session.revokeForUser(doc._id, 'user_deleted');
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   try {
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { geoLocationPlugin } = require('../utils/geoLocation');
+const { certificatePlugin } = require('../utils/certificates');
+const { importBatchPlugin } = require('../utils/importBatch');
 
 /**
  * @swagger
@@ -27,6 +32,11 @@ const mongoose = require('mongoose');
  *         client:
  *           type: string
  *           description: Client ID reference
+ *         animals:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Individually tagged animals vaccinated in this visit (Animal IDs)
  *         coordinates:
  *           type: object
  *           properties:
@@ -34,6 +44,18 @@ const mongoose = require('mongoose');
  *               type: number
  *             longitude:
  *               type: number
+ *         location:
+ *           type: object
+ *           readOnly: true
+ *           description: GeoJSON point [longitude, latitude] derived from coordinates
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
  *         supervisor:
  *           type: string
  *           description: Supervisor name
@@ -87,6 +109,24 @@ const mongoose = require('mongoose');
  *         remarks:
  *           type: string
  *           description: Additional remarks
+ *         campaign:
+ *           type: string
+ *           description: Campaign this record belongs to (auto-associated by vaccine type, date and scope)
+ *         certificateId:
+ *           type: string
+ *           readOnly: true
+ *           description: Signed ID printed on the vaccination card, checked by GET /api/verify/{certificateId}
+ *         certificateIssuedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         certificateRevokedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         certificateRevocationReason:
+ *           type: string
+ *           readOnly: true
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -173,6 +213,10 @@ const vaccinationSchema = new mongoose.Schema({
     ref: 'Client',
     required: [true, 'Client reference is required']
   },
+  animals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Animal'
+  }],
   coordinates: {
     latitude: {
       type: Number,
@@ -259,6 +303,11 @@ const vaccinationSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Remarks cannot exceed 1000 characters']
   },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
   // createdBy: {
   //   type: mongoose.Schema.Types.ObjectId,
   //   ref: 'User',
@@ -278,12 +327,13 @@ const vaccinationSchema = new mongoose.Schema({
 vaccinationSchema.index({ serialNo: 1 });
 vaccinationSchema.index({ date: -1 });
 vaccinationSchema.index({ client: 1 });
+vaccinationSchema.index({ animals: 1 });
 vaccinationSchema.index({ supervisor: 1 });
 vaccinationSchema.index({ vaccineType: 1 });
 vaccinationSchema.index({ vaccineCategory: 1 });
 vaccinationSchema.index({ 'request.situation': 1 });
 vaccinationSchema.index({ herdHealth: 1 });
-vaccinationSchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
+vaccinationSchema.index({ campaign: 1 });
 
 // Virtual for total herd count
 vaccinationSchema.virtual('totalHerdCount').get(function() {
@@ -409,6 +459,137 @@ vaccinationSchema.statics.getVaccineTypeStats = async function(filters = {}) {
   return await this.aggregate(pipeline);
 };
 
+/**
+ * Next-due (booster) schedule per herd (holding code, or client when no holding code)
+ * and vaccine type, based on the latest vaccination and the booster interval. The herd's
+ * village is its holding code's village, or the client's village when the record has none.
+ *
+ * @param {Object} intervals - booster interval days keyed by lowercased vaccine type
+ * @param {Object} options - { horizon: Date, filters: Object }
+ */
+vaccinationSchema.statics.getDueSchedule = async function(intervals, options = {}) {
+  const vaccineKeys = Object.keys(intervals);
+  if (vaccineKeys.length === 0) return [];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const horizon = options.horizon || new Date();
+
+  const pipeline = [
+    { $match: { vaccineType: { $exists: true, $ne: '' }, ...(options.filters || {}) } },
+    { $addFields: { vaccineKey: { $toLower: { $trim: { input: '$vaccineType' } } } } },
+    { $match: { vaccineKey: { $in: vaccineKeys } } },
+    { $sort: { date: -1 } },
+    {
+      $group: {
+        _id: {
+          herd: { $ifNull: ['$holdingCode', '$client'] },
+          vaccineKey: '$vaccineKey'
+        },
+        vaccineType: { $first: '$vaccineType' },
+        lastVaccinationDate: { $first: '$date' },
+        lastRecordId: { $first: '$_id' },
+        lastSerialNo: { $first: '$serialNo' },
+        client: { $first: '$client' },
+        holdingCode: { $first: '$holdingCode' },
+        lastVaccinated: {
+          $first: {
+            $add: [
+              { $ifNull: ['$herdCounts.sheep.vaccinated', 0] },
+              { $ifNull: ['$herdCounts.goats.vaccinated', 0] },
+              { $ifNull: ['$herdCounts.camel.vaccinated', 0] },
+              { $ifNull: ['$herdCounts.cattle.vaccinated', 0] },
+              { $ifNull: ['$herdCounts.horse.vaccinated', 0] }
+            ]
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        boosterIntervalDays: {
+          $switch: {
+            branches: vaccineKeys.map(key => ({
+              case: { $eq: ['$_id.vaccineKey', key] },
+              then: intervals[key]
+            })),
+            default: null
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        nextDueDate: { $add: ['$lastVaccinationDate', { $multiply: ['$boosterIntervalDays', DAY_MS] }] }
+      }
+    },
+    { $match: { nextDueDate: { $lte: horizon } } },
+    { $lookup: { from: 'clients', localField: 'client', foreignField: '_id', as: 'client' } },
+    { $unwind: { path: '$client', preserveNullAndEmptyArrays: true } },
+    { $lookup: { from: 'holdingcodes', localField: 'holdingCode', foreignField: '_id', as: 'holdingCode' } },
+    { $unwind: { path: '$holdingCode', preserveNullAndEmptyArrays: true } },
+    // قرية القطيع من رمز الحيازة المسجل في السجل أولاً، ثم قرية العميل
+    // (رمز الحيازة يحفظ اسم القرية، والإحداثيات وحدها لا تحدد قرية لأن القرى بلا مواقع)
+    {
+      $lookup: {
+        from: 'villages',
+        let: { herdVillage: '$holdingCode.village' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $gt: ['$$herdVillage', null] },
+                  { $or: [{ $eq: ['$nameArabic', '$$herdVillage'] }, { $eq: ['$nameEnglish', '$$herdVillage'] }] }
+                ]
+              }
+            }
+          },
+          { $limit: 1 }
+        ],
+        as: 'herdVillage'
+      }
+    },
+    { $lookup: { from: 'villages', localField: 'client.village', foreignField: '_id', as: 'clientVillage' } },
+    {
+      $addFields: {
+        village: { $ifNull: [{ $arrayElemAt: ['$herdVillage', 0] }, { $arrayElemAt: ['$clientVillage', 0] }] }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        vaccineType: 1,
+        boosterIntervalDays: 1,
+        lastVaccinationDate: 1,
+        nextDueDate: 1,
+        lastRecordId: 1,
+        lastSerialNo: 1,
+        lastVaccinated: 1,
+        client: {
+          _id: '$client._id',
+          name: '$client.name',
+          nationalId: '$client.nationalId',
+          phone: '$client.phone'
+        },
+        holdingCode: {
+          _id: '$holdingCode._id',
+          code: '$holdingCode.code',
+          village: '$holdingCode.village'
+        },
+        village: {
+          _id: '$village._id',
+          nameArabic: '$village.nameArabic',
+          nameEnglish: '$village.nameEnglish',
+          sector: '$village.sector'
+        }
+      }
+    },
+    { $sort: { nextDueDate: 1 } }
+  ];
+
+  return await this.aggregate(pipeline);
+};
+
 // Pre-save middleware to update updatedBy
 vaccinationSchema.pre('save', function(next) {
   if (this.isModified() && !this.isNew) {
@@ -438,4 +619,65 @@ vaccinationSchema.pre('save', function(next) {
   next();
 });
 
+// الحقول التي تحدد الحملة التي ينتمي إليها السجل
+const CAMPAIGN_SCOPE_FIELDS = ['vaccineType', 'date', 'client', 'holdingCode'];
+
+// Associate the record with the campaign matching its vaccine type, date and scope,
+// and re-check the link whenever one of those fields changes
+vaccinationSchema.pre('save', async function() {
+  // حملة محددة صراحةً من المستخدم
+  if (this.isModified('campaign') && this.campaign) return;
+  if (!this.isNew && !CAMPAIGN_SCOPE_FIELDS.some(field => this.isModified(field))) return;
+
+  const Campaign = require('./Campaign');
+  const campaign = await Campaign.findForVaccination(this);
+  this.campaign = campaign ? campaign._id : null;
+});
+
+/**
+ * Re-check the campaign link of existing records (e.g. after their client moved to another village)
+ * @param {Object} filter - records to re-check
+ * @returns {Promise<number>} number of records whose campaign changed
+ */
+vaccinationSchema.statics.relinkCampaigns = async function(filter) {
+  const Campaign = require('./Campaign');
+  let changed = 0;
+
+  const records = await this.find(filter).select('vaccineType date client holdingCode campaign').lean();
+  for (const record of records) {
+    const campaign = await Campaign.findForVaccination(record);
+    const campaignId = campaign ? campaign._id : null;
+    if (String(campaignId) === String(record.campaign || null)) continue;
+
+    await this.updateOne({ _id: record._id }, { $set: { campaign: campaignId } });
+    changed += 1;
+  }
+
+  return changed;
+};
+
+// GeoJSON location (2dsphere) derived from coordinates, used by geospatial filters
+vaccinationSchema.plugin(geoLocationPlugin);
+
+// شهادة التحصين: لا تظهر بيانات المربي في التحقق العام
+vaccinationSchema.plugin(certificatePlugin, {
+  prefix: 'VAC',
+  summary: record => ({
+    date: record.date,
+    species: Object.keys(record.herdCounts || {})
+      .filter(species => record.herdCounts[species] && record.herdCounts[species].vaccinated > 0),
+    vaccine: record.vaccineType,
+    vaccineCategory: record.vaccineCategory
+  })
+});
+
+// Soft delete (recycle bin) - must be registered before the audit trail
+vaccinationSchema.plugin(softDeletePlugin, { modelName: 'Vaccination', uniqueFields: ['serialNo'] });
+
+// Import batch tag (rollback of an import)
+vaccinationSchema.plugin(importBatchPlugin, { modelName: 'Vaccination' });
+
+// Audit trail (create/update/delete history)
+vaccinationSchema.plugin(auditTrailPlugin, { modelName: 'Vaccination' });
+
 module.exports = mongoose.model('Vaccination', vaccinationSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VehicleTrip:
+ *       type: object
+ *       required:
+ *         - vehicleNo
+ *         - date
+ *         - odometerStart
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Trip log ID
+ *         vehicleNo:
+ *           type: string
+ *           description: Vehicle number (same value as vehicleNo on service records)
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Working day (one trip log per vehicle per day)
+ *         driver:
+ *           type: string
+ *           description: Driver user ID
+ *         supervisor:
+ *           type: string
+ *           description: Team supervisor
+ *         odometerStart:
+ *           type: number
+ *           description: Odometer reading at start of day (km)
+ *         odometerEnd:
+ *           type: number
+ *           description: Odometer reading at end of day (km)
+ *         distanceKm:
+ *           type: number
+ *           description: Distance driven (virtual)
+ *         fuelLiters:
+ *           type: number
+ *           description: Fuel filled during the day
+ *         notes:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const vehicleTripSchema = new mongoose.Schema({
+  vehicleNo: {
+    type: String,
+    required: [true, 'Vehicle number is required'],
+    trim: true,
+    maxlength: [20, 'Vehicle number cannot exceed 20 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  supervisor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Supervisor name cannot exceed 100 characters']
+  },
+  odometerStart: {
+    type: Number,
+    required: [true, 'Odometer start reading is required'],
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  odometerEnd: {
+    type: Number,
+    min: [0, 'Odometer reading cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return value === undefined || value === null || value >= this.odometerStart;
+      },
+      message: 'Odometer end reading cannot be less than start reading'
+    }
+  },
+  fuelLiters: {
+    type: Number,
+    min: [0, 'Fuel cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+vehicleTripSchema.index({ vehicleNo: 1, date: 1 }, { unique: true });
+vehicleTripSchema.index({ date: -1 });
+vehicleTripSchema.index({ driver: 1 });
+
+// Virtual for distance driven
+vehicleTripSchema.virtual('distanceKm').get(function() {
+  if (this.odometerEnd === undefined || this.odometerEnd === null) return null;
+  return this.odometerEnd - this.odometerStart;
+});
+
+// التاريخ يُخزن كبداية اليوم (UTC) ليطابق تجميع التقارير اليومية
+vehicleTripSchema.pre('validate', function(next) {
+  if (this.date) {
+    const day = new Date(this.date);
+    this.date = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+  }
+  next();
+});
+
+module.exports = mongoose.model('VehicleTrip', vehicleTripSchema);
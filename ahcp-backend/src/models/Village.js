@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { importBatchPlugin } = require('../utils/importBatch');
 
 const villageSchema = new mongoose.Schema({
   serialNumber: {
@@ -93,4 +94,7 @@ villageSchema.methods.getStats = function() {
   };
 };
 
+// Import batch tag (rollback of an import)
+villageSchema.plugin(importBatchPlugin, { modelName: 'Village' });
+
 module.exports = mongoose.model('Village', villageSchema);
\ No newline at end of file
@@ -0,0 +1,454 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Animal = require('../models/Animal');
+const Client = require('../models/Client');
+const { validate, validateQuery, schemas } = require('../middleware/validation');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+const { buildAnimalTimeline } = require('../utils/clientTimeline');
+
+const router = express.Router();
+
+const ANIMAL_FIELDS = [
+  'tagId', 'tagType', 'animalType', 'name', 'breed', 'gender', 'birthDate',
+  'color', 'healthStatus', 'status', 'client', 'holdingCode', 'notes'
+];
+
+const findAnimal = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid animal ID format',
+      error: 'INVALID_ID_FORMAT'
+    });
+    return null;
+  }
+
+  const animal = await Animal.findById(req.params.id);
+  if (!animal) {
+    res.status(404).json({
+      success: false,
+      message: 'Animal not found',
+      error: 'ANIMAL_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return animal;
+};
+
+const ownerExists = async (res, clientId) => {
+  if (await Client.exists({ _id: clientId })) return true;
+  res.status(400).json({
+    success: false,
+    message: 'Owner client not found',
+    error: 'CLIENT_NOT_FOUND'
+  });
+  return false;
+};
+
+const duplicateTagResponse = (res, tagId) => res.status(409).json({
+  success: false,
+  message: `An animal with tag '${tagId}' is already registered`,
+  error: 'DUPLICATE_TAG'
+});
+
+const populateAnimal = query => query
+  .populate('client', 'name nationalId phone village')
+  .populate('holdingCode', 'code village');
+
+/**
+ * @swagger
+ * /api/animals:
+ *   get:
+ *     summary: Get registered animals
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Filter by owner (client ID)
+ *       - in: query
+ *         name: holdingCode
+ *         schema:
+ *           type: string
+ *         description: Filter by holding code ID
+ *       - in: query
+ *         name: animalType
+ *         schema:
+ *           type: string
+ *         description: Filter by animal type (comma separated for multiple)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status (comma separated for multiple)
+ *       - in: query
+ *         name: healthStatus
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in tag ID, name and breed
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Animals retrieved successfully
+ */
+router.get('/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const invalidRef = ['client', 'holdingCode'].find(key => req.query[key] && !mongoose.Types.ObjectId.isValid(req.query[key]));
+    if (invalidRef) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidRef}`,
+        error: 'INVALID_ID'
+      });
+    }
+
+    const filter = filterBuilder.buildAnimalFilter(req.query);
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [animals, total] = await Promise.all([
+      populateAnimal(Animal.find(filter))
+        .sort({ createdAt: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit),
+      Animal.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        animals,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/animals/tag/{tagId}:
+ *   get:
+ *     summary: Find an animal by its ear-tag / microchip number
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tagId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Animal retrieved successfully
+ *       404:
+ *         description: No animal with this tag
+ */
+router.get('/tag/:tagId',
+  auth,
+  asyncHandler(async (req, res) => {
+    const animal = await populateAnimal(Animal.findByTag(req.params.tagId));
+
+    if (!animal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Animal not found',
+        error: 'ANIMAL_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { animal }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/animals/{id}:
+ *   get:
+ *     summary: Get an animal by ID
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Animal ID
+ *     responses:
+ *       200:
+ *         description: Animal retrieved successfully
+ *       404:
+ *         description: Animal not found
+ */
+router.get('/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const found = await findAnimal(req, res);
+    if (!found) return;
+
+    const animal = await populateAnimal(Animal.findById(found._id));
+
+    res.json({
+      success: true,
+      data: { animal }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/animals/{id}/medical-record:
+ *   get:
+ *     summary: Get the medical record of an animal
+ *     description: Vaccinations, parasite treatments, clinic visits, equine examinations and lab samples that reference the animal, newest first
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Animal ID
+ *       - in: query
+ *         name: services
+ *         schema:
+ *           type: string
+ *         description: Limit to these services (comma separated, e.g. vaccination,laboratory)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Medical record retrieved successfully
+ *       404:
+ *         description: Animal not found
+ */
+router.get('/:id/medical-record',
+  auth,
+  validateQuery(schemas.timelineQuery),
+  asyncHandler(async (req, res) => {
+    const found = await findAnimal(req, res);
+    if (!found) return;
+
+    const animal = await populateAnimal(Animal.findById(found._id));
+    const { entries, totals } = await buildAnimalTimeline(animal, {
+      services: req.query.services ? req.query.services.split(',') : undefined,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+
+    const paginationParams = filterBuilder.buildPaginationParams({ limit: 20, ...req.query });
+    const total = entries.length;
+
+    res.json({
+      success: true,
+      data: {
+        animal,
+        records: entries.slice(paginationParams.skip, paginationParams.skip + paginationParams.limit),
+        totals,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/animals:
+ *   post:
+ *     summary: Register an animal
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Animal'
+ *     responses:
+ *       201:
+ *         description: Animal registered successfully
+ *       409:
+ *         description: Tag ID already registered
+ */
+router.post('/',
+  auth,
+  validate(schemas.animalCreate),
+  asyncHandler(async (req, res) => {
+    const animalData = {};
+    ANIMAL_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) animalData[field] = req.body[field];
+    });
+
+    if (!(await ownerExists(res, animalData.client))) return;
+
+    const animal = new Animal({
+      ...animalData,
+      createdBy: req.user._id
+    });
+
+    try {
+      await animal.save();
+    } catch (error) {
+      if (error.code === 11000) return duplicateTagResponse(res, animal.tagId);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Animal registered successfully',
+      data: { animal }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/animals/{id}:
+ *   put:
+ *     summary: Update an animal
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Animal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Animal'
+ *     responses:
+ *       200:
+ *         description: Animal updated successfully
+ *       404:
+ *         description: Animal not found
+ *       409:
+ *         description: Tag ID already registered
+ */
+router.put('/:id',
+  auth,
+  validate(schemas.animalUpdate),
+  asyncHandler(async (req, res) => {
+    const animal = await findAnimal(req, res);
+    if (!animal) return;
+
+    if (req.body.client && !(await ownerExists(res, req.body.client))) return;
+
+    ANIMAL_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) animal[field] = req.body[field];
+    });
+    animal.updatedBy = req.user._id;
+
+    try {
+      await animal.save();
+    } catch (error) {
+      if (error.code === 11000) return duplicateTagResponse(res, animal.tagId);
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Animal updated successfully',
+      data: { animal }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/animals/{id}:
+ *   delete:
+ *     summary: Delete an animal (moves it to the recycle bin)
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Animal ID
+ *     responses:
+ *       200:
+ *         description: Animal deleted successfully
+ *       404:
+ *         description: Animal not found
+ */
+router.delete('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const animal = await findAnimal(req, res);
+    if (!animal) return;
+
+    await Animal.softDelete({ _id: animal._id }, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Animal deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
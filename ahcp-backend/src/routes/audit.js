@@ -0,0 +1,170 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit trail of field-service record changes
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *           enum: [ParasiteControl, Vaccination, MobileClinic, EquineHealth, Laboratory]
+ *         description: Filter by model (comma separated for multiple)
+ *       - in: query
+ *         name: recordId
+ *         schema:
+ *           type: string
+ *         description: Filter by record ID
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by user who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *         description: Filter by action (comma separated for multiple)
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Only changes touching this field path (e.g. herdCounts.sheep)
+ *       - in: query
+ *         name: serialNo
+ *         schema:
+ *           type: string
+ *         description: Filter by record serial number
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Changes from date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Changes to date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *       400:
+ *         description: Invalid filter value
+ */
+router.get('/',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const invalidId = ['recordId', 'user'].find(key =>
+      req.query[key] && !mongoose.Types.ObjectId.isValid(req.query[key])
+    );
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidId}`,
+        error: 'INVALID_ID'
+      });
+    }
+
+    const filter = filterBuilder.buildAuditLogFilter(req.query);
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit)
+        .populate('user', 'name email role')
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/audit/{id}:
+ *   get:
+ *     summary: Get a single audit entry with full before/after snapshots
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Audit entry ID
+ *     responses:
+ *       200:
+ *         description: Audit entry retrieved successfully
+ *       404:
+ *         description: Audit entry not found
+ */
+router.get('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const entry = await AuditLog.findById(req.params.id)
+      .populate('user', 'name email role')
+      .lean();
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit entry not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { entry }
+    });
+  })
+);
+
+module.exports = router;
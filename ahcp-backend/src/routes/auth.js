@@ -1,12 +1,13 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { validate, schemas } = require('../middleware/validation');
 const { auth, authorize, optionalAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sendPasswordResetEmail } = require('../utils/emailService');
+const { createSession, rotateSession } = require('../utils/sessionService');
 
 const router = express.Router();
 
@@ -72,12 +73,8 @@ router.post('/register',
 
     await user.save();
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Start a session (access + refresh token)
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -91,7 +88,7 @@ router.post('/register',
           section: user.section,
           isActive: user.isActive
         },
-        token
+        ...tokens
       }
     });
   })
@@ -118,9 +115,12 @@ router.post('/register',
  *                 format: email
  *               password:
  *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Shown in the session list (defaults to browser and OS from the user agent)
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful - returns a short-lived access token (token) and a refresh token for POST /api/auth/refresh
  *       401:
  *         description: Invalid credentials
  */
@@ -157,7 +157,11 @@ router.get('/', (req, res) => {
     endpoints: {
       'POST /login': 'User login',
       'POST /register': 'User registration',
+      'POST /refresh': 'Exchange a refresh token for new tokens',
       'POST /logout': 'User logout',
+      'GET /sessions': 'List active sessions',
+      'DELETE /sessions/:id': 'Revoke a session',
+      'DELETE /sessions': 'Revoke all sessions',
       'GET /me': 'Get current user',
       'GET /status': 'Check auth status',
       'POST /forgot-password': 'Request password reset',
@@ -215,12 +219,8 @@ router.post('/login',
       user.lastLogin = new Date();
       await user.save();
 
-      // Generate token
-      const token = jwt.sign(
-        { id: user._id },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
+      // Start a session (access + refresh token)
+      const tokens = await createSession(user, req, { deviceName: req.body.deviceName });
 
       res.json({
         success: true,
@@ -236,7 +236,7 @@ router.post('/login',
             isActive: user.isActive,
             lastLogin: user.lastLogin
           },
-          token
+          ...tokens
         }
       });
     } catch (error) {
@@ -459,7 +459,7 @@ router.put('/profile',
  *                 minLength: 6
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed successfully (all other sessions are revoked)
  *       400:
  *         description: Invalid current password
  */
@@ -498,8 +498,9 @@ router.put('/change-password',
       });
     }
 
-    // Update password
+    // Update password - other sessions are revoked, this one stays signed in
     user.password = newPassword;
+    user.$locals.keepSessionId = req.sessionId;
     await user.save();
 
     res.json({
@@ -771,14 +772,69 @@ router.get('/supervisors/by-section/:section',
   })
 );
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Refresh tokens are single-use. Presenting one that was already exchanged ends the session (possible token theft).
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       401:
+ *         description: Refresh token invalid, expired, reused or its session was revoked
+ */
+router.post('/refresh',
+  validate(schemas.tokenRefresh),
+  asyncHandler(async (req, res) => {
+    const { user, ...tokens } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          section: user.section
+        },
+        ...tokens
+      }
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user
+ *     summary: Logout user (revokes the current session)
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allDevices:
+ *                 type: boolean
+ *                 description: Revoke every session of the user, not only this one
  *     responses:
  *       200:
  *         description: Logout successful
@@ -788,9 +844,15 @@ router.get('/supervisors/by-section/:section',
 router.post('/logout',
   auth,
   asyncHandler(async (req, res) => {
-    // في نظام JWT، لا نحتاج لتنفيذ خاص على الخادم للـ logout
-    // يمكن إضافة token إلى blacklist إذا أردنا ذلك
-    
+    if (req.body && req.body.allDevices) {
+      await Session.revokeForUser(req.user._id, 'logout');
+    } else if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+    }
+
     res.json({
       success: true,
       message: 'تم تسجيل الخروج بنجاح'
@@ -798,6 +860,132 @@ router.post('/logout',
   })
 );
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ */
+router.get('/sessions',
+  auth,
+  asyncHandler(async (req, res) => {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toSummary(req.sessionId))
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: exceptCurrent
+ *         schema:
+ *           type: boolean
+ *         description: Keep the session this request was made with
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ */
+router.delete('/sessions',
+  auth,
+  asyncHandler(async (req, res) => {
+    const except = req.query.exceptCurrent === 'true' ? req.sessionId : undefined;
+    const revoked = await Session.revokeForUser(req.user._id, 'revoked', { except });
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      data: { revoked }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+        error: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/auth/forgot-password:
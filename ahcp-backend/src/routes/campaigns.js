@@ -0,0 +1,419 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Vaccination = require('../models/Vaccination');
+const { validate, schemas } = require('../middleware/validation');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+
+const router = express.Router();
+
+const CAMPAIGN_FIELDS = [
+  'name', 'description', 'vaccineType', 'vaccineCategory', 'startDate', 'endDate',
+  'targetSectors', 'targetVillages', 'targetHoldingCodes', 'targetCounts', 'status'
+];
+
+// الحقول التي تغير نطاق الحملة وتتطلب إعادة ربط سجلات التحصين
+const SCOPE_FIELDS = ['vaccineType', 'startDate', 'endDate', 'targetSectors', 'targetVillages', 'targetHoldingCodes'];
+
+const findCampaign = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid campaign ID format',
+      error: 'INVALID_ID_FORMAT'
+    });
+    return null;
+  }
+
+  const campaign = await Campaign.findById(req.params.id);
+  if (!campaign) {
+    res.status(404).json({
+      success: false,
+      message: 'Campaign not found',
+      error: 'CAMPAIGN_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return campaign;
+};
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   get:
+ *     summary: Get all vaccination campaigns
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [planned, active, completed, cancelled]
+ *         description: Filter by status (comma separated for multiple)
+ *       - in: query
+ *         name: vaccineType
+ *         schema:
+ *           type: string
+ *         description: Filter by vaccine type
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Campaigns running on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Campaigns running on or before this date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by campaign name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ */
+router.get('/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const filter = filterBuilder.buildCampaignFilter(req.query);
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(filter)
+        .sort({ startDate: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit)
+        .populate('targetVillages', 'nameArabic nameEnglish sector')
+        .populate('targetHoldingCodes', 'code village')
+        .populate('createdBy', 'name email'),
+      Campaign.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        campaigns,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   get:
+ *     summary: Get campaign by ID
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign retrieved successfully
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+
+    await campaign.populate([
+      { path: 'targetVillages', select: 'nameArabic nameEnglish sector' },
+      { path: 'targetHoldingCodes', select: 'code village' },
+      { path: 'createdBy', select: 'name email' },
+      { path: 'updatedBy', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { campaign }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/progress:
+ *   get:
+ *     summary: Get campaign coverage progress
+ *     description: Compares vaccinated animals (herdCounts.*.vaccinated) of associated vaccination records against the campaign targets
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Progress retrieved successfully
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id/progress',
+  auth,
+  asyncHandler(async (req, res) => {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+
+    const progress = await campaign.getProgress();
+
+    res.json({
+      success: true,
+      data: {
+        campaign: {
+          _id: campaign._id,
+          name: campaign.name,
+          vaccineType: campaign.vaccineType,
+          startDate: campaign.startDate,
+          endDate: campaign.endDate
+        },
+        progress
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   post:
+ *     summary: Create a vaccination campaign
+ *     description: Existing vaccination records in scope are associated automatically
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Campaign'
+ *     responses:
+ *       201:
+ *         description: Campaign created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.campaignCreate),
+  asyncHandler(async (req, res) => {
+    const campaignData = {};
+    CAMPAIGN_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) campaignData[field] = req.body[field];
+    });
+
+    const campaign = new Campaign({
+      ...campaignData,
+      createdBy: req.user._id
+    });
+    await campaign.save();
+
+    const associatedCount = await campaign.associateRecords();
+    console.log(`✅ Campaign ${campaign.name} created, ${associatedCount} vaccination records associated`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created successfully',
+      data: {
+        campaign,
+        associatedCount
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   put:
+ *     summary: Update a vaccination campaign
+ *     description: Changing vaccine type, dates or targets re-associates vaccination records; cancelling the campaign releases them
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Campaign'
+ *     responses:
+ *       200:
+ *         description: Campaign updated successfully
+ *       404:
+ *         description: Campaign not found
+ */
+router.put('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.campaignUpdate),
+  asyncHandler(async (req, res) => {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+
+    CAMPAIGN_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) campaign[field] = req.body[field];
+    });
+    campaign.updatedBy = req.user._id;
+
+    // إلغاء الحملة يحرر سجلاتها
+    const scopeChanged = SCOPE_FIELDS.some(field => campaign.isModified(field)) ||
+      (campaign.isModified('status') && campaign.status === 'cancelled');
+    await campaign.save();
+
+    let associatedCount = null;
+    if (scopeChanged) {
+      associatedCount = await campaign.reassociateRecords();
+      console.log(`🔄 Campaign ${campaign.name} scope changed, ${associatedCount} vaccination records re-associated`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign updated successfully',
+      data: {
+        campaign,
+        associatedCount
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/associate:
+ *   post:
+ *     summary: Associate vaccination records in scope with the campaign
+ *     description: Links unassigned vaccination records matching the campaign vaccine type, date window and targets
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Records associated successfully
+ *       409:
+ *         description: Campaign is cancelled or completed
+ */
+router.post('/:id/associate',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+
+    if (Campaign.CLOSED_STATUSES.includes(campaign.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot associate records with a ${campaign.status} campaign`,
+        error: 'CAMPAIGN_CLOSED'
+      });
+    }
+
+    const associatedCount = await campaign.associateRecords();
+
+    res.json({
+      success: true,
+      message: `${associatedCount} vaccination records associated with campaign`,
+      data: { associatedCount }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   delete:
+ *     summary: Delete a vaccination campaign
+ *     description: Vaccination records are kept and only unlinked from the campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign deleted successfully
+ *       404:
+ *         description: Campaign not found
+ */
+router.delete('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+
+    const unlinkResult = await Vaccination.updateMany(
+      { campaign: campaign._id },
+      { $set: { campaign: null } }
+    );
+    await Campaign.findByIdAndDelete(campaign._id);
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted successfully',
+      data: {
+        unlinkedRecords: unlinkResult.modifiedCount
+      }
+    });
+  })
+);
+
+module.exports = router;
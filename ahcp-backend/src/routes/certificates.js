@@ -0,0 +1,172 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { validate, schemas } = require('../middleware/validation');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { CERTIFICATE_TYPES, findCertificateRecord, buildVerificationUrl } = require('../utils/certificates');
+
+require('../models/Laboratory');
+require('../models/Vaccination');
+
+const router = express.Router();
+
+const typeForRecord = recordType => Object.values(CERTIFICATE_TYPES).find(type => type.recordType === recordType);
+
+/**
+ * @swagger
+ * /api/certificates:
+ *   post:
+ *     summary: Issue (or return the existing) signed certificate ID for a record
+ *     description: The same ID is returned on every call. Laboratory certificates are only issued once sample testing is completed.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recordType
+ *               - recordId
+ *             properties:
+ *               recordType:
+ *                 type: string
+ *                 enum: [laboratory, vaccination]
+ *               recordId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Certificate ID and public verification URL
+ *       404:
+ *         description: Record not found
+ *       409:
+ *         description: Sample testing is not completed, or the certificate was revoked
+ */
+router.post('/',
+  auth,
+  validate(schemas.certificateIssue),
+  asyncHandler(async (req, res) => {
+    const { recordType, recordId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(recordId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid record ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    const Model = mongoose.model(typeForRecord(recordType).modelName);
+    const record = await Model.findById(recordId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found',
+        error: 'RECORD_NOT_FOUND'
+      });
+    }
+
+    if (recordType === 'laboratory' && record.sampleStatus && record.sampleStatus !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: `Certificate cannot be issued while the sample is ${record.sampleStatus}`,
+        error: 'TEST_NOT_COMPLETED'
+      });
+    }
+
+    if (record.certificateRevokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The certificate for this record has been revoked',
+        error: 'CERTIFICATE_REVOKED'
+      });
+    }
+
+    const certificateId = await record.issueCertificate();
+
+    res.json({
+      success: true,
+      message: 'Certificate issued successfully',
+      data: {
+        certificateId,
+        issuedAt: record.certificateIssuedAt,
+        verificationUrl: buildVerificationUrl(req, certificateId)
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/certificates/{certificateId}/revoke:
+ *   post:
+ *     summary: Revoke a certificate
+ *     description: The public verification endpoint reports revoked certificates as revoked; the ID is never reused.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Certificate revoked
+ *       404:
+ *         description: Certificate not found
+ *       409:
+ *         description: Certificate already revoked
+ */
+router.post('/:certificateId/revoke',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.certificateRevoke),
+  asyncHandler(async (req, res) => {
+    const found = await findCertificateRecord(req.params.certificateId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found',
+        error: 'CERTIFICATE_NOT_FOUND'
+      });
+    }
+
+    const { record } = found;
+    if (record.certificateRevokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Certificate is already revoked',
+        error: 'CERTIFICATE_ALREADY_REVOKED'
+      });
+    }
+
+    await record.revokeCertificate(req.user._id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Certificate revoked successfully',
+      data: {
+        certificateId: record.certificateId,
+        revokedAt: record.certificateRevokedAt,
+        reason: record.certificateRevocationReason
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -7,6 +7,9 @@ const { validate, validateQuery, schemas } = require('../middleware/validation')
 const { auth, authorize } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { handleTemplate, handleImport } = require('../utils/importExportHelpers');
+const filterBuilder = require('../utils/filterBuilder');
+const { findDuplicateGroups, mergeClients } = require('../utils/clientDeduplication');
+const { buildClientTimeline, timelineRows, renderTimelineHtml } = require('../utils/clientTimeline');
 
 const router = express.Router();
 // Configure multer for file uploads
@@ -104,6 +107,27 @@ const upload = multer({
  *           type: string
  *           enum: [1-10, 11-50, 51-100, 101-500, 500+]
  *         description: Filter by total animals range
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Records within radiusKm of a point, as "lat,lng" (latitude first)
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Search radius for near (km)
+ *       - in: query
+ *         name: withinPolygon
+ *         schema:
+ *           type: string
+ *         description: Records inside a polygon, as "lat,lng;lat,lng;lat,lng"
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: Records inside a bounding box, as "minLat,minLng,maxLat,maxLng" (south-west then north-east corner, lat,lng like near)
  *     responses:
  *       200:
  *         description: Clients retrieved successfully
@@ -174,6 +198,9 @@ router.get('/',
       ];
     }
 
+    // Geospatial filter (near / withinPolygon / bbox)
+    filterBuilder.applyGeoFilter(filter, req.query);
+
     // Get clients with error handling
     let clients = [];
     let total = 0;
@@ -583,6 +610,151 @@ router.get('/statistics',
   })
 );
 
+/**
+ * @swagger
+ * /api/clients/duplicates:
+ *   get:
+ *     summary: Find likely duplicate clients
+ *     description: Groups clients sharing a normalized phone number, or living in the same village with a similar name (Arabic/English spelling tolerant). Same-village names are only compared when their first names start with the same letter
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: village
+ *         schema:
+ *           type: string
+ *         description: Only check clients of this village (ID)
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *           minimum: 0.5
+ *           maximum: 1
+ *           default: 0.85
+ *         description: Minimum name similarity for same-village matches
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Duplicate groups with a suggested surviving client
+ */
+router.get('/duplicates',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validateQuery(schemas.clientDuplicatesQuery),
+  asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.village) filter.village = req.query.village;
+
+    const groups = await findDuplicateGroups({
+      filter,
+      minScore: req.query.minScore ? parseFloat(req.query.minScore) : undefined
+    });
+
+    const paginationParams = filterBuilder.buildPaginationParams({ limit: 20, ...req.query });
+    const total = groups.length;
+
+    res.json({
+      success: true,
+      data: {
+        groups: groups.slice(paginationParams.skip, paginationParams.skip + paginationParams.limit),
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/clients/merge:
+ *   post:
+ *     summary: Merge duplicate clients into one
+ *     description: Re-points vaccination, parasite control, mobile clinic, equine health and laboratory records to the surviving client, copies missing details and animals, moves the duplicates to the recycle bin and records the merge
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - survivorId
+ *               - duplicateIds
+ *             properties:
+ *               survivorId:
+ *                 type: string
+ *                 description: Client to keep
+ *               duplicateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Clients merged into the survivor
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Clients merged successfully
+ *       404:
+ *         description: Survivor or duplicate client not found
+ *       409:
+ *         description: One of the clients is already being merged
+ */
+router.post('/merge',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.clientMerge),
+  asyncHandler(async (req, res) => {
+    const { survivorId, duplicateIds, notes } = req.body;
+
+    const survivor = await Client.findById(survivorId);
+    if (!survivor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Surviving client not found',
+        error: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const duplicates = await Client.find({ _id: { $in: duplicateIds } });
+    if (duplicates.length !== duplicateIds.length) {
+      const found = new Set(duplicates.map(client => client._id.toString()));
+      return res.status(404).json({
+        success: false,
+        message: `Clients not found: ${duplicateIds.filter(id => !found.has(id)).join(', ')}`,
+        error: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const merge = await mergeClients(survivor, duplicates, req.user._id, notes);
+    const client = await Client.findById(survivor._id).populate('village', 'nameArabic nameEnglish');
+
+    res.json({
+      success: true,
+      message: `${duplicates.length} clients merged successfully`,
+      data: {
+        client,
+        merge
+      }
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/clients/export:
@@ -921,6 +1093,184 @@ router.get('/:id/visits',
   })
 );
 
+/**
+ * @swagger
+ * /api/clients/{id}/timeline:
+ *   get:
+ *     summary: Get the client's service history as one timeline
+ *     description: Parasite control, vaccination, mobile clinic, equine health and laboratory records of the client, newest first, each with a short service summary
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID
+ *       - in: query
+ *         name: services
+ *         schema:
+ *           type: string
+ *         description: Limit to these services (comma separated, e.g. vaccination,laboratory)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Timeline retrieved successfully (includes per-service totals)
+ *       404:
+ *         description: Client not found
+ */
+router.get('/:id/timeline',
+  auth,
+  validateQuery(schemas.timelineQuery),
+  asyncHandler(async (req, res) => {
+    const client = await Client.findById(req.params.id).select('name nationalId phone village');
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found',
+        error: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const { entries, totals } = await buildClientTimeline(client, {
+      services: req.query.services ? req.query.services.split(',') : undefined,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+
+    const paginationParams = filterBuilder.buildPaginationParams({ limit: 20, ...req.query });
+    const total = entries.length;
+
+    res.json({
+      success: true,
+      data: {
+        client,
+        timeline: entries.slice(paginationParams.skip, paginationParams.skip + paginationParams.limit),
+        totals,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/clients/{id}/timeline/export:
+ *   get:
+ *     summary: Export the client's service history
+ *     description: html returns a printable page; csv and excel return the same rows as a file
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, csv, excel]
+ *           default: html
+ *       - in: query
+ *         name: services
+ *         schema:
+ *           type: string
+ *         description: Limit to these services (comma separated)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: History exported successfully
+ *       404:
+ *         description: Client not found
+ */
+router.get('/:id/timeline/export',
+  auth,
+  validateQuery(schemas.timelineQuery),
+  asyncHandler(async (req, res) => {
+    const client = await Client.findById(req.params.id)
+      .select('name nationalId phone village')
+      .populate('village', 'nameArabic nameEnglish');
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found',
+        error: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const timeline = await buildClientTimeline(client, {
+      services: req.query.services ? req.query.services.split(',') : undefined,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+    const { format = 'html' } = req.query;
+    const filename = `client-history-${client.nationalId}`;
+
+    if (format === 'csv') {
+      const { Parser } = require('json2csv');
+      const parser = new Parser({ fields: ['Date', 'Service', 'Serial No', 'Summary', 'Request Status'] });
+      const csv = parser.parse(timelineRows(timeline.entries));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+      // BOM حتى يعرض Excel النص العربي بشكل صحيح
+      res.send('\uFEFF' + csv);
+    } else if (format === 'excel') {
+      const XLSX = require('xlsx');
+      const workbook = XLSX.utils.book_new();
+      const worksheet = XLSX.utils.json_to_sheet(timelineRows(timeline.entries));
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'History');
+      const excelBuffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+      res.send(excelBuffer);
+    } else {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.send(renderTimelineHtml(client, timeline));
+    }
+  })
+);
+
 /**
  * @swagger
  * /api/clients:
@@ -1109,7 +1459,7 @@ router.delete('/bulk-delete',
         });
       }
 
-      const result = await Client.deleteMany({ _id: { $in: existingIds } });
+      const result = await Client.softDelete({ _id: { $in: existingIds } }, req.user._id);
       
       // Prepare response with details about what was deleted and what wasn't found
       const response = {
@@ -1156,7 +1506,7 @@ router.delete('/delete-all',
   auth,
   authorize('super_admin'),
   asyncHandler(async (req, res) => {
-    const result = await Client.deleteMany({});
+    const result = await Client.softDelete({}, req.user._id);
     
     res.json({
       success: true,
@@ -1201,7 +1551,7 @@ router.delete('/:id',
       });
     }
 
-    await Client.findByIdAndDelete(req.params.id);
+    await Client.softDelete({ _id: req.params.id }, req.user._id);
 
     res.json({
       success: true,
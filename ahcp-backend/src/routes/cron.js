@@ -0,0 +1,53 @@
+const express = require('express');
+const crypto = require('crypto');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { DRAIN_SLICE_MS, drainImportQueue } = require('../utils/importQueue');
+
+// ملفات المسارات تسجل معالجات الصفوف لكل وحدة
+require('./import-export');
+require('./dromo-import');
+
+const router = express.Router();
+
+/**
+ * Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; without CRON_SECRET the jobs are disabled
+ */
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.header('Authorization') || '');
+  if (!secret || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return next(new AppError('Invalid cron secret', 401, 'INVALID_CRON_SECRET'));
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/cron/import-jobs:
+ *   get:
+ *     summary: Process queued import jobs (scheduled)
+ *     description: |
+ *       Called every minute by Vercel Cron (see vercel.json). Processes queued and interrupted import jobs for up to
+ *       8 seconds; a job that is not finished is released and continued by the next call. Requires
+ *       `Authorization: Bearer <CRON_SECRET>`. Outside Vercel run `npm run imports:process` from a scheduler instead.
+ *     tags: [Import Jobs]
+ *     responses:
+ *       200:
+ *         description: Queue processed for this run
+ *       401:
+ *         description: Missing or wrong cron secret
+ */
+router.get('/import-jobs',
+  cronAuth,
+  asyncHandler(async (req, res) => {
+    await drainImportQueue({ timeLimitMs: DRAIN_SLICE_MS });
+
+    res.json({
+      success: true,
+      message: 'Import queue processed'
+    });
+  })
+);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const MobileClinic = require('../models/MobileClinic');
 const Laboratory = require('../models/Laboratory');
 const EquineHealth = require('../models/EquineHealth');
 const HoldingCode = require('../models/HoldingCode');
+const { registerImportProcessors, enqueueImport } = require('../utils/importQueue');
 
 const router = express.Router();
 
@@ -672,10 +673,19 @@ const processEquineHealthRow = async (row, userId) => {
   }
 };
 
+// الصفوف تُعالج بالتسلسل كما كانت قبل نقلها إلى قائمة الاستيراد
+registerImportProcessors('dromo', {
+  vaccination: { Model: Vaccination, processRow: processVaccinationRow },
+  'parasite-control': { Model: ParasiteControl, processRow: processParasiteControlRow },
+  'mobile-clinics': { Model: MobileClinic, processRow: processMobileClinicRow },
+  laboratories: { Model: Laboratory, processRow: processLaboratoryRow },
+  'equine-health': { Model: EquineHealth, processRow: processEquineHealthRow }
+}, { batchSize: 1 });
+
 /**
- * Generic Dromo webhook handler
+ * Generic Dromo webhook handler - rows are queued as an import job and processed in the background
  */
-const handleDromoImport = (Model, processRowFunction) => {
+const handleDromoImport = (module, Model) => {
   return async (req, res) => {
     try {
       console.log(`🎯 Dromo import called for: ${Model.modelName}`);
@@ -716,53 +726,33 @@ const handleDromoImport = (Model, processRowFunction) => {
         });
       }
       
-      console.log(`📊 Processing ${data.length} rows for ${Model.modelName}`);
-      
-      let successCount = 0;
-      let errorCount = 0;
-      const errors = [];
-      
-      // Process each row
-      for (let i = 0; i < data.length; i++) {
-        const row = data[i];
-        try {
-          console.log(`🔄 Processing row ${i + 1}/${data.length}`);
-          await processRowFunction(row, userId);
-          successCount++;
-          console.log(`✅ Row ${i + 1} processed successfully`);
-        } catch (error) {
-          errorCount++;
-          console.error(`❌ Error processing row ${i + 1}:`, error.message);
-          errors.push({
-            rowIndex: i + 1,
-            error: error.message,
-            data: row
-          });
-        }
-      }
+      const job = await enqueueImport({
+        user: userId,
+        module,
+        source: 'dromo',
+        rows: data
+      });
+      console.log(`📊 Queued ${data.length} rows for ${Model.modelName} as import job ${job._id}`);
       
-      const response = {
-        success: errorCount === 0,
-        message: `تم استيراد ${successCount} سجل بنجاح`,
-        insertedCount: successCount,
+      res.status(202).json({
+        success: true,
+        message: `تم استلام ${data.length} سجل وجدولة استيرادها`,
+        jobId: job._id,
+        status: job.status,
+        progressUrl: `/api/import-jobs/${job._id}`,
         totalRows: data.length,
-        successRows: successCount,
-        errorRows: errorCount,
-        errors: errors,
-        batchId: `dromo_${Date.now()}_${Model.modelName.toLowerCase()}`,
+        batchId: job._id,
         tableType: Model.modelName.toLowerCase(),
         source: 'dromo-webhook'
-      };
-      
-      console.log(`🎯 Import completed: ${successCount}/${data.length} successful`);
-      res.json(response);
+      });
       
     } catch (error) {
       console.error('❌ Dromo import error:', error);
-      res.status(500).json({
+      // بيانات أكبر من أن تُحفظ كمهمة واحدة (IMPORT_TOO_LARGE)
+      res.status(error.isOperational ? error.statusCode : 500).json({
         success: false,
-        message: 'خطأ في معالجة الاستيراد',
-        error: error.message,
+        message: error.isOperational ? error.message : 'خطأ في معالجة الاستيراد',
+        error: error.isOperational ? error.error : error.message,
         insertedCount: 0,
         totalRows: 0,
         successRows: 0,
@@ -774,10 +764,10 @@ const handleDromoImport = (Model, processRowFunction) => {
 };
 
 // Dromo webhook routes
-router.post('/vaccination/import-dromo', handleDromoImport(Vaccination, processVaccinationRow));
-router.post('/parasite-control/import-dromo', handleDromoImport(ParasiteControl, processParasiteControlRow));
-router.post('/mobile-clinics/import-dromo', handleDromoImport(MobileClinic, processMobileClinicRow));
-router.post('/laboratories/import-dromo', handleDromoImport(Laboratory, processLaboratoryRow));
-router.post('/equine-health/import-dromo', handleDromoImport(EquineHealth, processEquineHealthRow));
+router.post('/vaccination/import-dromo', handleDromoImport('vaccination', Vaccination));
+router.post('/parasite-control/import-dromo', handleDromoImport('parasite-control', ParasiteControl));
+router.post('/mobile-clinics/import-dromo', handleDromoImport('mobile-clinics', MobileClinic));
+router.post('/laboratories/import-dromo', handleDromoImport('laboratories', Laboratory));
+router.post('/equine-health/import-dromo', handleDromoImport('equine-health', EquineHealth));
 
 module.exports = router;
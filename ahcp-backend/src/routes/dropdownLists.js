@@ -328,6 +328,9 @@ router.get('/:id', auth, [
  *                 type: string
  *               icon:
  *                 type: string
+ *               metadata:
+ *                 type: object
+ *                 description: Category-specific settings (e.g. boosterIntervalDays for vaccine_types)
  *     responses:
  *       201:
  *         description: Option created successfully
@@ -98,6 +98,27 @@ const upload = multer({
  *           type: string
  *           enum: [Ongoing, Closed]
  *         description: Filter by request status
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Records within radiusKm of a point, as "lat,lng" (latitude first)
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Search radius for near (km)
+ *       - in: query
+ *         name: withinPolygon
+ *         schema:
+ *           type: string
+ *         description: Records inside a polygon, as "lat,lng;lat,lng;lat,lng"
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: Records inside a bounding box, as "minLat,minLng,maxLat,maxLng" (south-west then north-east corner, lat,lng like near)
  *     responses:
  *       200:
  *         description: Records retrieved successfully
@@ -403,9 +424,9 @@ router.delete('/bulk-delete',
         });
       }
 
-      const result = await EquineHealth.deleteMany({
+      const result = await EquineHealth.softDelete({
         $or: deletionCriteria
-      });
+      }, req.user._id);
 
       console.log('🗑️ EquineHealth bulk delete result:', result);
 
@@ -600,9 +621,9 @@ router.delete('/:id',
       });
     }
     
-    const record = await EquineHealth.findByIdAndDelete(id);
+    const { deletedCount } = await EquineHealth.softDelete({ _id: id }, req.user._id);
 
-    if (!record) {
+    if (!deletedCount) {
       return res.status(404).json({
         success: false,
         message: 'Equine health record not found'
@@ -831,15 +852,15 @@ router.delete('/delete-all',
       }
 
       // Delete all equine health records
-      const equineResult = await EquineHealth.deleteMany({});
+      const equineResult = await EquineHealth.softDelete({}, req.user._id);
       console.log(`🗑️ Deleted ${equineResult.deletedCount} equine health records`);
       
       // Delete associated clients (only those that were created from equine health imports)
       let clientsDeleted = 0;
       if (uniqueClientIds.length > 0) {
-        const clientResult = await Client.deleteMany({ 
+        const clientResult = await Client.softDelete({ 
           _id: { $in: uniqueClientIds.filter(id => id) } // Filter out null/undefined IDs
-        });
+        }, req.user._id);
         clientsDeleted = clientResult.deletedCount;
         console.log(`🗑️ Deleted ${clientsDeleted} associated client records`);
       }
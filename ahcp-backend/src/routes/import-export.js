@@ -1,6 +1,5 @@
 const express = require('express');
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const XLSX = require('xlsx');
@@ -8,6 +7,8 @@ const mongoose = require('mongoose');
 
 // Import middleware
 const { auth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { validate, validateQuery, schemas } = require('../middleware/validation');
 
 // Import models
 const Client = require('../models/Client');
@@ -18,7 +19,20 @@ const Laboratory = require('../models/Laboratory');
 const EquineHealth = require('../models/EquineHealth');
 const HoldingCode = require('../models/HoldingCode');
 const Village = require('../models/Village');
+const InventoryItem = require('../models/InventoryItem');
+const ImportSession = require('../models/ImportSession');
+const ImportJob = require('../models/ImportJob');
+const ImportBatch = require('../models/ImportBatch');
 const filterBuilder = require('../utils/filterBuilder');
+const {
+  collectHeaders, assertImportSize, isDryRun, saveImportedDocument, previewRows, acceptedRows, recordCommittedRows, finishCommit, buildErrorWorkbook
+} = require('../utils/importStaging');
+const { registerImportProcessors, enqueueImport } = require('../utils/importQueue');
+const { isGeoExportFormat, sendGeoExport, speciesTotals, formatDate: formatGeoDate } = require('../utils/geoExport');
+const { parseCsv } = require('../utils/csvParser');
+const {
+  resolveImportMapping, detectImportMapping, applyImportMapping, mappedColumnSources, describeImportMapping
+} = require('../utils/importMappings');
 const {
   normalizeEquineInterventionCategory,
   normalizeEquineInterventionCategoryList
@@ -144,6 +158,8 @@ const buildClientExportFilters = (query = {}) => {
 
   const totalAnimalsRange = normalizeFilterValue(query.totalAnimals);
 
+  filterBuilder.applyGeoFilter(match, query);
+
   return { match, servicesFilter, totalAnimalsRange };
 };
 
@@ -211,28 +227,15 @@ const parseFileData = async (fileBuffer, fileName) => {
   
   try {
     if (fileName.toLowerCase().endsWith('.csv')) {
-      // Parse CSV from buffer
-      const csvString = fileBuffer.toString('utf8');
-      const lines = csvString.split('\n').filter(line => line.trim());
+      // Parse CSV from buffer (quoted fields, BOM, ; / tab delimiters, Windows-1256)
+      const rows = await parseCsv(fileBuffer);
       
-      if (lines.length === 0) {
+      if (rows.length === 0) {
         throw new Error('CSV file is empty');
       }
       
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-      console.log(`📊 CSV Headers:`, headers);
-      
-      for (let i = 1; i < lines.length; i++) {
-        if (lines[i].trim()) {
-          const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-          const row = {};
-          headers.forEach((header, index) => {
-            row[header] = values[index] || '';
-          });
-          console.log(`📊 Row ${i}:`, Object.keys(row), Object.values(row));
-          results.push(row);
-        }
-      }
+      console.log(`📊 CSV Headers:`, Object.keys(rows[0]));
+      results.push(...rows);
     } else if (fileName.toLowerCase().endsWith('.xlsx') || fileName.toLowerCase().endsWith('.xls')) {
       // Parse Excel from buffer
       const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
@@ -264,6 +267,8 @@ const parseFileData = async (fileBuffer, fileName) => {
     return results;
   } catch (error) {
     console.error('Error parsing file:', error);
+    // أخطاء CSV المحددة (مثل CSV_UNTERMINATED_QUOTE) تصل للمستخدم بحالتها
+    if (error.isOperational) throw error;
     throw new Error(`Failed to parse file: ${error.message}`);
   }
 };
@@ -1024,8 +1029,8 @@ const handleTemplate = (templateData, filename = 'template') => {
   };
 };
 
-// Generic import handler with memory processing
-const handleImport = (Model, processRowFunction) => {
+// Generic import handler: the file is parsed and checked here, rows are processed by the import queue
+const handleImport = (module) => {
   const uploadMiddleware = upload.single('file');
   
   return async (req, res) => {
@@ -1057,23 +1062,31 @@ const handleImport = (Model, processRowFunction) => {
         });
       }
       
-      // Process the import with the authenticated user using memory buffer
-      await processImportFromMemory(req, res, req.file, req.user, Model, processRowFunction);
+      await queueImportFromMemory(req, res, req.file, req.user, module);
     });
   };
 };
 
-// Process import data from memory buffer (better for serverless)
-const processImportFromMemory = async (req, res, file, user, Model, processRowFunction) => {
-  const results = [];
-  const errors = [];
-  
+// Apply the column mapping chosen with the upload (`mapping`: profile ID, 'auto' or 'none' by default).
+// Without a choice the best-matching profile is only suggested, so nobody else's profile remaps a file silently.
+const mapUploadedRows = async (req, module, fileRows) => {
+  const selection = (req.body && req.body.mapping) || req.query.mapping || 'none';
+  const headers = collectHeaders(fileRows);
+  const resolved = await resolveImportMapping(module, selection, headers);
+  if (resolved) {
+    console.log(`🗂️ Applying import mapping "${resolved.mapping.name}" (${resolved.detected ? 'detected' : 'selected'})`);
+  }
+  const detected = resolved ? null : await detectImportMapping(module, headers);
+  return {
+    rows: resolved ? applyImportMapping(fileRows, resolved.mapping) : fileRows,
+    resolved,
+    suggested: detected ? { ...detected, detected: true } : null
+  };
+};
+
+// Parse the uploaded file from memory and queue its rows as an import job
+const queueImportFromMemory = async (req, res, file, user, module) => {
   try {
-    // Set timeout for imports
-    res.setTimeout(60000); // 1 minute timeout for serverless
-    
-    console.log(`📥 Processing import for ${file.originalname}`);
-    
     // Parse file from memory buffer (CSV or Excel)
     const fileData = await parseFileData(file.buffer, file.originalname);
     console.log(`📊 Parsed ${fileData.length} rows from file`);
@@ -1085,8 +1098,10 @@ const processImportFromMemory = async (req, res, file, user, Model, processRowFu
       });
     }
     
+    const { rows, resolved, suggested } = await mapUploadedRows(req, module, fileData);
+    
     // Light validation - let processing functions handle detailed validation
-    const validationErrors = validateImportData(fileData, Model);
+    const validationErrors = validateImportData(rows, IMPORT_TYPES[module].Model);
     if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -1095,78 +1110,40 @@ const processImportFromMemory = async (req, res, file, user, Model, processRowFu
       });
     }
     
-    console.log(`✅ Pre-validation passed, proceeding with processing`);
-    
-    // Add row numbers to results
-    fileData.forEach((data, index) => {
-      results.push({ ...data, rowNumber: index + 1 });
+    const job = await enqueueImport({
+      user: user._id,
+      module,
+      source: 'upload',
+      fileName: file.originalname,
+      mapping: describeImportMapping(resolved),
+      rows
     });
+    console.log(`✅ Import job ${job._id} queued with ${rows.length} rows`);
     
-    let successCount = 0;
-    let errorCount = 0;
-    const importedRecords = [];
-    
-    // Process rows in smaller batches for serverless
-    const batchSize = 5; // Reduced batch size for serverless
-    for (let i = 0; i < results.length; i += batchSize) {
-      const batch = results.slice(i, i + batchSize);
-      
-      // Process batch in parallel
-      const batchPromises = batch.map(async (row) => {
-        try {
-          const record = await processRowFunction(row, user._id, errors);
-          if (record) {
-            importedRecords.push(record);
-            return { success: true, record };
-          }
-          return { success: false, error: 'No record created' };
-        } catch (error) {
-          errors.push({
-            row: row.rowNumber,
-            field: 'processing',
-            message: error.message
-          });
-          return { success: false, error: error.message };
-        }
-      });
-      
-      const batchResults = await Promise.all(batchPromises);
-      
-      // Count results
-      batchResults.forEach(result => {
-        if (result.success) {
-          successCount++;
-        } else {
-          errorCount++;
-        }
-      });
-      
-      console.log(`📊 Processed batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(results.length / batchSize)}`);
-    }
-    
-    res.json({
-      success: errorCount === 0,
-      totalRows: results.length,
-      successRows: successCount,
-      errorRows: errorCount,
-      errors: errors,
-      importedRecords: importedRecords
+    res.status(202).json({
+      success: true,
+      message: `Import queued: ${rows.length} rows${resolved ? ` (mapping "${resolved.mapping.name}")` : ''}`,
+      data: {
+        ...job.toSummary(),
+        mapping: describeImportMapping(resolved),
+        suggestedMapping: describeImportMapping(suggested),
+        progressUrl: `/api/import-jobs/${job._id}`
+      }
     });
     
   } catch (error) {
     console.error('❌ Import processing error:', error);
-    
-    // Handle different types of errors
-    let errorMessage = 'Error processing file: ' + error.message;
-    if (error.code === 'ECONNABORTED') {
-      errorMessage = 'Import timeout. Please try with a smaller file.';
-    } else if (error.message.includes('timeout')) {
-      errorMessage = 'Import timeout. Please try with a smaller file.';
+    // أخطاء اختيار ملف التعيين تحمل حالتها (400 / 404)
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.error
+      });
     }
-    
     res.status(500).json({
       success: false,
-      message: errorMessage,
+      message: 'Error processing file: ' + error.message,
       error: error.message
     });
   }
@@ -1854,7 +1831,7 @@ const processVaccinationRow = async (row, userId, errors) => {
       customImportData: processCustomImportData(row)
     });
 
-    await vaccination.save();
+    await saveImportedDocument(vaccination);
     return vaccination;
   } catch (error) {
     throw new Error(`Error processing vaccination row: ${error.message}`);
@@ -2140,7 +2117,7 @@ const processParasiteControlRow = async (row, userId, errors) => {
       createdBy: userId
     });
 
-    await parasiteControl.save();
+    await saveImportedDocument(parasiteControl);
     return parasiteControl;
   } catch (error) {
     throw new Error(`Error processing parasite control row: ${error.message}`);
@@ -2209,7 +2186,7 @@ const processMobileClinicRow = async (row, userId, errors) => {
       createdBy: userId
     });
 
-    await mobileClinic.save();
+    await saveImportedDocument(mobileClinic);
     return mobileClinic;
   } catch (error) {
     throw new Error(`Error processing mobile clinic row: ${error.message}`);
@@ -2508,7 +2485,7 @@ const findOrCreateHoldingCodeImportExport = async (holdingCodeValue, village, us
       createdBy: userId
     });
 
-    await newHoldingCode.save();
+    await saveImportedDocument(newHoldingCode);
     console.log(`✅ Created new holding code: ${newHoldingCode.code} (ID: ${newHoldingCode._id})`);
     return newHoldingCode._id;
 
@@ -2580,7 +2557,7 @@ const findOrCreateVillage = async (villageName, userId) => {
       createdBy: userId
     });
 
-    await newVillage.save();
+    await saveImportedDocument(newVillage);
     console.log(`✅ Created new village: ${newVillage.nameArabic} with ID: ${newVillage._id}`);
     return newVillage._id;
   } catch (error) {
@@ -2738,7 +2715,7 @@ const processUnifiedClientEnhanced = async (row, userId, options = {}) => {
           createdBy: userId
         });
         
-        await newClient.save();
+        await saveImportedDocument(newClient);
         client = newClient;
         console.log(`✅ Created new client: ${client.name} with holding code: ${holdingCodeId || 'none'}`);
       } catch (saveError) {
@@ -2761,7 +2738,7 @@ const processUnifiedClientEnhanced = async (row, userId, options = {}) => {
     if (client && holdingCodeId && !client.holdingCode) {
       try {
         client.holdingCode = holdingCodeId;
-        await client.save();
+        await saveImportedDocument(client);
         console.log(`✅ Updated existing client ${client.name} with holding code: ${holdingCodeId}`);
       } catch (updateError) {
         console.warn(`⚠️ Could not update client ${client.name} with holding code: ${updateError.message}`);
@@ -3063,16 +3040,24 @@ const processSpeciesCounts = (row) => {
   };
 };
 
+const SERIAL_NO_FIELDS = [
+  'Serial No', 'serialNo', 'serial_no', 'Serial Number',
+  'الرقم التسلسلي', 'رقم تسلسلي'
+];
+
+const SAMPLE_CODE_FIELDS = [
+  'sampleCode', 'Sample Code', 'code', 'sample_code',
+  'رمز العينة', 'رمز'
+];
+
 /**
  * Generate serial number
  */
 const generateSerialNo = (row, prefix) => {
-  const serialNo = getFieldValue(row, [
-    'Serial No', 'serialNo', 'serial_no', 'Serial Number',
-    'الرقم التسلسلي', 'رقم تسلسلي'
-  ]);
+  const serialNo = getFieldValue(row, SERIAL_NO_FIELDS);
   
-  if (serialNo && serialNo.length <= 20) {
+  // Excel يعيد الأرقام التسلسلية الرقمية كأرقام وليس نصوص
+  if (serialNo && serialNo.toString().length <= 20) {
     const timestamp = Date.now().toString().slice(-6);
     return `${serialNo}-${timestamp}`;
   }
@@ -3082,6 +3067,39 @@ const generateSerialNo = (row, prefix) => {
   return `${prefix}-${timestamp}-${random}`;
 };
 
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Key used to find records already imported from the same file row. generateSerialNo
+ * appends a timestamp to the file's serial number, so the suffix is ignored.
+ */
+const serialNoKey = (row, field = 'serialNo') => {
+  const serialNo = getFieldValue(row, SERIAL_NO_FIELDS);
+  if (!serialNo || serialNo.toString().length > 20) {
+    return null;
+  }
+  const value = serialNo.toString();
+  return { field, value, filter: { [field]: { $regex: `^${escapeRegex(value)}(-\\d{6})?$` } } };
+};
+
+const laboratoryKey = (row) => {
+  const sampleCode = getFieldValue(row, SAMPLE_CODE_FIELDS);
+  if (!sampleCode) {
+    return serialNoKey(row, 'sampleCode');
+  }
+  const value = sampleCode.toString();
+  return { field: 'sampleCode', value, filter: { sampleCode: value } };
+};
+
+const clientKey = (row) => {
+  const nationalId = row.nationalId || row.client_id;
+  if (!nationalId) {
+    return null;
+  }
+  const value = nationalId.toString();
+  return { field: 'nationalId', value, filter: { nationalId: value } };
+};
+
 /**
  * Process enum values with mapping
  */
@@ -3314,14 +3332,8 @@ const processLaboratoryRow = async (row, userId, errors) => {
     
     // Create laboratory record
     const laboratory = new Laboratory({
-      serialNo: parseInt(getFieldValue(row, [
-        'Serial No', 'serialNo', 'serial_no', 'Serial Number',
-        'الرقم التسلسلي', 'رقم تسلسلي'
-      ])) || Date.now() % 1000000, // Generate unique number if not provided
-      sampleCode: getFieldValue(row, [
-        'sampleCode', 'Sample Code', 'code', 'sample_code',
-        'رمز العينة', 'رمز'
-      ]) || generateSerialNo(row, 'LAB'),
+      serialNo: parseInt(getFieldValue(row, SERIAL_NO_FIELDS)) || Date.now() % 1000000, // Generate unique number if not provided
+      sampleCode: getFieldValue(row, SAMPLE_CODE_FIELDS) || generateSerialNo(row, 'LAB'),
       date: dates.mainDate,
       clientName: clientData.name || 'غير محدد',
       clientId: clientData.nationalId,
@@ -3363,7 +3375,7 @@ const processLaboratoryRow = async (row, userId, errors) => {
       createdBy: userId
     });
 
-    await laboratory.save();
+    await saveImportedDocument(laboratory);
     return laboratory;
   } catch (error) {
     throw new Error(`Error processing laboratory row: ${error.message}`);
@@ -3571,13 +3583,96 @@ const processEquineHealthRow = async (row, userId, errors) => {
       createdBy: userId
     });
 
-    await equineHealth.save();
+    await saveImportedDocument(equineHealth);
     return equineHealth;
   } catch (error) {
     throw new Error(`Error processing equine health row: ${error.message}`);
   }
 };
 
+// Inventory row = stock receipt (item is created when it does not exist yet)
+const INVENTORY_CATEGORY_MAP = {
+  'insecticide': 'insecticide', 'مبيد': 'insecticide', 'مبيدات': 'insecticide',
+  'medication': 'medication', 'medicine': 'medication', 'دواء': 'medication', 'أدوية': 'medication',
+  'vaccine': 'vaccine', 'لقاح': 'vaccine', 'لقاحات': 'vaccine',
+  'supply': 'supply', 'supplies': 'supply', 'مستلزمات': 'supply'
+};
+
+const processInventoryRow = async (row, userId, errors) => {
+  try {
+    const name = getFieldValue(row, ['Item Name', 'name', 'Name', 'اسم الصنف']);
+    if (!name) {
+      throw new Error('Item name is required');
+    }
+
+    const categoryValue = (getFieldValue(row, ['Category', 'category', 'الفئة']) || '').toString().trim().toLowerCase();
+    const category = INVENTORY_CATEGORY_MAP[categoryValue];
+    if (!category) {
+      throw new Error(`Invalid category "${categoryValue}". Must be one of: insecticide, medication, vaccine, supply`);
+    }
+
+    let item = await InventoryItem.findOne({ name: name.toString().trim(), category });
+    if (!item) {
+      const aliases = getFieldValue(row, ['Aliases', 'aliases', 'أسماء بديلة']);
+      item = new InventoryItem({
+        name: name.toString().trim(),
+        category,
+        unit: (getFieldValue(row, ['Unit', 'unit', 'الوحدة']) || 'unit').toString().trim().toLowerCase(),
+        reorderLevel: parseFloat(getFieldValue(row, ['Reorder Level', 'reorderLevel', 'حد إعادة الطلب'])) || 0,
+        aliases: aliases ? splitMultiValueString(aliases.toString()) : [],
+        createdBy: userId
+      });
+      try {
+        await saveImportedDocument(item);
+      } catch (error) {
+        // صف آخر في نفس الملف أنشأ الصنف بالتوازي
+        if (error.code !== 11000) throw error;
+        item = await InventoryItem.findOne({ name: name.toString().trim(), category });
+      }
+    }
+
+    const lotNumber = getFieldValue(row, ['Lot Number', 'lotNumber', 'Batch', 'رقم التشغيلة']);
+    const quantity = parseFloat(getFieldValue(row, ['Quantity', 'quantity', 'الكمية']));
+
+    // صف بدون دفعة = تعريف صنف فقط
+    if (!lotNumber && isNaN(quantity)) {
+      return item;
+    }
+    if (!lotNumber || isNaN(quantity) || quantity <= 0) {
+      throw new Error('Lot number and a positive quantity are required for a stock receipt');
+    }
+
+    // المعاينة تتحقق من بيانات الدفعة دون تسجيل حركة مخزون
+    if (isDryRun()) {
+      return item;
+    }
+
+    await item.receive({
+      lotNumber: lotNumber.toString().trim(),
+      quantity,
+      expiryDate: parseDateField(getFieldValue(row, ['Expiry Date', 'expiryDate', 'تاريخ الانتهاء'])) || undefined,
+      receivedAt: parseDateField(getFieldValue(row, ['Received Date', 'receivedAt', 'تاريخ الاستلام'])) || undefined,
+      supplier: getFieldValue(row, ['Supplier', 'supplier', 'المورد']),
+      reference: getFieldValue(row, ['Reference', 'reference', 'المرجع'])
+    }, userId);
+
+    return item;
+  } catch (error) {
+    throw new Error(`Error processing inventory row: ${error.message}`);
+  }
+};
+
+// خصائص مشتركة لكل معلم في تصدير GeoJSON / KML
+const serviceGeoProperties = (record, extra = {}) => ({
+  serialNo: record.serialNo || '',
+  date: formatGeoDate(record.date),
+  client: record.client?.name || record.clientName || '',
+  clientNationalId: record.client?.nationalId || record.clientId || '',
+  village: resolveRecordLocation(record),
+  supervisor: record.supervisor || '',
+  ...extra
+});
+
 // Export routes with proper field definitions
 router.get('/clients/export', auth, async (req, res) => {
   try {
@@ -3735,6 +3830,25 @@ router.get('/clients/export', auth, async (req, res) => {
 
     const records = await Client.aggregate(pipeline);
 
+    if (isGeoExportFormat(format)) {
+      return sendGeoExport(res, format, records, {
+        name: 'clients-records',
+        includeUnlocated: req.query.includeUnlocated === 'true',
+        getProperties: (record) => ({
+          client: record.name || '',
+          nationalId: record.nationalId || '',
+          phone: record.phone || '',
+          village: resolveRecordLocation(record),
+          ...speciesTotals((record.animals || []).reduce((counts, animal) => {
+            counts[animal.animalType] = (counts[animal.animalType] || 0) + (animal.animalCount || 0);
+            return counts;
+          }, {})),
+          totalAnimals: record.totalAnimals || 0,
+          status: record.status || ''
+        })
+      });
+    }
+
     const transformedRecords = records.map(record => {
       const birthDateValue = record.birthDate || record.birthDateFromForms;
       const formatDate = (value) => {
@@ -3836,6 +3950,19 @@ router.get('/vaccination/export', auth, async (req, res) => {
       .populate('holdingCode', 'code village description isActive')
       .sort({ date: -1 });
 
+    if (isGeoExportFormat(format)) {
+      return sendGeoExport(res, format, records, {
+        name: 'vaccination-records',
+        includeUnlocated: req.query.includeUnlocated === 'true',
+        getProperties: (record) => serviceGeoProperties(record, {
+          ...speciesTotals(record.herdCounts, ['sheep', 'goats', 'camel', 'cattle']),
+          totalVaccinated: record.totalVaccinated || 0,
+          vaccineType: record.vaccineType || '',
+          status: record.request?.situation || ''
+        })
+      });
+    }
+
     // Transform data for export to match table columns exactly
     const transformedRecords = records.map(record => {
       const herdCounts = record.herdCounts || {};
@@ -3971,6 +4098,18 @@ router.get('/parasite-control/export', auth, async (req, res) => {
       .populate('holdingCode', 'code village description isActive')
       .sort({ date: -1 });
 
+    if (isGeoExportFormat(format)) {
+      return sendGeoExport(res, format, records, {
+        name: 'parasite-control-records',
+        includeUnlocated: req.query.includeUnlocated === 'true',
+        getProperties: (record) => serviceGeoProperties(record, {
+          ...speciesTotals(record.herdCounts),
+          insecticide: record.insecticide?.type || '',
+          status: record.insecticide?.status || record.request?.situation || ''
+        })
+      });
+    }
+
     // Transform data for export to match table columns exactly
     const transformedRecords = records.map(record => {
       const herdCounts = record.herdCounts || {};
@@ -4167,6 +4306,18 @@ router.get('/mobile-clinics/export', auth, async (req, res) => {
       .populate('holdingCode', 'code village description isActive')
       .sort({ date: -1 });
 
+    if (isGeoExportFormat(format)) {
+      return sendGeoExport(res, format, records, {
+        name: 'mobile-clinic-records',
+        includeUnlocated: req.query.includeUnlocated === 'true',
+        getProperties: (record) => serviceGeoProperties(record, {
+          ...speciesTotals(record.animalCounts),
+          diagnosis: record.diagnosis || '',
+          status: record.request?.situation || ''
+        })
+      });
+    }
+
     // Transform data for export to match table columns exactly
     const transformedRecords = records.map(record => {
       const animalCounts = record.animalCounts || {};
@@ -4298,6 +4449,19 @@ router.get('/laboratories/export', auth, async (req, res) => {
       })
       .sort({ date: -1 });
 
+    if (isGeoExportFormat(format)) {
+      return sendGeoExport(res, format, records, {
+        name: 'laboratory-records',
+        includeUnlocated: req.query.includeUnlocated === 'true',
+        getProperties: (record) => serviceGeoProperties(record, {
+          ...speciesTotals(record.speciesCounts),
+          sampleType: record.sampleType || '',
+          positiveCases: record.positiveCases || 0,
+          negativeCases: record.negativeCases || 0
+        })
+      });
+    }
+
     // Transform data for export to match table columns exactly
     const transformedRecords = records.map(record => {
       const speciesCounts = record.speciesCounts || {};
@@ -4429,6 +4593,18 @@ router.get('/equine-health/export', auth, async (req, res) => {
       .populate('holdingCode', 'code village description isActive')
       .sort({ date: -1 });
 
+    if (isGeoExportFormat(format)) {
+      return sendGeoExport(res, format, records, {
+        name: 'equine-health-records',
+        includeUnlocated: req.query.includeUnlocated === 'true',
+        getProperties: (record) => serviceGeoProperties(record, {
+          horse: record.horseCount || 0,
+          diagnosis: record.diagnosis || '',
+          status: record.request?.situation || ''
+        })
+      });
+    }
+
     // Transform data for export to match table columns exactly
     const transformedRecords = records.map(record => {
       return {
@@ -4730,8 +4906,7 @@ router.get('/equine-health/template', auth, handleTemplate([
   }
 ], 'equine-health-template'));
 
-// Import routes
-router.post('/clients/import', auth, handleImport(Client, async (row, userId, errors) => {
+const processClientRow = async (row, userId, errors) => {
   try {
     const client = new Client({
       name: row.name || row.client_name,
@@ -4746,80 +4921,600 @@ router.post('/clients/import', auth, handleImport(Client, async (row, userId, er
       createdBy: userId
     });
 
-    await client.save();
+    await saveImportedDocument(client);
     return client;
   } catch (error) {
     throw new Error(`Error processing client row: ${error.message}`);
   }
-}));
+};
+
+// معالجات الاستيراد لكل وحدة، مع المفتاح المستخدم لمقارنة الصف بالسجلات الموجودة عند المعاينة
+const IMPORT_TYPES = {
+  clients: { Model: Client, processRow: processClientRow, existingKey: clientKey },
+  vaccination: { Model: Vaccination, processRow: processVaccinationRow, existingKey: serialNoKey },
+  'parasite-control': { Model: ParasiteControl, processRow: processParasiteControlRow, existingKey: serialNoKey },
+  'mobile-clinics': { Model: MobileClinic, processRow: processMobileClinicRow, existingKey: serialNoKey },
+  laboratories: { Model: Laboratory, processRow: processLaboratoryRow, existingKey: laboratoryKey },
+  'equine-health': { Model: EquineHealth, processRow: processEquineHealthRow, existingKey: serialNoKey },
+  inventory: { Model: InventoryItem, processRow: processInventoryRow }
+};
+
+registerImportProcessors('upload', IMPORT_TYPES);
+// اعتماد المعاينة يعالج الصفوف المقبولة بنفس المعالجات ويكتب نتيجة كل صف في الجلسة
+registerImportProcessors('staged', IMPORT_TYPES, { onBatch: recordCommittedRows, onFinished: finishCommit });
 
-router.post('/vaccination/import', auth, handleImport(Vaccination, processVaccinationRow));
-router.post('/parasite-control/import', auth, handleImport(ParasiteControl, processParasiteControlRow));
-router.post('/mobile-clinics/import', auth, handleImport(MobileClinic, processMobileClinicRow));
-router.post('/laboratories/import', auth, handleImport(Laboratory, processLaboratoryRow));
-router.post('/equine-health/import', auth, handleImport(EquineHealth, processEquineHealthRow));
+// Import routes
+router.post('/clients/import', auth, handleImport('clients'));
+
+router.post('/vaccination/import', auth, handleImport('vaccination'));
+router.post('/parasite-control/import', auth, handleImport('parasite-control'));
+router.post('/mobile-clinics/import', auth, handleImport('mobile-clinics'));
+router.post('/laboratories/import', auth, handleImport('laboratories'));
+router.post('/equine-health/import', auth, handleImport('equine-health'));
 
 // Enhanced import routes with better error handling
-router.post('/laboratories/import-enhanced', auth, handleImport(Laboratory, processLaboratoryRow));
-router.post('/equine-health/import-enhanced', auth, handleImport(EquineHealth, processEquineHealthRow));
-
-// Inventory routes (placeholder - will be implemented when inventory model is available)
-router.get('/inventory/export', auth, (req, res) => {
-  res.json({
-    success: false,
-    message: 'Inventory export not implemented yet'
-  });
-});
+router.post('/laboratories/import-enhanced', auth, handleImport('laboratories'));
+router.post('/equine-health/import-enhanced', auth, handleImport('equine-health'));
 
-router.get('/inventory/template', auth, (req, res) => {
-  res.json({
-    success: false,
-    message: 'Inventory template not implemented yet'
-  });
-});
+// Inventory routes (one row per batch)
+router.get('/inventory/export', auth, async (req, res) => {
+  try {
+    const { format = 'excel' } = req.query;
 
-router.post('/inventory/import', auth, (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Inventory import not implemented yet'
-  });
+    const filter = filterBuilder.buildInventoryFilter(req.query);
+    const items = await InventoryItem.find(filter).sort({ category: 1, name: 1 });
+
+    const transformedRecords = [];
+    items.forEach((item) => {
+      const itemColumns = {
+        'Item Name': item.name,
+        'Category': item.category,
+        'Unit': item.unit,
+        'Aliases': (item.aliases || []).join(', '),
+        'Reorder Level': item.reorderLevel || 0
+      };
+      const itemStatus = !item.isActive ? 'Inactive' : (item.isLowStock ? 'Low Stock' : 'OK');
+
+      const batches = item.batches.length > 0 ? item.batches : [null];
+      batches.forEach((batch) => {
+        transformedRecords.push({
+          ...itemColumns,
+          'Lot Number': batch ? batch.lotNumber : '',
+          'Quantity': batch ? batch.quantity : '',
+          'Received Quantity': batch ? batch.receivedQuantity : '',
+          'Expiry Date': batch && batch.expiryDate ? batch.expiryDate.toISOString().split('T')[0] : '',
+          'Received Date': batch && batch.receivedAt ? batch.receivedAt.toISOString().split('T')[0] : '',
+          'Supplier': batch ? batch.supplier || '' : '',
+          'Reference': batch ? batch.reference || '' : '',
+          'Item Total Quantity': item.totalQuantity,
+          'Status': batch && batch.expiryDate && batch.expiryDate < new Date() ? 'Expired' : itemStatus
+        });
+      });
+    });
+
+    if (format === 'csv') {
+      const { Parser } = require('json2csv');
+      const parser = new Parser();
+      const csv = parser.parse(transformedRecords);
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=inventory.csv');
+      res.send(csv);
+    } else if (format === 'excel') {
+      const workbook = XLSX.utils.book_new();
+      const worksheet = XLSX.utils.json_to_sheet(transformedRecords);
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Inventory');
+
+      const excelBuffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', 'attachment; filename=inventory.xlsx');
+      res.send(excelBuffer);
+    } else {
+      res.json({
+        success: true,
+        data: { records: transformedRecords }
+      });
+    }
+  } catch (error) {
+    console.error('Error exporting inventory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting inventory',
+      error: error.message
+    });
+  }
 });
 
+router.get('/inventory/template', auth, handleTemplate([
+  {
+    'Item Name': 'Cypermethrin 10%',
+    'Category': 'insecticide',
+    'Unit': 'ml',
+    'Aliases': 'Cypermethrin',
+    'Reorder Level': '5000',
+    'Lot Number': 'CY-2024-001',
+    'Quantity': '20000',
+    'Expiry Date': '2026-06-30',
+    'Received Date': '2024-08-24',
+    'Supplier': 'Supplier name',
+    'Reference': 'DN-1001'
+  },
+  {
+    'Item Name': 'Ivermectin',
+    'Category': 'medication',
+    'Unit': 'ml',
+    'Aliases': '',
+    'Reorder Level': '500',
+    'Lot Number': 'IV-2024-014',
+    'Quantity': '2000',
+    'Expiry Date': '2025-12-31',
+    'Received Date': '2024-08-24',
+    'Supplier': 'Supplier name',
+    'Reference': 'DN-1002'
+  }
+], 'inventory-template'));
+
+router.post('/inventory/import', auth, handleImport('inventory'));
+
 // Enhanced import routes with improved validation
 router.post('/laboratories/import-enhanced', auth, (req, res, next) => {
   console.log('🎯 Enhanced laboratories import route called');
-  handleImport(Laboratory, processLaboratoryRow)(req, res, next);
+  handleImport('laboratories')(req, res, next);
 });
 
 router.post('/equine-health/import-enhanced', auth, (req, res, next) => {
   console.log('🎯 Enhanced equine health import route called');
-  handleImport(EquineHealth, processEquineHealthRow)(req, res, next);
+  handleImport('equine-health')(req, res, next);
 });
 
 // Dromo import routes
 router.post('/laboratories/import-dromo', auth, (req, res, next) => {
   console.log('🎯 Dromo laboratories import route called');
-  handleImport(Laboratory, processLaboratoryRow)(req, res, next);
+  handleImport('laboratories')(req, res, next);
 });
 
 router.post('/vaccination/import-dromo', auth, (req, res, next) => {
   console.log('🎯 Dromo vaccination import route called');
-  handleImport(Vaccination, processVaccinationRow)(req, res, next);
+  handleImport('vaccination')(req, res, next);
 });
 
 router.post('/parasite-control/import-dromo', auth, (req, res, next) => {
   console.log('🎯 Dromo parasite control import route called');
-  handleImport(ParasiteControl, processParasiteControlRow)(req, res, next);
+  handleImport('parasite-control')(req, res, next);
 });
 
 router.post('/mobile-clinics/import-dromo', auth, (req, res, next) => {
   console.log('🎯 Dromo mobile clinics import route called');
-  handleImport(MobileClinic, processMobileClinicRow)(req, res, next);
+  handleImport('mobile-clinics')(req, res, next);
 });
 
 router.post('/equine-health/import-dromo', auth, (req, res, next) => {
   console.log('🎯 Dromo equine health import route called');
-  handleImport(EquineHealth, processEquineHealthRow)(req, res, next);
+  handleImport('equine-health')(req, res, next);
 });
 
+// ========================================
+// STAGED IMPORT (PREVIEW -> COMMIT)
+// ========================================
+
+// المعاينة تعمل داخل الطلب (بحث واحد أو أكثر لكل صف) وتُحفظ بكامل صفوفها في مستند واحد؛
+// الملفات الأكبر تُستورد مباشرة كمهمة في الخلفية أو تُقسم
+const MAX_PREVIEW_ROWS = 1000;
+
+const findImportSession = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid import ID format', 400, 'INVALID_ID_FORMAT');
+  }
+
+  const session = await ImportSession.findById(req.params.id);
+  if (!session || (!session.user.equals(req.user._id) && req.user.role !== 'super_admin')) {
+    throw new AppError('Import not found', 404, 'IMPORT_NOT_FOUND');
+  }
+  return session;
+};
+
+const paginateRows = (session, query) => {
+  const { page, limit, skip } = filterBuilder.buildPaginationParams(query);
+  const rows = query.status
+    ? session.rows.filter(row => row.status === query.status || row.outcome === query.status)
+    : session.rows;
+  const total = rows.length;
+
+  return {
+    rows: rows.slice(skip, skip + limit).map(row => session.formatRow(row)),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      hasNextPage: page < Math.ceil(total / limit),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /api/import-export/{type}/import/preview:
+ *   post:
+ *     summary: Upload a file and validate it without importing (dry run)
+ *     description: |
+ *       Every row goes through the same processing as a direct import, but nothing is written.
+ *       The response is an import session with per-row results - validation errors, the client and holding code
+ *       each row would create or match, and existing records with the same serial number (sample code for laboratories,
+ *       national ID for clients) with the fields where the row differs from them (`existing.changes`).
+ *       Files of more than 1000 rows are rejected; import them directly (background job) or split them.
+ *       Nothing is imported until the session is committed; it expires after 24 hours.
+ *     tags: [Import Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of rows returned with the preview
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or Excel file (max 5MB)
+ *               mapping:
+ *                 type: string
+ *                 default: none
+ *                 description: |
+ *                   Column mapping profile (see /api/import-mappings): a profile ID, `auto` to use the saved profile
+ *                   that best matches the file's headers, or `none`. Also accepted on the module import routes.
+ *                   Without a profile the best match is returned as `suggestedMapping`; preview again with its ID to apply it.
+ *     responses:
+ *       201:
+ *         description: Import session with summary and the first rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ImportSession'
+ *                     - type: object
+ *                       properties:
+ *                         suggestedMapping:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Saved profile that best matches the file's headers, when no profile was applied
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             matchedColumns:
+ *                               type: integer
+ *                             totalColumns:
+ *                               type: integer
+ *                         rows:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ImportRow'
+ *       400:
+ *         description: Unknown import type, no file, unreadable or empty file, too many rows or too much data
+ */
+router.post('/:type/import/preview',
+  auth,
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    const importType = IMPORT_TYPES[req.params.type];
+    if (!importType) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown import type. Must be one of: ${Object.keys(IMPORT_TYPES).join(', ')}`,
+        error: 'INVALID_IMPORT_TYPE'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+        error: 'NO_FILE_UPLOADED'
+      });
+    }
+
+    let fileRows;
+    try {
+      fileRows = await parseFileData(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: error.error || 'FILE_PARSE_ERROR'
+      });
+    }
+
+    if (fileRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No data found in file or file is empty',
+        error: 'EMPTY_FILE'
+      });
+    }
+
+    if (fileRows.length > MAX_PREVIEW_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `File has ${fileRows.length} rows; split it into files of at most ${MAX_PREVIEW_ROWS} rows`,
+        error: 'TOO_MANY_ROWS'
+      });
+    }
+
+    const { rows, resolved, suggested } = await mapUploadedRows(req, req.params.type, fileRows);
+    // مع ملف تعيين تُحفظ أعمدة الملف الأصلية أيضاً ليعود تقرير الأخطاء بعناوين المستخدم
+    const preview = await previewRows(rows, importType, req.user._id, resolved ? { sourceRows: fileRows } : {});
+    assertImportSize(preview);
+    const session = await ImportSession.create({
+      user: req.user._id,
+      importType: req.params.type,
+      fileName: req.file.originalname,
+      mapping: describeImportMapping(resolved),
+      columnSources: resolved ? mappedColumnSources(resolved.mapping, preview.sourceHeaders) : [],
+      ...preview
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Import preview created',
+      data: {
+        ...session.toSummary(),
+        mapping: describeImportMapping(resolved),
+        suggestedMapping: describeImportMapping(suggested),
+        ...paginateRows(session, { limit: req.query.limit })
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-export/imports/{id}:
+ *   get:
+ *     summary: Get an import session with its row results
+ *     tags: [Import Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [valid, invalid, duplicate, imported, failed, skipped]
+ *         description: Only rows with this preview status or commit outcome
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Import session, rows and pagination
+ *       404:
+ *         description: Import not found (or expired)
+ */
+router.get('/imports/:id',
+  auth,
+  validateQuery(schemas.importRowsQuery),
+  asyncHandler(async (req, res) => {
+    const session = await findImportSession(req);
+
+    res.json({
+      success: true,
+      data: {
+        ...session.toSummary(),
+        ...paginateRows(session, req.query)
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-export/imports/{id}/commit:
+ *   post:
+ *     summary: Import the valid rows of a previewed file
+ *     description: Rows are processed again at commit time, so a row can still fail if the data changed since the preview. Invalid rows are never imported; duplicate rows only with includeDuplicates.
+ *     tags: [Import Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               includeDuplicates:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also import rows whose serial number already exists or repeats in the file
+ *     responses:
+ *       202:
+ *         description: |
+ *           Commit queued. The rows are imported in the background: poll GET /api/import-jobs/{id} (same ID) for progress,
+ *           then GET /api/import-export/imports/{id} for the outcome of each row. The records can be removed again
+ *           with POST /api/imports/{id}/rollback.
+ *       404:
+ *         description: Import not found (or expired)
+ *       409:
+ *         description: Import was already committed or cancelled
+ */
+router.post('/imports/:id/commit',
+  auth,
+  validate(schemas.importCommit),
+  asyncHandler(async (req, res) => {
+    const session = await findImportSession(req);
+
+    // الانتقال الذري يمنع اعتماد نفس المعاينة مرتين من طلبين متزامنين
+    const claimed = await ImportSession.updateOne(
+      { _id: session._id, status: 'previewed' },
+      { $set: { status: 'committing' } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Import is already ${session.status}`,
+        error: 'IMPORT_NOT_PENDING'
+      });
+    }
+
+    const accepted = acceptedRows(session, { includeDuplicates: req.body.includeDuplicates === true });
+    let job;
+    try {
+      // المهمة والدفعة تحملان معرف الجلسة
+      job = await enqueueImport({
+        _id: session._id,
+        user: req.user._id,
+        module: session.importType,
+        source: 'staged',
+        fileName: session.fileName,
+        mapping: session.mapping && session.mapping.id ? session.mapping : undefined,
+        rows: accepted.map(row => session.rowData(row)),
+        rowNumbers: accepted.map(row => row.rowNumber)
+      });
+    } catch (error) {
+      // لم يُستورد شيء بعد: تعود المعاينة قابلة للاعتماد أو الإلغاء
+      await ImportJob.deleteOne({ _id: session._id, status: 'queued', processedRows: 0 });
+      await ImportBatch.deleteOne({ _id: session._id, insertedRows: 0, updatedRows: 0, failedRows: 0 });
+      await ImportSession.updateOne({ _id: session._id, status: 'committing' }, { $set: { status: 'previewed' } });
+      throw error;
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Import queued: ${accepted.length} of ${session.rows.length} rows`,
+      data: {
+        ...session.toSummary(),
+        status: 'committing',
+        job: job.toSummary(),
+        progressUrl: `/api/import-jobs/${job._id}`
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-export/imports/{id}/cancel:
+ *   post:
+ *     summary: Discard a previewed import
+ *     tags: [Import Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import cancelled
+ *       404:
+ *         description: Import not found (or expired)
+ *       409:
+ *         description: Import was already committed or cancelled
+ */
+router.post('/imports/:id/cancel',
+  auth,
+  asyncHandler(async (req, res) => {
+    const session = await findImportSession(req);
+
+    const cancelled = await ImportSession.findOneAndUpdate(
+      { _id: session._id, status: 'previewed' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Import is already ${session.status}`,
+        error: 'IMPORT_NOT_PENDING'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Import cancelled',
+      data: cancelled.toSummary()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-export/imports/{id}/errors.xlsx:
+ *   get:
+ *     summary: Download the failing rows as an annotated Excel file
+ *     description: Rows that failed validation (or the commit) with their original values, an "Import errors" column and a comment on each cell named in an error. The file can be corrected and uploaded again.
+ *     tags: [Import Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Excel error report
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Import not found (or expired)
+ */
+router.get('/imports/:id/errors.xlsx',
+  auth,
+  asyncHandler(async (req, res) => {
+    const session = await findImportSession(req);
+    const baseName = (session.fileName || 'import').replace(/\.(csv|xlsx|xls)$/i, '');
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(baseName)}-errors.xlsx"`);
+    res.send(buildErrorWorkbook(session));
+  })
+);
+
 module.exports = router;
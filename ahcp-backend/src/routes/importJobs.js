@@ -0,0 +1,221 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const { validateQuery, schemas } = require('../middleware/validation');
+const { auth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+const { DRAIN_SLICE_MS, drainImportQueue, cancelImportJob } = require('../utils/importQueue');
+
+const router = express.Router();
+
+const canAccessJob = (job, user) => job.user.equals(user._id) || user.role === 'super_admin';
+
+const findJob = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid import job ID format', 400, 'INVALID_ID_FORMAT');
+  }
+
+  const job = await ImportJob.findById(req.params.id);
+  if (!job || !canAccessJob(job, req.user)) {
+    throw new AppError('Import job not found', 404, 'IMPORT_JOB_NOT_FOUND');
+  }
+  return job;
+};
+
+/**
+ * @swagger
+ * /api/import-jobs:
+ *   get:
+ *     summary: Import history
+ *     description: The current user's imports, newest first. Super admins see every user's imports and can filter by user.
+ *     tags: [Import Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: module
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, completed, failed, cancelled]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [upload, dromo, staged]
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID (super admins only)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Import jobs (without row errors)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ImportJob'
+ *                     pagination:
+ *                       type: object
+ */
+router.get('/',
+  auth,
+  validateQuery(schemas.importJobsQuery),
+  asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.user.role !== 'super_admin') {
+      filter.user = req.user._id;
+    } else if (req.query.user) {
+      filter.user = req.query.user;
+    }
+    if (req.query.module) filter.module = req.query.module;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.source) filter.source = req.query.source;
+
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [jobs, total] = await Promise.all([
+      ImportJob.find(filter)
+        .select('-rowErrors -headers')
+        .sort({ createdAt: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit),
+      ImportJob.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => job.toSummary()),
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-jobs/{id}:
+ *   get:
+ *     summary: Import job progress
+ *     description: |
+ *       Poll this endpoint after uploading a file. When no worker holds the job (server restart, serverless timeout),
+ *       the request processes it from the last saved row for up to 8 seconds before answering.
+ *     tags: [Import Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job progress including failed rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    let job = await findJob(req);
+
+    // على Vercel لا تستمر المعالجة بعد إرسال الاستجابة، فتُعالج دفعات محدودة الوقت قبل الرد
+    if (!job.isFinished && !(job.lockedUntil > new Date())) {
+      await drainImportQueue({ timeLimitMs: DRAIN_SLICE_MS });
+      job = await findJob(req);
+    }
+
+    res.json({
+      success: true,
+      data: job.toSummary({ includeErrors: true })
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel an import job
+ *     description: Processing stops after the current batch. Rows imported before cancelling are kept.
+ *     tags: [Import Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       404:
+ *         description: Import job not found
+ *       409:
+ *         description: Job already finished
+ */
+router.post('/:id/cancel',
+  auth,
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req);
+
+    const cancelled = await cancelImportJob(job._id, req.user._id);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Import job is already ${job.status}`,
+        error: 'IMPORT_JOB_FINISHED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Import cancelled after ${cancelled.processedRows} of ${cancelled.totalRows} rows`,
+      data: cancelled.toSummary()
+    });
+  })
+);
+
+module.exports = router;
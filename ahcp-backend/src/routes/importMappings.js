@@ -0,0 +1,403 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ImportMapping = require('../models/ImportMapping');
+const { validate, validateQuery, schemas } = require('../middleware/validation');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+const { IMPORT_FIELDS, detectImportMapping } = require('../utils/importMappings');
+
+const router = express.Router();
+
+const MAPPING_FIELDS = ['name', 'description', 'columns', 'defaults', 'isActive'];
+
+const findMapping = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid import mapping ID format',
+      error: 'INVALID_ID_FORMAT'
+    });
+    return null;
+  }
+
+  const mapping = await ImportMapping.findById(req.params.id);
+  if (!mapping) {
+    res.status(404).json({
+      success: false,
+      message: 'Import mapping not found',
+      error: 'IMPORT_MAPPING_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return mapping;
+};
+
+// الحقول الهدف يجب أن تكون مما يقرأه معالج الوحدة، وإلا تُتجاهل القيم بصمت عند الاستيراد
+const unknownFieldsResponse = (res, module, columns = [], defaults = []) => {
+  const fields = IMPORT_FIELDS[module];
+  const unknown = [...columns, ...defaults]
+    .map(entry => entry.field)
+    .filter(field => !fields[field]);
+  if (unknown.length === 0) return null;
+
+  return res.status(400).json({
+    success: false,
+    message: `Unknown ${module} import fields: ${[...new Set(unknown)].join(', ')}`,
+    error: 'UNKNOWN_IMPORT_FIELD'
+  });
+};
+
+const nameTaken = (module, name, excludeId) => ImportMapping.findOne({
+  module,
+  name: name.trim(),
+  ...(excludeId ? { _id: { $ne: excludeId } } : {})
+});
+
+const duplicateNameResponse = res => res.status(409).json({
+  success: false,
+  message: 'An import mapping with this name already exists for this module',
+  error: 'DUPLICATE_IMPORT_MAPPING'
+});
+
+/**
+ * @swagger
+ * /api/import-mappings:
+ *   get:
+ *     summary: Get saved column mapping profiles
+ *     tags: [Import Mappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: module
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Import mappings retrieved successfully
+ */
+router.get('/',
+  auth,
+  validateQuery(schemas.importMappingsQuery),
+  asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.module) filter.module = req.query.module;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [mappings, total] = await Promise.all([
+      ImportMapping.find(filter)
+        .populate('createdBy', 'name email')
+        .sort({ module: 1, name: 1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit),
+      ImportMapping.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        mappings,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-mappings/fields/{module}:
+ *   get:
+ *     summary: Model fields a mapping can fill for a module
+ *     description: Each field with the column header the import reads it from when no mapping is used
+ *     tags: [Import Mappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: module
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *     responses:
+ *       200:
+ *         description: Importable fields
+ *       404:
+ *         description: Unknown module
+ */
+router.get('/fields/:module',
+  auth,
+  asyncHandler(async (req, res) => {
+    const fields = IMPORT_FIELDS[req.params.module];
+    if (!fields) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown import module: ${req.params.module}`,
+        error: 'UNKNOWN_IMPORT_MODULE'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        module: req.params.module,
+        fields: Object.entries(fields).map(([field, header]) => ({ field, header })),
+        transforms: ImportMapping.VALUE_TRANSFORMS,
+        dateFormats: ImportMapping.DATE_FORMATS
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-mappings/detect:
+ *   post:
+ *     summary: Find the saved profile that best matches a file's headers
+ *     description: The profile with the most source columns found in the headers, provided at least half of its columns are present. Uploads do the same when no mapping is chosen.
+ *     tags: [Import Mappings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - module
+ *               - headers
+ *             properties:
+ *               module:
+ *                 type: string
+ *                 enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *               headers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [الاسم, رقم الهوية, الجوال, عدد الأغنام]
+ *     responses:
+ *       200:
+ *         description: Best matching profile, or null when none fits
+ */
+router.post('/detect',
+  auth,
+  validate(schemas.importMappingDetect),
+  asyncHandler(async (req, res) => {
+    const best = await detectImportMapping(req.body.module, req.body.headers);
+
+    res.json({
+      success: true,
+      message: best ? `Matched import mapping "${best.mapping.name}"` : 'No saved import mapping matches these headers',
+      data: {
+        mapping: best ? best.mapping : null,
+        matchedColumns: best ? best.score.matched : 0,
+        totalColumns: best ? best.score.total : 0
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-mappings/{id}:
+ *   get:
+ *     summary: Get an import mapping by ID
+ *     tags: [Import Mappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import mapping ID
+ *     responses:
+ *       200:
+ *         description: Import mapping retrieved successfully
+ *       404:
+ *         description: Import mapping not found
+ */
+router.get('/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const mapping = await findMapping(req, res);
+    if (!mapping) return;
+
+    res.json({
+      success: true,
+      data: { mapping }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-mappings:
+ *   post:
+ *     summary: Save a column mapping profile
+ *     description: Maps an office's column headers to model fields, with value transforms and default values. Selected on upload with the `mapping` field, or detected from the file's headers.
+ *     tags: [Import Mappings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportMapping'
+ *     responses:
+ *       201:
+ *         description: Import mapping created successfully
+ *       400:
+ *         description: Unknown target field
+ *       409:
+ *         description: Import mapping with same name already exists for the module
+ */
+router.post('/',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.importMappingCreate),
+  asyncHandler(async (req, res) => {
+    if (unknownFieldsResponse(res, req.body.module, req.body.columns, req.body.defaults)) return;
+    if (await nameTaken(req.body.module, req.body.name)) return duplicateNameResponse(res);
+
+    const mappingData = { module: req.body.module };
+    MAPPING_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) mappingData[field] = req.body[field];
+    });
+
+    const mapping = new ImportMapping({
+      ...mappingData,
+      createdBy: req.user._id
+    });
+    await mapping.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Import mapping created successfully',
+      data: { mapping }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-mappings/{id}:
+ *   put:
+ *     summary: Update an import mapping
+ *     description: The module cannot be changed; columns and defaults are replaced as a whole
+ *     tags: [Import Mappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import mapping ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportMapping'
+ *     responses:
+ *       200:
+ *         description: Import mapping updated successfully
+ *       404:
+ *         description: Import mapping not found
+ *       409:
+ *         description: Import mapping with same name already exists for the module
+ */
+router.put('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.importMappingUpdate),
+  asyncHandler(async (req, res) => {
+    const mapping = await findMapping(req, res);
+    if (!mapping) return;
+
+    if (unknownFieldsResponse(res, mapping.module, req.body.columns, req.body.defaults)) return;
+    if (req.body.name && await nameTaken(mapping.module, req.body.name, mapping._id)) return duplicateNameResponse(res);
+
+    MAPPING_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) mapping[field] = req.body[field];
+    });
+    mapping.updatedBy = req.user._id;
+    await mapping.save();
+
+    res.json({
+      success: true,
+      message: 'Import mapping updated successfully',
+      data: { mapping }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/import-mappings/{id}:
+ *   delete:
+ *     summary: Deactivate an import mapping (no longer selectable or detected on upload)
+ *     tags: [Import Mappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import mapping ID
+ *     responses:
+ *       200:
+ *         description: Import mapping deactivated successfully
+ *       404:
+ *         description: Import mapping not found
+ */
+router.delete('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const mapping = await findMapping(req, res);
+    if (!mapping) return;
+
+    mapping.isActive = false;
+    mapping.updatedBy = req.user._id;
+    await mapping.save();
+
+    res.json({
+      success: true,
+      message: 'Import mapping deactivated successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ImportBatch = require('../models/ImportBatch');
+const ImportJob = require('../models/ImportJob');
+const ImportSession = require('../models/ImportSession');
+const { validateQuery, schemas } = require('../middleware/validation');
+const { auth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+const { rollbackImportBatch } = require('../utils/importBatch');
+
+const router = express.Router();
+
+// الاستيراد الذي لم ينتهِ بعد قد يضيف سجلات للدفعة أثناء التراجع عنها
+const isImportRunning = async (batch) => {
+  // اعتماد المعاينة يعمل أيضاً كمهمة بنفس المعرف
+  const job = await ImportJob.findById(batch._id).select('status');
+  if (job) return !job.isFinished;
+  if (batch.source === 'staged') {
+    const session = await ImportSession.findById(batch._id).select('status').lean();
+    return Boolean(session && session.status === 'committing');
+  }
+  return false;
+};
+
+/**
+ * @swagger
+ * /api/imports:
+ *   get:
+ *     summary: Import batches
+ *     description: Every file, Dromo and staged import as a batch whose records can be rolled back. Users see their own batches; super admins see all and can filter by user.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: module
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, laboratories, equine-health, inventory]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, rolling_back, rolled_back]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [upload, dromo, staged]
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID (super admins only)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Import batches, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ImportBatch'
+ *                     pagination:
+ *                       type: object
+ */
+router.get('/',
+  auth,
+  validateQuery(schemas.importBatchesQuery),
+  asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.user.role !== 'super_admin') {
+      filter.user = req.user._id;
+    } else if (req.query.user) {
+      filter.user = req.query.user;
+    }
+    if (req.query.module) filter.module = req.query.module;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.source) filter.source = req.query.source;
+
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [batches, total] = await Promise.all([
+      ImportBatch.find(filter)
+        .populate('user', 'name email')
+        .populate('rolledBackBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit)
+        .lean(),
+      ImportBatch.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/imports/{batchId}/rollback:
+ *   post:
+ *     summary: Roll back an import batch
+ *     description: |
+ *       Undoes what the batch changed:
+ *       - records it created are moved to the recycle bin (stock they consumed is returned)
+ *       - fields it set on existing records get their previous values back
+ *       - its stock receipts are taken back out of stock and inventory items it created are deactivated
+ *       - clients, holding codes and villages it created are removed unless records outside the batch now use them
+ *
+ *       Changes that cannot be undone safely (edited again since, or stock already used) are kept and listed in `rollback.kept`.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import batch ID (the import job ID or staged import ID)
+ *     responses:
+ *       200:
+ *         description: Batch rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportBatch'
+ *       404:
+ *         description: Import batch not found
+ *       409:
+ *         description: Import still running, or batch already rolled back
+ */
+router.post('/:batchId/rollback',
+  auth,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) {
+      throw new AppError('Invalid import batch ID format', 400, 'INVALID_ID_FORMAT');
+    }
+
+    const batch = await ImportBatch.findById(req.params.batchId);
+    if (!batch || (!batch.user.equals(req.user._id) && req.user.role !== 'super_admin')) {
+      throw new AppError('Import batch not found', 404, 'IMPORT_BATCH_NOT_FOUND');
+    }
+
+    if (batch.status !== 'active') {
+      throw new AppError(`Import batch is already ${batch.status.replace('_', ' ')}`, 409, 'IMPORT_ALREADY_ROLLED_BACK');
+    }
+    if (await isImportRunning(batch)) {
+      throw new AppError('Import is still running - cancel it before rolling it back', 409, 'IMPORT_IN_PROGRESS');
+    }
+
+    // الانتقال الذري يمنع تنفيذ التراجع مرتين من طلبين متزامنين
+    const claimed = await ImportBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'active' },
+      { $set: { status: 'rolling_back' } },
+      { new: true }
+    ).select('+changes +rollback.reversedReceipts');
+    if (!claimed) {
+      throw new AppError('Import batch is already being rolled back', 409, 'IMPORT_ALREADY_ROLLED_BACK');
+    }
+
+    res.setTimeout(120000);
+    let summary;
+    try {
+      summary = await rollbackImportBatch(claimed, req.user._id);
+    } catch (error) {
+      // كل خطوة تتجاهل ما سبق التراجع عنه، فيمكن إعادة المحاولة
+      await ImportBatch.updateOne({ _id: batch._id }, { $set: { status: 'active' } });
+      throw error;
+    }
+
+    const rolledBack = await ImportBatch.findByIdAndUpdate(
+      batch._id,
+      {
+        $set: {
+          status: 'rolled_back',
+          'rollback.removed': summary.removed,
+          'rollback.reverted': summary.reverted,
+          'rollback.kept': summary.kept,
+          rolledBackAt: new Date(),
+          rolledBackBy: req.user._id
+        }
+      },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: `Import rolled back: ${summary.removed} records removed, ${summary.reverted} changes reverted${summary.kept.length > 0 ? `, ${summary.kept.length} kept` : ''}`,
+      data: rolledBack
+    });
+  })
+);
+
+module.exports = router;
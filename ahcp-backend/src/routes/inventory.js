@@ -0,0 +1,618 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const InventoryItem = require('../models/InventoryItem');
+const StockMovement = require('../models/StockMovement');
+const { validate, schemas } = require('../middleware/validation');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+
+const router = express.Router();
+
+const ITEM_FIELDS = ['name', 'aliases', 'category', 'unit', 'reorderLevel', 'notes', 'isActive'];
+
+const findItem = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid inventory item ID format',
+      error: 'INVALID_ID_FORMAT'
+    });
+    return null;
+  }
+
+  const item = await InventoryItem.findById(req.params.id);
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: 'Inventory item not found',
+      error: 'ITEM_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return item;
+};
+
+/**
+ * @swagger
+ * /api/inventory:
+ *   get:
+ *     summary: Get inventory items with stock levels
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [insecticide, medication, vaccine, supply]
+ *         description: Filter by category (comma separated for multiple)
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: boolean
+ *         description: Only items at or below their reorder level
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, alias, lot number or supplier
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Inventory items retrieved successfully
+ */
+router.get('/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const filter = filterBuilder.buildInventoryFilter(req.query);
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [items, total] = await Promise.all([
+      InventoryItem.find(filter)
+        .sort({ category: 1, name: 1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit),
+      InventoryItem.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory/reports/low-stock:
+ *   get:
+ *     summary: Get items whose non-expired stock is at or below the reorder level
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category (comma separated for multiple)
+ *     responses:
+ *       200:
+ *         description: Low-stock report generated successfully
+ */
+router.get('/reports/low-stock',
+  auth,
+  asyncHandler(async (req, res) => {
+    const filters = {};
+    const categoryFilter = filterBuilder.buildMultiValueFilter(req.query.category);
+    if (categoryFilter) filters.category = categoryFilter;
+
+    const items = await InventoryItem.getLowStock(filters);
+
+    res.json({
+      success: true,
+      data: {
+        total: items.length,
+        items: items.map(item => ({
+          _id: item._id,
+          name: item.name,
+          category: item.category,
+          unit: item.unit,
+          reorderLevel: item.reorderLevel,
+          totalQuantity: item.totalQuantity,
+          availableQuantity: item.availableQuantity,
+          shortage: Math.max(item.reorderLevel - item.availableQuantity, 0)
+        }))
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory/reports/expiring:
+ *   get:
+ *     summary: Get batches with stock left that are expired or expire soon
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Expiry window in days
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category (comma separated for multiple)
+ *     responses:
+ *       200:
+ *         description: Expiry report generated successfully
+ */
+router.get('/reports/expiring',
+  auth,
+  asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 0), 730);
+    const filters = {};
+    const categoryFilter = filterBuilder.buildMultiValueFilter(req.query.category);
+    if (categoryFilter) filters.category = categoryFilter;
+
+    const batches = await InventoryItem.getExpiring(days, filters);
+    const expired = batches.filter(batch => batch.expired);
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        summary: {
+          expired: expired.length,
+          expiringSoon: batches.length - expired.length,
+          expiredQuantity: expired.reduce((sum, batch) => sum + batch.quantity, 0)
+        },
+        batches
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}:
+ *   get:
+ *     summary: Get inventory item by ID
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory item ID
+ *     responses:
+ *       200:
+ *         description: Inventory item retrieved successfully
+ *       404:
+ *         description: Inventory item not found
+ */
+router.get('/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const item = await findItem(req, res);
+    if (!item) return;
+
+    await item.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'updatedBy', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { item }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/movements:
+ *   get:
+ *     summary: Get stock movements (receipts, consumption, reversals, adjustments) of an item
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory item ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [receipt, consumption, reversal, adjustment]
+ *         description: Filter by movement type (comma separated for multiple)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stock movements retrieved successfully
+ */
+router.get('/:id/movements',
+  auth,
+  asyncHandler(async (req, res) => {
+    const item = await findItem(req, res);
+    if (!item) return;
+
+    const filter = { item: item._id };
+    const typeFilter = filterBuilder.buildMultiValueFilter(req.query.type);
+    if (typeFilter) filter.type = typeFilter;
+    const dateFilter = filterBuilder.buildDateFilter(req.query.startDate, req.query.endDate);
+    if (dateFilter) filter.createdAt = dateFilter;
+
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit)
+        .populate('user', 'name email')
+        .lean(),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory:
+ *   post:
+ *     summary: Create an inventory item (optionally with opening batches)
+ *     description: The name (or one of the aliases) must match the insecticide type / medication name used on treatment records for stock to be deducted automatically
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InventoryItem'
+ *     responses:
+ *       201:
+ *         description: Inventory item created successfully
+ *       409:
+ *         description: Item with same name and category already exists
+ */
+router.post('/',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.inventoryItemCreate),
+  asyncHandler(async (req, res) => {
+    const itemData = {};
+    ITEM_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) itemData[field] = req.body[field];
+    });
+
+    const existing = await InventoryItem.findOne({ name: itemData.name, category: itemData.category });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Inventory item with this name and category already exists',
+        error: 'DUPLICATE_ITEM'
+      });
+    }
+
+    const item = new InventoryItem({
+      ...itemData,
+      createdBy: req.user._id
+    });
+    await item.save();
+
+    // الدفعات الافتتاحية تُسجل كاستلام لتظهر في حركة المخزون
+    for (const batch of req.body.batches || []) {
+      await item.receive(batch, req.user._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Inventory item created successfully',
+      data: { item }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}:
+ *   put:
+ *     summary: Update an inventory item (stock is changed through receipts and adjustments)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InventoryItem'
+ *     responses:
+ *       200:
+ *         description: Inventory item updated successfully
+ *       404:
+ *         description: Inventory item not found
+ */
+router.put('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.inventoryItemUpdate),
+  asyncHandler(async (req, res) => {
+    const item = await findItem(req, res);
+    if (!item) return;
+
+    ITEM_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    });
+    item.updatedBy = req.user._id;
+    await item.save();
+
+    res.json({
+      success: true,
+      message: 'Inventory item updated successfully',
+      data: { item }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/receipts:
+ *   post:
+ *     summary: Receive stock into a batch
+ *     description: Receiving an existing lot number with the same expiry date tops up that batch
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InventoryBatch'
+ *     responses:
+ *       201:
+ *         description: Stock received successfully
+ */
+router.post('/:id/receipts',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.stockReceipt),
+  asyncHandler(async (req, res) => {
+    const item = await findItem(req, res);
+    if (!item) return;
+
+    const batch = await item.receive(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${req.body.quantity} ${item.unit} of ${item.name} received`,
+      data: {
+        batch,
+        totalQuantity: item.totalQuantity,
+        availableQuantity: item.availableQuantity
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/adjustments:
+ *   post:
+ *     summary: Adjust batch stock (stock count correction, damage, expired write-off)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - batchId
+ *               - quantity
+ *               - reason
+ *             properties:
+ *               batchId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *                 description: Signed quantity (negative removes stock)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stock adjusted successfully
+ *       400:
+ *         description: Adjustment would make the batch negative
+ */
+router.post('/:id/adjustments',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.stockAdjustment),
+  asyncHandler(async (req, res) => {
+    const item = await findItem(req, res);
+    if (!item) return;
+
+    const batch = item.batches.id(req.body.batchId);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found',
+        error: 'BATCH_NOT_FOUND'
+      });
+    }
+
+    const quantity = Number(req.body.quantity);
+    const result = await InventoryItem.updateOne(
+      {
+        _id: item._id,
+        batches: { $elemMatch: { _id: batch._id, quantity: { $gte: quantity < 0 ? -quantity : 0 } } }
+      },
+      { $inc: { 'batches.$.quantity': quantity }, $set: { updatedBy: req.user._id } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch ${batch.lotNumber} only has ${batch.quantity} ${item.unit} in stock`,
+        error: 'INSUFFICIENT_STOCK'
+      });
+    }
+
+    await StockMovement.create({
+      item: item._id,
+      itemName: item.name,
+      batchId: batch._id,
+      lotNumber: batch.lotNumber,
+      type: 'adjustment',
+      quantity,
+      notes: req.body.reason,
+      user: req.user._id
+    });
+
+    const updated = await InventoryItem.findById(item._id);
+
+    res.json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: { batch: updated.batches.id(batch._id) }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}:
+ *   delete:
+ *     summary: Deactivate an inventory item
+ *     description: The item and its movement history are kept; inactive items are no longer deducted by treatment records
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory item ID
+ *     responses:
+ *       200:
+ *         description: Inventory item deactivated successfully
+ *       404:
+ *         description: Inventory item not found
+ */
+router.delete('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const item = await findItem(req, res);
+    if (!item) return;
+
+    item.isActive = false;
+    item.updatedBy = req.user._id;
+    await item.save();
+
+    res.json({
+      success: true,
+      message: 'Inventory item deactivated successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -11,6 +12,15 @@ const { checkSectionAccessWithMessage } = require('../middleware/sectionAuth');
 const { handleExport, handleTemplate, handleImport, findOrCreateClient } = require('../utils/importExportHelpers');
 const queryLogger = require('../utils/queryLogger');
 const filterBuilder = require('../utils/filterBuilder');
+const {
+  OPEN_SAMPLE_STATUSES,
+  transitionSample,
+  getTurnaroundStats,
+  buildSlaBreachFilter,
+  describeSlaBreach
+} = require('../utils/sampleCustody');
+const { omitCertificateFields, buildVerificationUrl } = require('../utils/certificates');
+const { renderLabReportPdf } = require('../utils/labReport');
 
 const router = express.Router();
 // Configure multer for file uploads
@@ -93,6 +103,32 @@ const upload = multer({
  *           type: string
  *           enum: [Low, Normal, High, Urgent]
  *         description: Filter by priority
+ *       - in: query
+ *         name: sampleStatus
+ *         schema:
+ *           type: string
+ *         description: Filter by sample lifecycle stage (comma separated for multiple)
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Records within radiusKm of a point, as "lat,lng" (latitude first)
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Search radius for near (km)
+ *       - in: query
+ *         name: withinPolygon
+ *         schema:
+ *           type: string
+ *         description: Records inside a polygon, as "lat,lng;lat,lng;lat,lng"
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: Records inside a bounding box, as "minLat,minLng,maxLat,maxLng" (south-west then north-east corner, lat,lng like near)
  *     responses:
  *       200:
  *         description: Records retrieved successfully
@@ -215,6 +251,7 @@ router.get('/',
  * /api/laboratories/statistics:
  *   get:
  *     summary: Get laboratory statistics
+ *     description: Includes abnormalByTestType - low / high / critical result counts per test type from automatic reference range flagging
  *     tags: [Laboratory]
  *     security:
  *       - bearerAuth: []
@@ -303,6 +340,37 @@ router.get('/statistics',
         testStatus: 'In Progress'
       });
 
+      // النتائج المقيّمة آلياً غير الطبيعية لكل نوع فحص
+      const flagCount = flag => ({ $sum: { $cond: [{ $eq: ['$testResults.flag', flag] }, 1, 0] } });
+      const abnormalByTestType = await Laboratory.aggregate([
+        { $match: filter },
+        { $unwind: '$testResults' },
+        { $match: { 'testResults.flag': { $exists: true } } },
+        {
+          $group: {
+            _id: { $ifNull: ['$testType', 'Unspecified'] },
+            evaluatedResults: { $sum: 1 },
+            low: flagCount('low'),
+            high: flagCount('high'),
+            critical: flagCount('critical'),
+            samples: { $addToSet: { $cond: [{ $ne: ['$testResults.flag', 'normal'] }, '$_id', '$$REMOVE'] } }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            testType: '$_id',
+            evaluatedResults: 1,
+            abnormalResults: { $add: ['$low', '$high', '$critical'] },
+            low: 1,
+            high: 1,
+            critical: 1,
+            abnormalSamples: { $size: '$samples' }
+          }
+        },
+        { $sort: { abnormalResults: -1 } }
+      ]);
+
       const statistics = {
         totalSamples,
         samplesThisMonth,
@@ -312,7 +380,8 @@ router.get('/statistics',
         pendingTests,
         completedTests,
         inProgressTests,
-        totalTestSamples
+        totalTestSamples,
+        abnormalByTestType
       };
 
       res.json({
@@ -371,17 +440,137 @@ router.get('/pending',
 router.get('/overdue',
   auth,
   asyncHandler(async (req, res) => {
-    const overdueDate = new Date();
-    overdueDate.setDate(overdueDate.getDate() - 7); // 7 days overdue
+    const overdueTests = await Laboratory.findOverdueByAge(7); // 7 days overdue
+
+    res.json({
+      success: true,
+      data: overdueTests
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/laboratories/turnaround:
+ *   get:
+ *     summary: Get turnaround time metrics per test type
+ *     description: Hours from collection to result and from receipt at the lab to result for completed samples, with the share completed by the expected completion date
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Collection date from
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Collection date to
+ *       - in: query
+ *         name: testType
+ *         schema:
+ *           type: string
+ *         description: Filter by test type (comma separated for multiple)
+ *     responses:
+ *       200:
+ *         description: Turnaround metrics retrieved successfully
+ */
+router.get('/turnaround',
+  auth,
+  validateQuery(schemas.dateRangeQuery),
+  asyncHandler(async (req, res) => {
+    const filter = {};
+    const dateFilter = filterBuilder.buildDateFilter(req.query.startDate, req.query.endDate);
+    if (dateFilter) filter.date = dateFilter;
+    const testTypeFilter = filterBuilder.buildMultiValueFilter(req.query.testType);
+    if (testTypeFilter) filter.testType = testTypeFilter;
+
+    const turnaround = await getTurnaroundStats(filter);
 
-    const overdueTests = await Laboratory.find({
-      testStatus: { $in: ['Pending', 'In Progress'] },
-      date: { $lt: overdueDate }
+    res.json({
+      success: true,
+      data: { turnaround }
     });
+  })
+);
+
+/**
+ * @swagger
+ * /api/laboratories/sla-breaches:
+ *   get:
+ *     summary: Get samples stuck in a lifecycle stage beyond its SLA
+ *     description: Default limits are 24h collected, 48h in transit, 24h received and 72h testing; `hours` applies one limit to every stage
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Stages to check (collected, in_transit, received, testing - comma separated)
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: number
+ *         description: Override the SLA for every stage (hours)
+ *       - in: query
+ *         name: testType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Samples beyond SLA retrieved successfully
+ */
+router.get('/sla-breaches',
+  auth,
+  validateQuery(schemas.labSlaQuery),
+  asyncHandler(async (req, res) => {
+    const now = new Date();
+    const hours = req.query.hours ? Number(req.query.hours) : undefined;
+    const statuses = req.query.status ? req.query.status.split(',') : OPEN_SAMPLE_STATUSES;
+
+    const filter = buildSlaBreachFilter({ statuses, hours, now });
+    const testTypeFilter = filterBuilder.buildMultiValueFilter(req.query.testType);
+    if (testTypeFilter) filter.testType = testTypeFilter;
+
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+    const [records, total] = await Promise.all([
+      Laboratory.find(filter)
+        .select('serialNo sampleCode sampleType testType priority date collector clientName clientId client sampleStatus statusChangedAt expectedCompletionDate custodyEvents')
+        .populate('client', 'name nationalId phone village')
+        .sort({ statusChangedAt: 1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit),
+      Laboratory.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      data: overdueTests
+      data: {
+        samples: records.map(record => describeSlaBreach(record, { hours, now })),
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
     });
   })
 );
@@ -600,7 +789,8 @@ router.get('/:id',
     const record = await Laboratory.findById(req.params.id)
       .populate('client', 'name nationalId phone birthDate village detailedAddress')
       .populate('createdBy', 'name email role')
-      .populate('updatedBy', 'name email role');
+      .populate('updatedBy', 'name email role')
+      .populate('custodyEvents.handledBy', 'name role');
 
     if (!record) {
       return res.status(404).json({
@@ -617,6 +807,91 @@ router.get('/:id',
   })
 );
 
+/**
+ * @swagger
+ * /api/laboratories/{id}/report.pdf:
+ *   get:
+ *     summary: Download the laboratory result certificate (PDF)
+ *     description: Bilingual English / Arabic certificate with sample, owner, species counts, results with reference ranges and a QR code linking to the public verification endpoint. The certificate ID is assigned on the first download and stays the same afterwards.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Record ID
+ *     responses:
+ *       200:
+ *         description: PDF certificate
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Record not found
+ *       409:
+ *         description: Sample testing is not completed, or the certificate was revoked
+ */
+router.get('/:id/report.pdf',
+  auth,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid record ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    const record = await Laboratory.findById(req.params.id)
+      .populate({
+        path: 'client',
+        select: 'name nationalId phone village',
+        populate: { path: 'village', select: 'nameArabic nameEnglish' }
+      });
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Laboratory record not found',
+        error: 'RECORD_NOT_FOUND'
+      });
+    }
+
+    // العينات المتتبعة لا تصدر لها شهادة قبل اكتمال الفحص (السجلات القديمة بلا sampleStatus مسموحة)
+    if (record.sampleStatus && record.sampleStatus !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: `Certificate cannot be issued while the sample is ${record.sampleStatus}`,
+        error: 'TEST_NOT_COMPLETED'
+      });
+    }
+
+    if (record.certificateRevokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The certificate for this record has been revoked',
+        error: 'CERTIFICATE_REVOKED'
+      });
+    }
+
+    const certificateId = await record.issueCertificate();
+    const pdf = await renderLabReportPdf(record, {
+      certificateId,
+      verificationUrl: buildVerificationUrl(req, certificateId),
+      issuedBy: req.user.name
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="lab-certificate-${certificateId}.pdf"`);
+    res.send(pdf);
+  })
+);
+
 /**
  * @swagger
  * /api/laboratories:
@@ -651,8 +926,10 @@ router.post('/',
       });
     }
 
+    // سلسلة الحيازة تبدأ تلقائياً ولا تُرسل من العميل
+    const { sampleStatus, statusChangedAt, custodyEvents, ...data } = omitCertificateFields(req.body);
     const record = new Laboratory({
-      ...req.body,
+      ...data,
       createdBy: req.user._id
     });
 
@@ -725,8 +1002,9 @@ router.put('/:id',
       }
     }
 
-    // Update record
-    Object.assign(record, req.body);
+    // Update record - status changes go through /:id/status
+    const { testStatus, sampleStatus, statusChangedAt, custodyEvents, actualCompletionDate, ...updates } = omitCertificateFields(req.body);
+    Object.assign(record, updates);
     record.updatedBy = req.user._id;
     await record.save();
     await record;
@@ -771,10 +1049,13 @@ router.put('/:id',
  *                 type: number
  *               testStatus:
  *                 type: string
- *                 enum: [Pending, In Progress, Completed, Failed]
+ *                 enum: [In Progress, Completed, Failed]
+ *                 description: Moves the sample to testing / completed / failed, subject to the allowed transitions
  *     responses:
  *       200:
  *         description: Results updated successfully
+ *       400:
+ *         description: Status transition not allowed
  *       404:
  *         description: Record not found
  */
@@ -798,10 +1079,21 @@ router.put('/:id/results',
     if (testResults) record.testResults = testResults;
     if (positiveCases !== undefined) record.positiveCases = positiveCases;
     if (negativeCases !== undefined) record.negativeCases = negativeCases;
-    if (testStatus) record.testStatus = testStatus;
     
     record.updatedBy = req.user._id;
-    await record.save();
+    if (testStatus && testStatus !== record.testStatus) {
+      const sampleStatuses = { 'In Progress': 'testing', 'Completed': 'completed', 'Failed': 'failed' };
+      if (!sampleStatuses[testStatus]) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change test status back to ${testStatus}`,
+          error: 'INVALID_STATUS_TRANSITION'
+        });
+      }
+      await transitionSample(record, { status: sampleStatuses[testStatus], notes: req.body.notes }, req.user);
+    } else {
+      await record.save();
+    }
 
     res.json({
       success: true,
@@ -811,6 +1103,90 @@ router.put('/:id/results',
   })
 );
 
+/**
+ * @swagger
+ * /api/laboratories/{id}/status:
+ *   post:
+ *     summary: Move a sample to the next lifecycle stage
+ *     description: |
+ *       Appends a timestamped chain-of-custody event. Allowed transitions:
+ *       collected → in_transit / received / rejected; in_transit → received / rejected;
+ *       received → testing / rejected; testing → completed / failed; failed → testing.
+ *       testStatus follows the stage (testing = In Progress, completed = Completed, failed / rejected = Failed).
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in_transit, received, testing, completed, failed, rejected]
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When it happened (defaults to now)
+ *               handlerName:
+ *                 type: string
+ *                 description: Person who handled the sample (defaults to the current user)
+ *               location:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *                 description: Required for failed and rejected
+ *     responses:
+ *       200:
+ *         description: Sample status updated successfully
+ *       400:
+ *         description: Transition not allowed, event time before the previous event, or no results recorded
+ *       404:
+ *         description: Record not found
+ */
+router.post('/:id/status',
+  auth,
+  authorize('super_admin', 'section_supervisor', 'field_worker'),
+  validate(schemas.sampleStatusUpdate),
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid record ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    const record = await Laboratory.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Laboratory record not found',
+        error: 'RECORD_NOT_FOUND'
+      });
+    }
+
+    await transitionSample(record, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: `Sample status updated to ${record.sampleStatus}`,
+      data: { record }
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/laboratories/bulk-delete:
@@ -888,7 +1264,7 @@ router.delete('/bulk-delete',
       
       console.log(`🔍 Found ${clientIds.length} client references to check for cleanup`);
       
-      const result = await Laboratory.deleteMany({ _id: { $in: existingIds } });
+      const result = await Laboratory.softDelete({ _id: { $in: existingIds } }, req.user._id);
       
       // Smart client cleanup - check if clients are still referenced elsewhere
       let clientsDeleted = 0;
@@ -909,7 +1285,7 @@ router.delete('/bulk-delete',
             
             if (totalReferences === 0) {
               // Client is not referenced anywhere, safe to delete
-              await Client.findByIdAndDelete(clientId);
+              await Client.softDelete({ _id: clientId }, req.user._id);
               clientsDeleted++;
               console.log(`🗑️ Deleted orphaned client: ${clientId}`);
             } else {
@@ -1003,7 +1379,7 @@ router.delete('/:id',
       const clientId = record.client;
       
       // Delete the laboratory record
-      await Laboratory.findByIdAndDelete(id);
+      await Laboratory.softDelete({ _id: id }, req.user._id);
       
       // Smart client cleanup if client reference exists
       let clientDeleted = false;
@@ -1023,7 +1399,7 @@ router.delete('/:id',
           
           if (totalReferences === 0) {
             // Client is not referenced anywhere, safe to delete
-            await Client.findByIdAndDelete(clientId);
+            await Client.softDelete({ _id: clientId }, req.user._id);
             clientDeleted = true;
             console.log(`🗑️ Deleted orphaned client: ${clientId}`);
           } else {
@@ -1115,7 +1491,7 @@ router.delete('/delete-all',
       console.log(`🔍 Found ${uniqueClientIds.length} unique client IDs (string) and ${uniqueClientObjectIds.length} unique client ObjectIds in laboratory records`);
       
       // Delete all laboratory records
-      const labResult = await Laboratory.deleteMany({});
+      const labResult = await Laboratory.softDelete({}, req.user._id);
       console.log(`🗑️ Deleted ${labResult.deletedCount} laboratory records`);
       
       // Delete associated clients (only those that were created from laboratory imports)
@@ -1123,18 +1499,18 @@ router.delete('/delete-all',
       
       // Delete clients by nationalId (from clientId field)
       if (uniqueClientIds.length > 0) {
-        const clientResult1 = await Client.deleteMany({ 
+        const clientResult1 = await Client.softDelete({ 
           nationalId: { $in: uniqueClientIds }
-        });
+        }, req.user._id);
         clientsDeleted += clientResult1.deletedCount;
         console.log(`🗑️ Deleted ${clientResult1.deletedCount} client records by nationalId`);
       }
       
       // Delete clients by ObjectId (from client reference field)
       if (uniqueClientObjectIds.length > 0) {
-        const clientResult2 = await Client.deleteMany({ 
+        const clientResult2 = await Client.softDelete({ 
           _id: { $in: uniqueClientObjectIds }
-        });
+        }, req.user._id);
         clientsDeleted += clientResult2.deletedCount;
         console.log(`🗑️ Deleted ${clientResult2.deletedCount} client records by ObjectId`);
       }
@@ -1206,7 +1582,7 @@ router.delete('/:id',
       });
     }
 
-    await Laboratory.findByIdAndDelete(req.params.id);
+    await Laboratory.softDelete({ _id: req.params.id }, req.user._id);
 
     res.json({
       success: true,
@@ -173,6 +173,27 @@ const ensureInterventionCategoryShape = (record) => {
  *         schema:
  *           type: boolean
  *         description: Filter by follow-up requirement
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Records within radiusKm of a point, as "lat,lng" (latitude first)
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Search radius for near (km)
+ *       - in: query
+ *         name: withinPolygon
+ *         schema:
+ *           type: string
+ *         description: Records inside a polygon, as "lat,lng;lat,lng;lat,lng"
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: Records inside a bounding box, as "minLat,minLng,maxLat,maxLng" (south-west then north-east corner, lat,lng like near)
  *     responses:
  *       200:
  *         description: Records retrieved successfully
@@ -1079,7 +1100,7 @@ router.delete('/bulk-delete',
       }
 
       // Delete the records
-      const result = await MobileClinic.deleteMany({ _id: { $in: ids } });
+      const result = await MobileClinic.softDelete({ _id: { $in: ids } }, req.user._id);
 
       res.json({
         success: true,
@@ -1133,15 +1154,15 @@ router.delete('/delete-all',
       }
 
       // Delete all mobile clinic records
-      const mobileResult = await MobileClinic.deleteMany({});
+      const mobileResult = await MobileClinic.softDelete({}, req.user._id);
       console.log(`🗑️ Deleted ${mobileResult.deletedCount} mobile clinic records`);
       
       // Delete associated clients (only those that were created from mobile clinic imports)
       let clientsDeleted = 0;
       if (uniqueClientIds.length > 0) {
-        const clientResult = await Client.deleteMany({ 
+        const clientResult = await Client.softDelete({ 
           _id: { $in: uniqueClientIds.filter(id => id) } // Filter out null/undefined IDs
-        });
+        }, req.user._id);
         clientsDeleted = clientResult.deletedCount;
         console.log(`🗑️ Deleted ${clientsDeleted} associated client records`);
       }
@@ -1557,7 +1578,7 @@ router.delete('/:id',
         });
       }
 
-      await MobileClinic.findByIdAndDelete(req.params.id);
+      await MobileClinic.softDelete({ _id: req.params.id }, req.user._id);
 
       res.json({
         success: true,
@@ -0,0 +1,209 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Movement = require('../models/Movement');
+const { validate, schemas } = require('../middleware/validation');
+const { auth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+const { recordMovement } = require('../utils/animalMovement');
+
+const router = express.Router();
+
+const populateMovement = query => query
+  .populate('fromClient', 'name nationalId phone')
+  .populate('toClient', 'name nationalId phone')
+  .populate('fromHoldingCode', 'code village')
+  .populate('toHoldingCode', 'code village')
+  .populate('fromVillage', 'nameArabic nameEnglish')
+  .populate('toVillage', 'nameArabic nameEnglish')
+  .populate('animals', 'tagId animalType breed');
+
+/**
+ * @swagger
+ * /api/movements:
+ *   get:
+ *     summary: Get animal movements (ownership transfers and holding changes)
+ *     description: Village, holding code and client filters match either the source or the destination, for disease tracing
+ *     tags: [Movements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: village
+ *         schema:
+ *           type: string
+ *         description: Village ID (source or destination)
+ *       - in: query
+ *         name: holdingCode
+ *         schema:
+ *           type: string
+ *         description: Holding code ID (source or destination)
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Client ID (seller or buyer)
+ *       - in: query
+ *         name: animal
+ *         schema:
+ *           type: string
+ *         description: Tagged animal ID
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *         description: Filter by reason (comma separated for multiple)
+ *       - in: query
+ *         name: permitNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Movements retrieved successfully
+ */
+router.get('/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const invalidRef = ['village', 'holdingCode', 'client', 'animal'].find(key => req.query[key] && !mongoose.Types.ObjectId.isValid(req.query[key]));
+    if (invalidRef) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidRef}`,
+        error: 'INVALID_ID'
+      });
+    }
+
+    const filter = filterBuilder.buildMovementFilter(req.query);
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [movements, total] = await Promise.all([
+      populateMovement(Movement.find(filter))
+        .sort({ date: -1, createdAt: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit),
+      Movement.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/movements/{id}:
+ *   get:
+ *     summary: Get a movement by ID
+ *     tags: [Movements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movement ID
+ *     responses:
+ *       200:
+ *         description: Movement retrieved successfully
+ *       404:
+ *         description: Movement not found
+ */
+router.get('/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid movement ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    const movement = await populateMovement(Movement.findById(req.params.id))
+      .populate('createdBy', 'name email');
+
+    if (!movement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movement not found',
+        error: 'MOVEMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { movement }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/movements:
+ *   post:
+ *     summary: Record an animal movement
+ *     description: Moves counted animals between the clients' animal rows and re-assigns tagged animals to the new owner / holding code. Without toClient the animals stay with the same owner and only change holding code; slaughter needs no destination.
+ *     tags: [Movements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Movement'
+ *     responses:
+ *       201:
+ *         description: Movement recorded successfully
+ *       400:
+ *         description: Not enough animals, animal or source holding code not owned by the source client, or no destination
+ *       404:
+ *         description: Client, holding code or animal not found
+ */
+router.post('/',
+  auth,
+  validate(schemas.movementCreate),
+  asyncHandler(async (req, res) => {
+    const movement = await recordMovement(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Movement recorded successfully',
+      data: { movement: await populateMovement(Movement.findById(movement._id)) }
+    });
+  })
+);
+
+module.exports = router;
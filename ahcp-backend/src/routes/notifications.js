@@ -0,0 +1,248 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { validate, schemas } = require('../middleware/validation');
+const { auth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+const { getPreferences, NOTIFICATION_TYPES } = require('../utils/notificationService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the current user's in-app notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [lab_overdue, follow_up_due, import_completed, outbreak_detected, lab_critical_result]
+ *         description: Filter by type (comma separated for multiple)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully (includes unreadCount)
+ */
+router.get('/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const filter = { user: req.user._id, inApp: true };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const typeFilter = filterBuilder.buildMultiValueFilter(req.query.type);
+    if (typeFilter) filter.type = typeFilter;
+
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .select('-dedupeKey -emailError')
+        .sort({ createdAt: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, inApp: true, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the current user's notification preferences (in-app / email per type)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences retrieved successfully
+ */
+router.get('/preferences',
+  auth,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: { preferences: getPreferences(user) }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   put:
+ *     summary: Update notification preferences
+ *     description: Only the types sent are changed, e.g. lab_overdue with inApp true and email false
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties:
+ *               type: object
+ *               properties:
+ *                 inApp:
+ *                   type: boolean
+ *                 email:
+ *                   type: boolean
+ *     responses:
+ *       200:
+ *         description: Preferences updated successfully
+ */
+router.put('/preferences',
+  auth,
+  validate(schemas.notificationPreferencesUpdate),
+  asyncHandler(async (req, res) => {
+    const update = {};
+    Object.keys(NOTIFICATION_TYPES).forEach((type) => {
+      const channels = req.body[type];
+      if (!channels) return;
+      ['inApp', 'email'].forEach((channel) => {
+        if (typeof channels[channel] === 'boolean') {
+          update[`notificationPreferences.${type}.${channel}`] = channels[channel];
+        }
+      });
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: { preferences: getPreferences(user) }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all of the current user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.put('/read-all',
+  auth,
+  asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notifications marked as read`,
+      data: { modifiedCount: result.modifiedCount }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.put('/:id/read',
+  auth,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    // المستخدم لا يصل إلا إلى إشعاراته
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id })
+      .select('-dedupeKey -emailError');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+        error: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Outbreak = require('../models/Outbreak');
+const { validate, schemas } = require('../middleware/validation');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+const { detectOutbreaks } = require('../utils/outbreakDetection');
+
+const router = express.Router();
+
+const SAMPLE_FIELDS = 'serialNo sampleCode date farmLocation coordinates positiveCases negativeCases sampleType testResults collector client';
+
+const populateSamples = (query) => query
+  .populate({
+    path: 'samples',
+    select: SAMPLE_FIELDS,
+    populate: { path: 'client', select: 'name nationalId phone' }
+  })
+  .populate('village', 'nameArabic nameEnglish sector')
+  .populate('updatedBy', 'name email');
+
+/**
+ * @swagger
+ * /api/outbreaks:
+ *   get:
+ *     summary: Get detected disease outbreaks with their contributing lab samples
+ *     tags: [Outbreaks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, resolved, dismissed]
+ *         description: Filter by status (comma separated for multiple)
+ *       - in: query
+ *         name: testType
+ *         schema:
+ *           type: string
+ *         description: Filter by test type (comma separated for multiple)
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [village, radius]
+ *       - in: query
+ *         name: village
+ *         schema:
+ *           type: string
+ *         description: Village ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Outbreaks with positive samples on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Outbreaks with positive samples on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Outbreaks retrieved successfully
+ */
+router.get('/',
+  auth,
+  asyncHandler(async (req, res) => {
+    if (req.query.village && !mongoose.Types.ObjectId.isValid(req.query.village)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid village',
+        error: 'INVALID_ID'
+      });
+    }
+
+    const filter = filterBuilder.buildOutbreakFilter(req.query);
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [outbreaks, total] = await Promise.all([
+      populateSamples(
+        Outbreak.find(filter)
+          .sort({ status: 1, lastSampleDate: -1 })
+          .skip(paginationParams.skip)
+          .limit(paginationParams.limit)
+      ),
+      Outbreak.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        outbreaks,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/outbreaks/detect:
+ *   post:
+ *     summary: Run outbreak detection now over recent positive lab results
+ *     description: Thresholds come from test_types metadata (outbreakMinPositives, outbreakWindowDays, outbreakRadiusKm), falling back to OUTBREAK_* environment defaults. Windows longer than 90 days are capped at 90.
+ *     tags: [Outbreaks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Detection completed
+ */
+router.post('/detect',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const summary = await detectOutbreaks();
+
+    res.json({
+      success: true,
+      message: `Outbreak detection completed: ${summary.created.length} new, ${summary.updated.length} updated, ${summary.resolved.length} resolved`,
+      data: summary
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/outbreaks/{id}:
+ *   get:
+ *     summary: Get an outbreak with its contributing lab samples
+ *     tags: [Outbreaks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Outbreak ID
+ *     responses:
+ *       200:
+ *         description: Outbreak retrieved successfully
+ *       404:
+ *         description: Outbreak not found
+ */
+router.get('/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid outbreak ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    const outbreak = await populateSamples(Outbreak.findById(req.params.id));
+    if (!outbreak) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outbreak not found',
+        error: 'OUTBREAK_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { outbreak }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/outbreaks/{id}/status:
+ *   put:
+ *     summary: Resolve, dismiss (false alarm) or reopen an outbreak
+ *     tags: [Outbreaks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Outbreak ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, resolved, dismissed]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Outbreak status updated successfully
+ *       404:
+ *         description: Outbreak not found
+ */
+router.put('/:id/status',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.outbreakStatusUpdate),
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid outbreak ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    const outbreak = await Outbreak.findById(req.params.id);
+    if (!outbreak) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outbreak not found',
+        error: 'OUTBREAK_NOT_FOUND'
+      });
+    }
+
+    outbreak.status = req.body.status;
+    outbreak.resolvedAt = req.body.status === 'active' ? undefined : new Date();
+    if (req.body.notes !== undefined) outbreak.notes = req.body.notes;
+    outbreak.updatedBy = req.user._id;
+    await outbreak.save();
+
+    res.json({
+      success: true,
+      message: 'Outbreak status updated successfully',
+      data: { outbreak }
+    });
+  })
+);
+
+module.exports = router;
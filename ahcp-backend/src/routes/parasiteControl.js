@@ -132,6 +132,27 @@ const upload = multer({
  *         schema:
  *           type: string
  *         description: Search by serial number, supervisor, vehicle number, client name, client national ID, or client phone
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Records within radiusKm of a point, as "lat,lng" (latitude first)
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Search radius for near (km)
+ *       - in: query
+ *         name: withinPolygon
+ *         schema:
+ *           type: string
+ *         description: Records inside a polygon, as "lat,lng;lat,lng;lat,lng"
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: Records inside a bounding box, as "minLat,minLng,maxLat,maxLng" (south-west then north-east corner, lat,lng like near)
  *     responses:
  *       200:
  *         description: Records retrieved successfully
@@ -1204,7 +1225,7 @@ router.delete('/bulk-delete',
         });
       }
 
-      const result = await ParasiteControl.deleteMany({ _id: { $in: existingIds } });
+      const result = await ParasiteControl.softDelete({ _id: { $in: existingIds } }, req.user._id);
       
       // Prepare response with details about what was deleted and what wasn't found
       const response = {
@@ -1256,15 +1277,15 @@ router.delete('/delete-all',
     console.log(`🔍 Found ${uniqueClientIds.length} unique client IDs in parasite control records`);
     
     // Delete all parasite control records
-    const parasiteResult = await ParasiteControl.deleteMany({});
+    const parasiteResult = await ParasiteControl.softDelete({}, req.user._id);
     console.log(`🗑️ Deleted ${parasiteResult.deletedCount} parasite control records`);
     
     // Delete associated clients (only those that were created from parasite control imports)
     let clientsDeleted = 0;
     if (uniqueClientIds.length > 0) {
-      const clientResult = await Client.deleteMany({ 
+      const clientResult = await Client.softDelete({ 
         _id: { $in: uniqueClientIds.filter(id => id) } // Filter out null/undefined IDs
-      });
+      }, req.user._id);
       clientsDeleted = clientResult.deletedCount;
       console.log(`🗑️ Deleted ${clientsDeleted} associated client records`);
     }
@@ -1317,7 +1338,7 @@ router.delete('/:id',
       });
     }
 
-    await ParasiteControl.findByIdAndDelete(req.params.id);
+    await ParasiteControl.softDelete({ _id: req.params.id }, req.user._id);
 
     res.json({
       success: true,
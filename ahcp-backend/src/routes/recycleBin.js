@@ -0,0 +1,346 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Vaccination = require('../models/Vaccination');
+const ParasiteControl = require('../models/ParasiteControl');
+const MobileClinic = require('../models/MobileClinic');
+const EquineHealth = require('../models/EquineHealth');
+const Laboratory = require('../models/Laboratory');
+const Animal = require('../models/Animal');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+const { getRetentionDays } = require('../utils/softDelete');
+
+const router = express.Router();
+
+// الوحدات التي تدعم سلة المحذوفات (نفس أسماء المسارات في /api)
+const RECYCLE_BIN_MODULES = {
+  clients: Client,
+  vaccination: Vaccination,
+  'parasite-control': ParasiteControl,
+  'mobile-clinics': MobileClinic,
+  'equine-health': EquineHealth,
+  laboratories: Laboratory,
+  animals: Animal
+};
+
+const resolveModule = (req, res) => {
+  const Model = RECYCLE_BIN_MODULES[req.params.module];
+  if (!Model) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid module. Must be one of: ${Object.keys(RECYCLE_BIN_MODULES).join(', ')}`,
+      error: 'INVALID_MODULE'
+    });
+    return null;
+  }
+  return Model;
+};
+
+const parseIds = (req, res) => {
+  const { ids } = req.body;
+  if (!ids || !Array.isArray(ids) || ids.length === 0) {
+    res.status(400).json({
+      success: false,
+      message: 'IDs array is required and must not be empty',
+      error: 'INVALID_REQUEST'
+    });
+    return null;
+  }
+
+  const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidIds.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid ObjectId format',
+      error: 'INVALID_OBJECT_ID',
+      invalidIds
+    });
+    return null;
+  }
+
+  return ids;
+};
+
+/**
+ * @swagger
+ * /api/recycle-bin:
+ *   get:
+ *     summary: Get recycle bin summary (deleted record counts per module)
+ *     tags: [Recycle Bin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Summary retrieved successfully
+ */
+router.get('/',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const retentionDays = getRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const modules = {};
+    await Promise.all(Object.entries(RECYCLE_BIN_MODULES).map(async ([name, Model]) => {
+      const [total, purgeable] = await Promise.all([
+        Model.countDocuments({ deletedAt: { $ne: null } }),
+        Model.countDocuments({ deletedAt: { $ne: null, $lte: cutoff } })
+      ]);
+      modules[name] = { total, purgeable };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays,
+        modules
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/recycle-bin/purge:
+ *   delete:
+ *     summary: Permanently delete records older than the retention window
+ *     tags: [Recycle Bin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: module
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, equine-health, laboratories, animals]
+ *         description: Limit purge to one module (default all modules)
+ *       - in: query
+ *         name: olderThanDays
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Override retention window (default SOFT_DELETE_RETENTION_DAYS)
+ *     responses:
+ *       200:
+ *         description: Records purged successfully
+ */
+router.delete('/purge',
+  auth,
+  authorize('super_admin'),
+  asyncHandler(async (req, res) => {
+    const { module } = req.query;
+    if (module && !RECYCLE_BIN_MODULES[module]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid module. Must be one of: ${Object.keys(RECYCLE_BIN_MODULES).join(', ')}`,
+        error: 'INVALID_MODULE'
+      });
+    }
+
+    const olderThanDays = parseInt(req.query.olderThanDays);
+    const retentionDays = isNaN(olderThanDays) || olderThanDays < 0 ? getRetentionDays() : olderThanDays;
+    const targets = module ? [module] : Object.keys(RECYCLE_BIN_MODULES);
+
+    const details = {};
+    let purgedCount = 0;
+    for (const name of targets) {
+      const result = await RECYCLE_BIN_MODULES[name].purgeDeleted({}, retentionDays);
+      details[name] = result.purgedCount;
+      purgedCount += result.purgedCount;
+    }
+
+    console.log(`🗑️ Purged ${purgedCount} records older than ${retentionDays} days from recycle bin`);
+
+    res.json({
+      success: true,
+      message: `${purgedCount} records permanently deleted`,
+      data: {
+        purgedCount,
+        retentionDays,
+        details
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/recycle-bin/{module}:
+ *   get:
+ *     summary: List deleted records of a module
+ *     tags: [Recycle Bin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: module
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, equine-health, laboratories, animals]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deleted records retrieved successfully
+ *       400:
+ *         description: Invalid module
+ */
+router.get('/:module',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const Model = resolveModule(req, res);
+    if (!Model) return;
+
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+    const filter = { deletedAt: { $ne: null } };
+
+    const [records, total] = await Promise.all([
+      Model.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit)
+        .populate('deletedBy', 'name email role')
+        .lean(),
+      Model.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        records,
+        retentionDays: getRetentionDays(),
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/recycle-bin/{module}/restore:
+ *   post:
+ *     summary: Restore deleted records of a module
+ *     tags: [Recycle Bin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: module
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, equine-health, laboratories, animals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Array of record IDs to restore
+ *     responses:
+ *       200:
+ *         description: Records restored (conflicts listed if a unique value was reused)
+ *       400:
+ *         description: Invalid request
+ */
+router.post('/:module/restore',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const Model = resolveModule(req, res);
+    if (!Model) return;
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const result = await Model.restoreDeleted({ _id: { $in: ids } });
+
+    const response = {
+      success: true,
+      message: `${result.restoredCount} records restored successfully`,
+      restoredCount: result.restoredCount,
+      requestedCount: ids.length
+    };
+
+    if (result.conflicts.length > 0) {
+      response.warning = `${result.conflicts.length} records could not be restored because their unique value is already in use`;
+      response.conflicts = result.conflicts;
+    }
+
+    res.json(response);
+  })
+);
+
+/**
+ * @swagger
+ * /api/recycle-bin/{module}/purge:
+ *   delete:
+ *     summary: Permanently delete specific records from the recycle bin
+ *     tags: [Recycle Bin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: module
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [clients, vaccination, parasite-control, mobile-clinics, equine-health, laboratories, animals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Records purged successfully
+ */
+router.delete('/:module/purge',
+  auth,
+  authorize('super_admin'),
+  asyncHandler(async (req, res) => {
+    const Model = resolveModule(req, res);
+    if (!Model) return;
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    // حذف نهائي فوري للسجلات المحددة فقط (بدون انتظار مدة الاحتفاظ)
+    const result = await Model.purgeDeleted({ _id: { $in: ids } }, 0);
+
+    res.json({
+      success: true,
+      message: `${result.purgedCount} records permanently deleted`,
+      purgedCount: result.purgedCount,
+      requestedCount: ids.length
+    });
+  })
+);
+
+module.exports = router;
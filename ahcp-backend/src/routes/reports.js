@@ -5,6 +5,10 @@ const MobileClinic = require('../models/MobileClinic');
 const EquineHealth = require('../models/EquineHealth');
 const Laboratory = require('../models/Laboratory');
 const Client = require('../models/Client');
+const Village = require('../models/Village');
+const User = require('../models/User');
+const VehicleTrip = require('../models/VehicleTrip');
+const filterBuilder = require('../utils/filterBuilder');
 const { auth, authorize } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -237,6 +241,134 @@ async function getLaboratoryDetailedStats(filters = {}) {
   };
 }
 
+// مصادر تقرير نشاط المركبات: عدد الحيوانات المعالجة لكل خدمة
+const VEHICLE_ACTIVITY_SOURCES = {
+  vaccination: {
+    Model: Vaccination,
+    animals: { $add: ['sheep', 'goats', 'camel', 'cattle', 'horse'].map(s => ({ $ifNull: [`$herdCounts.${s}.vaccinated`, 0] })) },
+    vehicle: '$vehicleNo',
+    supervisor: '$supervisor'
+  },
+  parasiteControl: {
+    Model: ParasiteControl,
+    animals: { $add: ['sheep', 'goats', 'camel', 'cattle', 'horse'].map(s => ({ $ifNull: [`$herdCounts.${s}.treated`, 0] })) },
+    vehicle: '$vehicleNo',
+    supervisor: '$supervisor'
+  },
+  mobileClinic: {
+    Model: MobileClinic,
+    animals: { $add: ['sheep', 'goats', 'camel', 'cattle', 'horse'].map(s => ({ $ifNull: [`$animalCounts.${s}`, 0] })) },
+    vehicle: '$vehicleNo',
+    supervisor: '$supervisor',
+    location: '$clientVillage'
+  },
+  equineHealth: {
+    Model: EquineHealth,
+    animals: { $ifNull: ['$horseCount', 0] },
+    vehicle: '$vehicleNo',
+    supervisor: '$supervisor'
+  },
+  // المختبر لا يحفظ رقم المركبة، تُحدد من مركبة المستخدم الذي جمع العينات
+  laboratory: {
+    Model: Laboratory,
+    animals: { $add: ['sheep', 'goats', 'camel', 'cattle', 'horse'].map(s => ({ $ifNull: [`$speciesCounts.${s}`, 0] })) },
+    vehicle: null,
+    supervisor: '$collector',
+    location: '$farmLocation'
+  }
+};
+
+// Helper function to aggregate one service per vehicle (or collector) per day
+async function getServiceVehicleActivity(source, match) {
+  return await source.Model.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'clients',
+        let: { clientId: '$client' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$clientId'] } } },
+          { $project: { village: 1 } }
+        ],
+        as: 'clientData'
+      }
+    },
+    {
+      $group: {
+        _id: {
+          vehicle: source.vehicle ? { $ifNull: [source.vehicle, ''] } : '',
+          supervisor: { $ifNull: [source.supervisor, ''] },
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+        },
+        records: { $sum: 1 },
+        clients: { $addToSet: { $ifNull: ['$client', '$_id'] } },
+        villageIds: { $addToSet: { $arrayElemAt: ['$clientData.village', 0] } },
+        locations: { $addToSet: source.location || null },
+        animalsTreated: { $sum: source.animals }
+      }
+    }
+  ]);
+}
+
+// Helper function to build the per-vehicle daily activity report
+async function getVehicleDailyActivity({ dateFilter, vehicleNos, supervisor, services }) {
+  const users = await User.find({ vehicleNo: { $nin: [null, ''] } }).select('name supervisorCode vehicleNo').lean();
+  const vehicleByPerson = new Map();
+  users.forEach((user) => {
+    vehicleByPerson.set(user.name.trim().toLowerCase(), user.vehicleNo);
+    if (user.supervisorCode) vehicleByPerson.set(user.supervisorCode.trim().toLowerCase(), user.vehicleNo);
+  });
+
+  const supervisorRegex = supervisor ? new RegExp(supervisor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') : null;
+
+  const results = await Promise.all(services.map(async (service) => {
+    const source = VEHICLE_ACTIVITY_SOURCES[service];
+    const match = { date: dateFilter };
+    if (supervisorRegex) match[source.supervisor.slice(1)] = supervisorRegex;
+    if (vehicleNos && source.vehicle) match.vehicleNo = { $in: vehicleNos };
+
+    const rows = await getServiceVehicleActivity(source, match);
+    return rows.map(row => ({ ...row, service }));
+  }));
+
+  const days = new Map();
+  results.flat().forEach((row) => {
+    const person = row._id.supervisor.trim().toLowerCase();
+    const vehicleNo = row._id.vehicle || vehicleByPerson.get(person) || 'Unassigned';
+    if (vehicleNos && !vehicleNos.includes(vehicleNo)) return;
+
+    const key = `${vehicleNo}|${row._id.day}`;
+    if (!days.has(key)) {
+      days.set(key, {
+        vehicleNo,
+        date: row._id.day,
+        records: 0,
+        animalsTreated: 0,
+        supervisors: new Set(),
+        clients: new Set(),
+        villageIds: new Set(),
+        locations: new Set(),
+        services: {}
+      });
+    }
+
+    const day = days.get(key);
+    day.records += row.records;
+    day.animalsTreated += row.animalsTreated;
+    if (row._id.supervisor) day.supervisors.add(row._id.supervisor);
+    row.clients.forEach(id => day.clients.add(id.toString()));
+    row.villageIds.filter(Boolean).forEach(id => day.villageIds.add(id.toString()));
+    row.locations.filter(Boolean).forEach(location => day.locations.add(location));
+
+    const serviceTotals = day.services[row.service] || { records: 0, animalsTreated: 0 };
+    serviceTotals.records += row.records;
+    serviceTotals.animalsTreated += row.animalsTreated;
+    day.services[row.service] = serviceTotals;
+  });
+
+  return days;
+}
+
 /**
  * @swagger
  * /api/reports/dashboard:
@@ -434,6 +566,194 @@ router.get('/monthly',
   })
 );
 
+/**
+ * @swagger
+ * /api/reports/vehicles:
+ *   get:
+ *     summary: Get daily activity per vehicle across all services, with trip log mileage
+ *     description: Laboratory records have no vehicle number; they are attributed to the vehicle of the user matching the sample collector (name or supervisor code)
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (default 7 days ago)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date (default today)
+ *       - in: query
+ *         name: vehicleNo
+ *         schema:
+ *           type: string
+ *         description: Filter by vehicle number (comma separated for multiple)
+ *       - in: query
+ *         name: supervisor
+ *         schema:
+ *           type: string
+ *         description: Filter by supervisor (or sample collector)
+ *       - in: query
+ *         name: services
+ *         schema:
+ *           type: string
+ *         description: Comma separated services (vaccination, parasiteControl, mobileClinic, equineHealth, laboratory)
+ *     responses:
+ *       200:
+ *         description: Vehicle report retrieved successfully
+ *       400:
+ *         description: Invalid date range or service
+ */
+router.get('/vehicles',
+  auth,
+  asyncHandler(async (req, res) => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const endDate = req.query.endDate || new Date().toISOString().split('T')[0];
+    const startDate = req.query.startDate || new Date(new Date(endDate).getTime() - 6 * DAY_MS).toISOString().split('T')[0];
+
+    const dateFilter = filterBuilder.buildDateFilter(startDate, endDate);
+    if (!dateFilter || !dateFilter.$gte || !dateFilter.$lte || dateFilter.$gte > dateFilter.$lte) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range',
+        error: 'INVALID_DATE_RANGE'
+      });
+    }
+    if (dateFilter.$lte - dateFilter.$gte > 366 * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range cannot exceed one year',
+        error: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    const services = req.query.services
+      ? req.query.services.toString().split(',').map(s => s.trim()).filter(Boolean)
+      : Object.keys(VEHICLE_ACTIVITY_SOURCES);
+    const invalidService = services.find(service => !VEHICLE_ACTIVITY_SOURCES[service]);
+    if (invalidService) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid service "${invalidService}". Must be one of: ${Object.keys(VEHICLE_ACTIVITY_SOURCES).join(', ')}`,
+        error: 'INVALID_SERVICE'
+      });
+    }
+
+    const vehicleNos = req.query.vehicleNo
+      ? req.query.vehicleNo.toString().split(',').map(v => v.trim()).filter(Boolean)
+      : null;
+
+    const days = await getVehicleDailyActivity({
+      dateFilter,
+      vehicleNos,
+      supervisor: req.query.supervisor,
+      services
+    });
+
+    const tripFilter = { date: dateFilter };
+    if (vehicleNos) tripFilter.vehicleNo = { $in: vehicleNos };
+    const trips = await VehicleTrip.find(tripFilter).populate('driver', 'name').lean();
+
+    // أيام فيها سجل رحلة بدون سجلات خدمة تظهر أيضاً لمطابقة الوقود
+    trips.forEach((trip) => {
+      const date = trip.date.toISOString().split('T')[0];
+      const key = `${trip.vehicleNo}|${date}`;
+      if (!days.has(key)) {
+        days.set(key, {
+          vehicleNo: trip.vehicleNo,
+          date,
+          records: 0,
+          animalsTreated: 0,
+          supervisors: new Set(),
+          clients: new Set(),
+          villageIds: new Set(),
+          locations: new Set(),
+          services: {}
+        });
+      }
+      days.get(key).trip = {
+        _id: trip._id,
+        driver: trip.driver,
+        odometerStart: trip.odometerStart,
+        odometerEnd: trip.odometerEnd,
+        distanceKm: trip.odometerEnd !== undefined && trip.odometerEnd !== null ? trip.odometerEnd - trip.odometerStart : null,
+        fuelLiters: trip.fuelLiters
+      };
+      if (trip.supervisor) days.get(key).supervisors.add(trip.supervisor);
+    });
+
+    const villageIds = new Set();
+    days.forEach(day => day.villageIds.forEach(id => villageIds.add(id)));
+    const villages = await Village.find({ _id: { $in: Array.from(villageIds) } })
+      .select('nameArabic nameEnglish sector')
+      .lean();
+    const villageById = new Map(villages.map(village => [village._id.toString(), village]));
+
+    const vehicles = new Map();
+    Array.from(days.values())
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .forEach((day) => {
+        if (!vehicles.has(day.vehicleNo)) {
+          vehicles.set(day.vehicleNo, {
+            vehicleNo: day.vehicleNo,
+            supervisors: new Set(),
+            totals: { days: 0, records: 0, visits: 0, animalsTreated: 0, distanceKm: 0, fuelLiters: 0 },
+            days: []
+          });
+        }
+
+        const vehicle = vehicles.get(day.vehicleNo);
+        const dayVillages = Array.from(day.villageIds).map(id => villageById.get(id)).filter(Boolean);
+        day.supervisors.forEach(name => vehicle.supervisors.add(name));
+
+        vehicle.days.push({
+          date: day.date,
+          records: day.records,
+          visits: day.clients.size,
+          animalsTreated: day.animalsTreated,
+          villages: dayVillages,
+          otherLocations: Array.from(day.locations),
+          supervisors: Array.from(day.supervisors),
+          services: day.services,
+          trip: day.trip || null
+        });
+
+        vehicle.totals.days++;
+        vehicle.totals.records += day.records;
+        vehicle.totals.visits += day.clients.size;
+        vehicle.totals.animalsTreated += day.animalsTreated;
+        if (day.trip) {
+          vehicle.totals.distanceKm += day.trip.distanceKm || 0;
+          vehicle.totals.fuelLiters += day.trip.fuelLiters || 0;
+        }
+      });
+
+    const vehicleList = Array.from(vehicles.values())
+      .map(vehicle => ({ ...vehicle, supervisors: Array.from(vehicle.supervisors) }))
+      .sort((a, b) => b.totals.records - a.totals.records);
+
+    res.json({
+      success: true,
+      data: {
+        period: { startDate, endDate },
+        services,
+        summary: {
+          vehicles: vehicleList.length,
+          records: vehicleList.reduce((sum, vehicle) => sum + vehicle.totals.records, 0),
+          animalsTreated: vehicleList.reduce((sum, vehicle) => sum + vehicle.totals.animalsTreated, 0),
+          distanceKm: vehicleList.reduce((sum, vehicle) => sum + vehicle.totals.distanceKm, 0)
+        },
+        vehicles: vehicleList
+      }
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/reports/export:
@@ -0,0 +1,286 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const TestParameter = require('../models/TestParameter');
+const { validate, schemas } = require('../middleware/validation');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+
+const router = express.Router();
+
+const PARAMETER_FIELDS = ['name', 'aliases', 'testType', 'unit', 'ranges', 'notes', 'isActive'];
+
+const findParameter = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid test parameter ID format',
+      error: 'INVALID_ID_FORMAT'
+    });
+    return null;
+  }
+
+  const parameter = await TestParameter.findById(req.params.id);
+  if (!parameter) {
+    res.status(404).json({
+      success: false,
+      message: 'Test parameter not found',
+      error: 'TEST_PARAMETER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return parameter;
+};
+
+// الاسم فريد بغض النظر عن حالة الأحرف
+const nameTaken = (name, excludeId) => TestParameter.findOne({
+  name: name.trim(),
+  ...(excludeId ? { _id: { $ne: excludeId } } : {})
+}).collation({ locale: 'en', strength: 2 });
+
+const duplicateNameResponse = res => res.status(409).json({
+  success: false,
+  message: 'A test parameter with this name already exists',
+  error: 'DUPLICATE_TEST_PARAMETER'
+});
+
+/**
+ * @swagger
+ * /api/test-parameters:
+ *   get:
+ *     summary: Get the laboratory test parameter catalogue
+ *     tags: [Test Parameters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: testType
+ *         schema:
+ *           type: string
+ *         description: Filter by test type (comma separated for multiple)
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, alias or test type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Test parameters retrieved successfully
+ */
+router.get('/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const filter = filterBuilder.buildTestParameterFilter(req.query);
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [parameters, total] = await Promise.all([
+      TestParameter.find(filter)
+        .sort({ testType: 1, name: 1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit),
+      TestParameter.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        parameters,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/test-parameters/{id}:
+ *   get:
+ *     summary: Get a test parameter by ID
+ *     tags: [Test Parameters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Test parameter ID
+ *     responses:
+ *       200:
+ *         description: Test parameter retrieved successfully
+ *       404:
+ *         description: Test parameter not found
+ */
+router.get('/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const parameter = await findParameter(req, res);
+    if (!parameter) return;
+
+    res.json({
+      success: true,
+      data: { parameter }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/test-parameters:
+ *   post:
+ *     summary: Add a test parameter with its reference ranges
+ *     description: Results whose parameter matches the name or an alias are flagged automatically when a laboratory record is saved
+ *     tags: [Test Parameters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TestParameter'
+ *     responses:
+ *       201:
+ *         description: Test parameter created successfully
+ *       409:
+ *         description: Test parameter with same name already exists
+ */
+router.post('/',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.testParameterCreate),
+  asyncHandler(async (req, res) => {
+    const parameterData = {};
+    PARAMETER_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) parameterData[field] = req.body[field];
+    });
+
+    if (await nameTaken(parameterData.name)) return duplicateNameResponse(res);
+
+    const parameter = new TestParameter({
+      ...parameterData,
+      createdBy: req.user._id
+    });
+    await parameter.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Test parameter created successfully',
+      data: { parameter }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/test-parameters/{id}:
+ *   put:
+ *     summary: Update a test parameter
+ *     description: New ranges apply to results saved from now on; existing records keep their flags until their results are edited
+ *     tags: [Test Parameters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Test parameter ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TestParameter'
+ *     responses:
+ *       200:
+ *         description: Test parameter updated successfully
+ *       404:
+ *         description: Test parameter not found
+ */
+router.put('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  validate(schemas.testParameterUpdate),
+  asyncHandler(async (req, res) => {
+    const parameter = await findParameter(req, res);
+    if (!parameter) return;
+
+    if (req.body.name && await nameTaken(req.body.name, parameter._id)) return duplicateNameResponse(res);
+
+    PARAMETER_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) parameter[field] = req.body[field];
+    });
+    parameter.updatedBy = req.user._id;
+    await parameter.save();
+
+    res.json({
+      success: true,
+      message: 'Test parameter updated successfully',
+      data: { parameter }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/test-parameters/{id}:
+ *   delete:
+ *     summary: Deactivate a test parameter (results are no longer flagged against it)
+ *     tags: [Test Parameters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Test parameter ID
+ *     responses:
+ *       200:
+ *         description: Test parameter deactivated successfully
+ *       404:
+ *         description: Test parameter not found
+ */
+router.delete('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const parameter = await findParameter(req, res);
+    if (!parameter) return;
+
+    parameter.isActive = false;
+    parameter.updatedBy = req.user._id;
+    await parameter.save();
+
+    res.json({
+      success: true,
+      message: 'Test parameter deactivated successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const fs = require('fs');
 const sharp = require('sharp');
 const { auth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { parseCsv } = require('../utils/csvParser');
 
 const router = express.Router();
 
@@ -268,6 +269,7 @@ router.post('/avatar',
  * /api/upload/import/csv:
  *   post:
  *     summary: Import data from CSV file
+ *     description: The file may be UTF-8 (with or without BOM), UTF-16 or Windows-1256, delimited by comma, semicolon or tab; quoted fields can contain delimiters and line breaks.
  *     tags: [Upload]
  *     security:
  *       - bearerAuth: []
@@ -319,17 +321,8 @@ router.post('/import/csv',
     }
 
     try {
-      const csvParser = require('csv-parser');
-      const results = [];
-      
-      // Parse CSV file
-      await new Promise((resolve, reject) => {
-        fs.createReadStream(req.file.path)
-          .pipe(csvParser())
-          .on('data', (data) => results.push(data))
-          .on('end', resolve)
-          .on('error', reject);
-      });
+      // Parse CSV file (quoted fields, BOM, ; / tab delimiters, Windows-1256)
+      const results = await parseCsv(fs.createReadStream(req.file.path));
 
       // Import data based on model
       const importResults = await importCSVData(model, results, req.user._id);
@@ -2,6 +2,7 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Section = require('../models/Section');
+const Session = require('../models/Session');
 const { validate, schemas } = require('../middleware/validation');
 const { auth, authorize } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
@@ -919,6 +920,95 @@ router.put('/:id',
   })
 );
 
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/sessions',
+  auth,
+  authorize('super_admin'),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        error: 'USER_NOT_FOUND'
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toSummary(req.sessionId))
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   delete:
+ *     summary: Sign a user out of all devices (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/sessions',
+  auth,
+  authorize('super_admin'),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        error: 'USER_NOT_FOUND'
+      });
+    }
+
+    const revoked = await Session.revokeForUser(user._id, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'تم إنهاء جميع جلسات المستخدم',
+      data: { revoked }
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/users/{id}/change-password:
@@ -948,7 +1038,7 @@ router.put('/:id',
  *                 minLength: 6
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed successfully (the user's sessions are revoked)
  *       404:
  *         description: User not found
  */
@@ -8,6 +8,8 @@ const { checkSectionAccessWithMessage } = require('../middleware/sectionAuth');
 const { handleTemplate, handleImport, findOrCreateClient } = require('../utils/importExportHelpers');
 const queryLogger = require('../utils/queryLogger');
 const filterBuilder = require('../utils/filterBuilder');
+const { omitCertificateFields, buildVerificationUrl } = require('../utils/certificates');
+const { renderCardForRecord } = require('../utils/vaccinationCard');
 
 const router = express.Router();
 
@@ -56,6 +58,27 @@ const router = express.Router();
  *           type: string
  *           enum: [Preventive, Emergency]
  *         description: Filter by vaccine category
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Records within radiusKm of a point, as "lat,lng" (latitude first)
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Search radius for near (km)
+ *       - in: query
+ *         name: withinPolygon
+ *         schema:
+ *           type: string
+ *         description: Records inside a polygon, as "lat,lng;lat,lng;lat,lng"
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: Records inside a bounding box, as "minLat,minLng,maxLat,maxLng" (south-west then north-east corner, lat,lng like near)
  *     responses:
  *       200:
  *         description: Records retrieved successfully
@@ -599,6 +622,131 @@ router.get('/export',
   })
 );
 
+/**
+ * @swagger
+ * /api/vaccination/due:
+ *   get:
+ *     summary: Get herds overdue or upcoming for booster vaccination, grouped by village
+ *     description: Next-due date = last vaccination date of the herd (holding code, or client) + booster interval of the vaccine type (DropdownList vaccine_types metadata.boosterIntervalDays)
+ *     tags: [Vaccination]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Upcoming window in days
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [overdue, upcoming, all]
+ *           default: all
+ *         description: Only overdue or only upcoming herds
+ *       - in: query
+ *         name: vaccineType
+ *         schema:
+ *           type: string
+ *         description: Filter by vaccine type (comma separated for multiple)
+ *       - in: query
+ *         name: village
+ *         schema:
+ *           type: string
+ *         description: Filter by village ID (the herd's holding code village, else the client's village)
+ *       - in: query
+ *         name: sector
+ *         schema:
+ *           type: string
+ *         description: Filter by village sector
+ *     responses:
+ *       200:
+ *         description: Due list retrieved successfully
+ */
+router.get('/due',
+  auth,
+  asyncHandler(async (req, res) => {
+    const DropdownList = require('../models/DropdownList');
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 0), 365);
+    const status = ['overdue', 'upcoming'].includes(req.query.status) ? req.query.status : 'all';
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const horizon = new Date(today.getTime() + (days + 1) * DAY_MS - 1);
+
+    let intervals = await DropdownList.getBoosterIntervals();
+
+    if (req.query.vaccineType) {
+      const requested = req.query.vaccineType.toString().split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+      intervals = Object.fromEntries(Object.entries(intervals).filter(([key]) => requested.includes(key)));
+    }
+
+    if (Object.keys(intervals).length === 0) {
+      return res.json({
+        success: true,
+        message: 'No booster intervals configured for vaccine types (metadata.boosterIntervalDays)',
+        data: {
+          summary: { overdue: 0, upcoming: 0, villages: 0 },
+          villages: []
+        }
+      });
+    }
+
+    const schedule = await Vaccination.getDueSchedule(intervals, { horizon });
+
+    const villages = new Map();
+    const summary = { overdue: 0, upcoming: 0, villages: 0 };
+
+    schedule.forEach((herd) => {
+      const isOverdue = herd.nextDueDate < today;
+      if ((status === 'overdue' && !isOverdue) || (status === 'upcoming' && isOverdue)) return;
+
+      if (req.query.village && herd.village?._id?.toString() !== req.query.village) return;
+      if (req.query.sector && herd.village?.sector !== req.query.sector) return;
+
+      const villageKey = herd.village?._id?.toString() || herd.holdingCode?.village || 'unknown';
+      if (!villages.has(villageKey)) {
+        villages.set(villageKey, {
+          village: herd.village?._id ? herd.village : {
+            nameArabic: herd.holdingCode?.village || 'غير محدد',
+            nameEnglish: herd.holdingCode?.village || 'Unknown'
+          },
+          overdue: [],
+          upcoming: []
+        });
+      }
+
+      herd.daysUntilDue = Math.ceil((herd.nextDueDate - today) / DAY_MS);
+      const group = villages.get(villageKey);
+      if (isOverdue) {
+        group.overdue.push(herd);
+        summary.overdue++;
+      } else {
+        group.upcoming.push(herd);
+        summary.upcoming++;
+      }
+    });
+
+    // القرى ذات المتأخرات الأكثر أولاً لتخطيط المسارات
+    const villageList = Array.from(villages.values())
+      .sort((a, b) => (b.overdue.length - a.overdue.length) || (b.upcoming.length - a.upcoming.length));
+    summary.villages = villageList.length;
+
+    res.json({
+      success: true,
+      data: {
+        asOf: today,
+        upcomingWindowDays: days,
+        summary,
+        villages: villageList
+      }
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/vaccination/{id}:
@@ -651,6 +799,94 @@ router.get('/:id',
   })
 );
 
+/**
+ * @swagger
+ * /api/vaccination/{id}/card:
+ *   get:
+ *     summary: Vaccination card of the herd owner (A6 PDF)
+ *     description: |
+ *       Printable A6 card listing the owner's vaccinations (newest first) with vaccine type, category, animals vaccinated per species,
+ *       next due date and supervisor. The card is identified by the signed certificate of this record, assigned on first request.
+ *       With format=link the response is JSON with a shareable link to the card (GET /api/verify/{certificateId}/card) instead of the PDF.
+ *     tags: [Vaccination]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Vaccination record ID (usually the latest visit)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, link]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Card PDF, or the shareable link when format=link
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Record not found
+ *       409:
+ *         description: The certificate of this record was revoked
+ */
+router.get('/:id/card',
+  auth,
+  asyncHandler(async (req, res) => {
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vaccination record ID format',
+        error: 'INVALID_ID_FORMAT'
+      });
+    }
+
+    const record = await Vaccination.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vaccination record not found',
+        error: 'RECORD_NOT_FOUND'
+      });
+    }
+
+    if (record.certificateRevokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The certificate for this record has been revoked',
+        error: 'CERTIFICATE_REVOKED'
+      });
+    }
+
+    const certificateId = await record.issueCertificate();
+    const verificationUrl = buildVerificationUrl(req, certificateId);
+
+    if (req.query.format === 'link') {
+      return res.json({
+        success: true,
+        data: {
+          certificateId,
+          cardUrl: `${verificationUrl}/card`,
+          verificationUrl
+        }
+      });
+    }
+
+    const pdf = await renderCardForRecord(record, { verificationUrl });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="vaccination-card-${certificateId}.pdf"`);
+    res.send(pdf);
+  })
+);
+
 /**
  * @swagger
  * /api/vaccination:
@@ -854,7 +1090,7 @@ router.post('/',
     console.log('🔍 Holding code is valid ObjectId:', mongoose.Types.ObjectId.isValid(req.body.holdingCode));
 
     const record = new Vaccination({
-      ...req.body,
+      ...omitCertificateFields(req.body),
       client: clientId,
       holdingCode: holdingCodeId,
       // createdBy: req.user._id,
@@ -1114,7 +1350,7 @@ router.put('/:id',
 
     // Update record
     Object.assign(record, {
-      ...req.body,
+      ...omitCertificateFields(req.body),
       client: clientId,
       holdingCode: holdingCodeId,
       clientData: undefined // Remove clientData from the record
@@ -1217,7 +1453,7 @@ router.delete('/bulk-delete',
         });
       }
 
-      const result = await Vaccination.deleteMany({ _id: { $in: existingIds } });
+      const result = await Vaccination.softDelete({ _id: { $in: existingIds } }, req.user._id);
       
       // Prepare response with details about what was deleted and what wasn't found
       const response = {
@@ -1269,15 +1505,15 @@ router.delete('/delete-all',
     console.log(`🔍 Found ${uniqueClientIds.length} unique client IDs in vaccination records`);
     
     // Delete all vaccination records
-    const vaccinationResult = await Vaccination.deleteMany({});
+    const vaccinationResult = await Vaccination.softDelete({}, req.user._id);
     console.log(`🗑️ Deleted ${vaccinationResult.deletedCount} vaccination records`);
     
     // Delete associated clients (only those that were created from vaccination imports)
     let clientsDeleted = 0;
     if (uniqueClientIds.length > 0) {
-      const clientResult = await Client.deleteMany({ 
+      const clientResult = await Client.softDelete({ 
         _id: { $in: uniqueClientIds.filter(id => id) } // Filter out null/undefined IDs
-      });
+      }, req.user._id);
       clientsDeleted = clientResult.deletedCount;
       console.log(`🗑️ Deleted ${clientsDeleted} associated client records`);
     }
@@ -1330,7 +1566,7 @@ router.delete('/:id',
       });
     }
 
-    await Vaccination.findByIdAndDelete(req.params.id);
+    await Vaccination.softDelete({ _id: req.params.id }, req.user._id);
 
     res.json({
       success: true,
@@ -0,0 +1,276 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const VehicleTrip = require('../models/VehicleTrip');
+const { validate, schemas } = require('../middleware/validation');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const filterBuilder = require('../utils/filterBuilder');
+
+const router = express.Router();
+
+const TRIP_FIELDS = ['vehicleNo', 'date', 'driver', 'supervisor', 'odometerStart', 'odometerEnd', 'fuelLiters', 'notes'];
+
+const findTrip = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid trip log ID format',
+      error: 'INVALID_ID_FORMAT'
+    });
+    return null;
+  }
+
+  const trip = await VehicleTrip.findById(req.params.id);
+  if (!trip) {
+    res.status(404).json({
+      success: false,
+      message: 'Trip log not found',
+      error: 'TRIP_NOT_FOUND'
+    });
+    return null;
+  }
+
+  // العامل الميداني يعدل سجلاته فقط
+  const isSupervisor = ['super_admin', 'section_supervisor'].includes(req.user.role);
+  if (!isSupervisor && trip.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions',
+      error: 'INSUFFICIENT_PERMISSIONS'
+    });
+    return null;
+  }
+
+  return trip;
+};
+
+const duplicateTripResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'A trip log already exists for this vehicle on this date',
+  error: 'DUPLICATE_TRIP'
+});
+
+/**
+ * @swagger
+ * /api/vehicle-trips:
+ *   get:
+ *     summary: Get vehicle trip logs (odometer readings)
+ *     tags: [Vehicle Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vehicleNo
+ *         schema:
+ *           type: string
+ *         description: Filter by vehicle number (comma separated for multiple)
+ *       - in: query
+ *         name: driver
+ *         schema:
+ *           type: string
+ *         description: Filter by driver user ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trip logs retrieved successfully
+ */
+router.get('/',
+  auth,
+  asyncHandler(async (req, res) => {
+    if (req.query.driver && !mongoose.Types.ObjectId.isValid(req.query.driver)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid driver',
+        error: 'INVALID_ID'
+      });
+    }
+
+    const filter = filterBuilder.buildVehicleTripFilter(req.query);
+    const paginationParams = filterBuilder.buildPaginationParams(req.query);
+
+    const [trips, total] = await Promise.all([
+      VehicleTrip.find(filter)
+        .sort({ date: -1, vehicleNo: 1 })
+        .skip(paginationParams.skip)
+        .limit(paginationParams.limit)
+        .populate('driver', 'name email vehicleNo')
+        .populate('createdBy', 'name email'),
+      VehicleTrip.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        trips,
+        pagination: {
+          page: paginationParams.page,
+          limit: paginationParams.limit,
+          total,
+          pages: Math.ceil(total / paginationParams.limit),
+          hasNextPage: paginationParams.page < Math.ceil(total / paginationParams.limit),
+          hasPrevPage: paginationParams.page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/vehicle-trips:
+ *   post:
+ *     summary: Log a vehicle trip (odometer start/end) for a day
+ *     tags: [Vehicle Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VehicleTrip'
+ *     responses:
+ *       201:
+ *         description: Trip log created successfully
+ *       409:
+ *         description: Trip already logged for this vehicle and date
+ */
+router.post('/',
+  auth,
+  validate(schemas.vehicleTripCreate),
+  asyncHandler(async (req, res) => {
+    const tripData = {};
+    TRIP_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) tripData[field] = req.body[field];
+    });
+
+    const trip = new VehicleTrip({
+      ...tripData,
+      driver: tripData.driver || req.user._id,
+      createdBy: req.user._id
+    });
+
+    try {
+      await trip.save();
+    } catch (error) {
+      if (error.code === 11000) return duplicateTripResponse(res);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip log created successfully',
+      data: { trip }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/vehicle-trips/{id}:
+ *   put:
+ *     summary: Update a vehicle trip log (e.g. add end-of-day odometer reading)
+ *     tags: [Vehicle Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip log ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VehicleTrip'
+ *     responses:
+ *       200:
+ *         description: Trip log updated successfully
+ *       404:
+ *         description: Trip log not found
+ */
+router.put('/:id',
+  auth,
+  validate(schemas.vehicleTripUpdate),
+  asyncHandler(async (req, res) => {
+    const trip = await findTrip(req, res);
+    if (!trip) return;
+
+    TRIP_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) trip[field] = req.body[field];
+    });
+    trip.updatedBy = req.user._id;
+
+    try {
+      await trip.save();
+    } catch (error) {
+      if (error.code === 11000) return duplicateTripResponse(res);
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Trip log updated successfully',
+      data: { trip }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/vehicle-trips/{id}:
+ *   delete:
+ *     summary: Delete a vehicle trip log
+ *     tags: [Vehicle Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip log ID
+ *     responses:
+ *       200:
+ *         description: Trip log deleted successfully
+ *       404:
+ *         description: Trip log not found
+ */
+router.delete('/:id',
+  auth,
+  authorize('super_admin', 'section_supervisor'),
+  asyncHandler(async (req, res) => {
+    const trip = await findTrip(req, res);
+    if (!trip) return;
+
+    await VehicleTrip.findByIdAndDelete(trip._id);
+
+    res.json({
+      success: true,
+      message: 'Trip log deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { findCertificateRecord, verifyCertificate, buildVerificationUrl } = require('../utils/certificates');
+const { renderCardForRecord } = require('../utils/vaccinationCard');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// تسجيل النماذج التي تصدر شهادات حتى يمكن البحث فيها بالاسم
+require('../models/Laboratory');
+require('../models/Vaccination');
+
+const router = express.Router();
+
+// حد أشد من الحد العام لأن المسار مفتوح بدون تسجيل دخول
+const verifyLimiter = rateLimit({
+  windowMs: parseInt(process.env.VERIFY_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.VERIFY_RATE_LIMIT_MAX) || 30,
+  message: {
+    success: false,
+    message: 'Too many verification requests, please try again later',
+    error: 'TOO_MANY_REQUESTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @swagger
+ * /api/verify/{certificateId}:
+ *   get:
+ *     summary: Verify a printed certificate (public, no login)
+ *     description: |
+ *       Target of the QR code printed on laboratory certificates and vaccination cards.
+ *       Certificate IDs are signed by the server, so altered or made-up IDs are rejected without a lookup.
+ *       The response contains only record type, date, species, vaccine or test and whether the certificate is still valid - no owner or location details.
+ *     tags: [Verification]
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Certificate ID printed on the document
+ *     responses:
+ *       200:
+ *         description: Certificate found (check status - valid or revoked)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     certificateId:
+ *                       type: string
+ *                     recordType:
+ *                       type: string
+ *                       enum: [laboratory, vaccination]
+ *                     status:
+ *                       type: string
+ *                       enum: [valid, revoked]
+ *                     valid:
+ *                       type: boolean
+ *                     issuedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     revokedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     date:
+ *                       type: string
+ *                       format: date-time
+ *                     species:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     test:
+ *                       type: string
+ *                       description: Laboratory certificates only
+ *                     testStatus:
+ *                       type: string
+ *                       description: Laboratory certificates only
+ *                     vaccine:
+ *                       type: string
+ *                       description: Vaccination certificates only
+ *                     vaccineCategory:
+ *                       type: string
+ *                       description: Vaccination certificates only
+ *       404:
+ *         description: No certificate with this ID, or the ID is not genuine
+ *       429:
+ *         description: Too many verification requests
+ */
+router.get('/:certificateId',
+  verifyLimiter,
+  asyncHandler(async (req, res) => {
+    const certificate = await verifyCertificate(req.params.certificateId);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found',
+        error: 'CERTIFICATE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: certificate
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/verify/{certificateId}/card:
+ *   get:
+ *     summary: Shareable vaccination card (public, no login)
+ *     description: Link given to herd owners to open their vaccination card. Only valid vaccination certificates are served; the national ID is masked on the card.
+ *     tags: [Verification]
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Vaccination certificate ID
+ *     responses:
+ *       200:
+ *         description: Vaccination card PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: No vaccination certificate with this ID
+ *       409:
+ *         description: Certificate was revoked
+ *       429:
+ *         description: Too many verification requests
+ */
+router.get('/:certificateId/card',
+  verifyLimiter,
+  asyncHandler(async (req, res) => {
+    const found = await findCertificateRecord(req.params.certificateId);
+
+    if (!found || found.type.recordType !== 'vaccination') {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found',
+        error: 'CERTIFICATE_NOT_FOUND'
+      });
+    }
+
+    const { record } = found;
+    if (record.certificateRevokedAt || record.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This vaccination card has been revoked',
+        error: 'CERTIFICATE_REVOKED'
+      });
+    }
+
+    const pdf = await renderCardForRecord(record, {
+      verificationUrl: buildVerificationUrl(req, record.certificateId)
+    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="vaccination-card-${record.certificateId}.pdf"`);
+    res.send(pdf);
+  })
+);
+
+module.exports = router;
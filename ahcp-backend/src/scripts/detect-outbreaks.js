@@ -0,0 +1,32 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+
+const mongoose = require('mongoose');
+const { detectOutbreaks } = require('../utils/outbreakDetection');
+
+const DEFAULT_URI = 'mongodb://localhost:27017/ahcp_database';
+
+// كشف البؤر المرضية من النتائج الإيجابية للمختبر
+// مخصص للتشغيل الدوري (cron)
+const runDetection = async () => {
+  const uri = process.env.MONGODB_URI || DEFAULT_URI;
+  console.log(`📡 Connecting to MongoDB at ${uri}`);
+
+  await mongoose.connect(uri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  try {
+    const summary = await detectOutbreaks();
+    console.log(`🔬 Evaluated ${summary.evaluatedSamples} positive samples`);
+    console.log(`✅ Outbreaks: ${summary.created.length} new, ${summary.updated.length} updated, ${summary.resolved.length} resolved`);
+  } catch (error) {
+    console.error('❌ Failed to detect outbreaks:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 MongoDB connection closed');
+  }
+};
+
+runDetection();
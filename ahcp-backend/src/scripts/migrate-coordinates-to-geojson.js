@@ -0,0 +1,52 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Vaccination = require('../models/Vaccination');
+const ParasiteControl = require('../models/ParasiteControl');
+const MobileClinic = require('../models/MobileClinic');
+const EquineHealth = require('../models/EquineHealth');
+const Laboratory = require('../models/Laboratory');
+const { LOCATION_FROM_COORDINATES } = require('../utils/geoLocation');
+
+const DEFAULT_URI = 'mongodb://localhost:27017/ahcp_database';
+const LEGACY_INDEX = 'coordinates.latitude_1_coordinates.longitude_1';
+
+// تعبئة حقل location (GeoJSON) للسجلات الموجودة من coordinates وإنشاء فهرس 2dsphere
+// آمن لإعادة التشغيل: السجلات بدون إحداثيات صالحة (أو 0,0) تبقى بدون location
+const migrateCoordinates = async () => {
+  const uri = process.env.MONGODB_URI || DEFAULT_URI;
+  console.log(`📡 Connecting to MongoDB at ${uri}`);
+
+  await mongoose.connect(uri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  try {
+    const models = [Client, Vaccination, ParasiteControl, MobileClinic, EquineHealth, Laboratory];
+    for (const Model of models) {
+      // تحديث مباشر على المجموعة ليشمل السجلات المحذوفة مؤقتاً ودون تسجيلها في سجل التدقيق
+      const result = await Model.collection.updateMany({}, LOCATION_FROM_COORDINATES);
+
+      const located = await Model.collection.countDocuments({ location: { $exists: true } });
+
+      const indexes = await Model.collection.indexes();
+      if (indexes.some(index => index.name === LEGACY_INDEX)) {
+        await Model.collection.dropIndex(LEGACY_INDEX);
+        console.log(`🧹 ${Model.modelName}: dropped legacy index ${LEGACY_INDEX}`);
+      }
+      await Model.collection.createIndex({ location: '2dsphere' });
+
+      console.log(`✅ ${Model.modelName}: processed ${result.matchedCount} records, ${located} with location`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to migrate coordinates:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 MongoDB connection closed');
+  }
+};
+
+migrateCoordinates();
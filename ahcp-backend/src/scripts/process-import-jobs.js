@@ -0,0 +1,35 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+
+const mongoose = require('mongoose');
+const { drainImportQueue } = require('../utils/importQueue');
+
+// ملفات المسارات تسجل معالجات الصفوف لكل وحدة
+require('../routes/import-export');
+require('../routes/dromo-import');
+
+const DEFAULT_URI = 'mongodb://localhost:27017/ahcp_database';
+
+// معالجة مهام الاستيراد المنتظرة أو المتوقفة (على Vercel لا تستمر المعالجة بعد إرسال الاستجابة)
+// مخصص للتشغيل الدوري (cron)
+const processImportJobs = async () => {
+  const uri = process.env.MONGODB_URI || DEFAULT_URI;
+  console.log(`📡 Connecting to MongoDB at ${uri}`);
+
+  await mongoose.connect(uri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  try {
+    await drainImportQueue();
+    console.log('✅ Import queue is empty');
+  } catch (error) {
+    console.error('❌ Failed to process import jobs:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 MongoDB connection closed');
+  }
+};
+
+processImportJobs();
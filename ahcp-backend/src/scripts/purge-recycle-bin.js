@@ -0,0 +1,44 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Vaccination = require('../models/Vaccination');
+const ParasiteControl = require('../models/ParasiteControl');
+const MobileClinic = require('../models/MobileClinic');
+const EquineHealth = require('../models/EquineHealth');
+const Laboratory = require('../models/Laboratory');
+const Animal = require('../models/Animal');
+const { getRetentionDays } = require('../utils/softDelete');
+
+const DEFAULT_URI = 'mongodb://localhost:27017/ahcp_database';
+
+// حذف نهائي للسجلات الموجودة في سلة المحذوفات منذ أكثر من SOFT_DELETE_RETENTION_DAYS
+// مخصص للتشغيل الدوري (cron)
+const purgeRecycleBin = async () => {
+  const uri = process.env.MONGODB_URI || DEFAULT_URI;
+  const retentionDays = getRetentionDays();
+  console.log(`📡 Connecting to MongoDB at ${uri}`);
+
+  await mongoose.connect(uri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  try {
+    console.log(`🗑️ Purging records deleted more than ${retentionDays} days ago`);
+
+    const models = [Client, Vaccination, ParasiteControl, MobileClinic, EquineHealth, Laboratory, Animal];
+    for (const Model of models) {
+      const { purgedCount } = await Model.purgeDeleted({}, retentionDays);
+      console.log(`✅ ${Model.modelName}: purged ${purgedCount} records`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to purge recycle bin:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 MongoDB connection closed');
+  }
+};
+
+purgeRecycleBin();
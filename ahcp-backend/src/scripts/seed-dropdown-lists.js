@@ -8,13 +8,13 @@ const initialDropdownData = [
   {
     category: 'vaccine_types',
     options: [
-      { value: 'FMD', label: 'FMD', labelAr: 'الحمى القلاعية', sortOrder: 0 },
-      { value: 'PPR', label: 'PPR', labelAr: 'طاعون المجترات الصغيرة', sortOrder: 1 },
-      { value: 'HS', label: 'HS', labelAr: 'النزف الدموي', sortOrder: 2 },
-      { value: 'CCPP', label: 'CCPP', labelAr: 'ذات الرئة المعدية', sortOrder: 3 },
-      { value: 'ET', label: 'ET', labelAr: 'التهاب الأنتروتوكسيميا', sortOrder: 4 },
+      { value: 'FMD', label: 'FMD', labelAr: 'الحمى القلاعية', sortOrder: 0, metadata: { boosterIntervalDays: 180 } },
+      { value: 'PPR', label: 'PPR', labelAr: 'طاعون المجترات الصغيرة', sortOrder: 1, metadata: { boosterIntervalDays: 1095 } },
+      { value: 'HS', label: 'HS', labelAr: 'النزف الدموي', sortOrder: 2, metadata: { boosterIntervalDays: 365 } },
+      { value: 'CCPP', label: 'CCPP', labelAr: 'ذات الرئة المعدية', sortOrder: 3, metadata: { boosterIntervalDays: 365 } },
+      { value: 'ET', label: 'ET', labelAr: 'التهاب الأنتروتوكسيميا', sortOrder: 4, metadata: { boosterIntervalDays: 180 } },
       { value: 'No Vaccination', label: 'No Vaccination', labelAr: 'بدون تطعيم', sortOrder: 5 },
-      { value: 'SG POX', label: 'SG POX', labelAr: 'جدري الأغنام والماعز', sortOrder: 6 }
+      { value: 'SG POX', label: 'SG POX', labelAr: 'جدري الأغنام والماعز', sortOrder: 6, metadata: { boosterIntervalDays: 365 } }
     ]
   },
   {
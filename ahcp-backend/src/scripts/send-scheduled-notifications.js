@@ -0,0 +1,31 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+
+const mongoose = require('mongoose');
+const { runScheduledNotifications } = require('../utils/notificationService');
+
+const DEFAULT_URI = 'mongodb://localhost:27017/ahcp_database';
+
+// تنبيهات الفحوصات المتأخرة والمتابعات القادمة
+// مخصص للتشغيل الدوري (cron) - التنبيه لا يتكرر لنفس الحدث
+const sendScheduledNotifications = async () => {
+  const uri = process.env.MONGODB_URI || DEFAULT_URI;
+  console.log(`📡 Connecting to MongoDB at ${uri}`);
+
+  await mongoose.connect(uri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  try {
+    const { labOverdue, followUps } = await runScheduledNotifications();
+    console.log(`✅ Delivered ${labOverdue} overdue lab test and ${followUps} follow-up notifications`);
+  } catch (error) {
+    console.error('❌ Failed to send scheduled notifications:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 MongoDB connection closed');
+  }
+};
+
+sendScheduledNotifications();
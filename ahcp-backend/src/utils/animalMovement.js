@@ -0,0 +1,184 @@
+const Movement = require('../models/Movement');
+const Client = require('../models/Client');
+const HoldingCode = require('../models/HoldingCode');
+const Animal = require('../models/Animal');
+const { AppError } = require('../middleware/errorHandler');
+
+// أسباب لا تنتقل فيها الحيوانات إلى مالك أو حيازة أخرى
+const EXIT_REASONS = ['slaughter'];
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const animalRowKey = (row) => [row.animalType, row.breed, row.age, row.gender, row.healthStatus].join('|');
+
+/**
+ * Take `count` animals of a type (and breed) out of a client's aggregate rows
+ * @returns {Array} the removed portions, with the original row attributes
+ */
+const takeFromRows = (client, { animalType, breed, count }) => {
+  const matches = client.animals.filter(row =>
+    row.animalType === animalType && (!breed || row.breed === breed)
+  );
+  const available = matches.reduce((total, row) => total + (row.animalCount || 0), 0);
+  if (available < count) {
+    throw new AppError(
+      `${client.name} has only ${available} ${animalType}${breed ? ` (${breed})` : ''}, cannot move ${count}`,
+      400,
+      'INSUFFICIENT_ANIMALS'
+    );
+  }
+
+  const taken = [];
+  let remaining = count;
+  matches.forEach((row) => {
+    if (remaining === 0) return;
+    const take = Math.min(row.animalCount, remaining);
+    taken.push({ ...row.toObject(), animalCount: take });
+    row.animalCount -= take;
+    remaining -= take;
+  });
+  client.animals = client.animals.filter(row => row.animalCount > 0);
+  return taken;
+};
+
+const addToRows = (client, rows) => {
+  rows.forEach((row) => {
+    const existing = client.animals.find(current => animalRowKey(current) === animalRowKey(row) && !current.identificationNumber && !row.identificationNumber);
+    if (existing) {
+      existing.animalCount += row.animalCount;
+    } else {
+      client.animals.push(row);
+    }
+  });
+};
+
+/**
+ * Record a transfer of animals between clients / holding codes and apply it:
+ * client aggregate animal rows are moved and tagged animals get their new owner and holding
+ * @param {Object} data - { date, reason, permitNumber, fromClient, toClient, fromHoldingCode, toHoldingCode, animalCounts, animals, notes }
+ * @param {string} userId - user recording the movement
+ * @returns {Promise<Document>} saved movement
+ */
+const recordMovement = async (data, userId) => {
+  const fromClient = await Client.findById(data.fromClient);
+  if (!fromClient) throw new AppError('Source client not found', 404, 'CLIENT_NOT_FOUND');
+
+  const isExit = EXIT_REASONS.includes(data.reason);
+  let toClient = null;
+  if (data.toClient && !isExit) {
+    toClient = sameId(data.toClient, fromClient._id) ? fromClient : await Client.findById(data.toClient);
+    if (!toClient) throw new AppError('Destination client not found', 404, 'CLIENT_NOT_FOUND');
+  } else if (!isExit) {
+    if (!data.toHoldingCode) {
+      throw new AppError('Destination client or holding code is required', 400, 'DESTINATION_REQUIRED');
+    }
+    // نقل بين حيازات نفس المالك
+    toClient = fromClient;
+  }
+
+  const holdingCodeIds = [data.fromHoldingCode, data.toHoldingCode].filter(Boolean);
+  if (holdingCodeIds.length > 0) {
+    const holdingCodes = await HoldingCode.find({ _id: { $in: holdingCodeIds } }).select('code client').lean();
+    if (holdingCodes.length !== new Set(holdingCodeIds.map(String)).size) {
+      throw new AppError('Holding code not found', 404, 'HOLDING_CODE_NOT_FOUND');
+    }
+
+    const fromHolding = holdingCodes.find(holding => sameId(holding._id, data.fromHoldingCode));
+    if (fromHolding && !sameId(fromHolding.client, fromClient._id)) {
+      throw new AppError(
+        `Holding code ${fromHolding.code} does not belong to ${fromClient.name}`,
+        400,
+        'HOLDING_CODE_NOT_OWNED'
+      );
+    }
+  }
+
+  const changesOwner = isExit || !sameId(toClient._id, fromClient._id);
+  if (!changesOwner && (!data.toHoldingCode || sameId(data.toHoldingCode, data.fromHoldingCode))) {
+    throw new AppError('Source and destination are the same', 400, 'SAME_DESTINATION');
+  }
+
+  const animalIds = data.animals || [];
+  const animals = animalIds.length > 0 ? await Animal.find({ _id: { $in: animalIds } }) : [];
+  if (animals.length !== new Set(animalIds.map(String)).size) {
+    throw new AppError('Tagged animal not found', 404, 'ANIMAL_NOT_FOUND');
+  }
+  const notOwned = animals.filter(animal => !sameId(animal.client, fromClient._id));
+  if (notOwned.length > 0) {
+    throw new AppError(
+      `Animals not owned by the source client: ${notOwned.map(animal => animal.tagId).join(', ')}`,
+      400,
+      'ANIMAL_NOT_OWNED'
+    );
+  }
+
+  const movement = new Movement({
+    date: data.date,
+    reason: data.reason,
+    permitNumber: data.permitNumber,
+    fromClient: fromClient._id,
+    toClient: toClient ? toClient._id : undefined,
+    fromHoldingCode: data.fromHoldingCode,
+    toHoldingCode: data.toHoldingCode,
+    fromVillage: fromClient.village,
+    toVillage: toClient ? toClient.village : undefined,
+    animalCounts: data.animalCounts || [],
+    animals: animals.map(animal => animal._id),
+    notes: data.notes,
+    status: 'pending',
+    createdBy: userId
+  });
+  await movement.validate();
+
+  // أعداد الحيوانات لدى العميل تتغير فقط عند تغير المالك
+  let moved = [];
+  if (changesOwner) {
+    movement.animalCounts.forEach((row) => {
+      moved.push(...takeFromRows(fromClient, row));
+    });
+
+    // صف الحيوان المرقّم في سجل العميل (identificationNumber) ينتقل معه
+    const tags = new Set(animals.map(animal => animal.tagId));
+    const taggedRows = fromClient.animals.filter(row => row.identificationNumber && tags.has(row.identificationNumber.replace(/\s+/g, '').toUpperCase()));
+    fromClient.animals = fromClient.animals.filter(row => !taggedRows.includes(row));
+    moved = moved.concat(taggedRows.map(row => row.toObject()));
+  }
+
+  // الحركة تُحفظ قبل تعديل العملاء والحيوانات، فأي نقل توقف في منتصفه يبقى ظاهراً بحالة failed
+  await movement.save();
+
+  try {
+    if (changesOwner) {
+      fromClient.updatedBy = userId;
+      await fromClient.save({ validateModifiedOnly: true });
+
+      if (toClient) {
+        addToRows(toClient, moved);
+        toClient.updatedBy = userId;
+        await toClient.save({ validateModifiedOnly: true });
+      }
+    }
+
+    if (animals.length > 0) {
+      const update = { updatedBy: userId };
+      if (toClient) update.client = toClient._id;
+      if (data.toHoldingCode) update.holdingCode = data.toHoldingCode;
+      if (isExit) update.status = 'slaughtered';
+      await Animal.updateMany({ _id: { $in: movement.animals } }, { $set: update });
+    }
+  } catch (error) {
+    await Movement.updateOne(
+      { _id: movement._id },
+      { $set: { status: 'failed', failureReason: error.message } }
+    );
+    throw error;
+  }
+
+  movement.status = 'applied';
+  await movement.save();
+  return movement;
+};
+
+module.exports = {
+  recordMovement
+};
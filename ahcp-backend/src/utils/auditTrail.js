@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const requestContext = require('./requestContext');
+
+// حقول لا تدخل في المقارنة لأنها تتغير تلقائياً مع كل حفظ
+const IGNORED_FIELDS = ['__v', 'createdAt', 'updatedAt', 'location'];
+
+const isPlainObject = (value) => {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value) &&
+    !value._bsontype;
+};
+
+// تحويل المستند إلى مسارات مسطحة (herdCounts.sheep.vaccinated -> value)
+const flatten = (obj, prefix = '', out = {}) => {
+  if (!obj) return out;
+
+  Object.keys(obj).forEach((key) => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+    const value = obj[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+
+  return out;
+};
+
+const serialize = (value) => {
+  return value === undefined ? undefined : JSON.stringify(value);
+};
+
+/**
+ * Build field-level diff between two plain snapshots
+ */
+const buildDiff = (before, after) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (serialize(flatBefore[field]) !== serialize(flatAfter[field])) {
+      changes.push({
+        field,
+        from: flatBefore[field] === undefined ? null : flatBefore[field],
+        to: flatAfter[field] === undefined ? null : flatAfter[field]
+      });
+    }
+  });
+
+  return changes;
+};
+
+const toSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+  // JSON round-trip to store ObjectIds/Dates as plain values
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const buildEntry = (modelName, action, operation, before, after) => {
+  const context = requestContext.get() || {};
+  const record = after || before;
+  const fallbackUser = mongoose.models.User ? mongoose.models.User.currentUser : undefined;
+
+  return {
+    action,
+    modelName,
+    recordId: record._id,
+    serialNo: record.serialNo !== undefined && record.serialNo !== null ? String(record.serialNo) : undefined,
+    changes: before && after ? buildDiff(before, after) : [],
+    before: before || null,
+    after: after || null,
+    user: context.user || fallbackUser || record.updatedBy || record.createdBy,
+    ip: context.ip,
+    method: context.method,
+    route: context.route,
+    userAgent: context.userAgent,
+    operation
+  };
+};
+
+const writeEntries = async (entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    const AuditLog = require('../models/AuditLog');
+    const BATCH_SIZE = 500;
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      await AuditLog.insertMany(entries.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+  } catch (error) {
+    // فشل سجل التدقيق لا يجب أن يُفشل العملية الأصلية
+    console.error('❌ Audit log write failed:', error.message);
+  }
+};
+
+// يشمل السجلات المحذوفة مؤقتاً إن كان النموذج يدعم الحذف المؤقت
+const findWithDeleted = (model, filter) => {
+  const query = model.find(filter);
+  if (typeof query.withDeleted === 'function') query.withDeleted();
+  return query.lean();
+};
+
+// تحديد نوع العملية حسب تغير deletedAt (حذف مؤقت / استعادة)
+const resolveUpdateAction = (before, after) => {
+  if (!before.deletedAt && after && after.deletedAt) return 'delete';
+  if (before.deletedAt && after && !after.deletedAt) return 'restore';
+  return 'update';
+};
+
+/**
+ * Mongoose plugin: records create/update/delete of a model into AuditLog
+ * with before/after snapshots, diff, actor, IP and route
+ */
+const auditTrailPlugin = (schema, options = {}) => {
+  const { modelName } = options;
+  if (!modelName) {
+    throw new Error('auditTrailPlugin requires a modelName option');
+  }
+
+  // Document save (create + update through record.save())
+  schema.pre('save', async function() {
+    this.$locals.auditIsNew = this.isNew;
+    if (!this.isNew) {
+      [this.$locals.auditBefore] = await findWithDeleted(this.constructor, { _id: this._id });
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const isNew = doc.$locals.auditIsNew;
+    const before = isNew ? null : toSnapshot(doc.$locals.auditBefore);
+    const after = toSnapshot(doc);
+    const entry = buildEntry(modelName, isNew ? 'create' : 'update', 'save', before, after);
+
+    if (entry.action === 'update' && entry.changes.length === 0) return;
+    await writeEntries([entry]);
+  });
+
+  // findByIdAndUpdate / findOneAndUpdate
+  schema.pre('findOneAndUpdate', async function() {
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post('findOneAndUpdate', async function() {
+    if (!this._auditBefore) return;
+
+    const [after] = await findWithDeleted(this.model, { _id: this._auditBefore._id });
+    const entry = buildEntry(
+      modelName,
+      'update',
+      'findOneAndUpdate',
+      toSnapshot(this._auditBefore),
+      toSnapshot(after)
+    );
+
+    if (entry.changes.length === 0) return;
+    await writeEntries([entry]);
+  });
+
+  // updateOne / updateMany (includes soft delete and restore)
+  const updateOperations = ['updateOne', 'updateMany'];
+
+  schema.pre(updateOperations, { document: false, query: true }, async function() {
+    const query = findWithDeleted(this.model, this.getFilter());
+    if (this.op === 'updateOne') {
+      query.limit(1);
+    }
+    this._auditBefore = await query;
+  });
+
+  schema.post(updateOperations, { document: false, query: true }, async function() {
+    const beforeDocs = this._auditBefore || [];
+    if (beforeDocs.length === 0) return;
+
+    const afterDocs = await findWithDeleted(this.model, { _id: { $in: beforeDocs.map(doc => doc._id) } });
+    const afterById = new Map(afterDocs.map(doc => [doc._id.toString(), doc]));
+
+    const entries = beforeDocs
+      .map((doc) => {
+        const after = afterById.get(doc._id.toString());
+        const action = resolveUpdateAction(doc, after);
+        return buildEntry(modelName, action, this.op, toSnapshot(doc), toSnapshot(after));
+      })
+      .filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+
+    await writeEntries(entries);
+  });
+
+  // findByIdAndDelete / deleteOne / deleteMany (bulk-delete, delete-all, purge)
+  const deleteOperations = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+
+  schema.pre(deleteOperations, { document: false, query: true }, async function() {
+    const query = findWithDeleted(this.model, this.getFilter());
+    if (this.op !== 'deleteMany') {
+      query.limit(1);
+    }
+    this._auditDeleted = await query;
+  });
+
+  schema.post(deleteOperations, { document: false, query: true }, async function() {
+    const deleted = this._auditDeleted || [];
+    const entries = deleted.map(doc =>
+      // حذف سجل موجود مسبقاً في سلة المحذوفات = حذف نهائي
+      buildEntry(modelName, doc.deletedAt ? 'purge' : 'delete', this.op, toSnapshot(doc), null)
+    );
+    await writeEntries(entries);
+  });
+};
+
+module.exports = {
+  auditTrailPlugin,
+  buildDiff
+};
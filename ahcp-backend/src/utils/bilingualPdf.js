@@ -0,0 +1,126 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// الخط العربي لا يحتوي على الحروف اللاتينية، فالنصوص اللاتينية تُكتب بخط Helvetica
+const FONTS = {
+  arabic: require.resolve('@fontsource/noto-naskh-arabic/files/noto-naskh-arabic-arabic-400-normal.woff'),
+  arabicBold: require.resolve('@fontsource/noto-naskh-arabic/files/noto-naskh-arabic-arabic-700-normal.woff'),
+  latin: 'Helvetica',
+  latinBold: 'Helvetica-Bold'
+};
+
+const SPECIES = [
+  { key: 'sheep', en: 'Sheep', ar: 'أغنام' },
+  { key: 'goats', en: 'Goats', ar: 'ماعز' },
+  { key: 'camel', en: 'Camels', ar: 'إبل' },
+  { key: 'cattle', en: 'Cattle', ar: 'أبقار' },
+  { key: 'horse', en: 'Horses', ar: 'خيول' }
+];
+
+const ARABIC_PATTERN = /[؀-ۿ]/;
+const ARABIC_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+
+// الخط العربي لا يحتوي على علامات الترقيم اللاتينية
+const LATIN_PUNCTUATION = /[.:()/\\-]+/g;
+
+/**
+ * pdfkit places words left-to-right and fontkit only reverses the glyphs inside each word,
+ * so an Arabic line is drawn with its words in reverse order. Digits are switched to
+ * Arabic-Indic and pre-reversed because fontkit flips them along with the word.
+ */
+const toVisualArabic = words => words
+  .map(word => word.replace(/\d+/g, digits => digits.split('').reverse().map(digit => ARABIC_DIGITS[digit]).join('')))
+  .reverse()
+  .join(' ');
+
+// تقسيم النص العربي إلى أسطر بالترتيب المنطقي قبل عكس الكلمات
+const wrapArabic = (doc, words, width) => {
+  if (!width) return [words];
+  const lines = [];
+  let line = [];
+  words.forEach((word) => {
+    const candidate = [...line, word];
+    if (line.length > 0 && doc.widthOfString(candidate.join(' ')) > width) {
+      lines.push(line);
+      line = [word];
+    } else {
+      line = candidate;
+    }
+  });
+  if (line.length > 0) lines.push(line);
+  return lines;
+};
+
+const drawArabic = (doc, text, x, y, options) => {
+  const words = text.replace(LATIN_PUNCTUATION, ' ').trim().split(/\s+/).filter(Boolean);
+  const lineHeight = doc.currentLineHeight(true);
+  const align = options.align || 'right';
+  let top = y;
+  wrapArabic(doc, words, options.width).forEach((line) => {
+    const visual = toVisualArabic(line);
+    const lineWidth = doc.widthOfString(visual, { wordSpacing: 0.01 });
+    let left = x;
+    if (options.width && align === 'right') left = x + options.width - lineWidth;
+    if (options.width && align === 'center') left = x + (options.width - lineWidth) / 2;
+    // wordSpacing يجعل pdfkit يرسم كل كلمة على حدة بمسافة حقيقية بينها
+    doc.text(visual, left, top, { lineBreak: false, wordSpacing: 0.01 });
+    top += lineHeight;
+  });
+  doc.x = x;
+  doc.y = top;
+  return top;
+};
+
+const formatDate = date => (date ? new Date(date).toISOString().split('T')[0] : '-');
+
+/**
+ * Draw a value in the font matching its script (Arabic text defaults to right alignment)
+ * @returns {number} y below the drawn text
+ */
+const drawText = (doc, value, x, y, options = {}) => {
+  const text = value === undefined || value === null || value === '' ? '-' : value.toString();
+  const arabic = ARABIC_PATTERN.test(text);
+  doc
+    .font(arabic ? (options.bold ? 'arabicBold' : 'arabic') : (options.bold ? FONTS.latinBold : FONTS.latin))
+    .fontSize(options.size || 9)
+    .fillColor(options.color || 'black');
+
+  if (arabic) return drawArabic(doc, text, x, y, options);
+
+  doc.text(text, x, y, {
+    width: options.width,
+    align: options.align || 'left'
+  });
+  return doc.y;
+};
+
+/**
+ * New PDF document with the Arabic fonts registered
+ * @param {Object} options - pdfkit document options (size, margin, layout, info)
+ * @returns {{ doc: PDFDocument, finished: Promise<Buffer> }} finished resolves after doc.end()
+ */
+const createPdf = (options) => {
+  const doc = new PDFDocument(options);
+  doc.registerFont('arabic', FONTS.arabic);
+  doc.registerFont('arabicBold', FONTS.arabicBold);
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  return { doc, finished };
+};
+
+const renderQrCode = url => QRCode.toBuffer(url, { margin: 1, width: 300, errorCorrectionLevel: 'M' });
+
+module.exports = {
+  SPECIES,
+  ARABIC_PATTERN,
+  createPdf,
+  drawText,
+  formatDate,
+  renderQrCode
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// بادئة رقم الشهادة لكل نوع سجل
+const CERTIFICATE_TYPES = {
+  LAB: { modelName: 'Laboratory', recordType: 'laboratory' },
+  VAC: { modelName: 'Vaccination', recordType: 'vaccination' }
+};
+
+// حقول تديرها الشهادة فقط ولا تُقبل من جسم الطلب
+const CERTIFICATE_FIELDS = [
+  'certificateId',
+  'certificateIssuedAt',
+  'certificateRevokedAt',
+  'certificateRevokedBy',
+  'certificateRevocationReason'
+];
+
+const CERTIFICATE_ID_PATTERN = /^([A-Z]+)-([0-9A-F]{24})-([0-9A-F]{12})$/;
+
+const getSecret = () => {
+  const secret = process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('CERTIFICATE_SECRET (or JWT_SECRET) must be set to issue certificates');
+  return secret;
+};
+
+const sign = (prefix, recordId) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${prefix}-${recordId}`)
+  .digest('hex')
+  .slice(0, 12)
+  .toUpperCase();
+
+/**
+ * Certificate ID = prefix + record ID + HMAC signature, e.g. LAB-65F1...-9C2E4A7B1D0F.
+ * IDs cannot be guessed or altered without the server secret, so a forged ID is
+ * rejected before the database is queried.
+ */
+const buildCertificateId = (prefix, recordId) => {
+  const id = recordId.toString().toUpperCase();
+  return `${prefix}-${id}-${sign(prefix, id)}`;
+};
+
+/**
+ * @returns {{ prefix: string, recordId: string, type: Object } | null} null for unknown or forged IDs
+ */
+const parseCertificateId = (certificateId) => {
+  const match = CERTIFICATE_ID_PATTERN.exec((certificateId || '').toString().trim().toUpperCase());
+  if (!match) return null;
+
+  const [, prefix, recordId, signature] = match;
+  const type = CERTIFICATE_TYPES[prefix];
+  if (!type) return null;
+
+  const expected = Buffer.from(sign(prefix, recordId));
+  if (!crypto.timingSafeEqual(expected, Buffer.from(signature))) return null;
+
+  return { prefix, recordId: recordId.toLowerCase(), type };
+};
+
+/**
+ * Mongoose plugin: certificate ID and revocation fields for records that get printed certificates
+ * @param {Object} options - { prefix: key of CERTIFICATE_TYPES, summary: function(record) returning the public summary }
+ */
+const certificatePlugin = (schema, options = {}) => {
+  const { prefix, summary } = options;
+
+  schema.add({
+    certificateId: {
+      type: String,
+      trim: true
+    },
+    certificateIssuedAt: {
+      type: Date
+    },
+    certificateRevokedAt: {
+      type: Date
+    },
+    certificateRevokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    certificateRevocationReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Revocation reason cannot exceed 500 characters']
+    }
+  });
+
+  schema.index({ certificateId: 1 }, { unique: true, sparse: true });
+
+  /**
+   * Assign the certificate ID the first time a certificate is printed.
+   * Written with a direct update: the record's data did not change, so no audit entry or updatedBy.
+   */
+  schema.methods.issueCertificate = async function() {
+    if (this.certificateId) return this.certificateId;
+
+    const certificateId = buildCertificateId(prefix, this._id);
+    const certificateIssuedAt = new Date();
+    await this.constructor.updateOne(
+      { _id: this._id, certificateId: { $exists: false } },
+      { $set: { certificateId, certificateIssuedAt } }
+    ).withDeleted();
+
+    const current = await this.constructor.findById(this._id).select('certificateId certificateIssuedAt').withDeleted();
+    this.certificateId = current.certificateId;
+    this.certificateIssuedAt = current.certificateIssuedAt;
+    return this.certificateId;
+  };
+
+  schema.methods.revokeCertificate = async function(userId, reason) {
+    this.certificateRevokedAt = new Date();
+    this.certificateRevokedBy = userId;
+    this.certificateRevocationReason = reason;
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $set: {
+          certificateRevokedAt: this.certificateRevokedAt,
+          certificateRevokedBy: userId,
+          certificateRevocationReason: reason
+        }
+      }
+    ).withDeleted();
+    return this;
+  };
+
+  schema.methods.certificateSummary = function() {
+    return summary ? summary(this) : {};
+  };
+};
+
+/**
+ * Record an issued certificate belongs to, including soft-deleted records
+ * @returns {Promise<{ record: Document, type: Object } | null>} null when the ID is forged or was never issued
+ */
+const findCertificateRecord = async (certificateId) => {
+  const parsed = parseCertificateId(certificateId);
+  if (!parsed) return null;
+
+  const Model = mongoose.model(parsed.type.modelName);
+  const record = await Model.findOne({
+    _id: parsed.recordId,
+    certificateId: buildCertificateId(parsed.prefix, parsed.recordId)
+  }).withDeleted();
+  return record ? { record, type: parsed.type } : null;
+};
+
+/**
+ * Look up an issued certificate by ID for public verification
+ * @returns {Promise<Object|null>} privacy-safe summary, null when the ID is forged or was never issued
+ */
+const verifyCertificate = async (certificateId) => {
+  const found = await findCertificateRecord(certificateId);
+  if (!found) return null;
+
+  const { record, type } = found;
+  // السجل المحذوف يظهر كشهادة ملغاة بدلاً من "غير موجودة"
+  const revokedAt = record.certificateRevokedAt || record.deletedAt || null;
+  return {
+    certificateId: record.certificateId,
+    recordType: type.recordType,
+    status: revokedAt ? 'revoked' : 'valid',
+    valid: !revokedAt,
+    issuedAt: record.certificateIssuedAt,
+    revokedAt,
+    ...record.certificateSummary()
+  };
+};
+
+/**
+ * Copy of a request body without the certificate fields
+ */
+const omitCertificateFields = (body = {}) => {
+  const data = { ...body };
+  CERTIFICATE_FIELDS.forEach((field) => {
+    delete data[field];
+  });
+  return data;
+};
+
+/**
+ * Public URL a printed certificate's QR code points to
+ */
+const buildVerificationUrl = (req, certificateId) => {
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}/api/verify/${encodeURIComponent(certificateId)}`;
+};
+
+module.exports = {
+  CERTIFICATE_TYPES,
+  certificatePlugin,
+  parseCertificateId,
+  findCertificateRecord,
+  verifyCertificate,
+  omitCertificateFields,
+  buildVerificationUrl
+};
@@ -0,0 +1,413 @@
+const Client = require('../models/Client');
+const ClientMerge = require('../models/ClientMerge');
+const Vaccination = require('../models/Vaccination');
+const ParasiteControl = require('../models/ParasiteControl');
+const MobileClinic = require('../models/MobileClinic');
+const EquineHealth = require('../models/EquineHealth');
+const Laboratory = require('../models/Laboratory');
+const Animal = require('../models/Animal');
+const Movement = require('../models/Movement');
+const { AppError } = require('../middleware/errorHandler');
+
+// الحد الأدنى لتشابه الأسماء لاعتبار عميلين في نفس القرية مكررين
+const DEFAULT_MIN_SCORE = 0.85;
+
+// مع تطابق رقم الهاتف يكفي تشابه أقل (اختلاف كتابة الاسم بين عربي وإنجليزي)
+const PHONE_MATCH_MIN_SCORE = 0.6;
+
+// النماذج التي تشير إلى العميل عبر الحقل client (ObjectId)
+const CLIENT_REFERENCE_MODELS = [Vaccination, ParasiteControl, MobileClinic, Laboratory, Animal];
+
+// نماذج تحفظ بيانات العميل كحقول مسطحة (clientId = رقم الهوية)
+const FLAT_CLIENT_MODELS = [MobileClinic, Laboratory];
+
+// كلمات النسب وأداة التعريف لا تميّز الأسماء
+const NAME_CONNECTORS = new Set(['بن', 'ابن', 'بنت', 'ال', 'bin', 'ibn', 'bint', 'ben', 'al', 'el']);
+const ABD_PREFIXES = new Set(['عبد', 'abd', 'abdul', 'abdel', 'abdal']);
+
+// تحويل الحروف العربية إلى مجموعات صوتية لاتينية لمقارنة الأسماء بين اللغتين
+const ARABIC_TO_LATIN = {
+  'ب': 'b', 'ت': 't', 'ث': 't', 'ط': 't', 'ج': 'j', 'ح': 'h', 'خ': 'h', 'ه': 'h',
+  'د': 'd', 'ذ': 'd', 'ض': 'd', 'ر': 'r', 'ز': 'z', 'ظ': 'z', 'س': 's', 'ش': 's',
+  'ص': 's', 'غ': 'g', 'ف': 'f', 'ق': 'k', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n',
+  'ا': '', 'ع': '', 'ء': '', 'و': '', 'ي': ''
+};
+// الحرف الأول يُحتفظ به حتى لو كان حرف مد (عمر = omar، وليد = waleed)
+const ARABIC_INITIALS = { 'ا': 'a', 'ع': 'a', 'ء': 'a', 'و': 'w', 'ي': 'y' };
+
+const LATIN_DIGRAPHS = [[/kh/g, 'h'], [/gh/g, 'g'], [/sh/g, 's'], [/th/g, 't'], [/dh/g, 'd'], [/ph/g, 'f'], [/[qc]/g, 'k']];
+
+/**
+ * Normalize Arabic spelling variants (diacritics, tatweel, hamza forms, taa marbuta)
+ */
+const normalizeArabic = (text) => String(text || '')
+  .replace(/[\u064B-\u065F\u0670]/g, '')
+  .replace(/\u0640/g, '')
+  .replace(/[أإآٱ]/g, 'ا')
+  .replace(/ؤ/g, 'و')
+  .replace(/ئ/g, 'ي')
+  .replace(/ى/g, 'ي')
+  .replace(/ة/g, 'ه');
+
+const latinSkeleton = (word) => {
+  const consonants = LATIN_DIGRAPHS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), word);
+  const first = /[aeiou]/.test(consonants[0]) ? 'a' : consonants[0];
+  return first + consonants.slice(1).replace(/[aeiouy]/g, '');
+};
+
+const arabicSkeleton = (word) => {
+  const first = ARABIC_INITIALS[word[0]] !== undefined ? ARABIC_INITIALS[word[0]] : (ARABIC_TO_LATIN[word[0]] || '');
+  return first + word.slice(1).split('').map(letter => ARABIC_TO_LATIN[letter] || '').join('');
+};
+
+/**
+ * Script-independent phonetic key per name token, so "محمد" / "Mohammed" / "Muhammad"
+ * all give "mhmd"
+ */
+const nameTokens = (name) => {
+  const words = normalizeArabic(name)
+    .toLowerCase()
+    .replace(/[^a-z\u0621-\u064A\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map((word) => {
+      // أداة التعريف المتصلة (الشمري، Alshammari)
+      if (/^ال[\u0621-\u064A]{3,}$/.test(word)) return word.slice(2);
+      if (/^(al|el)[a-z]{4,}$/.test(word)) return word.slice(2);
+      return word;
+    })
+    .filter(word => !NAME_CONNECTORS.has(word));
+
+  // "عبد الله" و "عبدالله" و "Abdullah" اسم واحد
+  const merged = [];
+  for (let i = 0; i < words.length; i++) {
+    if (ABD_PREFIXES.has(words[i]) && i + 1 < words.length) {
+      merged.push(words[i] + words[++i]);
+    } else {
+      merged.push(words[i]);
+    }
+  }
+
+  return merged
+    .map(word => (/[\u0621-\u064A]/.test(word) ? arabicSkeleton(word) : latinSkeleton(word)))
+    .map(key => key.replace(/(.)\1+/g, '$1'))
+    // الهاء الأخيرة (فاطمة / Fatima) لا تُكتب دائماً بالإنجليزية
+    .map(key => (key.length > 3 ? key.replace(/h$/, '') : key))
+    .filter(Boolean);
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+const tokenSimilarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+/**
+ * Fuzzy name similarity (0..1), tolerant to Arabic/English spelling and
+ * to one name having fewer parts (e.g. first + family name only)
+ */
+const nameSimilarity = (nameA, nameB) => {
+  const tokensA = nameTokens(nameA);
+  const tokensB = nameTokens(nameB);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const best = shorter.map(token => Math.max(...longer.map(other => tokenSimilarity(token, other))));
+  const average = best.reduce((sum, score) => sum + score, 0) / shorter.length;
+
+  // الاسم الأول يجب أن يتطابق تقريباً
+  if (tokenSimilarity(shorter[0], longer[0]) < 0.75) return average * 0.7;
+  return average * (0.85 + 0.15 * (shorter.length / longer.length));
+};
+
+/**
+ * Phone reduced to its last 9 digits so 05XXXXXXXX, 5XXXXXXXX and +9665XXXXXXXX match
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 8 || /^(\d)\1+$/.test(digits)) return null;
+  return digits.slice(-9);
+};
+
+// عدد الحقول المعبأة - يُفضّل السجل الأكمل كعميل أساسي
+const completeness = (client) => [
+  /^\d{10,14}$/.test(client.nationalId || ''),
+  client.birthDate,
+  client.email,
+  client.village,
+  client.holdingCode,
+  client.coordinates && client.coordinates.latitude,
+  client.animals && client.animals.length > 0
+].filter(Boolean).length;
+
+const pickSurvivor = (clients) => [...clients].sort((a, b) =>
+  completeness(b) - completeness(a) || new Date(a.createdAt) - new Date(b.createdAt)
+)[0];
+
+// القرية + أول حرف من المفتاح الصوتي للاسم الأول
+const nameVillageKey = (client) => {
+  const [firstName] = nameTokens(client.name);
+  if (!client.village || !firstName) return null;
+  return `${client.village._id.toString()}:${firstName[0]}`;
+};
+
+/**
+ * Find groups of likely duplicate clients: same normalized phone, or same
+ * village with a similar name. Names are only compared inside small blocks
+ * (same phone, or same village and first-name initial), never village-wide
+ * @param {Object} options - { filter, minScore }
+ * @returns {Promise<Array>} groups with members, matching reasons and suggested survivor
+ */
+const findDuplicateGroups = async ({ filter = {}, minScore = DEFAULT_MIN_SCORE } = {}) => {
+  const clients = await Client.find(filter)
+    .select('name nationalId phone email birthDate village holdingCode coordinates animals createdAt')
+    .populate('village', 'nameArabic nameEnglish')
+    .lean();
+
+  const byId = new Map(clients.map(client => [client._id.toString(), client]));
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  clients.forEach(client => parent.set(client._id.toString(), client._id.toString()));
+
+  const pairs = new Map();
+  const compare = (a, b, reason, threshold) => {
+    const key = [a._id.toString(), b._id.toString()].sort().join(':');
+    if (pairs.has(key)) return;
+    const score = nameSimilarity(a.name, b.name);
+    if (score < threshold) return;
+    pairs.set(key, { score, reason });
+    parent.set(find(a._id.toString()), find(b._id.toString()));
+  };
+
+  // المقارنة داخل كل مجموعة فقط (نفس الهاتف / نفس القرية) بدل المقارنة الشاملة
+  const blocks = (keyOf) => {
+    const result = new Map();
+    clients.forEach((client) => {
+      const key = keyOf(client);
+      if (!key) return;
+      if (!result.has(key)) result.set(key, []);
+      result.get(key).push(client);
+    });
+    return [...result.values()].filter(block => block.length > 1);
+  };
+  const compareBlock = (block, reason, threshold) => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        compare(block[i], block[j], reason, threshold);
+      }
+    }
+  };
+
+  blocks(client => normalizePhone(client.phone))
+    .forEach(block => compareBlock(block, 'phone', Math.min(minScore, PHONE_MATCH_MIN_SCORE)));
+  // داخل القرية تُقارن فقط الأسماء التي يبدأ اسمها الأول بنفس الحرف (الاسم الأول يجب أن يتطابق تقريباً)
+  blocks(nameVillageKey)
+    .forEach(block => compareBlock(block, 'name_village', minScore));
+
+  const groups = new Map();
+  pairs.forEach(({ score, reason }, key) => {
+    const [idA, idB] = key.split(':');
+    const root = find(idA);
+    if (!groups.has(root)) groups.set(root, { ids: new Set(), score: 1, reasons: new Set() });
+    const group = groups.get(root);
+    group.ids.add(idA);
+    group.ids.add(idB);
+    group.score = Math.min(group.score, score);
+    group.reasons.add(reason);
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const members = [...group.ids].map(id => byId.get(id));
+      const survivor = pickSurvivor(members);
+      return {
+        score: Math.round(group.score * 100) / 100,
+        reasons: [...group.reasons],
+        suggestedSurvivorId: survivor._id,
+        clients: members.map(client => ({
+          _id: client._id,
+          name: client.name,
+          nationalId: client.nationalId,
+          phone: client.phone,
+          village: client.village,
+          animalsCount: (client.animals || []).reduce((total, animal) => total + (animal.animalCount || 0), 0),
+          createdAt: client.createdAt
+        }))
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.clients.length - a.clients.length);
+};
+
+/**
+ * Best existing match for an incoming name/phone (used by imports before creating a new client)
+ */
+const findMatchingClient = async ({ name, phone, village }) => {
+  const normalizedPhone = normalizePhone(phone);
+  const conditions = [];
+  if (normalizedPhone) conditions.push({ phone: new RegExp(`${normalizedPhone}$`) });
+  if (village) conditions.push({ village });
+  if (!name || conditions.length === 0) return null;
+
+  const candidates = await Client.find({ $or: conditions }).limit(200);
+  let best = null;
+  candidates.forEach((candidate) => {
+    const samePhone = normalizedPhone && normalizePhone(candidate.phone) === normalizedPhone;
+    const sameVillage = village && candidate.village && candidate.village.toString() === village.toString();
+    const threshold = samePhone ? Math.max(PHONE_MATCH_MIN_SCORE, 0.75) : DEFAULT_MIN_SCORE;
+    const score = nameSimilarity(name, candidate.name);
+    if ((samePhone || sameVillage) && score >= threshold && (!best || score > best.score)) {
+      best = { client: candidate, score };
+    }
+  });
+  return best ? best.client : null;
+};
+
+const animalKey = (animal) => [
+  animal.animalType, animal.breed, animal.age, animal.gender, animal.healthStatus, animal.animalCount
+].join('|');
+
+// دمج معلّق أقدم من هذا يُعتبر متوقفاً (انقطع الطلب) ولا يمنع دمجاً جديداً
+const PENDING_MERGE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Merge duplicate clients into the survivor: service records are re-pointed,
+ * missing survivor details and animals are copied over and duplicates go to the
+ * recycle bin. The ClientMerge record is created first as pending and completed at
+ * the end; every step can run again, so a failed merge (marked failed, duplicates
+ * still live) is finished by merging the same clients again.
+ * @param {Document} survivor - client that is kept
+ * @param {Array<Document>} duplicates - clients merged into the survivor
+ * @param {string} userId - user performing the merge
+ * @param {string} notes - optional reason
+ */
+const mergeClients = async (survivor, duplicates, userId, notes) => {
+  const duplicateIds = duplicates.map(client => client._id);
+  const duplicateNationalIds = duplicates
+    .map(client => client.nationalId)
+    .filter(nationalId => nationalId && nationalId !== survivor.nationalId);
+
+  const involved = [survivor._id, ...duplicateIds];
+  const running = await ClientMerge.findOne({
+    status: 'pending',
+    createdAt: { $gt: new Date(Date.now() - PENDING_MERGE_TTL_MS) },
+    $or: [{ survivor: { $in: involved } }, { 'mergedClients._id': { $in: involved } }]
+  });
+  if (running) {
+    throw new AppError('These clients are already being merged', 409, 'CLIENT_MERGE_IN_PROGRESS');
+  }
+
+  const merge = await ClientMerge.create({
+    survivor: survivor._id,
+    mergedClients: duplicates.map(client => client.toObject({ depopulate: true, virtuals: false })),
+    status: 'pending',
+    notes,
+    mergedBy: userId
+  });
+
+  const reassigned = {};
+  try {
+    // إكمال بيانات العميل الأساسي من السجلات المكررة دون استبدال الموجود
+    ['birthDate', 'email', 'village', 'holdingCode', 'notes'].forEach((field) => {
+      if (survivor[field]) return;
+      const source = duplicates.find(client => client[field]);
+      if (source) survivor[field] = source[field];
+    });
+    if (!survivor.coordinates || survivor.coordinates.latitude === undefined) {
+      const source = duplicates.find(client => client.coordinates && client.coordinates.latitude !== undefined);
+      if (source) survivor.coordinates = source.coordinates;
+    }
+
+    const services = new Set(survivor.availableServices || []);
+    const identifiers = new Set(survivor.animals.map(animal => animal.identificationNumber).filter(Boolean));
+    const animalKeys = new Set(survivor.animals.map(animalKey));
+    duplicates.forEach((client) => {
+      (client.availableServices || []).forEach(service => services.add(service));
+      client.animals.forEach((animal) => {
+        if (animal.identificationNumber ? identifiers.has(animal.identificationNumber) : animalKeys.has(animalKey(animal))) return;
+        survivor.animals.push(animal.toObject());
+        if (animal.identificationNumber) identifiers.add(animal.identificationNumber);
+        animalKeys.add(animalKey(animal));
+      });
+    });
+    survivor.availableServices = [...services];
+    survivor.updatedBy = userId;
+    await survivor.save();
+
+    // يشمل سجلات سلة المحذوفات حتى لا تبقى مرتبطة بعميل محذوف عند استعادتها
+    // النماذج المسطحة تُحدَّث باستعلام واحد (المرجع أو رقم الهوية) حتى لا يُحسب السجل مرتين
+    for (const Model of CLIENT_REFERENCE_MODELS) {
+      const flat = FLAT_CLIENT_MODELS.includes(Model) && duplicateNationalIds.length > 0;
+      const result = await Model.updateMany(
+        flat
+          ? { $or: [{ client: { $in: duplicateIds } }, { clientId: { $in: duplicateNationalIds } }] }
+          : { client: { $in: duplicateIds } },
+        {
+          $set: flat
+            ? { client: survivor._id, clientId: survivor.nationalId, clientName: survivor.name, clientPhone: survivor.phone }
+            : { client: survivor._id }
+        }
+      ).withDeleted();
+      reassigned[Model.modelName] = result.modifiedCount;
+    }
+
+    // سجل حركة الحيوانات يحتفظ بالطرفين (البائع والمشتري)
+    const [movedFrom, movedTo] = await Promise.all([
+      Movement.updateMany({ fromClient: { $in: duplicateIds } }, { $set: { fromClient: survivor._id } }),
+      Movement.updateMany({ toClient: { $in: duplicateIds } }, { $set: { toClient: survivor._id } })
+    ]);
+    reassigned.Movement = movedFrom.modifiedCount + movedTo.modifiedCount;
+
+    if (duplicateNationalIds.length > 0) {
+      // الفروسية تحفظ نسخة مضمّنة من بيانات العميل
+      const result = await EquineHealth.updateMany(
+        { 'client.nationalId': { $in: duplicateNationalIds } },
+        { $set: { 'client.name': survivor.name, 'client.nationalId': survivor.nationalId, 'client.phone': survivor.phone } }
+      ).withDeleted();
+      reassigned.EquineHealth = result.modifiedCount;
+    } else {
+      reassigned.EquineHealth = 0;
+    }
+
+    // آخر خطوة: المكررات تبقى ظاهرة حتى ينتقل كل ما يشير إليها
+    await Client.softDelete({ _id: { $in: duplicateIds } }, userId);
+  } catch (error) {
+    merge.status = 'failed';
+    merge.reassigned = reassigned;
+    merge.failureReason = error.message;
+    await merge.save();
+    throw error;
+  }
+
+  merge.status = 'completed';
+  merge.reassigned = reassigned;
+  merge.completedAt = new Date();
+  return merge.save();
+};
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  normalizeArabic,
+  normalizePhone,
+  nameSimilarity,
+  findDuplicateGroups,
+  findMatchingClient,
+  mergeClients
+};
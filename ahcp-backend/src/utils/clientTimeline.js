@@ -0,0 +1,250 @@
+const ParasiteControl = require('../models/ParasiteControl');
+const Vaccination = require('../models/Vaccination');
+const MobileClinic = require('../models/MobileClinic');
+const EquineHealth = require('../models/EquineHealth');
+const Laboratory = require('../models/Laboratory');
+
+const SPECIES = ['sheep', 'goats', 'camel', 'cattle', 'horse'];
+
+const sumHerd = (herdCounts, key) => SPECIES.reduce(
+  (total, species) => total + ((herdCounts && herdCounts[species] && herdCounts[species][key]) || 0),
+  0
+);
+
+const joinParts = (parts) => parts.filter(Boolean).join(' - ');
+
+// تعريف كل خدمة: كيفية ربط السجل بالعميل أو بالحيوان وملخص السجل في السجل الزمني
+const SERVICES = {
+  parasite_control: {
+    label: 'مكافحة الطفيليات',
+    Model: ParasiteControl,
+    select: 'serialNo date client herdCounts totalTreated insecticide herdHealthStatus request',
+    clientConditions: (client) => [{ client: client._id }],
+    animalConditions: (animal) => [{ animals: animal._id }],
+    summarize: (record) => {
+      const animalsTreated = record.totalTreated || sumHerd(record.herdCounts, 'treated');
+      const insecticide = record.insecticide || {};
+      return {
+        animalsTreated,
+        insecticide: insecticide.type,
+        method: insecticide.method,
+        herdHealthStatus: record.herdHealthStatus,
+        text: joinParts([`${animalsTreated} animals treated`, insecticide.type, insecticide.method])
+      };
+    }
+  },
+  vaccination: {
+    label: 'التحصين',
+    Model: Vaccination,
+    select: 'serialNo date client herdCounts vaccineType vaccineCategory herdHealth request',
+    clientConditions: (client) => [{ client: client._id }],
+    animalConditions: (animal) => [{ animals: animal._id }],
+    summarize: (record) => {
+      const animalsVaccinated = sumHerd(record.herdCounts, 'vaccinated');
+      return {
+        animalsVaccinated,
+        vaccineType: record.vaccineType,
+        vaccineCategory: record.vaccineCategory,
+        text: joinParts([record.vaccineType, record.vaccineCategory, `${animalsVaccinated} animals vaccinated`])
+      };
+    }
+  },
+  mobile_clinic: {
+    label: 'العيادة المتنقلة',
+    Model: MobileClinic,
+    select: 'serialNo date client clientId animalCounts diagnosis interventionCategory treatment followUpDate request',
+    clientConditions: (client) => [{ client: client._id }, { clientId: client.nationalId }],
+    animalConditions: (animal) => [{ animals: animal._id }],
+    summarize: (record) => {
+      const animalsTreated = SPECIES.reduce((total, species) => total + ((record.animalCounts && record.animalCounts[species]) || 0), 0);
+      return {
+        animalsTreated,
+        diagnosis: record.diagnosis,
+        interventionCategory: record.interventionCategory,
+        treatment: record.treatment,
+        followUpDate: record.followUpDate,
+        text: joinParts([record.diagnosis, record.interventionCategory, record.treatment, `${animalsTreated} animals`])
+      };
+    }
+  },
+  equine_health: {
+    label: 'صحة الخيول',
+    Model: EquineHealth,
+    select: 'serialNo date client horseCount diagnosis interventionCategory treatment followUpDate request',
+    // الفروسية تحفظ بيانات العميل مضمّنة في السجل
+    clientConditions: (client) => [{ 'client.nationalId': client.nationalId }],
+    animalConditions: (animal) => [{ 'horseDetails.animal': animal._id }],
+    summarize: (record) => ({
+      horsesTreated: record.horseCount || 0,
+      diagnosis: record.diagnosis,
+      interventionCategory: record.interventionCategory,
+      treatment: record.treatment,
+      followUpDate: record.followUpDate,
+      text: joinParts([record.diagnosis, record.interventionCategory, record.treatment, `${record.horseCount || 0} horses`])
+    })
+  },
+  laboratory: {
+    label: 'المختبر',
+    Model: Laboratory,
+    select: 'serialNo date client clientId sampleCode sampleType sampleNumber positiveCases negativeCases testResults',
+    clientConditions: (client) => [{ client: client._id }, { clientId: client.nationalId }],
+    animalConditions: (animal) => [{ animals: animal._id }],
+    summarize: (record) => {
+      const positiveCases = record.positiveCases || 0;
+      const result = positiveCases > 0 ? 'Positive' : (record.negativeCases > 0 ? 'Negative' : 'Pending');
+      return {
+        sampleCode: record.sampleCode,
+        sampleType: record.sampleType,
+        samples: record.sampleNumber,
+        positiveCases,
+        negativeCases: record.negativeCases || 0,
+        result,
+        testResults: (record.testResults || []).map(test => ({ parameter: test.parameter, result: test.result, status: test.status })),
+        text: joinParts([record.sampleType, `${result} (${positiveCases} positive / ${record.negativeCases || 0} negative)`])
+      };
+    }
+  }
+};
+
+const SERVICE_TYPES = Object.keys(SERVICES);
+
+const collectTimeline = async (conditionsFor, { services = SERVICE_TYPES, startDate, endDate } = {}) => {
+  const dateFilter = {};
+  if (startDate) dateFilter.$gte = new Date(startDate);
+  if (endDate) dateFilter.$lte = new Date(endDate);
+
+  const results = await Promise.all(services.map(async (service) => {
+    const definition = SERVICES[service];
+    const filter = { $or: conditionsFor(definition) };
+    if (Object.keys(dateFilter).length > 0) filter.date = dateFilter;
+
+    const records = await definition.Model.find(filter).select(definition.select).lean();
+    return records.map(record => ({
+      service,
+      serviceLabel: definition.label,
+      recordId: record._id,
+      serialNo: record.serialNo,
+      date: record.date,
+      requestSituation: record.request && record.request.situation,
+      summary: definition.summarize(record)
+    }));
+  }));
+
+  const totals = {};
+  services.forEach((service, index) => {
+    totals[service] = results[index].length;
+  });
+
+  const entries = results
+    .flat()
+    .sort((a, b) => new Date(b.date) - new Date(a.date) || String(b.serialNo).localeCompare(String(a.serialNo)));
+
+  return { entries, totals };
+};
+
+/**
+ * All service records of a client merged into one feed, newest first
+ * @param {Object} client - client document (needs _id and nationalId)
+ * @param {Object} options - { services: [service types], startDate, endDate }
+ * @returns {Promise<{entries: Array, totals: Object}>}
+ */
+const buildClientTimeline = (client, options) =>
+  collectTimeline(definition => definition.clientConditions(client), options);
+
+/**
+ * Medical record of a single registered animal (records that reference it), newest first
+ * @param {Object} animal - animal document
+ * @param {Object} options - { services: [service types], startDate, endDate }
+ */
+const buildAnimalTimeline = (animal, options) =>
+  collectTimeline(definition => definition.animalConditions(animal), options);
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+/**
+ * Flat rows for CSV / Excel export of a client's history
+ */
+const timelineRows = (entries) => entries.map(entry => ({
+  'Date': formatDate(entry.date),
+  'Service': entry.serviceLabel,
+  'Serial No': entry.serialNo || '',
+  'Summary': entry.summary.text,
+  'Request Status': entry.requestSituation || ''
+}));
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Printable (RTL) HTML history of a client
+ */
+const renderTimelineHtml = (client, { entries, totals }) => {
+  const village = client.village && typeof client.village === 'object'
+    ? client.village.nameArabic || client.village.nameEnglish
+    : '';
+  const rows = timelineRows(entries).map(row => `
+        <tr>
+          <td>${escapeHtml(row['Date'])}</td>
+          <td>${escapeHtml(row['Service'])}</td>
+          <td>${escapeHtml(row['Serial No'])}</td>
+          <td>${escapeHtml(row['Summary'])}</td>
+          <td>${escapeHtml(row['Request Status'])}</td>
+        </tr>`).join('');
+  const totalsList = SERVICE_TYPES
+    .filter(service => totals[service] !== undefined)
+    .map(service => `<li>${escapeHtml(SERVICES[service].label)}: ${totals[service]}</li>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html dir="rtl" lang="ar">
+<head>
+  <meta charset="utf-8">
+  <title>سجل خدمات العميل - ${escapeHtml(client.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #2c3e50; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; font-size: 13px; }
+    th, td { border: 1px solid #bdc3c7; padding: 6px 8px; text-align: right; vertical-align: top; }
+    th { background: #ecf0f1; }
+    ul { padding-right: 18px; }
+    @media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>سجل خدمات العميل</h1>
+  <p>
+    الاسم: ${escapeHtml(client.name)}<br>
+    رقم الهوية: ${escapeHtml(client.nationalId)}<br>
+    الهاتف: ${escapeHtml(client.phone)}${village ? `<br>
+    القرية: ${escapeHtml(village)}` : ''}
+  </p>
+  <ul>${totalsList}</ul>
+  <table>
+    <thead>
+      <tr>
+        <th>التاريخ</th>
+        <th>الخدمة</th>
+        <th>الرقم التسلسلي</th>
+        <th>الملخص</th>
+        <th>حالة الطلب</th>
+      </tr>
+    </thead>
+    <tbody>${rows || `
+        <tr><td colspan="5">لا توجد سجلات</td></tr>`}
+    </tbody>
+  </table>
+  <p style="font-size: 11px; color: #7f8c8d;">تاريخ الطباعة: ${formatDate(new Date())}</p>
+</body>
+</html>`;
+};
+
+module.exports = {
+  SERVICE_TYPES,
+  buildClientTimeline,
+  buildAnimalTimeline,
+  timelineRows,
+  renderTimelineHtml
+};
@@ -0,0 +1,196 @@
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const csv = require('csv-parser');
+const { AppError } = require('../middleware/errorHandler');
+
+// الفواصل المدعومة: Excel العربي يحفظ CSV بـ ";" وملفات "Unicode text" بـ tab
+const DELIMITERS = [',', ';', '\t'];
+
+// الجزء الأول من الملف يكفي لتحديد الترميز والفاصل
+const SNIFF_BYTES = 64 * 1024;
+
+// علامة تنصيص داخل حقل غير منصص (مثل 5" pipe) تُمرر لـ csv-parser بهذا الحرف ثم تُعاد
+const LITERAL_QUOTE = '\uE000';
+
+/**
+ * Detect the text encoding of the start of a file. A BOM decides directly; otherwise text
+ * that is not valid UTF-8 is taken as Windows-1256 (Arabic Excel / legacy systems).
+ * @param {Buffer} sample
+ * @returns {string} TextDecoder encoding label
+ */
+const detectEncoding = (sample) => {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return 'utf-8';
+  if (sample[0] === 0xff && sample[1] === 0xfe) return 'utf-16le';
+  if (sample[0] === 0xfe && sample[1] === 0xff) return 'utf-16be';
+
+  try {
+    // stream: true يتجاهل حرفاً مقطوعاً في نهاية العينة
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1256';
+  }
+};
+
+/**
+ * The delimiter that appears most often in the header line (outside quoted fields)
+ * @param {string} text - decoded start of the file
+ * @returns {string}
+ */
+const detectDelimiter = (text) => {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && char in counts) {
+      counts[char] += 1;
+    }
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+};
+
+/**
+ * Follow the quote state of the decoded text. A quote only opens a field at its start
+ * (relaxed quotes); one inside an unquoted field is passed on as a literal character.
+ * csv-parser keeps a quoted field that is never closed as text up to the end of the file,
+ * so the open quote is reported here instead.
+ * @param {string} delimiter
+ * @returns {{ scan(text: string): string, unterminatedLine: number|null }}
+ */
+const createQuoteScanner = (delimiter) => {
+  let line = 1;
+  let openedOnLine = null;
+  let quoted = false;
+  // علامة داخل الحقل المنصص: إغلاق، أو "" إذا تبعتها علامة أخرى
+  let closing = false;
+  let fieldStart = true;
+
+  return {
+    scan(text) {
+      let result = '';
+      for (const char of text) {
+        if (quoted && (!closing || char === '"')) {
+          if (char === '"') closing = !closing;
+          else if (char === '\n') line += 1;
+          result += char;
+          continue;
+        }
+        if (quoted) {
+          quoted = false;
+          fieldStart = false;
+        }
+
+        if (char === '"') {
+          if (fieldStart) {
+            quoted = true;
+            closing = false;
+            openedOnLine = line;
+          }
+          result += fieldStart ? char : LITERAL_QUOTE;
+          continue;
+        }
+
+        if (char === delimiter || char === '\n') {
+          fieldStart = true;
+          if (char === '\n') line += 1;
+        } else if (char !== ' ' && char !== '\r') {
+          fieldStart = false;
+        }
+        result += char;
+      }
+      return result;
+    },
+    get unterminatedLine() {
+      return quoted && !closing ? openedOnLine : null;
+    }
+  };
+};
+
+/**
+ * Parse an RFC 4180 CSV file: quoted fields with delimiters, line breaks and doubled quotes,
+ * CRLF or LF line endings, a UTF-8 / UTF-16 BOM, `,` `;` or tab delimiters and Windows-1256
+ * text. A quote inside an unquoted field is read as text. The file is decoded and parsed as it is read.
+ * @param {Readable|Buffer} input - file stream or uploaded buffer
+ * @param {Object} options - { encoding, delimiter } detected from the start of the file when omitted
+ * @returns {Promise<Array<Object>>} rows keyed by header, blank lines skipped
+ * @throws {AppError} 400 CSV_UNTERMINATED_QUOTE when a quoted field is still open at the end of the file
+ */
+const parseCsv = async (input, options = {}) => {
+  const source = Buffer.isBuffer(input) ? Readable.from([input]) : input;
+  const chunks = source[Symbol.asyncIterator]();
+
+  const head = [];
+  let headLength = 0;
+  let finished = false;
+  while (headLength < SNIFF_BYTES) {
+    const next = await chunks.next();
+    if (next.done) {
+      finished = true;
+      break;
+    }
+    const chunk = Buffer.isBuffer(next.value) ? next.value : Buffer.from(next.value);
+    head.push(chunk);
+    headLength += chunk.length;
+  }
+
+  const sample = Buffer.concat(head);
+  // TextDecoder يحذف علامة BOM من بداية النص
+  const decoder = new TextDecoder(options.encoding || detectEncoding(sample));
+  const firstText = decoder.decode(sample, { stream: true });
+  const delimiter = options.delimiter || detectDelimiter(firstText);
+
+  const quotes = createQuoteScanner(delimiter);
+  const encode = text => Buffer.from(quotes.scan(text));
+  const restoreQuotes = text => text.split(LITERAL_QUOTE).join('"').trim();
+
+  // csv-parser يعمل على بايتات UTF-8
+  async function* decoded() {
+    yield encode(firstText);
+    if (!finished) {
+      for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+        yield encode(decoder.decode(next.value, { stream: true }));
+      }
+    }
+    yield encode(decoder.decode());
+  }
+
+  const rows = [];
+  await pipeline(
+    Readable.from(decoded()),
+    csv({
+      separator: delimiter,
+      quote: '"',
+      escape: '"',
+      mapHeaders: ({ header }) => restoreQuotes(header),
+      mapValues: ({ value }) => restoreQuotes(value)
+    }),
+    new Writable({
+      objectMode: true,
+      write(row, encoding, callback) {
+        if (Object.values(row).some(value => value !== '')) rows.push(row);
+        callback();
+      }
+    })
+  );
+
+  if (quotes.unterminatedLine !== null) {
+    throw new AppError(
+      `CSV row starting on line ${quotes.unterminatedLine} has a quoted field that is never closed`,
+      400,
+      'CSV_UNTERMINATED_QUOTE'
+    );
+  }
+
+  return rows;
+};
+
+module.exports = {
+  parseCsv,
+  detectEncoding,
+  detectDelimiter
+};
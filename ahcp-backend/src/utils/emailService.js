@@ -4,7 +4,7 @@ const nodemailer = require('nodemailer');
 const createTransporter = () => {
   // For development, use a test account or Gmail
   if (process.env.NODE_ENV === 'development') {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       service: 'gmail',
       auth: {
         user: process.env.EMAIL_USER || 'your-email@gmail.com',
@@ -14,7 +14,7 @@ const createTransporter = () => {
   }
 
   // For production, use your SMTP settings
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.SMTP_HOST || 'smtp.gmail.com',
     port: process.env.SMTP_PORT || 587,
     secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
@@ -25,6 +25,12 @@ const createTransporter = () => {
   });
 };
 
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 // Email templates
 const emailTemplates = {
   passwordReset: (resetUrl, userName) => ({
@@ -163,6 +169,28 @@ const emailTemplates = {
       هذا البريد الإلكتروني تم إرساله تلقائياً من نظام مشروع صحة الحيوان
       © 2025 ARTAT System - جميع الحقوق محفوظة
     `
+  }),
+
+  notification: (title, message, link, userName) => ({
+    subject: `${title} - مشروع صحة الحيوان`,
+    html: `
+      <!DOCTYPE html>
+      <html dir="rtl" lang="ar">
+      <head>
+        <meta charset="UTF-8">
+        <title>${escapeHtml(title)}</title>
+      </head>
+      <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="font-size: 20px; font-weight: bold; color: #2c3e50; margin-bottom: 10px;">🏥 AHCP - مشروع صحة الحيوان</div>
+        <p>مرحباً ${escapeHtml(userName || 'عزيزي المستخدم')}،</p>
+        <h3 style="color: #34495e;">${escapeHtml(title)}</h3>
+        <p>${escapeHtml(message)}</p>
+        ${link ? `<p><a href="${escapeHtml(link)}">عرض التفاصيل</a></p>` : ''}
+        <p style="font-size: 13px; color: #666;">يمكنك تعديل إعدادات التنبيهات من صفحة الإشعارات في النظام</p>
+      </body>
+      </html>
+    `,
+    text: `${title}\n\n${message}${link ? `\n\n${link}` : ''}`
   })
 };
 
@@ -194,8 +222,14 @@ const sendPasswordResetEmail = async (email, resetUrl, userName) => {
   return await sendEmail(email, 'passwordReset', [resetUrl, userName]);
 };
 
+// Send notification email (notification center)
+const sendNotificationEmail = async (email, { title, message, link }, userName) => {
+  return await sendEmail(email, 'notification', [title, message, link, userName]);
+};
+
 module.exports = {
   sendEmail,
   sendPasswordResetEmail,
+  sendNotificationEmail,
   emailTemplates
 };
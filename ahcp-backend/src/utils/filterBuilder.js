@@ -1,4 +1,7 @@
 const { normalizeEquineInterventionCategoryList } = require('./interventionCategories');
+const { buildGeoConditions } = require('./geoLocation');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 class FilterBuilder {
   constructor() {
@@ -100,6 +103,19 @@ class FilterBuilder {
     return Object.keys(dateFilter).length > 0 ? dateFilter : null;
   }
 
+  // فلتر جغرافي على location (near + radiusKm / withinPolygon / bbox)
+  applyGeoFilter(filter, query) {
+    const conditions = buildGeoConditions(query);
+
+    if (conditions.length === 1) {
+      filter.location = conditions[0];
+    } else if (conditions.length > 1) {
+      filter.$and = [...(filter.$and || []), ...conditions.map(condition => ({ location: condition }))];
+    }
+
+    return filter;
+  }
+
   // بناء فلتر القيم المتعددة مع دعم النفي
   buildMultiValueFilter(value) {
     if (!value) return null;
@@ -192,6 +208,9 @@ class FilterBuilder {
     const requestSituationFilter = this.buildMultiValueFilter(query.parasiteControlStatus || query['request.situation']);
     if (requestSituationFilter) filter['request.situation'] = requestSituationFilter;
     
+    // فلتر جغرافي
+    this.applyGeoFilter(filter, query);
+    
     return filter;
   }
 
@@ -243,6 +262,12 @@ class FilterBuilder {
     const requestSituationFilter = this.buildMultiValueFilter(query.vaccinationStatus || query['request.situation']);
     if (requestSituationFilter) filter['request.situation'] = requestSituationFilter;
     
+    // فلتر الحملة
+    if (query.campaign) filter.campaign = query.campaign;
+    
+    // فلتر جغرافي
+    this.applyGeoFilter(filter, query);
+    
     return filter;
   }
 
@@ -281,12 +306,19 @@ class FilterBuilder {
     
     // فلتر نوع الفحص
     const testTypeFilter = this.buildMultiValueFilter(query.testType);
-    if (testTypeFilter) filter['testResults.testType'] = testTypeFilter;
+    if (testTypeFilter) filter.testType = testTypeFilter;
+    
+    // فلتر مرحلة العينة
+    const sampleStatusFilter = this.buildMultiValueFilter(query.sampleStatus);
+    if (sampleStatusFilter) filter.sampleStatus = sampleStatusFilter;
     
     // فلتر الأولوية
     const priorityFilter = this.buildMultiValueFilter(query.priority);
     if (priorityFilter) filter.priority = priorityFilter;
     
+    // فلتر جغرافي
+    this.applyGeoFilter(filter, query);
+    
     return filter;
   }
 
@@ -340,6 +372,9 @@ class FilterBuilder {
     const requestSituationFilter = this.buildMultiValueFilter(query.mobileClinicStatus || query['request.situation']);
     if (requestSituationFilter) filter['request.situation'] = requestSituationFilter;
     
+    // فلتر جغرافي
+    this.applyGeoFilter(filter, query);
+    
     return filter;
   }
 
@@ -400,10 +435,210 @@ class FilterBuilder {
       if (searchFilter) Object.assign(filter, searchFilter);
     }
 
+    // فلتر جغرافي
+    this.applyGeoFilter(filter, query);
+
     console.log('🎯 Final EquineHealth filter:', JSON.stringify(filter, null, 2));
     return filter;
   }
 
+  // بناء فلتر حملات التحصين
+  buildCampaignFilter(query) {
+    const filter = {};
+
+    // الحملات التي تتقاطع نافذتها مع الفترة المطلوبة
+    if (query.startDate) {
+      const start = new Date(query.startDate);
+      if (!isNaN(start.getTime())) filter.endDate = { $gte: start };
+    }
+    if (query.endDate) {
+      const end = new Date(query.endDate);
+      if (!isNaN(end.getTime())) {
+        end.setHours(23, 59, 59, 999);
+        filter.startDate = { $lte: end };
+      }
+    }
+
+    if (query.status) {
+      const statuses = query.status.toString().split(',').map(s => s.trim()).filter(Boolean);
+      filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+    }
+
+    const vaccineTypeFilter = this.buildMultiValueFilter(query.vaccineType);
+    if (vaccineTypeFilter) filter.vaccineType = vaccineTypeFilter;
+
+    if (query.search) {
+      const searchFilter = this.buildTextSearchFilter(query.search, ['name', 'description', 'vaccineType']);
+      if (searchFilter) Object.assign(filter, searchFilter);
+    }
+
+    return filter;
+  }
+
+  // بناء فلتر سجل التدقيق
+  buildAuditLogFilter(query) {
+    const filter = {};
+
+    const dateFilter = this.buildDateFilter(query.startDate, query.endDate);
+    if (dateFilter) filter.createdAt = dateFilter;
+
+    if (query.model) {
+      const models = query.model.toString().split(',').map(m => m.trim()).filter(Boolean);
+      filter.modelName = models.length === 1 ? models[0] : { $in: models };
+    }
+
+    if (query.action) {
+      const actions = query.action.toString().split(',').map(a => a.trim()).filter(Boolean);
+      filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+
+    if (query.recordId) filter.recordId = query.recordId;
+    if (query.user) filter.user = query.user;
+    if (query.serialNo) filter.serialNo = query.serialNo.toString().trim();
+    // الحقل نفسه أو حقوله الفرعية (herdCounts ← herdCounts.sheep.total)
+    if (query.field) {
+      filter['changes.field'] = new RegExp(`^${escapeRegex(query.field.toString().trim())}(\\.|$)`);
+    }
+
+    return filter;
+  }
+
+  // بناء فلتر أصناف المخزون
+  buildInventoryFilter(query) {
+    const filter = {};
+
+    const categoryFilter = this.buildMultiValueFilter(query.category);
+    if (categoryFilter) filter.category = categoryFilter;
+
+    if (query.isActive !== undefined && query.isActive !== '') {
+      filter.isActive = query.isActive === 'true' || query.isActive === true;
+    }
+
+    if (query.lowStock === 'true') {
+      // الكمية المتاحة (كل الدفعات) أقل من أو تساوي حد إعادة الطلب
+      filter.$expr = { $lte: [{ $sum: '$batches.quantity' }, '$reorderLevel'] };
+    }
+
+    if (query.lotNumber) filter['batches.lotNumber'] = query.lotNumber.toString().trim();
+
+    if (query.search) {
+      const searchFilter = this.buildTextSearchFilter(query.search, ['name', 'aliases', 'batches.lotNumber', 'batches.supplier']);
+      if (searchFilter) Object.assign(filter, searchFilter);
+    }
+
+    return filter;
+  }
+
+  // بناء فلتر دليل معاملات الفحص المخبري
+  buildTestParameterFilter(query) {
+    const filter = {};
+
+    const testTypeFilter = this.buildMultiValueFilter(query.testType);
+    if (testTypeFilter) filter.testType = testTypeFilter;
+
+    if (query.isActive !== undefined && query.isActive !== '') {
+      filter.isActive = query.isActive === 'true' || query.isActive === true;
+    }
+
+    if (query.search) {
+      const searchFilter = this.buildTextSearchFilter(query.search, ['name', 'aliases', 'testType']);
+      if (searchFilter) Object.assign(filter, searchFilter);
+    }
+
+    return filter;
+  }
+
+  // بناء فلتر سجل رحلات المركبات
+  buildVehicleTripFilter(query) {
+    const filter = {};
+
+    const dateFilter = this.buildDateFilter(query.startDate, query.endDate);
+    if (dateFilter) filter.date = dateFilter;
+
+    const vehicleFilter = this.buildMultiValueFilter(query.vehicleNo);
+    if (vehicleFilter) filter.vehicleNo = vehicleFilter;
+
+    if (query.driver) filter.driver = query.driver;
+
+    return filter;
+  }
+
+  // بناء فلتر البؤر المرضية
+  buildOutbreakFilter(query) {
+    const filter = {};
+
+    // البؤر التي لها عينات إيجابية ضمن الفترة المطلوبة
+    if (query.startDate) {
+      const start = new Date(query.startDate);
+      if (!isNaN(start.getTime())) filter.lastSampleDate = { $gte: start };
+    }
+    if (query.endDate) {
+      const end = new Date(query.endDate);
+      if (!isNaN(end.getTime())) {
+        end.setHours(23, 59, 59, 999);
+        filter.firstSampleDate = { $lte: end };
+      }
+    }
+
+    const statusFilter = this.buildMultiValueFilter(query.status);
+    if (statusFilter) filter.status = statusFilter;
+
+    const testTypeFilter = this.buildMultiValueFilter(query.testType);
+    if (testTypeFilter) filter.testType = testTypeFilter;
+
+    if (query.scope) filter.scope = query.scope;
+    if (query.village) filter.village = query.village;
+
+    return filter;
+  }
+
+  // بناء فلتر سجل الحيوانات
+  buildAnimalFilter(query) {
+    const filter = {};
+
+    const typeFilter = this.buildMultiValueFilter(query.animalType);
+    if (typeFilter) filter.animalType = typeFilter;
+
+    const statusFilter = this.buildMultiValueFilter(query.status);
+    if (statusFilter) filter.status = statusFilter;
+
+    const healthFilter = this.buildMultiValueFilter(query.healthStatus);
+    if (healthFilter) filter.healthStatus = healthFilter;
+
+    if (query.client) filter.client = query.client;
+    if (query.holdingCode) filter.holdingCode = query.holdingCode;
+
+    // البحث برقم الترقيم أو الاسم أو السلالة
+    if (query.search) {
+      const searchFilter = this.buildTextSearchFilter(query.search, ['tagId', 'name', 'breed']);
+      if (searchFilter) Object.assign(filter, searchFilter);
+    }
+
+    return filter;
+  }
+
+  // بناء فلتر حركات الحيوانات (المصدر أو الوجهة)
+  buildMovementFilter(query) {
+    const filter = {};
+
+    const dateFilter = this.buildDateFilter(query.startDate, query.endDate);
+    if (dateFilter) filter.date = dateFilter;
+
+    const reasonFilter = this.buildMultiValueFilter(query.reason);
+    if (reasonFilter) filter.reason = reasonFilter;
+
+    const endpoints = [];
+    if (query.village) endpoints.push({ $or: [{ fromVillage: query.village }, { toVillage: query.village }] });
+    if (query.holdingCode) endpoints.push({ $or: [{ fromHoldingCode: query.holdingCode }, { toHoldingCode: query.holdingCode }] });
+    if (query.client) endpoints.push({ $or: [{ fromClient: query.client }, { toClient: query.client }] });
+    if (endpoints.length > 0) filter.$and = endpoints;
+
+    if (query.animal) filter.animals = query.animal;
+    if (query.permitNumber) filter.permitNumber = query.permitNumber.toString().trim();
+
+    return filter;
+  }
+
   // بناء معاملات الصفحات
   buildPaginationParams(query) {
     const limit = Math.min(
@@ -0,0 +1,120 @@
+const { toGeoPoint } = require('./geoLocation');
+
+const GEO_EXPORT_FORMATS = ['geojson', 'kml'];
+
+const isGeoExportFormat = (format) => GEO_EXPORT_FORMATS.includes(format);
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+};
+
+// مجموع أعداد الحيوانات لكل نوع من كائن العدادات (herdCounts / animalCounts / speciesCounts)
+const speciesTotals = (counts = {}, species = ['sheep', 'goats', 'camel', 'cattle', 'horse']) => {
+  const totals = {};
+  species.forEach((type) => {
+    const value = counts ? counts[type] : undefined;
+    totals[type] = typeof value === 'number' ? value : (value && value.total) || 0;
+  });
+  return totals;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// الإحداثيات المخزنة (coordinates) هي المصدر؛ 0,0 والقيم غير الصالحة تعني بدون موقع
+const buildFeatures = (records, getProperties, includeUnlocated) => {
+  const features = [];
+  let skipped = 0;
+
+  records.forEach((record) => {
+    const geometry = toGeoPoint(record.coordinates);
+    if (!geometry && !includeUnlocated) {
+      skipped++;
+      return;
+    }
+
+    features.push({
+      type: 'Feature',
+      id: record._id ? record._id.toString() : undefined,
+      geometry,
+      properties: {
+        ...getProperties(record),
+        hasLocation: Boolean(geometry)
+      }
+    });
+  });
+
+  return { features, skipped };
+};
+
+const buildKml = (name, features) => {
+  const placemarks = features.map((feature) => {
+    const { properties } = feature;
+    const [longitude, latitude] = feature.geometry.coordinates;
+    const data = Object.entries(properties)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `        <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('\n');
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(properties.serialNo || properties.client || feature.id || '')}</name>`,
+      properties.date ? `      <TimeStamp><when>${escapeXml(properties.date)}</when></TimeStamp>` : null,
+      '      <ExtendedData>',
+      data,
+      '      </ExtendedData>',
+      `      <Point><coordinates>${longitude},${latitude}</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>'
+  ].join('\n');
+};
+
+/**
+ * Send records as a GeoJSON FeatureCollection or a KML document.
+ * Records without a location are skipped (count in X-Skipped-Records); with
+ * includeUnlocated they are kept in GeoJSON as null-geometry features, hasLocation=false.
+ * KML has no null geometry, so unlocated records are always left out of it.
+ */
+const sendGeoExport = (res, format, records, { name, getProperties, includeUnlocated = false }) => {
+  const { features, skipped } = buildFeatures(records, getProperties, includeUnlocated && format === 'geojson');
+
+  res.setHeader('X-Skipped-Records', String(skipped));
+
+  if (format === 'kml') {
+    res.setHeader('Content-Type', 'application/vnd.google-earth.kml+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${name}.kml`);
+    return res.send(buildKml(name, features));
+  }
+
+  res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=${name}.geojson`);
+  return res.send(JSON.stringify({
+    type: 'FeatureCollection',
+    name,
+    features
+  }));
+};
+
+module.exports = {
+  GEO_EXPORT_FORMATS,
+  isGeoExportFormat,
+  sendGeoExport,
+  speciesTotals,
+  formatDate
+};
@@ -0,0 +1,194 @@
+// متوسط نصف قطر الأرض بالكيلومتر (لتحويل المسافة إلى راديان في $centerSphere)
+const EARTH_RADIUS_KM = 6378.1;
+
+const isValidLatitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -90 && value <= 90;
+const isValidLongitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -180 && value <= 180;
+
+/**
+ * Convert { latitude, longitude } to a GeoJSON point.
+ * Missing values and the 0,0 placeholder written by imports return null.
+ */
+const toGeoPoint = (coordinates) => {
+  if (!coordinates || typeof coordinates !== 'object') return null;
+
+  const latitude = coordinates.latitude === null || coordinates.latitude === '' ? NaN : Number(coordinates.latitude);
+  const longitude = coordinates.longitude === null || coordinates.longitude === '' ? NaN : Number(coordinates.longitude);
+
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) return null;
+  if (latitude === 0 && longitude === 0) return null;
+
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+/**
+ * Great-circle distance in km between two [longitude, latitude] positions (haversine)
+ */
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Aggregation-pipeline update that derives `location` from `coordinates`
+ * (used by the migration script on raw collections)
+ */
+const LOCATION_FROM_COORDINATES = [
+  {
+    $set: {
+      location: {
+        $cond: [
+          {
+            $and: [
+              { $isNumber: '$coordinates.latitude' },
+              { $isNumber: '$coordinates.longitude' },
+              { $gte: ['$coordinates.latitude', -90] },
+              { $lte: ['$coordinates.latitude', 90] },
+              { $gte: ['$coordinates.longitude', -180] },
+              { $lte: ['$coordinates.longitude', 180] },
+              {
+                $not: [{
+                  $and: [{ $eq: ['$coordinates.latitude', 0] }, { $eq: ['$coordinates.longitude', 0] }]
+                }]
+              }
+            ]
+          },
+          { type: 'Point', coordinates: ['$coordinates.longitude', '$coordinates.latitude'] },
+          '$$REMOVE'
+        ]
+      }
+    }
+  }
+];
+
+const readUpdateValue = (update, path) => {
+  if (update.$set && update.$set[path] !== undefined) return update.$set[path];
+  return update[path];
+};
+
+/**
+ * Mongoose plugin: keeps a GeoJSON `location` point (2dsphere indexed) in sync with
+ * `coordinates.latitude/longitude`, which stay the fields clients read and write
+ */
+const geoLocationPlugin = (schema) => {
+  schema.add({
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  });
+
+  schema.index({ location: '2dsphere' });
+
+  schema.pre('save', function(next) {
+    if (this.isNew || this.isModified('coordinates')) {
+      const point = toGeoPoint(this.coordinates);
+      this.set('location', point || undefined);
+    }
+    next();
+  });
+
+  // findByIdAndUpdate / updateOne / updateMany that change coordinates
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+
+    const coordinates = readUpdateValue(update, 'coordinates');
+    let latitude = readUpdateValue(update, 'coordinates.latitude');
+    let longitude = readUpdateValue(update, 'coordinates.longitude');
+    const unsetsCoordinates = Boolean(update.$unset && update.$unset.coordinates !== undefined);
+
+    if (coordinates === undefined && latitude === undefined && longitude === undefined && !unsetsCoordinates) return;
+
+    if (coordinates !== undefined || unsetsCoordinates) {
+      latitude = coordinates ? coordinates.latitude : undefined;
+      longitude = coordinates ? coordinates.longitude : undefined;
+    } else if (latitude === undefined || longitude === undefined) {
+      // تحديث جزئي (خط عرض أو طول فقط): يُكمل من السجل الحالي
+      if (this.op === 'updateMany') return;
+      const current = await this.model.findOne(this.getFilter()).select('coordinates').lean();
+      if (current && current.coordinates) {
+        if (latitude === undefined) latitude = current.coordinates.latitude;
+        if (longitude === undefined) longitude = current.coordinates.longitude;
+      }
+    }
+
+    const point = toGeoPoint({ latitude, longitude });
+    if (point) {
+      this.set('location', point);
+    } else {
+      this.setUpdate({ ...update, $unset: { ...(update.$unset || {}), location: 1 } });
+    }
+  });
+};
+
+// تحويل "lat,lng" إلى [lng, lat]
+const parseLatLng = (value) => {
+  const parts = value.toString().split(',').map(part => Number(part.trim()));
+  if (parts.length !== 2 || !isValidLatitude(parts[0]) || !isValidLongitude(parts[1])) return null;
+  return [parts[1], parts[0]];
+};
+
+/**
+ * Build `location` conditions from query params. Every point is given as lat,lng:
+ * - near=lat,lng&radiusKm=10
+ * - withinPolygon=lat,lng;lat,lng;lat,lng (ring closed automatically)
+ * - bbox=minLat,minLng,maxLat,maxLng (south-west corner, then north-east corner)
+ * Invalid values are ignored, like the other filterBuilder params.
+ */
+const buildGeoConditions = (query = {}) => {
+  const conditions = [];
+
+  if (query.near) {
+    const center = parseLatLng(query.near);
+    const radiusKm = parseFloat(query.radiusKm);
+    const radius = Number.isFinite(radiusKm) && radiusKm > 0 ? radiusKm : 10;
+    if (center) {
+      conditions.push({ $geoWithin: { $centerSphere: [center, radius / EARTH_RADIUS_KM] } });
+    }
+  }
+
+  if (query.withinPolygon) {
+    const points = query.withinPolygon.toString().split(';').filter(Boolean).map(parseLatLng);
+    if (points.length >= 3 && points.every(Boolean)) {
+      const [first] = points;
+      const last = points[points.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) points.push(first);
+      conditions.push({ $geoWithin: { $geometry: { type: 'Polygon', coordinates: [points] } } });
+    }
+  }
+
+  if (query.bbox) {
+    const [minLat, minLng, maxLat, maxLng] = query.bbox.toString().split(',').map(part => Number(part.trim()));
+    if ([minLat, maxLat].every(isValidLatitude) && [minLng, maxLng].every(isValidLongitude) && minLat < maxLat && minLng < maxLng) {
+      conditions.push({
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+          }
+        }
+      });
+    }
+  }
+
+  return conditions;
+};
+
+module.exports = {
+  geoLocationPlugin,
+  toGeoPoint,
+  distanceKm,
+  buildGeoConditions,
+  LOCATION_FROM_COORDINATES,
+  EARTH_RADIUS_KM
+};
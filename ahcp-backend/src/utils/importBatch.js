@@ -0,0 +1,271 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const ImportBatch = require('../models/ImportBatch');
+
+// الدفعة التي يعمل لها صف الاستيراد الحالي؛ كل حفظ داخلها يُنسب إليها تلقائياً
+const batchStorage = new AsyncLocalStorage();
+
+// النماذج التي تحمل importBatch
+const importBatchModels = new Set();
+
+// مراجع ينشئها الاستيراد تلقائياً: تُزال بعد السجلات، وفقط إذا لم يعد أي سجل آخر يستخدمها
+const REFERENCE_MODELS = ['Client', 'HoldingCode', 'Village'];
+
+// حقول تتغير مع كل حفظ ولا معنى لإرجاعها
+const IGNORED_PATHS = ['updatedAt', '__v'];
+
+const getPath = (source, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), source);
+
+const toPlain = value => (value && typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value);
+
+const isBatchDocument = (doc, batchId) => Boolean(doc && doc.importBatch && doc.importBatch.toString() === batchId.toString());
+
+/**
+ * Mongoose plugin: documents created while an import batch runs are tagged with its ID, and
+ * changes to existing documents are recorded with their previous values so the batch can be
+ * rolled back.
+ */
+const importBatchPlugin = (schema, options = {}) => {
+  const { modelName } = options;
+  if (!modelName) {
+    throw new Error('importBatchPlugin requires a modelName option');
+  }
+  importBatchModels.add(modelName);
+
+  schema.add({
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch'
+    }
+  });
+
+  schema.index({ importBatch: 1 }, { sparse: true });
+
+  schema.pre('save', async function() {
+    const context = batchStorage.getStore();
+    if (!context) return;
+
+    if (this.isNew) {
+      this.importBatch = context.batchId;
+      return;
+    }
+    // أُنشئ في نفس الدفعة فيُزال كاملاً عند التراجع
+    if (isBatchDocument(this, context.batchId)) return;
+
+    const paths = this.directModifiedPaths().filter(path => !IGNORED_PATHS.includes(path));
+    if (paths.length === 0) return;
+
+    const stored = await this.constructor.findById(this._id).select(paths.join(' ')).lean();
+    this.$locals.importBatchPrevious = { context, paths, stored: stored || {} };
+  });
+
+  schema.post('save', function(doc) {
+    const pending = doc.$locals.importBatchPrevious;
+    if (!pending) return;
+    delete doc.$locals.importBatchPrevious;
+
+    pending.context.changes.push({
+      model: modelName,
+      documentId: doc._id,
+      fields: pending.paths.map(path => ({
+        path,
+        previous: getPath(pending.stored, path),
+        applied: toPlain(doc.get(path, null, { getters: false }))
+      }))
+    });
+  });
+};
+
+/**
+ * Run one import row inside a batch. The row's outcome is returned instead of thrown so
+ * changes made before a failure are still recorded.
+ * @param {ObjectId} batchId
+ * @param {Function} processRow - () => Promise<Document>
+ * @returns {Promise<{ record?: Document, inserted?: boolean, error?: Error, changes: Array }>}
+ */
+const runBatchRow = async (batchId, processRow) => {
+  const context = { batchId, changes: [] };
+  try {
+    const record = await batchStorage.run(context, processRow);
+    if (!record) throw new Error('No record created');
+    return { record, inserted: isBatchDocument(record, batchId), changes: context.changes };
+  } catch (error) {
+    return { error, changes: context.changes };
+  }
+};
+
+/**
+ * Add the outcomes of processed rows to the batch counters
+ */
+const recordBatchRows = (batchId, outcomes) => {
+  const count = predicate => outcomes.filter(predicate).length;
+  return ImportBatch.updateOne(
+    { _id: batchId },
+    {
+      $inc: {
+        insertedRows: count(outcome => !outcome.error && outcome.inserted),
+        updatedRows: count(outcome => !outcome.error && !outcome.inserted),
+        failedRows: count(outcome => outcome.error)
+      },
+      $push: { changes: { $each: outcomes.flatMap(outcome => outcome.changes) } }
+    }
+  );
+};
+
+// الحقول التي تشير إلى النموذج في كل النماذج المسجلة (client، holdingCode، village...)
+const referencingPaths = (modelName) => {
+  const found = [];
+  mongoose.modelNames().forEach((name) => {
+    const Model = mongoose.model(name);
+    Model.schema.eachPath((path, schemaType) => {
+      const ref = schemaType.options?.ref || schemaType.caster?.options?.ref;
+      if (ref === modelName) found.push({ Model, path });
+    });
+  });
+  return found;
+};
+
+const findReference = async (references, id) => {
+  for (const { Model, path } of references) {
+    if (await Model.exists({ [path]: id })) return Model.modelName;
+  }
+  return null;
+};
+
+/**
+ * Restore fields of existing documents the batch changed. A field that was edited again
+ * after the import is left as it is.
+ */
+const revertChanges = async (changes, summary) => {
+  for (const change of [...changes].reverse()) {
+    const Model = mongoose.model(change.model);
+    const filter = { _id: change.documentId };
+    const $set = {};
+    const $unset = {};
+
+    change.fields.forEach(({ path, previous, applied }) => {
+      filter[path] = applied === undefined ? null : applied;
+      if (previous === undefined || previous === null) {
+        $unset[path] = 1;
+      } else {
+        $set[path] = previous;
+      }
+    });
+
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    const result = await Model.updateOne(filter, update);
+    if (result.modifiedCount > 0) {
+      summary.reverted += 1;
+    } else {
+      summary.kept.push({ model: change.model, documentId: change.documentId, reason: 'Changed again after the import' });
+    }
+  }
+};
+
+/**
+ * Take the quantities of the batch's stock receipts back out of stock. A receipt whose lot
+ * has already been used below the received quantity is kept.
+ */
+const reverseStockReceipts = async (batch, userId, summary) => {
+  const InventoryItem = mongoose.model('InventoryItem');
+  const StockMovement = mongoose.model('StockMovement');
+  const batchId = batch._id;
+  const reversed = (batch.rollback?.reversedReceipts || []).map(id => id.toString());
+  const receipts = await StockMovement.find({ importBatch: batchId, type: 'receipt', _id: { $nin: reversed } });
+
+  for (const receipt of receipts) {
+    const result = await InventoryItem.updateOne(
+      {
+        _id: receipt.item,
+        batches: { $elemMatch: { _id: receipt.batchId, quantity: { $gte: receipt.quantity } } }
+      },
+      { $inc: { 'batches.$.quantity': -receipt.quantity, 'batches.$.receivedQuantity': -receipt.quantity }, $set: { updatedBy: userId } }
+    );
+    if (result.modifiedCount === 0) {
+      summary.kept.push({ model: 'StockMovement', documentId: receipt._id, reason: `Lot ${receipt.lotNumber} has less than ${receipt.quantity} left in stock` });
+      continue;
+    }
+
+    await StockMovement.create({
+      item: receipt.item,
+      itemName: receipt.itemName,
+      batchId: receipt.batchId,
+      lotNumber: receipt.lotNumber,
+      type: 'adjustment',
+      quantity: -receipt.quantity,
+      notes: `Import ${batchId} rolled back`,
+      user: userId
+    });
+    await ImportBatch.updateOne({ _id: batchId }, { $push: { 'rollback.reversedReceipts': receipt._id } });
+    summary.reverted += 1;
+  }
+
+  // الأصناف الجديدة تُعطّل كما في حذف الصنف يدوياً، فتبقى حركاتها في السجل
+  const deactivated = await InventoryItem.updateMany(
+    { importBatch: batchId, isActive: true },
+    { $set: { isActive: false, updatedBy: userId } }
+  );
+  summary.removed += deactivated.modifiedCount;
+};
+
+const removeRecords = async (Model, filter, userId) => {
+  if (typeof Model.softDelete === 'function') {
+    const result = await Model.softDelete(filter, userId);
+    return result.deletedCount;
+  }
+  const result = await Model.deleteMany(filter);
+  return result.deletedCount;
+};
+
+/**
+ * Undo an import batch: existing documents get their previous values back, records it
+ * created go to the recycle bin (or are deleted when the model has none), stock receipts are
+ * reversed, and clients / holding codes / villages it created are removed unless other records
+ * now use them.
+ * @param {Document} batch - ImportBatch (with changes and rollback.reversedReceipts selected)
+ * @returns {Promise<{ removed: number, reverted: number, kept: Array }>}
+ */
+const rollbackImportBatch = async (batch, userId) => {
+  const summary = { removed: 0, reverted: 0, kept: [] };
+  const filter = { importBatch: batch._id };
+
+  await revertChanges(batch.changes || [], summary);
+
+  // حذف السجلات يعيد ما استهلكته من المخزون قبل سحب كميات الاستلام
+  const recordModels = [...importBatchModels].filter(name =>
+    !REFERENCE_MODELS.includes(name) && !['InventoryItem', 'StockMovement'].includes(name));
+  for (const name of recordModels) {
+    summary.removed += await removeRecords(mongoose.model(name), filter, userId);
+  }
+
+  if (importBatchModels.has('StockMovement')) {
+    await reverseStockReceipts(batch, userId, summary);
+  }
+
+  for (const name of REFERENCE_MODELS.filter(model => importBatchModels.has(model))) {
+    const Model = mongoose.model(name);
+    const references = referencingPaths(name);
+    const created = await Model.find(filter).select('_id').lean();
+
+    for (const { _id } of created) {
+      const usedBy = await findReference(references, _id);
+      if (usedBy) {
+        summary.kept.push({ model: name, documentId: _id, reason: `Used by ${usedBy} records outside this import` });
+        continue;
+      }
+      summary.removed += await removeRecords(Model, { _id }, userId);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  importBatchPlugin,
+  runBatchRow,
+  recordBatchRows,
+  rollbackImportBatch
+};
@@ -1,7 +1,9 @@
 const multer = require('multer');
-const csv = require('csv-parser');
+const { parseCsv } = require('./csvParser');
 const XLSX = require('xlsx');
 const Client = require('../models/Client');
+const { notify } = require('./notificationService');
+const { findMatchingClient } = require('./clientDeduplication');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -77,20 +79,7 @@ const processImportFromMemory = async (req, res, file, user, Model, processRowFu
     
     if (fileExtension === 'csv') {
       // Process CSV
-      const csvData = file.buffer.toString('utf8');
-      const lines = csvData.split('\n');
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-      
-      for (let i = 1; i < lines.length; i++) {
-        if (lines[i].trim()) {
-          const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-          const row = {};
-          headers.forEach((header, index) => {
-            row[header] = values[index] || '';
-          });
-          rows.push(row);
-        }
-      }
+      rows = await parseCsv(file.buffer);
     } else if (fileExtension === 'xlsx' || fileExtension === 'xls') {
       // Process Excel
       const workbook = XLSX.read(file.buffer, { type: 'buffer' });
@@ -129,9 +118,24 @@ const processImportFromMemory = async (req, res, file, user, Model, processRowFu
       successCount: results.length,
       errorCount: errors.length
     });
+
+    await notify([user._id], {
+      type: 'import_completed',
+      severity: errors.length > 0 ? 'warning' : 'info',
+      title: `${Model.modelName} import completed`,
+      message: `${results.length} of ${rows.length} rows imported${errors.length > 0 ? `, ${errors.length} rows failed` : ''} from ${file.originalname}.`,
+      relatedModel: Model.modelName
+    });
     
   } catch (error) {
     console.error('Import processing error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.error
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error processing import: ' + error.message
@@ -173,6 +177,12 @@ const findOrCreateClient = async (row, userId, ClientModel = Client) => {
       }
     }
     
+    // بدون رقم هوية: إعادة استخدام عميل بنفس الهاتف واسم مشابه بدل إنشاء عميل مكرر برقم مؤقت
+    if (String(nationalId).startsWith('TEMP-') && ClientModel === Client) {
+      client = await findMatchingClient({ name: clientName, phone });
+      if (client) return client;
+    }
+    
     const village = row.clientVillage || row.client_village || row.village || '';
     const detailedAddress = row.clientAddress || row.client_address || row.address || '';
     
@@ -199,18 +209,7 @@ const parseFileData = (file) => {
   const fileExtension = file.originalname.split('.').pop().toLowerCase();
   
   if (fileExtension === 'csv') {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      const stream = require('stream');
-      const bufferStream = new stream.PassThrough();
-      bufferStream.end(file.buffer);
-      
-      bufferStream
-        .pipe(csv())
-        .on('data', (data) => results.push(data))
-        .on('end', () => resolve(results))
-        .on('error', reject);
-    });
+    return parseCsv(file.buffer);
   } else if (fileExtension === 'xlsx' || fileExtension === 'xls') {
     const workbook = XLSX.read(file.buffer, { type: 'buffer' });
     const sheetName = workbook.SheetNames[0];
@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const ImportMapping = require('../models/ImportMapping');
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeHeader } = require('./importStaging');
+
+// الحقول التي يقرأها معالج كل وحدة: حقل النموذج ← اسم العمود الذي يبحث عنه المعالج أولاً
+const SERVICE_FIELDS = {
+  serialNo: 'Serial No',
+  date: 'date',
+  'client.name': 'Name',
+  'client.nationalId': 'ID',
+  'client.phone': 'Phone',
+  'client.birthDate': 'Birth Date',
+  'client.village': 'Village',
+  'client.detailedAddress': 'Address',
+  holdingCode: 'Holding Code',
+  'coordinates.latitude': 'N',
+  'coordinates.longitude': 'E',
+  supervisor: 'Supervisor',
+  vehicleNo: 'Vehicle No.',
+  'request.date': 'Request Date',
+  'request.situation': 'Request Status',
+  'request.fulfillingDate': 'Request Fulfilling Date',
+  remarks: 'Remarks'
+};
+
+const SPECIES = [
+  { key: 'sheep', label: 'Sheep', plural: 'Sheep', short: 'Sheep' },
+  { key: 'goats', label: 'Goats', plural: 'Goats', short: 'Goats' },
+  { key: 'camel', label: 'Camel', plural: 'Camels', short: 'Camel' },
+  { key: 'cattle', label: 'Cattle', plural: 'Cattle', short: 'Cattle' },
+  { key: 'horse', label: 'Horse', plural: 'Horses', short: 'Horses' }
+];
+
+// عناوين أعداد القطيع تختلف بين التحصين ومكافحة الطفيليات (processHerdCounts)
+const herdCountFields = (countField, parasite) => {
+  const fields = {};
+  SPECIES.forEach(({ key, label, plural, short }) => {
+    fields[`herdCounts.${key}.total`] = key === 'horse' ? 'Horse' : (parasite ? `Total ${label}` : label);
+    fields[`herdCounts.${key}.young`] = `Young ${plural}`;
+    fields[`herdCounts.${key}.female`] = key === 'horse' ? 'Female Horses' : (parasite ? `Female ${plural}` : `F. ${short}`);
+    fields[`herdCounts.${key}.${countField}`] = `${parasite ? 'Treated' : 'Vaccinated'} ${plural}`;
+  });
+  return fields;
+};
+
+const IMPORT_FIELDS = {
+  clients: {
+    name: 'name',
+    nationalId: 'nationalId',
+    phone: 'phone',
+    email: 'email',
+    village: 'village',
+    detailedAddress: 'detailedAddress',
+    status: 'status'
+  },
+  vaccination: {
+    ...SERVICE_FIELDS,
+    farmLocation: 'Location',
+    team: 'Team',
+    vaccineType: 'Vaccine',
+    vaccineCategory: 'Category',
+    herdHealth: 'Herd Health',
+    animalsHandling: 'Animals Handling',
+    labours: 'Labours',
+    reachableLocation: 'Reachable Location',
+    ...herdCountFields('vaccinated', false)
+  },
+  'parasite-control': {
+    ...SERVICE_FIELDS,
+    herdLocation: 'Herd Location',
+    'insecticide.type': 'Type',
+    'insecticide.method': 'Method',
+    'insecticide.category': 'Category',
+    'insecticide.volumeMl': 'Volume (ml)',
+    'insecticide.status': 'Status',
+    animalBarnSizeSqM: 'Size (sqM)',
+    breedingSites: 'Breeding Sites',
+    herdHealthStatus: 'Herd Health Status',
+    complyingToInstructions: 'Complying to instructions',
+    activityType: 'Activity Type',
+    ...herdCountFields('treated', true)
+  },
+  'mobile-clinics': {
+    ...SERVICE_FIELDS,
+    farmLocation: 'Location',
+    diagnosis: 'Diagnosis',
+    treatment: 'Treatment',
+    followUpRequired: 'Follow Up Required',
+    'animalCounts.sheep': 'Sheep',
+    'animalCounts.goats': 'Goats',
+    'animalCounts.camel': 'Camel',
+    'animalCounts.cattle': 'Cattle',
+    'animalCounts.horse': 'Horse'
+  },
+  laboratories: {
+    serialNo: 'Serial No',
+    sampleCode: 'sampleCode',
+    date: 'date',
+    clientName: 'Name',
+    clientId: 'ID',
+    clientPhone: 'Phone',
+    clientBirthDate: 'Birth Date',
+    farmLocation: 'farmLocation',
+    holdingCode: 'Holding Code',
+    'coordinates.latitude': 'N',
+    'coordinates.longitude': 'E',
+    collector: 'collector',
+    sampleType: 'sampleType',
+    sampleNumber: 'sampleNumber',
+    positiveCases: 'positiveCases',
+    negativeCases: 'negativeCases',
+    'speciesCounts.sheep': 'Sheep',
+    'speciesCounts.goats': 'Goats',
+    'speciesCounts.camel': 'Camel',
+    'speciesCounts.cattle': 'Cattle',
+    'speciesCounts.horse': 'Horse',
+    'speciesCounts.other': 'Other',
+    remarks: 'Remarks'
+  },
+  'equine-health': {
+    ...SERVICE_FIELDS,
+    farmLocation: 'Farm Location',
+    horseCount: 'Horse Count',
+    diagnosis: 'Diagnosis',
+    treatment: 'Treatment',
+    'horseDetails.horseId': 'Horse ID',
+    'horseDetails.breed': 'Horse Breed',
+    'horseDetails.age': 'Horse Age',
+    'horseDetails.gender': 'Horse Gender',
+    'horseDetails.color': 'Horse Color',
+    'horseDetails.healthStatus': 'Horse Health Status',
+    followUpRequired: 'Follow Up Required',
+    'request.followUpDate': 'Follow Up Date'
+  },
+  inventory: {
+    name: 'Item Name',
+    category: 'Category',
+    aliases: 'Aliases',
+    unit: 'Unit',
+    reorderLevel: 'Reorder Level',
+    'batches.lotNumber': 'Lot Number',
+    'batches.quantity': 'Quantity',
+    'batches.expiryDate': 'Expiry Date',
+    'batches.receivedAt': 'Received Date',
+    'batches.supplier': 'Supplier',
+    'batches.reference': 'Reference'
+  }
+};
+
+// أقل نسبة من أعمدة ملف التعيين يجب أن توجد في الملف المرفوع حتى يُختار تلقائياً
+const MIN_DETECTION_COVERAGE = 0.5;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'نعم', 'صح'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'لا', 'خطأ'];
+
+// الأرقام العربية الهندية (٠-٩) والفاصلة العشرية العربية
+const toWesternDigits = value => value
+  .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+  .replace(/٫/g, '.')
+  .replace(/٬/g, ',');
+
+const pad = number => String(number).padStart(2, '0');
+
+const parseMappedDate = (text, dateFormat) => {
+  const parts = toWesternDigits(text).split(/[/.\-\s]+/).filter(Boolean).map(Number);
+  if (parts.length < 3 || parts.some(isNaN)) return text;
+
+  let day;
+  let month;
+  let year;
+  if (dateFormat === 'YYYY-MM-DD' || parts[0] > 31) {
+    [year, month, day] = parts;
+  } else if (dateFormat === 'MM/DD/YYYY') {
+    [month, day, year] = parts;
+  } else {
+    [day, month, year] = parts;
+  }
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return text;
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Apply a column's value transform. Values that cannot be converted are passed on as read,
+ * so the row processor reports them.
+ * @param {*} value - cell value as parsed from the file
+ * @param {Object} column - mapping column { transform, dateFormat, values }
+ */
+const transformValue = (value, column) => {
+  if (value === null || value === undefined) return value;
+  // Excel يعيد الأرقام والتواريخ كقيم جاهزة
+  if (typeof value !== 'string') return value;
+
+  const text = value.trim();
+  switch (column.transform) {
+    case 'trim':
+      return text.replace(/\s+/g, ' ');
+    case 'uppercase':
+      return text.toUpperCase();
+    case 'lowercase':
+      return text.toLowerCase();
+    case 'number': {
+      const number = Number(toWesternDigits(text).replace(/[,\s]/g, ''));
+      return text === '' || isNaN(number) ? value : number;
+    }
+    case 'date':
+      return parseMappedDate(text, column.dateFormat);
+    case 'boolean':
+      if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+      if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+      return value;
+    case 'map': {
+      const match = (column.values || []).find(entry => entry.from.trim().toLowerCase() === text.toLowerCase());
+      return match ? match.to : value;
+    }
+    default:
+      return value;
+  }
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * Rename and convert the columns of file rows with a mapping profile. Mapped source columns are
+ * replaced by the column name the row processor reads; other columns are kept as they are.
+ * @param {Array<Object>} rows - rows as parsed from the file
+ * @param {Object} mapping - ImportMapping
+ * @returns {Array<Object>}
+ */
+const applyImportMapping = (rows, mapping) => {
+  const fields = IMPORT_FIELDS[mapping.module] || {};
+
+  return rows.map((row) => {
+    const keysByHeader = new Map(Object.keys(row).map(key => [normalizeHeader(key), key]));
+    const mapped = { ...row };
+    const filled = {};
+
+    mapping.columns.forEach((column) => {
+      const key = keysByHeader.get(normalizeHeader(column.source));
+      const header = fields[column.field];
+      if (key === undefined || !header) return;
+
+      const value = transformValue(row[key], column);
+      delete mapped[key];
+      // عدة أعمدة لنفس الحقل: أول قيمة غير فارغة
+      if (!isEmpty(value) && isEmpty(filled[header])) filled[header] = value;
+    });
+    Object.assign(mapped, filled);
+
+    (mapping.defaults || []).forEach(({ field, value }) => {
+      const header = fields[field];
+      if (header && isEmpty(mapped[header])) mapped[header] = value;
+    });
+
+    return mapped;
+  });
+};
+
+/**
+ * How well a profile fits a file: the profile's source columns found among the file headers
+ * @returns {{ matched: number, total: number, coverage: number }}
+ */
+const scoreImportMapping = (mapping, headers) => {
+  const fileHeaders = new Set(headers.map(normalizeHeader));
+  const sources = [...new Set(mapping.columns.map(column => normalizeHeader(column.source)))];
+  const matched = sources.filter(source => fileHeaders.has(source)).length;
+  return { matched, total: sources.length, coverage: sources.length > 0 ? matched / sources.length : 0 };
+};
+
+/**
+ * Active profile of the module that matches most of the file's headers
+ * @returns {Promise<{ mapping: Document, score: Object }|null>}
+ */
+const detectImportMapping = async (module, headers) => {
+  const mappings = await ImportMapping.find({ module, isActive: true });
+  let best = null;
+
+  mappings.forEach((mapping) => {
+    const score = scoreImportMapping(mapping, headers);
+    if (score.matched === 0 || score.coverage < MIN_DETECTION_COVERAGE) return;
+    if (!best || score.matched > best.score.matched ||
+      (score.matched === best.score.matched && score.coverage > best.score.coverage)) {
+      best = { mapping, score };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Profile chosen at upload time: a profile ID, 'auto' to pick the best-matching profile from
+ * the file's headers, or 'none' (default)
+ * @returns {Promise<{ mapping: Document, detected: boolean, score: Object }|null>}
+ */
+const resolveImportMapping = async (module, selection, headers) => {
+  if (!selection || selection === 'none') return null;
+
+  if (selection && selection !== 'auto') {
+    if (!mongoose.Types.ObjectId.isValid(selection)) {
+      throw new AppError('Invalid import mapping ID format', 400, 'INVALID_ID_FORMAT');
+    }
+    const mapping = await ImportMapping.findOne({ _id: selection, isActive: true });
+    if (!mapping) {
+      throw new AppError('Import mapping not found', 404, 'IMPORT_MAPPING_NOT_FOUND');
+    }
+    if (mapping.module !== module) {
+      throw new AppError(`Import mapping "${mapping.name}" is for ${mapping.module}, not ${module}`, 400, 'IMPORT_MAPPING_MODULE_MISMATCH');
+    }
+    return { mapping, detected: false, score: scoreImportMapping(mapping, headers) };
+  }
+
+  const best = await detectImportMapping(module, headers);
+  return best ? { ...best, detected: true } : null;
+};
+
+/**
+ * File column behind each system header a profile fills, so reports can point at the user's own columns
+ * @returns {Array<{ header: string, source: string }>}
+ */
+const mappedColumnSources = (mapping, headers) => {
+  const fields = IMPORT_FIELDS[mapping.module] || {};
+  const keysByHeader = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const sources = [];
+
+  mapping.columns.forEach((column) => {
+    const key = keysByHeader.get(normalizeHeader(column.source));
+    const header = fields[column.field];
+    // عدة أعمدة لنفس الحقل: الأول يكفي لتحديد موضع الخطأ
+    if (key === undefined || !header || sources.some(source => source.header === header)) return;
+    sources.push({ header, source: key });
+  });
+
+  return sources;
+};
+
+/**
+ * Mapping details stored on the import job / session and returned with the upload
+ */
+const describeImportMapping = resolved => (resolved ? {
+  id: resolved.mapping._id,
+  name: resolved.mapping.name,
+  detected: resolved.detected,
+  matchedColumns: resolved.score.matched,
+  totalColumns: resolved.score.total
+} : null);
+
+module.exports = {
+  IMPORT_FIELDS,
+  transformValue,
+  applyImportMapping,
+  scoreImportMapping,
+  detectImportMapping,
+  resolveImportMapping,
+  mappedColumnSources,
+  describeImportMapping
+};
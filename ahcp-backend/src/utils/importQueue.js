@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const ImportJob = require('../models/ImportJob');
+const ImportBatch = require('../models/ImportBatch');
+const { collectHeaders, assertImportSize } = require('./importStaging');
+const { runBatchRow, recordBatchRows } = require('./importBatch');
+const { notify } = require('./notificationService');
+
+// معالجات الصفوف حسب المصدر والوحدة، تسجلها ملفات المسارات عند تحميلها
+const processors = new Map();
+
+// مدة عقد المعالجة؛ يُجدد بعد كل دفعة، وانتهاؤه يعني أن العامل توقف فيُستأنف من آخر صف محفوظ
+const LEASE_MS = 2 * 60 * 1000;
+
+// مهمة توقفت عند نفس الموضع عدة مرات تُعتبر فاشلة بدلاً من إعادة المحاولة بلا نهاية
+const MAX_ATTEMPTS = 5;
+
+const DEFAULT_BATCH_SIZE = 5;
+
+// مدة المعالجة داخل طلب واحد (متابعة المهمة أو cron على Vercel) - أقل من حد الدالة الافتراضي (10 ثوان)
+const DRAIN_SLICE_MS = 8 * 1000;
+
+const processorKey = (source, module) => `${source}:${module}`;
+
+/**
+ * Register the row processors of an import source
+ * @param {string} source - 'upload', 'dromo' or 'staged'
+ * @param {Object} types - { [module]: { Model, processRow(row, userId, errors) } }
+ * @param {Object} options - { batchSize } rows processed in parallel;
+ *   { onBatch(job, rowNumbers, outcomes) } after each batch and { onFinished(job) } once the job
+ *   completes, fails or is cancelled
+ */
+const registerImportProcessors = (source, types, options = {}) => {
+  Object.entries(types).forEach(([module, type]) => {
+    processors.set(processorKey(source, module), {
+      ...type,
+      batchSize: options.batchSize || DEFAULT_BATCH_SIZE,
+      onBatch: options.onBatch,
+      onFinished: options.onFinished
+    });
+  });
+};
+
+const notifyFinished = async (job) => {
+  const processor = processors.get(processorKey(job.source, job.module));
+  if (processor && processor.onFinished) await processor.onFinished(job);
+};
+
+const hasImportProcessor = (source, module) => processors.has(processorKey(source, module));
+
+/**
+ * Store an import as a job and start processing it in the background
+ * @param {Object} job - { user, module, source, fileName, mapping, rows };
+ *   { _id, rowNumbers } when the rows are a selection of an earlier upload (staged commit)
+ * @returns {Promise<Document>} ImportJob
+ * @throws {AppError} 400 IMPORT_TOO_LARGE when the rows don't fit in one job document
+ */
+const enqueueImport = async ({ _id, user, module, source = 'upload', fileName, mapping, rows, rowNumbers }) => {
+  const headers = collectHeaders(rows);
+  const values = rows.map(row => headers.map(header => (row[header] === undefined ? null : row[header])));
+  assertImportSize({ headers, rows: values, rowNumbers });
+  const job = await ImportJob.create({
+    _id,
+    user,
+    module,
+    source,
+    fileName,
+    mapping,
+    headers,
+    rows: values,
+    rowNumbers,
+    totalRows: rows.length
+  });
+  // الدفعة تحمل نفس معرف المهمة، فكل سجل تنشئه المهمة يُنسب إليها ويمكن التراجع عنه.
+  // upsert: إعادة اعتماد معاينة فشل طابورها تستخدم نفس المعرف
+  await ImportBatch.updateOne(
+    { _id: job._id },
+    { $setOnInsert: { user, module, source, fileName } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  setImmediate(drainImportQueue);
+  return job;
+};
+
+// أقدم مهمة بانتظار المعالجة أو توقف عاملها (انتهى عقده)
+const claimNextJob = () => {
+  const now = new Date();
+  return ImportJob.findOneAndUpdate(
+    {
+      status: { $in: ['queued', 'processing'] },
+      $and: [
+        { $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+        { $or: [...processors.keys()].map(key => ({ source: key.split(':')[0], module: key.split(':')[1] })) }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockToken: crypto.randomUUID(), lockedUntil: new Date(now.getTime() + LEASE_MS) },
+      $min: { startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  ).select('+rows +rowNumbers');
+};
+
+const finishJob = (job, update) => ImportJob.findOneAndUpdate(
+  { _id: job._id, status: 'processing', lockToken: job.lockToken },
+  { $set: { ...update, rows: [], rowNumbers: [] }, $unset: { lockToken: 1, lockedUntil: 1 } },
+  { new: true }
+);
+
+// إيقاف مقصود عند انتهاء المهلة: يُترك العقد فوراً ولا يُحسب كمحاولة متوقفة
+const releaseJob = job => ImportJob.updateOne(
+  { _id: job._id, status: 'processing', lockToken: job.lockToken },
+  { $unset: { lockToken: 1, lockedUntil: 1 }, $inc: { attempts: -1 } }
+);
+
+/**
+ * Process a claimed job from its saved position. Progress is saved after every batch, so after a
+ * crash at most one batch is processed again.
+ * @param {Document} job - claimed ImportJob
+ * @param {number} deadline - time (ms) after which the job is released after the current batch
+ */
+const runJob = async (job, deadline = Infinity) => {
+  if (job.attempts > MAX_ATTEMPTS) {
+    const failed = await finishJob(job, { status: 'failed', completedAt: new Date(), lastError: `Import stopped ${MAX_ATTEMPTS} times before finishing` });
+    if (failed) await notifyFinished(failed);
+    return;
+  }
+
+  const processor = processors.get(processorKey(job.source, job.module));
+  let position = job.processedRows;
+
+  while (position < job.rows.length) {
+    const batch = job.rows.slice(position, position + processor.batchSize);
+    const outcomes = await Promise.all(batch.map(values =>
+      runBatchRow(job._id, () => processor.processRow(job.rowData(values), job.user, []))));
+
+    // أرقام الصفوف في الملف (الاعتماد المرحلي يعالج الصفوف المقبولة فقط)
+    const rowNumbers = batch.map((values, offset) =>
+      (job.rowNumbers && job.rowNumbers.length > 0 ? job.rowNumbers[position + offset] : position + offset + 1));
+    const failed = outcomes
+      .map((outcome, offset) => outcome.error && { row: rowNumbers[offset], message: outcome.error.message })
+      .filter(Boolean);
+    position += batch.length;
+
+    await recordBatchRows(job._id, outcomes);
+    if (processor.onBatch) await processor.onBatch(job, rowNumbers, outcomes);
+
+    const saved = await ImportJob.updateOne(
+      { _id: job._id, status: 'processing', lockToken: job.lockToken },
+      {
+        $set: { processedRows: position, lockedUntil: new Date(Date.now() + LEASE_MS) },
+        $inc: { successRows: batch.length - failed.length, errorRows: failed.length },
+        $push: { rowErrors: { $each: failed } }
+      }
+    );
+    // أُلغيت المهمة، أو انتهى العقد وتولاها عامل آخر
+    if (saved.modifiedCount === 0) return;
+
+    if (position < job.rows.length && Date.now() >= deadline) {
+      await releaseJob(job);
+      return;
+    }
+  }
+
+  const finished = await finishJob(job, { status: 'completed', completedAt: new Date() });
+  if (!finished) return;
+  await notifyFinished(finished);
+
+  console.log(`📊 Import job ${finished._id} completed: ${finished.successRows}/${finished.totalRows} rows imported`);
+  await notify([finished.user], {
+    type: 'import_completed',
+    severity: finished.errorRows > 0 ? 'warning' : 'info',
+    title: `${processor.Model.modelName} import completed`,
+    message: `${finished.successRows} of ${finished.totalRows} rows imported${finished.errorRows > 0 ? `, ${finished.errorRows} rows failed` : ''}${finished.fileName ? ` from ${finished.fileName}` : ''}.`,
+    relatedModel: processor.Model.modelName
+  });
+};
+
+let draining = null;
+
+/**
+ * Process queued and interrupted jobs one at a time until none is left. Safe to call
+ * repeatedly - a running drain in this process is reused.
+ * @param {Object} options - { timeLimitMs } stop after the batch running when the time is up
+ *   (the job is released for the next call); a bounded call does not wait for a drain already running
+ * @returns {Promise<void>}
+ */
+const drainImportQueue = ({ timeLimitMs } = {}) => {
+  if (draining) return timeLimitMs ? Promise.resolve() : draining;
+  if (processors.size === 0) return Promise.resolve();
+
+  const deadline = timeLimitMs ? Date.now() + timeLimitMs : Infinity;
+  draining = (async () => {
+    let job;
+    while (Date.now() < deadline && (job = await claimNextJob())) {
+      try {
+        await runJob(job, deadline);
+      } catch (error) {
+        // العقد ينتهي ويُستأنف العمل من آخر دفعة محفوظة
+        console.error(`❌ Import job ${job._id} interrupted:`, error.message);
+        await ImportJob.updateOne({ _id: job._id, lockToken: job.lockToken }, { $set: { lastError: error.message } });
+      }
+    }
+  })()
+    .catch(error => console.error('❌ Import queue error:', error.message))
+    .finally(() => { draining = null; });
+
+  return draining;
+};
+
+/**
+ * Cancel a job that has not finished. Rows already imported stay imported.
+ * @returns {Promise<Document|null>} cancelled job, or null if it already finished
+ */
+const cancelImportJob = async (jobId, userId) => {
+  const cancelled = await ImportJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['queued', 'processing'] } },
+    {
+      $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId, rows: [], rowNumbers: [] },
+      $unset: { lockToken: 1, lockedUntil: 1 }
+    },
+    { new: true }
+  );
+  if (cancelled) await notifyFinished(cancelled);
+  return cancelled;
+};
+
+module.exports = {
+  DRAIN_SLICE_MS,
+  registerImportProcessors,
+  hasImportProcessor,
+  enqueueImport,
+  drainImportQueue,
+  cancelImportJob
+};
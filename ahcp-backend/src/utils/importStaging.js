@@ -0,0 +1,411 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const { AppError } = require('../middleware/errorHandler');
+
+// أثناء المعاينة تمر عمليات الحفظ في معالجات الاستيراد عبر هذا السياق فتُتحقق ولا تُكتب
+const dryRunStorage = new AsyncLocalStorage();
+
+// المعالجات تكمل الصف بدون القرية / رمز الحيازة إذا تعذر حفظهما، فأخطاؤهما تحذيرات فقط
+const OPTIONAL_REFERENCE_MODELS = ['Village', 'HoldingCode'];
+
+// نفس حجم الدفعة في الاستيراد المباشر (processImportFromMemory)
+const BATCH_SIZE = 5;
+
+// صفوف المعاينة / المهمة تُحفظ في مستند واحد وحد MongoDB هو 16MB؛ الهامش لنتائج الصفوف التي تُضاف لاحقاً
+const MAX_IMPORT_BYTES = 12 * 1024 * 1024;
+
+const isDryRun = () => Boolean(dryRunStorage.getStore());
+
+/**
+ * Save a document created by an import row processor. During a dry run the document is
+ * only validated and collected, so the preview shows what the import would create.
+ * @param {Document} doc
+ * @returns {Promise<Document>}
+ */
+const saveImportedDocument = async (doc) => {
+  const store = dryRunStorage.getStore();
+  if (!store) return doc.save();
+
+  store.documents.push(doc);
+  try {
+    await doc.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    const modelName = doc.constructor.modelName;
+    Object.values(error.errors).forEach((fieldError) => {
+      store.issues.push({
+        level: OPTIONAL_REFERENCE_MODELS.includes(modelName) ? 'warning' : 'error',
+        model: modelName,
+        field: fieldError.path,
+        message: fieldError.message
+      });
+    });
+  }
+  return doc;
+};
+
+const toIdString = value => (value && value._id ? value._id : value)?.toString();
+
+/**
+ * Proposed client / holding code of a row: 'create' when the dry run built the document,
+ * otherwise 'match' with the existing one
+ */
+const referenceProposal = async (id, modelName, documents, fields) => {
+  if (!id) return undefined;
+  const created = documents.find(doc => doc.constructor.modelName === modelName && doc._id.toString() === toIdString(id));
+  if (created) {
+    return { action: 'create', id: created._id, ...pickFields(created, fields) };
+  }
+
+  const Model = mongoose.model(modelName);
+  const existing = await Model.findById(toIdString(id)).select(fields.join(' ')).lean();
+  return existing ? { action: 'match', id: existing._id, ...pickFields(existing, fields) } : undefined;
+};
+
+const pickFields = (source, fields) => {
+  const picked = {};
+  fields.forEach((field) => {
+    const value = source[field];
+    if (value !== undefined && value !== null) picked[field] = value.toString();
+  });
+  return picked;
+};
+
+// حقول يضيفها النظام ولا تأتي من الملف
+const DIFF_IGNORED_FIELDS = new Set([
+  '_id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'deletedAt', 'deletedBy', 'importBatch'
+]);
+
+const isEmptyValue = value => value === undefined || value === null ||
+  (Array.isArray(value) && value.length === 0) ||
+  (value.constructor === Object && Object.keys(value).length === 0);
+
+// الكائنات المتداخلة تُفرد بمسارات منقوطة (herdCounts.sheep.total)؛ المصفوفات والتواريخ والمعرفات قيمة واحدة
+const flattenRecord = (source, prefix = '', result = {}) => {
+  Object.entries(source || {}).forEach(([field, value]) => {
+    const path = prefix ? `${prefix}.${field}` : field;
+    if (!prefix && DIFF_IGNORED_FIELDS.has(field)) return;
+    if (value && value.constructor === Object && Object.keys(value).length > 0) {
+      flattenRecord(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+const toPlainValue = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Field-by-field differences between the record a row would create and the existing
+ * record with the same key. Empty incoming values and references to documents the
+ * dry run would create (new client / holding code) are left out.
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+const diffRecord = (record, existing, documents = []) => {
+  const createdIds = new Set(documents.map(doc => doc._id.toString()));
+  const incoming = flattenRecord(record.toObject({ depopulate: true, virtuals: false }));
+  const current = flattenRecord(existing);
+
+  return Object.entries(incoming)
+    .filter(([, value]) => !isEmptyValue(value) && !createdIds.has(String(value)))
+    .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(current[field]))
+    .map(([field, value]) => ({ field, from: toPlainValue(current[field]), to: toPlainValue(value) }));
+};
+
+/**
+ * Headers of all rows in file order (Excel rows omit empty cells, so rows can differ)
+ */
+const collectHeaders = (rows) => {
+  const headers = [];
+  const seen = new Set();
+  rows.forEach((row) => {
+    Object.keys(row).forEach((header) => {
+      if (!seen.has(header)) {
+        seen.add(header);
+        headers.push(header);
+      }
+    });
+  });
+  return headers;
+};
+
+/**
+ * Reject import data that would not fit in a single session / job document
+ * @param {Object} data - the fields that hold the rows
+ * @throws {AppError} 400 IMPORT_TOO_LARGE
+ */
+const assertImportSize = (data) => {
+  const size = mongoose.mongo.BSON.calculateObjectSize(data);
+  if (size > MAX_IMPORT_BYTES) {
+    const toMb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+    throw new AppError(
+      `Import data is ${toMb(size)} MB; split the file into parts of at most ${toMb(MAX_IMPORT_BYTES)} MB`,
+      400,
+      'IMPORT_TOO_LARGE'
+    );
+  }
+};
+
+/**
+ * Dry-run one row through the import processor
+ * @param {Object} row - row as parsed from the file
+ * @param {Object} importType - { Model, processRow, existingKey }
+ * @returns {Promise<Object>} row result without status
+ */
+const analyseRow = async (row, importType, userId) => {
+  const store = { documents: [], issues: [] };
+  const processorErrors = [];
+  let record = null;
+
+  try {
+    record = await dryRunStorage.run(store, () => importType.processRow(row, userId, processorErrors));
+  } catch (error) {
+    store.issues.push({ level: 'error', field: 'processing', message: error.message });
+  }
+  processorErrors.forEach((entry) => {
+    store.issues.push({ level: 'error', field: entry.field || 'processing', message: entry.message || entry.error });
+  });
+
+  const result = { issues: store.issues };
+  if (record) {
+    result.client = await referenceProposal(record.client, 'Client', store.documents, ['name', 'nationalId']);
+    result.holdingCode = await referenceProposal(record.holdingCode, 'HoldingCode', store.documents, ['code', 'village']);
+  }
+
+  const key = importType.existingKey && importType.existingKey(row);
+  if (key) {
+    result.key = key;
+    const existing = await importType.Model.findOne(key.filter).lean();
+    if (existing) {
+      result.existing = { recordId: existing._id, field: key.field, value: key.value };
+      if (record) result.existing.changes = diffRecord(record, existing, store.documents);
+    }
+  }
+  return result;
+};
+
+/**
+ * Counts shown with the preview. New clients and holding codes are counted once per
+ * national ID / code, since later rows of the same owner reuse the record created first.
+ */
+const summariseRows = (rows) => {
+  const summary = {
+    totalRows: rows.length,
+    valid: 0,
+    invalid: 0,
+    duplicate: 0,
+    withWarnings: 0,
+    newClients: 0,
+    matchedClients: 0,
+    newHoldingCodes: 0,
+    matchedHoldingCodes: 0
+  };
+  const newClients = new Set();
+  const matchedClients = new Set();
+  const newHoldingCodes = new Set();
+  const matchedHoldingCodes = new Set();
+
+  rows.forEach((row) => {
+    summary[row.status] += 1;
+    if (row.issues.some(issue => issue.level === 'warning')) summary.withWarnings += 1;
+    if (row.client) {
+      const target = row.client.action === 'create' ? newClients : matchedClients;
+      target.add(row.client.action === 'create' ? (row.client.nationalId || row.client.name) : row.client.id.toString());
+    }
+    if (row.holdingCode) {
+      const target = row.holdingCode.action === 'create' ? newHoldingCodes : matchedHoldingCodes;
+      target.add(row.holdingCode.action === 'create' ? row.holdingCode.code : row.holdingCode.id.toString());
+    }
+  });
+
+  summary.newClients = newClients.size;
+  summary.matchedClients = matchedClients.size;
+  summary.newHoldingCodes = newHoldingCodes.size;
+  summary.matchedHoldingCodes = matchedHoldingCodes.size;
+  return summary;
+};
+
+/**
+ * Validate every row of a file without writing anything
+ * @param {Array<Object>} fileRows - rows as parsed from the file (after any column mapping)
+ * @param {Object} importType - { Model, processRow, existingKey }
+ * @param {Object} options - { sourceRows } the same rows before a column mapping was applied
+ * @returns {Promise<{ headers: string[], sourceHeaders: string[], rows: Array, summary: Object }>}
+ */
+const previewRows = async (fileRows, importType, userId, options = {}) => {
+  const headers = collectHeaders(fileRows);
+  const sourceRows = options.sourceRows || [];
+  const sourceHeaders = collectHeaders(sourceRows);
+  const analysed = [];
+
+  for (let i = 0; i < fileRows.length; i += BATCH_SIZE) {
+    const batch = fileRows.slice(i, i + BATCH_SIZE);
+    analysed.push(...await Promise.all(batch.map(row => analyseRow(row, importType, userId))));
+  }
+
+  // تكرار المفتاح داخل الملف نفسه: الصف الأول فقط يُعتبر صالحاً
+  const firstRowByKey = new Map();
+  const rows = analysed.map((result, index) => {
+    const rowNumber = index + 1;
+    const { key, ...row } = result;
+    row.rowNumber = rowNumber;
+    row.values = headers.map(header => (fileRows[index][header] === undefined ? null : fileRows[index][header]));
+    if (sourceRows[index]) {
+      row.sourceValues = sourceHeaders.map(header => (sourceRows[index][header] === undefined ? null : sourceRows[index][header]));
+    }
+
+    if (key) {
+      const keyValue = `${key.field}:${key.value}`;
+      if (firstRowByKey.has(keyValue)) {
+        row.duplicateOfRow = firstRowByKey.get(keyValue);
+      } else {
+        firstRowByKey.set(keyValue, rowNumber);
+      }
+    }
+
+    if (row.issues.some(issue => issue.level === 'error')) {
+      row.status = 'invalid';
+    } else if (row.existing || row.duplicateOfRow) {
+      row.status = 'duplicate';
+    } else {
+      row.status = 'valid';
+    }
+    return row;
+  });
+
+  return { headers, sourceHeaders, rows, summary: summariseRows(rows) };
+};
+
+/**
+ * Rows of a previewed session that a commit imports
+ * @param {Document} session - ImportSession
+ * @param {Object} options - { includeDuplicates }
+ */
+const acceptedRows = (session, options = {}) =>
+  session.rows.filter(row => row.status === 'valid' || (options.includeDuplicates && row.status === 'duplicate'));
+
+/**
+ * Import queue hook of staged commits: write the outcome of a processed batch to the
+ * session rows (rows are stored in file order, so row N is at index N - 1)
+ */
+const recordCommittedRows = async (job, rowNumbers, outcomes) => {
+  const update = { $set: {}, $addToSet: {} };
+  outcomes.forEach((outcome, index) => {
+    const path = `rows.${rowNumbers[index] - 1}`;
+    if (outcome.error) {
+      update.$set[`${path}.outcome`] = 'failed';
+      update.$addToSet[`${path}.issues`] = { level: 'error', field: 'processing', message: outcome.error.message };
+    } else {
+      update.$set[`${path}.outcome`] = 'imported';
+      update.$set[`${path}.recordId`] = outcome.record._id;
+    }
+  });
+  if (Object.keys(update.$addToSet).length === 0) delete update.$addToSet;
+
+  await mongoose.model('ImportSession').updateOne({ _id: job._id }, update);
+};
+
+// حالة المعاينة بعد انتهاء مهمة اعتمادها
+const SESSION_STATUS_BY_JOB = { completed: 'committed', failed: 'failed', cancelled: 'cancelled' };
+
+/**
+ * Import queue hook of staged commits: close the session once its commit job has finished.
+ * Rows the job did not import (not accepted, or left when the job stopped) are marked skipped.
+ */
+const finishCommit = async (job) => {
+  const ImportSession = mongoose.model('ImportSession');
+  const session = await ImportSession.findOne({ _id: job._id, status: 'committing' });
+  if (!session) return;
+
+  session.rows.forEach((row) => {
+    if (!row.outcome) row.outcome = 'skipped';
+  });
+  session.status = SESSION_STATUS_BY_JOB[job.status];
+  session.result = {
+    imported: job.successRows,
+    failed: job.errorRows,
+    skipped: session.rows.length - job.successRows - job.errorRows
+  };
+  if (job.status === 'cancelled') {
+    session.cancelledAt = job.cancelledAt;
+  } else {
+    session.committedAt = job.completedAt || new Date();
+  }
+  await session.save();
+};
+
+// مطابقة اسم الحقل مع عنوان العمود بتجاهل المسافات وحالة الأحرف ("Serial No" = serialNo)
+const normalizeHeader = value => (value || '').toString().toLowerCase().replace(/[^a-z0-9\u0600-\u06FF]/g, '');
+
+const findHeaderIndex = (headers, field) => {
+  if (!field) return -1;
+  const candidates = [normalizeHeader(field), normalizeHeader(field.split('.').pop())];
+  return headers.findIndex(header => candidates.includes(normalizeHeader(header)));
+};
+
+/**
+ * Excel workbook of the rows that failed validation or the commit. Each row keeps its
+ * original values plus an "Import errors" column; cells of fields named in an error get a comment.
+ * When a column mapping was applied the file's own headers and values are used.
+ * @param {Document} session - ImportSession
+ * @returns {Buffer} xlsx file contents
+ */
+const buildErrorWorkbook = (session) => {
+  const failing = session.rows.filter(row => row.status === 'invalid' || row.outcome === 'failed');
+  const original = Boolean(session.sourceHeaders && session.sourceHeaders.length > 0);
+  const headers = original ? session.sourceHeaders : session.headers;
+  const errorColumn = headers.length + 1;
+
+  // الخطأ يسمي حقل النظام؛ مع ملف تعيين يُنقل إلى عمود الملف الذي عُيّن له
+  const columnOf = (field) => {
+    if (!original) return findHeaderIndex(headers, field);
+    const mappedIndex = findHeaderIndex(session.headers, field);
+    const column = mappedIndex === -1 ? null : (session.columnSources || []).find(source => source.header === session.headers[mappedIndex]);
+    return column ? headers.indexOf(column.source) : findHeaderIndex(headers, field);
+  };
+
+  const sheetRows = [['Row', ...headers, 'Import errors']];
+  failing.forEach((row) => {
+    const errors = row.issues.filter(issue => issue.level === 'error');
+    sheetRows.push([
+      row.rowNumber,
+      ...headers.map((header, index) => {
+        const value = (original ? row.sourceValues : row.values)[index];
+        return value === null || value === undefined ? '' : value;
+      }),
+      errors.map(issue => (issue.field && issue.field !== 'processing' ? `${issue.field}: ${issue.message}` : issue.message)).join('\n')
+    ]);
+  });
+
+  const worksheet = XLSX.utils.aoa_to_sheet(sheetRows);
+  failing.forEach((row, rowIndex) => {
+    row.issues.filter(issue => issue.level === 'error').forEach((issue) => {
+      const headerIndex = columnOf(issue.field);
+      const column = headerIndex === -1 ? errorColumn : headerIndex + 1;
+      const address = XLSX.utils.encode_cell({ r: rowIndex + 1, c: column });
+      if (!worksheet[address]) worksheet[address] = { t: 's', v: '' };
+      if (!worksheet[address].c) worksheet[address].c = [];
+      worksheet[address].c.push({ a: 'Import', t: issue.message });
+    });
+  });
+  worksheet['!cols'] = [{ wch: 6 }, ...headers.map(header => ({ wch: Math.max(12, header.length + 2) })), { wch: 60 }];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Import errors');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  collectHeaders,
+  assertImportSize,
+  normalizeHeader,
+  isDryRun,
+  saveImportedDocument,
+  previewRows,
+  acceptedRows,
+  recordCommittedRows,
+  finishCommit,
+  buildErrorWorkbook
+};
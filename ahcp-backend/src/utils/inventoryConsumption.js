@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const requestContext = require('./requestContext');
+
+// تحويل الكميات بين الوحدات المتوافقة (مل/لتر، جم/كجم)
+const UNIT_FACTORS = {
+  ml: { unit: 'ml', factor: 1 },
+  l: { unit: 'ml', factor: 1000 },
+  g: { unit: 'g', factor: 1 },
+  kg: { unit: 'g', factor: 1000 }
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Convert a treatment quantity to the stock unit of the item (ml -> l, g -> kg).
+ * Quantities without a unit, or with a non-convertible unit, are taken as item units.
+ */
+const convertQuantity = (quantity, fromUnit, toUnit) => {
+  const from = UNIT_FACTORS[fromUnit];
+  const to = UNIT_FACTORS[toUnit];
+  if (!from || !to || from.unit !== to.unit) return quantity;
+  return round((quantity * from.factor) / to.factor);
+};
+
+const getModels = () => ({
+  InventoryItem: require('../models/InventoryItem'),
+  StockMovement: require('../models/StockMovement')
+});
+
+const currentUser = (record) => {
+  const context = requestContext.get() || {};
+  const fallbackUser = mongoose.models.User ? mongoose.models.User.currentUser : undefined;
+  return context.user || fallbackUser || record.updatedBy || record.createdBy;
+};
+
+// خصم الكمية من الدفعات حسب أقرب تاريخ انتهاء (FEFO)
+const consumeStock = async (item, quantity, source) => {
+  const { InventoryItem, StockMovement } = getModels();
+  const movements = [];
+  let remaining = quantity;
+
+  for (const batch of item.getConsumableBatches()) {
+    if (remaining <= 0) break;
+
+    const take = round(Math.min(remaining, batch.quantity));
+    const result = await InventoryItem.updateOne(
+      { _id: item._id, batches: { $elemMatch: { _id: batch._id, quantity: { $gte: take } } } },
+      { $inc: { 'batches.$.quantity': -take } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    movements.push({ batchId: batch._id, lotNumber: batch.lotNumber, quantity: -take });
+    remaining = round(remaining - take);
+  }
+
+  if (movements.length === 0) {
+    movements.push({ quantity: 0 });
+  }
+  movements[0].requested = quantity;
+  movements[0].shortfall = Math.max(remaining, 0);
+
+  if (remaining > 0) {
+    console.warn(`⚠️ Insufficient stock of ${item.name}: ${remaining} ${item.unit} not deducted for ${source.sourceModel} ${source.serialNo || source.sourceId}`);
+  }
+
+  await StockMovement.insertMany(movements.map(movement => ({
+    ...movement,
+    ...source,
+    item: item._id,
+    itemName: item.name,
+    type: 'consumption'
+  })));
+};
+
+// إرجاع الكمية للمخزون (تعديل أو حذف السجل) بعكس آخر الدفعات المستخدمة أولاً
+const releaseStock = async (entry, quantity, source) => {
+  const { InventoryItem, StockMovement } = getModels();
+  const item = await InventoryItem.findById(entry.item).select('name unit');
+  const movements = [];
+
+  // الجزء الذي لم يُخصم أصلاً (عجز) لا يُعاد للمخزون
+  const outstandingShortfall = Math.max(round(entry.requested - entry.consumed), 0);
+  const fromShortfall = Math.min(quantity, outstandingShortfall);
+  let remaining = round(quantity - fromShortfall);
+
+  const batches = Array.from(entry.batches.values()).filter(batch => batch.quantity > 0).reverse();
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+
+    const give = round(Math.min(remaining, batch.quantity));
+    const result = await InventoryItem.updateOne(
+      { _id: entry.item, 'batches._id': batch.batchId },
+      { $inc: { 'batches.$.quantity': give } }
+    );
+    if (result.modifiedCount === 0) {
+      // الدفعة حُذفت من الصنف، تُعاد كدفعة جديدة بنفس رقم التشغيلة
+      await InventoryItem.updateOne(
+        { _id: entry.item },
+        { $push: { batches: { _id: batch.batchId, lotNumber: batch.lotNumber || 'RETURNED', quantity: give, receivedQuantity: 0 } } }
+      );
+    }
+
+    movements.push({ batchId: batch.batchId, lotNumber: batch.lotNumber, quantity: give });
+    remaining = round(remaining - give);
+  }
+
+  if (movements.length === 0) {
+    movements.push({ quantity: 0 });
+  }
+  movements[0].requested = -quantity;
+  movements[0].shortfall = -fromShortfall;
+
+  await StockMovement.insertMany(movements.map(movement => ({
+    ...movement,
+    ...source,
+    item: entry.item,
+    itemName: item ? item.name : undefined,
+    type: 'reversal'
+  })));
+};
+
+/**
+ * Bring stock in line with what a treatment record uses: deducts newly used quantities,
+ * returns quantities removed by an edit, and returns everything when the record is deleted.
+ */
+const syncRecordConsumption = async (modelName, record, getUsage) => {
+  const { InventoryItem, StockMovement } = getModels();
+  const usage = record.deletedAt ? [] : (getUsage(record) || []);
+
+  const desired = new Map();
+  for (const line of usage) {
+    const quantity = Number(line.quantity);
+    if (!line.name || !(quantity > 0)) continue;
+
+    const item = await InventoryItem.findByUsageName(line.name, line.categories);
+    if (!item) continue;
+
+    const key = item._id.toString();
+    const current = desired.get(key) || { item, quantity: 0 };
+    current.quantity = round(current.quantity + convertQuantity(quantity, line.unit, item.unit));
+    desired.set(key, current);
+  }
+
+  const ledger = await StockMovement.getRecordLedger(modelName, record._id);
+  if (desired.size === 0 && ledger.size === 0) return;
+
+  const source = {
+    sourceModel: modelName,
+    sourceId: record._id,
+    serialNo: record.serialNo !== undefined && record.serialNo !== null ? String(record.serialNo) : undefined,
+    user: currentUser(record)
+  };
+
+  const itemIds = new Set([...desired.keys(), ...ledger.keys()]);
+  for (const itemId of itemIds) {
+    const wanted = desired.has(itemId) ? desired.get(itemId).quantity : 0;
+    const entry = ledger.get(itemId);
+    const delta = round(wanted - (entry ? entry.requested : 0));
+
+    if (delta > 0) {
+      await consumeStock(desired.get(itemId).item, delta, source);
+    } else if (delta < 0) {
+      await releaseStock(entry, -delta, source);
+    }
+  }
+};
+
+const findRecords = (model, filter) => {
+  const query = model.find(filter);
+  if (typeof query.withDeleted === 'function') query.withDeleted();
+  return query.lean();
+};
+
+/**
+ * Mongoose plugin: deducts inventory stock for the quantities a treatment record uses
+ *
+ * @param {Object} options - { modelName, usagePaths: paths that affect usage, getUsage: record => [{ name, quantity, unit, categories }] }
+ */
+const inventoryConsumptionPlugin = (schema, options = {}) => {
+  const { modelName, usagePaths = [], getUsage } = options;
+  if (!modelName || typeof getUsage !== 'function') {
+    throw new Error('inventoryConsumptionPlugin requires modelName and getUsage options');
+  }
+
+  const sync = async (records) => {
+    for (const record of records) {
+      try {
+        await syncRecordConsumption(modelName, record, getUsage);
+      } catch (error) {
+        // فشل تحديث المخزون لا يجب أن يُفشل حفظ السجل
+        console.error(`❌ Inventory sync failed for ${modelName} ${record._id}:`, error.message);
+      }
+    }
+  };
+
+  schema.pre('save', function() {
+    this.$locals.inventoryDirty = this.isNew ||
+      this.isModified('deletedAt') ||
+      usagePaths.some(path => this.isModified(path));
+  });
+
+  schema.post('save', async function(doc) {
+    if (!doc.$locals.inventoryDirty) return;
+    await sync([doc]);
+  });
+
+  // findOneAndUpdate / updateOne / updateMany (edits, soft delete, restore)
+  const updateOperations = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+  schema.pre(updateOperations, { document: false, query: true }, async function() {
+    const query = findRecords(this.model, this.getFilter()).select('_id');
+    if (this.op !== 'updateMany') {
+      query.limit(1);
+    }
+    this._inventoryIds = (await query).map(doc => doc._id);
+  });
+
+  schema.post(updateOperations, { document: false, query: true }, async function() {
+    const ids = this._inventoryIds || [];
+    if (ids.length === 0) return;
+
+    await sync(await findRecords(this.model, { _id: { $in: ids } }));
+  });
+};
+
+module.exports = {
+  inventoryConsumptionPlugin,
+  syncRecordConsumption,
+  convertQuantity
+};
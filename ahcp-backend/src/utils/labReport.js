@@ -0,0 +1,180 @@
+const { SPECIES, ARABIC_PATTERN, createPdf, drawText, formatDate, renderQrCode } = require('./bilingualPdf');
+
+const PAGE = { margin: 40, width: 595.28, height: 841.89 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const COLORS = { primary: '#1f5f3f', muted: '#666666', border: '#cccccc', critical: '#b00020', abnormal: '#c05800' };
+
+const ensureSpace = (doc, y, needed) => {
+  if (y + needed <= PAGE.height - PAGE.margin - 30) return y;
+  doc.addPage();
+  return PAGE.margin;
+};
+
+const drawSectionTitle = (doc, y, english, arabic) => {
+  y = ensureSpace(doc, y, 40);
+  drawText(doc, english, PAGE.margin, y, { bold: true, size: 11, color: COLORS.primary, width: CONTENT_WIDTH / 2 });
+  drawText(doc, arabic, PAGE.margin + CONTENT_WIDTH / 2, y - 3, { bold: true, size: 12, color: COLORS.primary, width: CONTENT_WIDTH / 2 });
+  doc.moveTo(PAGE.margin, y + 17).lineTo(PAGE.margin + CONTENT_WIDTH, y + 17).strokeColor(COLORS.primary).lineWidth(0.8).stroke();
+  return y + 24;
+};
+
+// صف: التسمية الإنجليزية يساراً، القيمة في الوسط، والتسمية العربية يميناً
+const drawField = (doc, y, english, arabic, value) => {
+  y = ensureSpace(doc, y, 20);
+  drawText(doc, english, PAGE.margin, y, { bold: true, width: 140, color: COLORS.muted });
+  const valueBottom = drawText(doc, value, PAGE.margin + 145, y - (ARABIC_PATTERN.test(value || '') ? 3 : 0), { width: 230, align: 'center' });
+  drawText(doc, arabic, PAGE.margin + CONTENT_WIDTH - 140, y - 3, { bold: true, width: 140, color: COLORS.muted });
+  return Math.max(valueBottom, y + 14) + 4;
+};
+
+const RESULT_COLUMNS = [
+  { en: 'Parameter', ar: 'المعامل', width: 135 },
+  { en: 'Result', ar: 'النتيجة', width: 80 },
+  { en: 'Unit', ar: 'الوحدة', width: 60 },
+  { en: 'Reference range', ar: 'المعدل الطبيعي', width: 110 },
+  { en: 'Status', ar: 'الحالة', width: 130 }
+];
+
+const resultStatus = (row) => {
+  if (row.flag && row.flag !== 'normal') return row.flag.charAt(0).toUpperCase() + row.flag.slice(1);
+  return row.status;
+};
+
+const drawResultsTable = (doc, y, results) => {
+  const drawHeader = (top) => {
+    let x = PAGE.margin;
+    doc.rect(PAGE.margin, top, CONTENT_WIDTH, 30).fillColor('#eef5f0').fill();
+    RESULT_COLUMNS.forEach((column) => {
+      drawText(doc, column.en, x + 4, top + 3, { bold: true, width: column.width - 8, align: 'center', size: 8 });
+      drawText(doc, column.ar, x + 4, top + 12, { bold: true, width: column.width - 8, align: 'center', size: 8 });
+      x += column.width;
+    });
+    return top + 32;
+  };
+
+  y = drawHeader(ensureSpace(doc, y, 60));
+  if (results.length === 0) {
+    drawText(doc, 'No test results recorded', PAGE.margin, y + 4, { width: CONTENT_WIDTH, align: 'center', color: COLORS.muted });
+    return y + 24;
+  }
+
+  results.forEach((row) => {
+    const top = ensureSpace(doc, y, 20);
+    const rowTop = top === y ? top : drawHeader(top);
+    const status = resultStatus(row);
+    const color = row.flag === 'critical' ? COLORS.critical : (row.flag === 'low' || row.flag === 'high' ? COLORS.abnormal : 'black');
+    const cells = [row.parameter, row.result, row.unit, row.normalRange, status];
+
+    let x = PAGE.margin;
+    let bottom = rowTop + 14;
+    cells.forEach((cell, index) => {
+      const cellBottom = drawText(doc, cell, x + 4, rowTop + 3, {
+        width: RESULT_COLUMNS[index].width - 8,
+        align: 'center',
+        bold: index === 4 && color !== 'black',
+        color: index >= 1 ? color : 'black'
+      });
+      bottom = Math.max(bottom, cellBottom);
+      x += RESULT_COLUMNS[index].width;
+    });
+    doc.moveTo(PAGE.margin, bottom + 3).lineTo(PAGE.margin + CONTENT_WIDTH, bottom + 3).strokeColor(COLORS.border).lineWidth(0.5).stroke();
+    y = bottom + 5;
+  });
+  return y;
+};
+
+const drawSpeciesCounts = (doc, y, speciesCounts = {}) => {
+  y = ensureSpace(doc, y, 40);
+  const columnWidth = CONTENT_WIDTH / SPECIES.length;
+  SPECIES.forEach((species, index) => {
+    const x = PAGE.margin + index * columnWidth;
+    doc.rect(x, y, columnWidth, 42).strokeColor(COLORS.border).lineWidth(0.5).stroke();
+    drawText(doc, species.en, x, y + 3, { width: columnWidth, align: 'center', size: 8, color: COLORS.muted });
+    drawText(doc, species.ar, x, y + 11, { width: columnWidth, align: 'center', size: 8, color: COLORS.muted });
+    drawText(doc, String(speciesCounts[species.key] || 0), x, y + 28, { width: columnWidth, align: 'center', bold: true });
+  });
+  y += 46;
+  if (speciesCounts.other) {
+    y = drawField(doc, y, 'Other species', 'أنواع أخرى', speciesCounts.other);
+  }
+  return y;
+};
+
+/**
+ * Render a bilingual (English / Arabic) laboratory result certificate
+ * @param {Document} record - laboratory record with client populated
+ * @param {Object} options - { certificateId, verificationUrl, issuedBy }
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderLabReportPdf = async (record, { certificateId, verificationUrl, issuedBy }) => {
+  const { doc, finished } = createPdf({
+    size: 'A4',
+    margin: PAGE.margin,
+    info: {
+      Title: `Laboratory certificate ${certificateId}`,
+      Subject: `Sample ${record.sampleCode}`,
+      Author: 'Animal Health Care Program'
+    }
+  });
+
+  // الترويسة
+  drawText(doc, 'Animal Health Care Program', PAGE.margin, PAGE.margin, { bold: true, size: 12, color: COLORS.primary, width: CONTENT_WIDTH / 2 });
+  drawText(doc, 'Laboratory Test Certificate', PAGE.margin, PAGE.margin + 18, { bold: true, size: 16, width: CONTENT_WIDTH / 2 });
+  drawText(doc, 'برنامج رعاية صحة الحيوان', PAGE.margin + CONTENT_WIDTH / 2, PAGE.margin - 4, { bold: true, size: 13, color: COLORS.primary, width: CONTENT_WIDTH / 2 });
+  drawText(doc, 'شهادة نتائج فحص مخبري', PAGE.margin + CONTENT_WIDTH / 2, PAGE.margin + 14, { bold: true, size: 16, width: CONTENT_WIDTH / 2 });
+  doc.moveTo(PAGE.margin, PAGE.margin + 46).lineTo(PAGE.margin + CONTENT_WIDTH, PAGE.margin + 46).strokeColor(COLORS.primary).lineWidth(1.5).stroke();
+
+  let y = PAGE.margin + 58;
+  y = drawField(doc, y, 'Certificate No.', 'رقم الشهادة', certificateId);
+  y = drawField(doc, y, 'Sample code', 'رمز العينة', record.sampleCode);
+  y = drawField(doc, y, 'Sample type', 'نوع العينة', record.sampleType);
+  y = drawField(doc, y, 'Number of samples', 'عدد العينات', record.sampleNumber);
+  y = drawField(doc, y, 'Collection date', 'تاريخ الجمع', formatDate(record.date));
+  y = drawField(doc, y, 'Test type', 'نوع الفحص', record.testType);
+  y = drawField(doc, y, 'Collector', 'جامع العينة', record.collector);
+  y += 6;
+
+  const client = record.client && record.client.name ? record.client : null;
+  const village = client && client.village && (client.village.nameArabic || client.village.nameEnglish);
+  y = drawSectionTitle(doc, y, 'Owner', 'بيانات المالك');
+  y = drawField(doc, y, 'Name', 'الاسم', client ? client.name : record.clientName);
+  y = drawField(doc, y, 'National ID', 'رقم الهوية', client ? client.nationalId : record.clientId);
+  y = drawField(doc, y, 'Phone', 'رقم الهاتف', client ? client.phone : record.clientPhone);
+  y = drawField(doc, y, 'Village', 'القرية', village);
+  y = drawField(doc, y, 'Farm location', 'موقع المزرعة', record.farmLocation);
+  y += 6;
+
+  y = drawSectionTitle(doc, y, 'Animals sampled', 'الحيوانات التي أخذت منها العينات');
+  y = drawSpeciesCounts(doc, y, record.speciesCounts || {});
+  y += 6;
+
+  y = drawSectionTitle(doc, y, 'Test results', 'نتائج الفحص');
+  y = drawResultsTable(doc, y, record.testResults || []);
+  y += 6;
+  y = drawField(doc, y, 'Positive cases', 'الحالات الإيجابية', String(record.positiveCases || 0));
+  y = drawField(doc, y, 'Negative cases', 'الحالات السلبية', String(record.negativeCases || 0));
+  if (record.remarks) {
+    y = drawField(doc, y, 'Remarks', 'ملاحظات', record.remarks);
+  }
+
+  // رمز QR للتحقق من صحة الشهادة
+  const qrSize = 90;
+  y = ensureSpace(doc, y + 10, qrSize + 20);
+  const qrImage = await renderQrCode(verificationUrl);
+  doc.image(qrImage, PAGE.margin, y, { width: qrSize, height: qrSize });
+  drawText(doc, 'Scan to verify this certificate', PAGE.margin + qrSize + 12, y + 8, { bold: true, width: 200 });
+  drawText(doc, 'امسح الرمز للتحقق من صحة الشهادة', PAGE.margin + qrSize + 12, y + 22, { width: 200, align: 'left' });
+  drawText(doc, verificationUrl, PAGE.margin + qrSize + 12, y + 44, { width: CONTENT_WIDTH - qrSize - 12, size: 7, color: COLORS.muted });
+  drawText(doc, `Issued ${formatDate(new Date())}`, PAGE.margin + qrSize + 12, y + 64, { width: 120, size: 8, color: COLORS.muted });
+  if (issuedBy) {
+    // اسم المستخدم قد يكون عربياً فيُكتب منفصلاً بخطه
+    drawText(doc, issuedBy, PAGE.margin + qrSize + 132, y + 61, { width: 200, size: 8, color: COLORS.muted, align: 'left' });
+  }
+
+  doc.end();
+  return finished;
+};
+
+module.exports = {
+  renderLabReportPdf
+};
@@ -0,0 +1,215 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Laboratory = require('../models/Laboratory');
+const MobileClinic = require('../models/MobileClinic');
+const EquineHealth = require('../models/EquineHealth');
+const { sendNotificationEmail } = require('./emailService');
+
+// القنوات الافتراضية لكل نوع تنبيه (يمكن للمستخدم تعديلها من إعداداته)
+const NOTIFICATION_TYPES = {
+  lab_overdue: { inApp: true, email: true },
+  follow_up_due: { inApp: true, email: false },
+  import_completed: { inApp: true, email: false },
+  outbreak_detected: { inApp: true, email: true },
+  lab_critical_result: { inApp: true, email: true }
+};
+
+const SUPERVISOR_ROLES = ['super_admin', 'section_supervisor'];
+
+// نفس قاعدة GET /api/laboratories/overdue
+const LAB_OVERDUE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Effective channel settings per notification type (user overrides on top of defaults)
+ */
+const getPreferences = (user) => {
+  const stored = (user && user.notificationPreferences) || {};
+  const preferences = {};
+  Object.entries(NOTIFICATION_TYPES).forEach(([type, defaults]) => {
+    const override = stored[type] || {};
+    preferences[type] = {
+      inApp: typeof override.inApp === 'boolean' ? override.inApp : defaults.inApp,
+      email: typeof override.email === 'boolean' ? override.email : defaults.email
+    };
+  });
+  return preferences;
+};
+
+const toAbsoluteLink = (link) => {
+  if (!link || /^https?:\/\//.test(link)) return link;
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}${link}`;
+};
+
+const deliverToUser = async (user, notification) => {
+  const channels = getPreferences(user)[notification.type];
+  if (!channels || (!channels.inApp && !channels.email)) return null;
+
+  const fields = {
+    type: notification.type,
+    severity: notification.severity || 'info',
+    title: notification.title,
+    message: notification.message,
+    link: notification.link,
+    relatedModel: notification.relatedModel,
+    relatedId: notification.relatedId,
+    inApp: channels.inApp
+  };
+
+  let notificationId;
+  if (notification.dedupeKey) {
+    // الحدث نفسه يُسلَّم مرة واحدة فقط لكل مستخدم حتى مع تكرار تشغيل الفحص الدوري
+    try {
+      const result = await Notification.updateOne(
+        { user: user._id, dedupeKey: notification.dedupeKey },
+        { $setOnInsert: fields },
+        { upsert: true }
+      );
+      if (!result.upsertedId) return null;
+      notificationId = result.upsertedId;
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  } else {
+    notificationId = (await Notification.create({ ...fields, user: user._id }))._id;
+  }
+
+  if (channels.email && user.email) {
+    const result = await sendNotificationEmail(user.email, {
+      title: notification.title,
+      message: notification.message,
+      link: toAbsoluteLink(notification.link)
+    }, user.name);
+    await Notification.updateOne(
+      { _id: notificationId },
+      { $set: { emailStatus: result.success ? 'sent' : 'failed', emailError: result.error } }
+    );
+  }
+
+  return notificationId;
+};
+
+/**
+ * Deliver a notification to users (in-app and/or email per their preferences).
+ * Failures are logged and never thrown so callers' main work is not affected.
+ * @param {Array} userIds - recipient user IDs (duplicates and empty values ignored)
+ * @param {Object} notification - { type, title, message, severity, link, relatedModel, relatedId, dedupeKey }
+ * @returns {Promise<number>} number of notifications delivered
+ */
+const notify = async (userIds, notification) => {
+  const ids = [...new Set((userIds || []).filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) return 0;
+
+  let delivered = 0;
+  try {
+    const users = await User.find({ _id: { $in: ids }, isActive: true }).select('name email notificationPreferences');
+    for (const user of users) {
+      try {
+        if (await deliverToUser(user, notification)) delivered++;
+      } catch (error) {
+        console.error(`❌ Failed to deliver ${notification.type} notification to ${user._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Failed to send ${notification.type} notifications:`, error.message);
+  }
+  return delivered;
+};
+
+/**
+ * Deliver a notification to every active user with one of the given roles
+ */
+const notifyRoles = async (roles, notification) => {
+  try {
+    const users = await User.find({ role: { $in: roles }, isActive: true }).select('_id');
+    return await notify(users.map(user => user._id), notification);
+  } catch (error) {
+    console.error(`❌ Failed to send ${notification.type} notifications:`, error.message);
+    return 0;
+  }
+};
+
+const formatDay = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Overdue lab tests: the collector's account
+ * gets one notification per test, supervisors get a single daily digest
+ */
+const notifyOverdueLabTests = async () => {
+  const overdueTests = await Laboratory.findOverdueByAge(LAB_OVERDUE_DAYS);
+
+  let delivered = 0;
+  for (const test of overdueTests) {
+    delivered += await notify([test.createdBy], {
+      type: 'lab_overdue',
+      severity: 'warning',
+      title: `Lab test #${test.serialNo} is overdue`,
+      message: `Sample ${test.sampleCode || ''} collected on ${formatDay(test.date)} is still ${test.testStatus || 'pending'}.`,
+      relatedModel: 'Laboratory',
+      relatedId: test._id,
+      dedupeKey: `lab_overdue:${test._id}`
+    });
+  }
+
+  if (overdueTests.length > 0) {
+    delivered += await notifyRoles(SUPERVISOR_ROLES, {
+      type: 'lab_overdue',
+      severity: 'warning',
+      title: `${overdueTests.length} lab tests are overdue`,
+      message: `Samples still pending more than ${LAB_OVERDUE_DAYS} days after collection: ${overdueTests.slice(0, 20).map(test => `#${test.serialNo}`).join(', ')}${overdueTests.length > 20 ? ', ...' : ''}`,
+      dedupeKey: `lab_overdue:digest:${formatDay(new Date())}`
+    });
+  }
+
+  return delivered;
+};
+
+/**
+ * Mobile clinic and equine health visits with a followUpDate within the next `days` days
+ */
+const notifyUpcomingFollowUps = async (days = parseInt(process.env.NOTIFICATION_FOLLOW_UP_DAYS) || 2) => {
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  const horizon = new Date(startOfToday.getTime() + (days + 1) * DAY_MS - 1);
+
+  let delivered = 0;
+  for (const Model of [MobileClinic, EquineHealth]) {
+    const records = await Model.find({ followUpDate: { $gte: startOfToday, $lte: horizon } })
+      .select('serialNo followUpDate client createdBy')
+      .populate('client', 'name');
+
+    for (const record of records) {
+      delivered += await notify([record.createdBy], {
+        type: 'follow_up_due',
+        title: `Follow-up due on ${formatDay(record.followUpDate)}`,
+        message: `${Model.modelName} visit #${record.serialNo}${record.client && record.client.name ? ` (${record.client.name})` : ''} has a follow-up on ${formatDay(record.followUpDate)}.`,
+        relatedModel: Model.modelName,
+        relatedId: record._id,
+        dedupeKey: `follow_up_due:${record._id}:${formatDay(record.followUpDate)}`
+      });
+    }
+  }
+
+  return delivered;
+};
+
+/**
+ * Periodic checks (run from cron via npm run notify:scheduled)
+ */
+const runScheduledNotifications = async () => ({
+  labOverdue: await notifyOverdueLabTests(),
+  followUps: await notifyUpcomingFollowUps()
+});
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  SUPERVISOR_ROLES,
+  getPreferences,
+  notify,
+  notifyRoles,
+  notifyOverdueLabTests,
+  notifyUpcomingFollowUps,
+  runScheduledNotifications
+};
@@ -0,0 +1,322 @@
+const Laboratory = require('../models/Laboratory');
+const Outbreak = require('../models/Outbreak');
+const DropdownList = require('../models/DropdownList');
+const { toGeoPoint, distanceKm, EARTH_RADIUS_KM } = require('./geoLocation');
+const { notifyRoles, SUPERVISOR_ROLES } = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// أطول نافذة تُفحص في تشغيل واحد، فلا تكبر العينات المحمّلة في الطلب بلا حد
+const MAX_WINDOW_DAYS = 90;
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+const readEnvNumber = (name, fallback, min) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value < min ? fallback : value;
+};
+
+/**
+ * Thresholds used when a test type has no outbreak settings in its test_types metadata
+ */
+const getDefaultThreshold = () => ({
+  outbreakMinPositives: readEnvNumber('OUTBREAK_MIN_POSITIVES', 3, 1),
+  outbreakWindowDays: readEnvNumber('OUTBREAK_WINDOW_DAYS', 14, 1),
+  outbreakRadiusKm: readEnvNumber('OUTBREAK_RADIUS_KM', 5, 0)
+});
+
+const resolveThreshold = (testType, thresholds, defaults) => {
+  const threshold = { ...defaults, ...(thresholds[testType.toLowerCase()] || {}) };
+  threshold.outbreakWindowDays = Math.min(threshold.outbreakWindowDays, MAX_WINDOW_DAYS);
+  return threshold;
+};
+
+const isPositiveResult = (result) => result && result.status === 'Positive';
+
+// نوع الفحص من testType إن وجد، وإلا من معاملات النتائج الإيجابية
+const getTestTypes = (record) => {
+  if (record.testType) return [record.testType.toString().trim()];
+
+  const parameters = (record.testResults || [])
+    .filter(isPositiveResult)
+    .map(result => result.parameter && result.parameter.trim())
+    .filter(Boolean);
+
+  return parameters.length > 0 ? [...new Set(parameters)] : ['Unspecified'];
+};
+
+const countPositives = (record) => {
+  if (record.positiveCases > 0) return record.positiveCases;
+  return Math.max(1, (record.testResults || []).filter(isPositiveResult).length);
+};
+
+const summarizeSamples = (samples) => {
+  const dates = samples.map(sample => new Date(sample.date).getTime()).filter(time => !isNaN(time));
+  return {
+    positiveSamples: samples.length,
+    positiveCases: samples.reduce((sum, sample) => sum + countPositives(sample), 0),
+    firstSampleDate: dates.length > 0 ? new Date(Math.min(...dates)) : undefined,
+    lastSampleDate: dates.length > 0 ? new Date(Math.max(...dates)) : undefined
+  };
+};
+
+const centroid = (samples) => {
+  const points = samples.map(sample => sample.point).filter(Boolean);
+  if (points.length === 0) return undefined;
+
+  const longitude = points.reduce((sum, point) => sum + point.coordinates[0], 0) / points.length;
+  const latitude = points.reduce((sum, point) => sum + point.coordinates[1], 0) / points.length;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+const villageClusters = (samples, minPositives) => {
+  const byVillage = new Map();
+  samples.forEach((sample) => {
+    const village = sample.client && sample.client.village;
+    if (!village || !village._id) return;
+
+    const key = village._id.toString();
+    if (!byVillage.has(key)) byVillage.set(key, { village, samples: [] });
+    byVillage.get(key).samples.push(sample);
+  });
+
+  return [...byVillage.values()].filter(group => group.samples.length >= minPositives);
+};
+
+/**
+ * Neighbours within radiusKm of every sample (itself included). Samples are bucketed in a grid
+ * of radius-sized cells, so each one is only compared with the 3x3 cells around it.
+ * @param {Array<[number, number]>} positions - [longitude, latitude]
+ * @returns {Array<number[]>} neighbour indexes per sample
+ */
+const findNeighbours = (positions, radiusKm) => {
+  const latCell = radiusKm / KM_PER_DEGREE;
+  // خلية خط الطول تتسع مع الابتعاد عن خط الاستواء؛ أعلى خط عرض يضمن أن الجيران في الخلايا المجاورة
+  const maxLatitude = Math.max(...positions.map(([, latitude]) => Math.abs(latitude)));
+  const lngCell = latCell / Math.max(Math.cos(Math.min(maxLatitude + latCell, 90) * Math.PI / 180), 0.01);
+
+  const cellKey = (x, y) => `${x}:${y}`;
+  const cellOf = ([longitude, latitude]) => [Math.floor(longitude / lngCell), Math.floor(latitude / latCell)];
+  const grid = new Map();
+  positions.forEach((position, index) => {
+    const key = cellKey(...cellOf(position));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  return positions.map((position) => {
+    const [x, y] = cellOf(position);
+    const neighbours = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (grid.get(cellKey(x + dx, y + dy)) || []).forEach((other) => {
+          if (distanceKm(position, positions[other]) <= radiusKm) neighbours.push(other);
+        });
+      }
+    }
+    return neighbours;
+  });
+};
+
+/**
+ * Greedy density clustering: repeatedly take the located sample with the most
+ * unassigned neighbours within radiusKm until no cluster reaches minPositives
+ */
+const radiusClusters = (samples, minPositives, radiusKm) => {
+  const located = samples.filter(sample => sample.point);
+  if (located.length < minPositives) return [];
+
+  const neighbours = findNeighbours(located.map(sample => sample.point.coordinates), radiusKm);
+  // عدد الجيران غير المُسندين لكل عينة، يُنقص عند إسناد جيرانها لعنقود
+  const counts = neighbours.map(list => list.length);
+  const assigned = new Array(located.length).fill(false);
+  const clusters = [];
+
+  for (;;) {
+    let best = -1;
+    counts.forEach((count, index) => {
+      if (!assigned[index] && (best === -1 || count > counts[best])) best = index;
+    });
+    if (best === -1 || counts[best] < minPositives) break;
+
+    const members = neighbours[best].filter(index => !assigned[index]).sort((a, b) => a - b);
+    members.forEach((index) => {
+      assigned[index] = true;
+      neighbours[index].forEach((other) => { counts[other] -= 1; });
+    });
+    clusters.push({ samples: members.map(index => located[index]) });
+  }
+
+  return clusters;
+};
+
+// دمج العنقود مع بؤرة نشطة قائمة (نفس القرية أو ضمن نصف القطر) بدلاً من إنشاء بؤرة مكررة
+const findActiveOutbreak = async (testType, cluster) => {
+  if (cluster.scope === 'village') {
+    return Outbreak.findOne({ status: 'active', testType, scope: 'village', village: cluster.village._id });
+  }
+
+  const candidates = await Outbreak.find({ status: 'active', testType, scope: 'radius' });
+  const sampleIds = new Set(cluster.samples.map(sample => sample._id.toString()));
+  return candidates.find(outbreak =>
+    outbreak.samples.some(id => sampleIds.has(id.toString())) ||
+    (outbreak.center && outbreak.center.coordinates && cluster.center &&
+      distanceKm(outbreak.center.coordinates, cluster.center.coordinates) <= cluster.radiusKm)
+  ) || null;
+};
+
+const saveCluster = async (testType, cluster, threshold) => {
+  const existing = await findActiveOutbreak(testType, cluster);
+
+  // بؤرة أُغلقت كإنذار خاطئ لا يُعاد فتحها إلا بعينات إيجابية جديدة
+  if (!existing) {
+    const dismissed = await Outbreak.exists({
+      status: 'dismissed',
+      testType,
+      scope: cluster.scope,
+      samples: { $all: cluster.samples.map(sample => sample._id) }
+    });
+    if (dismissed) return { outbreak: null, created: false, updated: false };
+  }
+
+  let samples = cluster.samples;
+  if (existing) {
+    const currentIds = new Set(samples.map(sample => sample._id.toString()));
+    const previousIds = existing.samples.filter(id => !currentIds.has(id.toString()));
+    if (previousIds.length === 0 && existing.samples.length === samples.length) {
+      return { outbreak: existing, created: false, updated: false };
+    }
+
+    const previous = await Laboratory.find({ _id: { $in: previousIds } })
+      .select('date positiveCases testResults coordinates')
+      .lean();
+    samples = [
+      ...samples,
+      ...previous.map(sample => ({ ...sample, point: toGeoPoint(sample.coordinates) }))
+    ];
+  }
+
+  const fields = {
+    windowDays: threshold.outbreakWindowDays,
+    threshold: threshold.outbreakMinPositives,
+    samples: samples.map(sample => sample._id),
+    center: centroid(samples),
+    ...summarizeSamples(samples)
+  };
+  if (cluster.scope === 'radius') fields.radiusKm = cluster.radiusKm;
+
+  if (existing) {
+    existing.set(fields);
+    await existing.save();
+    return { outbreak: existing, created: false, updated: true };
+  }
+
+  const outbreak = await Outbreak.create({
+    testType,
+    scope: cluster.scope,
+    village: cluster.village ? cluster.village._id : undefined,
+    villageName: cluster.village ? (cluster.village.nameArabic || cluster.village.nameEnglish) : undefined,
+    ...fields
+  });
+  return { outbreak, created: true, updated: false };
+};
+
+/**
+ * Scan recent positive laboratory results for clusters per test type and record them as outbreaks.
+ * Active outbreaks with no positive sample inside their window are resolved.
+ * @param {Object} options
+ * @param {Date} [options.asOf] - evaluation date (defaults to now)
+ * @returns {Promise<Object>} run summary with created/updated/resolved outbreak IDs
+ */
+const detectOutbreaks = async ({ asOf = new Date() } = {}) => {
+  const defaults = getDefaultThreshold();
+  const thresholds = await DropdownList.getOutbreakThresholds();
+
+  const longestWindow = Math.min(Math.max(
+    defaults.outbreakWindowDays,
+    ...Object.values(thresholds).map(threshold => threshold.outbreakWindowDays || 0)
+  ), MAX_WINDOW_DAYS);
+
+  const records = await Laboratory.find({
+    date: { $gte: new Date(asOf.getTime() - longestWindow * DAY_MS), $lte: asOf },
+    $or: [
+      { positiveCases: { $gt: 0 } },
+      { 'testResults.status': 'Positive' }
+    ]
+  })
+    .select('serialNo sampleCode date positiveCases testResults testType client coordinates')
+    .populate({
+      path: 'client',
+      select: 'name village',
+      populate: { path: 'village', select: 'nameArabic nameEnglish' }
+    })
+    .lean();
+
+  const byTestType = new Map();
+  records.forEach((record) => {
+    const sample = { ...record, point: toGeoPoint(record.coordinates) };
+    getTestTypes(record).forEach((testType) => {
+      if (!byTestType.has(testType)) byTestType.set(testType, []);
+      byTestType.get(testType).push(sample);
+    });
+  });
+
+  const summary = { asOf, evaluatedSamples: records.length, created: [], updated: [], resolved: [] };
+
+  for (const [testType, typeSamples] of byTestType) {
+    const threshold = resolveThreshold(testType, thresholds, defaults);
+    const windowStart = new Date(asOf.getTime() - threshold.outbreakWindowDays * DAY_MS);
+    const samples = typeSamples.filter(sample => new Date(sample.date) >= windowStart);
+
+    const clusters = villageClusters(samples, threshold.outbreakMinPositives)
+      .map(group => ({ ...group, scope: 'village' }));
+
+    // نصف القطر يلتقط العناقيد العابرة للقرى فقط؛ العنقود الموجود بالكامل في بؤرة قرية يتم تجاهله
+    if (threshold.outbreakRadiusKm > 0) {
+      const inVillageCluster = new Set(clusters.flatMap(cluster => cluster.samples.map(sample => sample._id.toString())));
+      radiusClusters(samples, threshold.outbreakMinPositives, threshold.outbreakRadiusKm)
+        .filter(cluster => cluster.samples.some(sample => !inVillageCluster.has(sample._id.toString())))
+        .forEach(cluster => clusters.push({
+          ...cluster,
+          scope: 'radius',
+          radiusKm: threshold.outbreakRadiusKm,
+          center: centroid(cluster.samples)
+        }));
+    }
+
+    for (const cluster of clusters) {
+      const { outbreak, created, updated } = await saveCluster(testType, cluster, threshold);
+      if (created) {
+        summary.created.push(outbreak._id);
+        await notifyRoles(SUPERVISOR_ROLES, {
+          type: 'outbreak_detected',
+          severity: 'critical',
+          title: `Possible ${testType} outbreak${outbreak.villageName ? ` in ${outbreak.villageName}` : ''}`,
+          message: `${outbreak.positiveSamples} positive samples (${outbreak.positiveCases} positive cases) within ${outbreak.windowDays} days` +
+            (outbreak.scope === 'radius' ? ` and ${outbreak.radiusKm} km.` : ' in the same village.'),
+          relatedModel: 'Outbreak',
+          relatedId: outbreak._id,
+          dedupeKey: `outbreak_detected:${outbreak._id}`
+        });
+      }
+      if (updated) summary.updated.push(outbreak._id);
+    }
+  }
+
+  const active = await Outbreak.find({ status: 'active' }).select('windowDays lastSampleDate');
+  for (const outbreak of active) {
+    const windowStart = new Date(asOf.getTime() - outbreak.windowDays * DAY_MS);
+    if (outbreak.lastSampleDate && outbreak.lastSampleDate < windowStart) {
+      await Outbreak.updateOne({ _id: outbreak._id }, { $set: { status: 'resolved', resolvedAt: asOf } });
+      summary.resolved.push(outbreak._id);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  detectOutbreaks,
+  getDefaultThreshold,
+  radiusClusters
+};
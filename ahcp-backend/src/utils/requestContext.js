@@ -0,0 +1,38 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * سياق الطلب الحالي (المستخدم، IP، المسار) متاح لـ Mongoose middleware
+ * دون الحاجة لتمريره يدوياً عبر كل استدعاء
+ */
+class RequestContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  // Express middleware - يجب تركيبه قبل المسارات
+  middleware() {
+    return (req, res, next) => {
+      const store = {
+        user: null,
+        ip: req.ip || req.connection?.remoteAddress,
+        method: req.method,
+        route: req.originalUrl,
+        userAgent: req.get('User-Agent')
+      };
+      this.storage.run(store, () => next());
+    };
+  }
+
+  get() {
+    return this.storage.getStore() || null;
+  }
+
+  setUser(user) {
+    const store = this.storage.getStore();
+    if (store && user) {
+      store.user = user._id || user;
+    }
+  }
+}
+
+module.exports = new RequestContext();
@@ -0,0 +1,192 @@
+const Laboratory = require('../models/Laboratory');
+const { AppError } = require('../middleware/errorHandler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// المراحل المسموح الانتقال إليها من كل مرحلة (العينة الفاشلة يمكن إعادة فحصها)
+const SAMPLE_TRANSITIONS = {
+  collected: ['in_transit', 'received', 'rejected'],
+  in_transit: ['received', 'rejected'],
+  received: ['testing', 'rejected'],
+  testing: ['completed', 'failed'],
+  failed: ['testing'],
+  completed: [],
+  rejected: []
+};
+
+const TEST_STATUS_BY_SAMPLE_STATUS = {
+  collected: 'Pending',
+  in_transit: 'Pending',
+  received: 'Pending',
+  testing: 'In Progress',
+  completed: 'Completed',
+  failed: 'Failed',
+  rejected: 'Failed'
+};
+
+// أقصى مدة (بالساعات) تبقى فيها العينة في كل مرحلة مفتوحة
+const SAMPLE_STAGE_SLA_HOURS = {
+  collected: 24,
+  in_transit: 48,
+  received: 24,
+  testing: 72
+};
+
+const OPEN_SAMPLE_STATUSES = Object.keys(SAMPLE_STAGE_SLA_HOURS);
+
+// السجلات المنشأة قبل تتبع الحيازة ليس لها sampleStatus
+const currentSampleStatus = (record) => {
+  if (record.sampleStatus) return record.sampleStatus;
+  return {
+    'In Progress': 'testing',
+    'Completed': 'completed',
+    'Failed': 'failed'
+  }[record.testStatus] || 'collected';
+};
+
+/**
+ * Move a sample to the next lifecycle stage and append a custody event
+ * @param {Document} record - laboratory record
+ * @param {Object} event - { status, at, handlerName, location, notes }
+ * @param {Object} user - user recording the event
+ * @returns {Promise<Document>} saved record
+ */
+const transitionSample = async (record, event, user) => {
+  const from = currentSampleStatus(record);
+  const allowed = SAMPLE_TRANSITIONS[from] || [];
+  if (!allowed.includes(event.status)) {
+    throw new AppError(
+      `Cannot move sample from ${from} to ${event.status}. Allowed: ${allowed.join(', ') || 'none'}`,
+      400,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  const at = event.at ? new Date(event.at) : new Date();
+  const lastEvent = record.custodyEvents[record.custodyEvents.length - 1];
+  if (lastEvent && at < lastEvent.at) {
+    throw new AppError('Event time cannot be earlier than the previous custody event', 400, 'INVALID_EVENT_TIME');
+  }
+
+  if (event.status === 'completed' && (record.testResults || []).length === 0 && (record.positiveCases || 0) + (record.negativeCases || 0) === 0) {
+    throw new AppError('Record test results before completing the sample', 400, 'RESULTS_REQUIRED');
+  }
+
+  record.custodyEvents.push({
+    status: event.status,
+    at,
+    handledBy: user._id,
+    handlerName: event.handlerName || user.name,
+    location: event.location,
+    notes: event.notes
+  });
+  record.sampleStatus = event.status;
+  record.statusChangedAt = at;
+  record.testStatus = TEST_STATUS_BY_SAMPLE_STATUS[event.status];
+  if (event.status === 'completed') record.actualCompletionDate = at;
+  record.updatedBy = user._id;
+
+  await record.save();
+  return record;
+};
+
+const roundHours = value => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+/**
+ * Turnaround times of completed samples grouped by test type:
+ * collection to result, and receipt at the lab to result
+ * @param {Object} filter - extra match conditions (date range, test type)
+ */
+const getTurnaroundStats = async (filter = {}) => {
+  const hoursBetween = (end, start) => ({ $divide: [{ $subtract: [end, start] }, HOUR_MS] });
+
+  const stats = await Laboratory.aggregate([
+    { $match: { ...filter, testStatus: 'Completed', actualCompletionDate: { $ne: null } } },
+    {
+      $addFields: {
+        receivedAt: {
+          $min: {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $ifNull: ['$custodyEvents', []] },
+                  cond: { $eq: ['$$this.status', 'received'] }
+                }
+              },
+              in: '$$this.at'
+            }
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$testType', 'Unspecified'] },
+        completed: { $sum: 1 },
+        avgTurnaroundHours: { $avg: hoursBetween('$actualCompletionDate', '$date') },
+        minTurnaroundHours: { $min: hoursBetween('$actualCompletionDate', '$date') },
+        maxTurnaroundHours: { $max: hoursBetween('$actualCompletionDate', '$date') },
+        avgLabHours: {
+          $avg: { $cond: [{ $ifNull: ['$receivedAt', false] }, hoursBetween('$actualCompletionDate', '$receivedAt'), null] }
+        },
+        withDueDate: { $sum: { $cond: [{ $ifNull: ['$expectedCompletionDate', false] }, 1, 0] } },
+        onTime: {
+          $sum: {
+            $cond: [
+              { $and: [{ $ifNull: ['$expectedCompletionDate', false] }, { $lte: ['$actualCompletionDate', '$expectedCompletionDate'] }] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { completed: -1 } }
+  ]);
+
+  return stats.map(stat => ({
+    testType: stat._id,
+    completed: stat.completed,
+    avgTurnaroundHours: roundHours(stat.avgTurnaroundHours),
+    minTurnaroundHours: roundHours(stat.minTurnaroundHours),
+    maxTurnaroundHours: roundHours(stat.maxTurnaroundHours),
+    avgLabHours: roundHours(stat.avgLabHours),
+    onTimeRate: stat.withDueDate > 0 ? Math.round((stat.onTime / stat.withDueDate) * 100) : null
+  }));
+};
+
+/**
+ * Build the query for samples sitting in an open stage longer than its SLA
+ * @param {Object} options - { statuses, hours (overrides every stage), now }
+ */
+const buildSlaBreachFilter = ({ statuses = OPEN_SAMPLE_STATUSES, hours, now = new Date() } = {}) => ({
+  $or: statuses.map(status => ({
+    sampleStatus: status,
+    statusChangedAt: { $lt: new Date(now.getTime() - (hours || SAMPLE_STAGE_SLA_HOURS[status]) * HOUR_MS) }
+  }))
+});
+
+/**
+ * Annotate a record with how long it has been in its current stage
+ */
+const describeSlaBreach = (record, { hours, now = new Date() } = {}) => {
+  const slaHours = hours || SAMPLE_STAGE_SLA_HOURS[record.sampleStatus];
+  const hoursInStatus = (now - record.statusChangedAt) / HOUR_MS;
+  return {
+    ...record.toJSON(),
+    slaHours,
+    hoursInStatus: roundHours(hoursInStatus),
+    hoursOverdue: roundHours(hoursInStatus - slaHours)
+  };
+};
+
+module.exports = {
+  SAMPLE_TRANSITIONS,
+  SAMPLE_STAGE_SLA_HOURS,
+  OPEN_SAMPLE_STATUSES,
+  currentSampleStatus,
+  transitionSample,
+  getTurnaroundStats,
+  buildSlaBreachFilter,
+  describeSlaBreach
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+
+// رمز الوصول قصير العمر، ورمز التحديث يُدوَّر عند كل استخدام
+const accessTokenExpiresIn = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// طلبات التحديث المتزامنة (عدة تبويبات) قد ترسل الرمز السابق خلال ثوانٍ من تدويره
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const BROWSERS = [[/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Chrome\//, 'Chrome'], [/Firefox\//, 'Firefox'], [/Safari\//, 'Safari']];
+const SYSTEMS = [[/Android/, 'Android'], [/iPhone|iPad|iPod/, 'iOS'], [/Windows/, 'Windows'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on Android"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return undefined;
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent));
+  if (!browser && !system) return userAgent.slice(0, 100);
+  return [browser && browser[1], system && system[1]].filter(Boolean).join(' on ');
+};
+
+const requestDetails = req => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500) || undefined,
+  ip: req.ip || req.connection?.remoteAddress
+});
+
+const buildTokens = (user, session, secret) => ({
+  token: jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, { expiresIn: accessTokenExpiresIn() }),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: accessTokenExpiresIn(),
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Start a session at login and issue its first access/refresh token pair
+ * @param {Object} options - { deviceName } sent by the client (falls back to the user agent)
+ */
+const createSession = async (user, req, options = {}) => {
+  const secret = newSecret();
+  const details = requestDetails(req);
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    device: options.deviceName || describeDevice(details.userAgent),
+    ...details,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTokenDays() * DAY_MS)
+  });
+
+  return buildTokens(user, session, secret);
+};
+
+const revokeSession = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revokedAt: { $exists: false } },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented token stops working;
+ * presenting it again later is treated as theft and ends the session.
+ * @returns {Promise<{ user: Document, token: string, refreshToken: string }>}
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || '').toString().split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+  if (!session) throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  if (session.revokedAt) throw new AppError('Session has been revoked', 401, 'SESSION_REVOKED');
+  if (session.expiresAt <= new Date()) throw new AppError('Refresh token expired', 401, 'REFRESH_TOKEN_EXPIRED');
+
+  const presentedHash = hashToken(secret);
+  if (presentedHash !== session.refreshTokenHash && presentedHash !== session.previousTokenHash) {
+    throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, user ? 'user_deactivated' : 'user_deleted');
+    throw new AppError('Account is deactivated', 401, 'ACCOUNT_DEACTIVATED');
+  }
+
+  // التبديل ذري: من بين طلبين متزامنين بنفس الرمز ينجح واحد فقط، والآخر يُعامل كإعادة استخدام
+  const nextSecret = newSecret();
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: presentedHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        ...requestDetails(req),
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(nextSecret),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenDays() * DAY_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // الرمز دُوِّر للتو (بهذا الطلب المتزامن أو قبله) أو لم يكن صالحاً أصلاً
+    const current = await Session.findById(session._id).select('+previousTokenHash');
+    if (!current || current.revokedAt || presentedHash !== current.previousTokenHash) {
+      throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+    if (current.rotatedAt && Date.now() - current.rotatedAt.getTime() < REUSE_GRACE_MS) {
+      throw new AppError('Refresh token was already used', 401, 'INVALID_REFRESH_TOKEN');
+    }
+    await revokeSession(current._id, 'token_reuse');
+    throw new AppError('Refresh token reuse detected, session ended', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  return { user, ...buildTokens(user, rotated, nextSecret) };
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  describeDevice
+};
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+
+// النماذج التي تدعم الحذف المؤقت - تُستخدم لتصفية $lookup في الـ aggregations
+const softDeleteModels = new Set();
+
+// مدة الاحتفاظ بالسجلات المحذوفة قبل الحذف النهائي (بالأيام)
+const getRetentionDays = () => {
+  const days = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS);
+  return isNaN(days) || days < 0 ? 30 : days;
+};
+
+const DELETED_SUFFIX = '~deleted~';
+
+const getSoftDeleteCollections = () => {
+  const collections = new Set();
+  softDeleteModels.forEach((modelName) => {
+    const model = mongoose.models[modelName];
+    if (model) collections.add(model.collection.collectionName);
+  });
+  return collections;
+};
+
+/**
+ * Mongoose plugin: soft delete (deletedAt/deletedBy) with automatic exclusion
+ * of deleted documents from queries and aggregations.
+ *
+ * Deleted documents are still reachable with the `withDeleted()` query helper
+ * or by filtering on `deletedAt` explicitly.
+ *
+ * Unique fields are suffixed while the document is in the recycle bin so the
+ * same value (serial number, national ID) can be re-created or re-imported.
+ */
+const softDeletePlugin = (schema, options = {}) => {
+  const { modelName, uniqueFields = [] } = options;
+  if (!modelName) {
+    throw new Error('softDeletePlugin requires a modelName option');
+  }
+  softDeleteModels.add(modelName);
+
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    deletedUniqueValues: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.query.withDeleted = function() {
+    this._withDeleted = true;
+    return this;
+  };
+
+  schema.query.onlyDeleted = function() {
+    this._withDeleted = true;
+    return this.where({ deletedAt: { $ne: null } });
+  };
+
+  function excludeDeleted() {
+    if (this._withDeleted) return;
+    const filter = this.getFilter();
+    if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  }
+
+  schema.pre([
+    'find',
+    'findOne',
+    'countDocuments',
+    'distinct',
+    'findOneAndUpdate',
+    'updateOne',
+    'updateMany'
+  ], { document: false, query: true }, excludeDeleted);
+
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const deletedCollections = getSoftDeleteCollections();
+
+    // استبعاد السجلات المحذوفة من مخرجات $lookup للنماذج الأخرى
+    pipeline.forEach((stage) => {
+      const lookup = stage.$lookup;
+      if (!lookup || !deletedCollections.has(lookup.from)) return;
+      const hasDeletedMatch = (lookup.pipeline || []).some(s => s.$match && 'deletedAt' in s.$match);
+      if (hasDeletedMatch) return;
+
+      // localField/foreignField تبقى كما هي لتستخدم فهرس الحقل الأجنبي، و pipeline بجانبها
+      // يتطلب MongoDB 5.0 أو أحدث (الحد الأدنى المذكور في README)
+      lookup.pipeline = [{ $match: { deletedAt: null } }, ...(lookup.pipeline || [])];
+    });
+
+    const firstMatchIndex = pipeline.findIndex(stage => stage.$match);
+    if (firstMatchIndex !== -1 && 'deletedAt' in pipeline[firstMatchIndex].$match) return;
+
+    // $geoNear يجب أن تبقى المرحلة الأولى
+    const insertAt = pipeline.length > 0 && pipeline[0].$geoNear ? 1 : 0;
+    pipeline.splice(insertAt, 0, { $match: { deletedAt: null } });
+  });
+
+  /**
+   * Soft delete all documents matching filter
+   * @returns {Promise<{deletedCount: number}>}
+   */
+  schema.statics.softDelete = async function(filter = {}, userId = null) {
+    const set = {
+      deletedAt: new Date(),
+      deletedBy: userId ? new mongoose.Types.ObjectId(userId.toString()) : null
+    };
+
+    if (uniqueFields.length > 0) {
+      set.deletedUniqueValues = {};
+      uniqueFields.forEach((field) => {
+        set.deletedUniqueValues[field] = `$${field}`;
+        set[field] = {
+          $cond: [
+            { $eq: [{ $type: `$${field}` }, 'string'] },
+            { $concat: [`$${field}`, DELETED_SUFFIX, { $toString: '$_id' }] },
+            `$${field}`
+          ]
+        };
+      });
+    }
+
+    const result = await this.updateMany(
+      { ...filter, deletedAt: null },
+      [{ $set: set }]
+    );
+
+    return { deletedCount: result.modifiedCount };
+  };
+
+  /**
+   * Restore soft-deleted documents one by one so that a unique-value conflict
+   * (e.g. a serial number re-imported after deletion) doesn't block the rest
+   */
+  schema.statics.restoreDeleted = async function(filter = {}) {
+    const deleted = await this.find({ ...filter, deletedAt: { $ne: null } })
+      .select('_id')
+      .lean();
+
+    const restoredIds = [];
+    const conflicts = [];
+    const restoreStage = { deletedAt: null, deletedBy: null };
+    uniqueFields.forEach((field) => {
+      restoreStage[field] = { $ifNull: [`$deletedUniqueValues.${field}`, `$${field}`] };
+    });
+
+    for (const doc of deleted) {
+      try {
+        await this.updateOne(
+          { _id: doc._id, deletedAt: { $ne: null } },
+          [{ $set: restoreStage }, { $unset: 'deletedUniqueValues' }]
+        );
+        restoredIds.push(doc._id);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        conflicts.push({
+          id: doc._id,
+          field: Object.keys(error.keyValue || {})[0],
+          value: error.keyValue ? Object.values(error.keyValue)[0] : undefined
+        });
+      }
+    }
+
+    return { restoredCount: restoredIds.length, restoredIds, conflicts };
+  };
+
+  /**
+   * Permanently remove documents deleted before the retention window
+   */
+  schema.statics.purgeDeleted = async function(filter = {}, retentionDays = getRetentionDays()) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const result = await this.deleteMany({
+      ...filter,
+      deletedAt: { $ne: null, $lte: cutoff }
+    });
+
+    return { purgedCount: result.deletedCount, cutoff };
+  };
+};
+
+module.exports = {
+  softDeletePlugin,
+  getRetentionDays
+};
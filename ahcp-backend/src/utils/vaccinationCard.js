@@ -0,0 +1,206 @@
+const { SPECIES, ARABIC_PATTERN, createPdf, drawText, formatDate, renderQrCode } = require('./bilingualPdf');
+
+// بطاقة بحجم A6 أفقي تُسلَّم للمربي بعد زيارة التحصين
+const PAGE = { margin: 18, width: 419.53, height: 297.64 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const COLORS = { primary: '#1f5f3f', muted: '#666666', border: '#cccccc', overdue: '#b00020' };
+const QR_SIZE = 58;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// عدد الزيارات المعروضة في البطاقة (الأحدث أولاً)
+const MAX_CARD_VISITS = 60;
+
+const COLUMNS = [
+  { en: 'Date', ar: 'التاريخ', width: 52 },
+  { en: 'Vaccine', ar: 'اللقاح', width: 68 },
+  { en: 'Category', ar: 'الفئة', width: 48 },
+  { en: 'Animals vaccinated', ar: 'الحيوانات المحصنة', width: 107 },
+  { en: 'Next due', ar: 'الموعد القادم', width: 52 },
+  { en: 'Supervisor', ar: 'المشرف', width: 56 }
+];
+
+// لا يُطبع رقم الهوية كاملاً لأن رابط البطاقة قابل للمشاركة
+const maskNationalId = (nationalId) => {
+  const value = (nationalId || '').toString();
+  return value.length > 4 ? `${'*'.repeat(value.length - 4)}${value.slice(-4)}` : value;
+};
+
+const vaccinatedAnimals = herdCounts => SPECIES
+  .filter(species => herdCounts && herdCounts[species.key] && herdCounts[species.key].vaccinated > 0)
+  .map(species => `${species.en} ${herdCounts[species.key].vaccinated}`)
+  .join(', ');
+
+/**
+ * One row per visit, newest first. The next due date is shown only on the latest
+ * visit of each vaccine type - older visits were superseded by it.
+ * @param {Array} records - vaccination records sorted by date descending
+ * @param {Object} intervals - booster interval days keyed by lowercased vaccine type
+ */
+const buildCardRows = (records, intervals = {}) => {
+  const seenVaccines = new Set();
+  return records.map((record) => {
+    const vaccineKey = (record.vaccineType || '').trim().toLowerCase();
+    const interval = intervals[vaccineKey];
+    let nextDueDate = null;
+    if (!seenVaccines.has(vaccineKey) && interval && record.date) {
+      nextDueDate = new Date(new Date(record.date).getTime() + interval * DAY_MS);
+    }
+    seenVaccines.add(vaccineKey);
+
+    return {
+      date: record.date,
+      vaccineType: record.vaccineType,
+      vaccineCategory: record.vaccineCategory,
+      animals: vaccinatedAnimals(record.herdCounts),
+      nextDueDate,
+      supervisor: record.supervisor
+    };
+  });
+};
+
+const drawHeader = (doc) => {
+  drawText(doc, 'Animal Health Care Program', PAGE.margin, PAGE.margin, { bold: true, size: 8, color: COLORS.primary, width: CONTENT_WIDTH / 2 });
+  drawText(doc, 'Vaccination Card', PAGE.margin, PAGE.margin + 11, { bold: true, size: 13, width: CONTENT_WIDTH / 2 });
+  drawText(doc, 'برنامج رعاية صحة الحيوان', PAGE.margin + CONTENT_WIDTH / 2, PAGE.margin - 3, { bold: true, size: 9, color: COLORS.primary, width: CONTENT_WIDTH / 2 });
+  drawText(doc, 'بطاقة التحصين', PAGE.margin + CONTENT_WIDTH / 2, PAGE.margin + 8, { bold: true, size: 13, width: CONTENT_WIDTH / 2 });
+  doc.moveTo(PAGE.margin, PAGE.margin + 31).lineTo(PAGE.margin + CONTENT_WIDTH, PAGE.margin + 31).strokeColor(COLORS.primary).lineWidth(1).stroke();
+  return PAGE.margin + 37;
+};
+
+const drawField = (doc, y, english, arabic, value) => {
+  drawText(doc, english, PAGE.margin, y, { bold: true, size: 7, width: 80, color: COLORS.muted });
+  const valueBottom = drawText(doc, value, PAGE.margin + 85, y - (ARABIC_PATTERN.test(value || '') ? 3 : 0), { size: 8, width: CONTENT_WIDTH - 170, align: 'center' });
+  drawText(doc, arabic, PAGE.margin + CONTENT_WIDTH - 80, y - 3, { bold: true, size: 7, width: 80, color: COLORS.muted });
+  return Math.max(valueBottom, y + 10) + 2;
+};
+
+const drawTableHeader = (doc, y) => {
+  let x = PAGE.margin;
+  doc.rect(PAGE.margin, y, CONTENT_WIDTH, 22).fillColor('#eef5f0').fill();
+  COLUMNS.forEach((column) => {
+    drawText(doc, column.en, x + 2, y + 2, { bold: true, size: 6.5, width: column.width - 4, align: 'center' });
+    drawText(doc, column.ar, x + 2, y + 8, { bold: true, size: 6.5, width: column.width - 4, align: 'center' });
+    x += column.width;
+  });
+  return y + 24;
+};
+
+/**
+ * Render the A6 vaccination card of a herd owner
+ * @param {Object} card - { client (village populated), holdingCode, records sorted newest first }
+ * @param {Object} options - { certificateId, verificationUrl, intervals }
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderVaccinationCardPdf = async ({ client, holdingCode, records }, { certificateId, verificationUrl, intervals }) => {
+  const { doc, finished } = createPdf({
+    size: 'A6',
+    layout: 'landscape',
+    margin: PAGE.margin,
+    info: {
+      Title: `Vaccination card ${certificateId}`,
+      Subject: client && client.name ? `Vaccination card of ${client.name}` : 'Vaccination card',
+      Author: 'Animal Health Care Program'
+    }
+  });
+
+  let y = drawHeader(doc);
+  const village = client && client.village && (client.village.nameArabic || client.village.nameEnglish);
+  y = drawField(doc, y, 'Owner', 'اسم المربي', client && client.name);
+  y = drawField(doc, y, 'National ID', 'رقم الهوية', client && maskNationalId(client.nationalId));
+  y = drawField(doc, y, 'Village', 'القرية', village);
+  y = drawField(doc, y, 'Holding code', 'رمز الحيازة', holdingCode && holdingCode.code);
+  y = drawTableHeader(doc, y + 3);
+
+  const today = new Date();
+  const bottomLimit = PAGE.height - PAGE.margin;
+  buildCardRows(records, intervals).forEach((row) => {
+    if (y + 12 > bottomLimit) {
+      doc.addPage();
+      y = drawTableHeader(doc, drawHeader(doc));
+    }
+
+    const overdue = row.nextDueDate && row.nextDueDate < today;
+    const cells = [
+      formatDate(row.date),
+      row.vaccineType,
+      row.vaccineCategory,
+      row.animals,
+      row.nextDueDate ? formatDate(row.nextDueDate) : '-',
+      row.supervisor
+    ];
+
+    let x = PAGE.margin;
+    let bottom = y + 9;
+    cells.forEach((cell, index) => {
+      const cellBottom = drawText(doc, cell, x + 2, y + 2, {
+        size: 7,
+        width: COLUMNS[index].width - 4,
+        align: 'center',
+        bold: index === 4 && Boolean(row.nextDueDate),
+        color: index === 4 && overdue ? COLORS.overdue : 'black'
+      });
+      bottom = Math.max(bottom, cellBottom);
+      x += COLUMNS[index].width;
+    });
+    doc.moveTo(PAGE.margin, bottom + 2).lineTo(PAGE.margin + CONTENT_WIDTH, bottom + 2).strokeColor(COLORS.border).lineWidth(0.4).stroke();
+    y = bottom + 4;
+  });
+
+  if (records.length === 0) {
+    drawText(doc, 'No vaccinations recorded', PAGE.margin, y + 2, { size: 7, width: CONTENT_WIDTH, align: 'center', color: COLORS.muted });
+    y += 14;
+  }
+
+  // رمز QR للتحقق في أسفل آخر صفحة
+  if (y + QR_SIZE + 6 > bottomLimit) {
+    doc.addPage();
+    y = drawHeader(doc);
+  }
+  const qrTop = bottomLimit - QR_SIZE;
+  const qrImage = await renderQrCode(verificationUrl);
+  doc.image(qrImage, PAGE.margin + CONTENT_WIDTH - QR_SIZE, qrTop, { width: QR_SIZE, height: QR_SIZE });
+  const textWidth = CONTENT_WIDTH - QR_SIZE - 8;
+  drawText(doc, 'Scan to verify this card', PAGE.margin, qrTop + 6, { bold: true, size: 7, width: textWidth, align: 'right' });
+  drawText(doc, 'امسح الرمز للتحقق من صحة البطاقة', PAGE.margin, qrTop + 15, { size: 7, width: textWidth });
+  drawText(doc, certificateId, PAGE.margin, qrTop + 32, { size: 6, width: textWidth, align: 'right', color: COLORS.muted });
+  drawText(doc, `Printed ${formatDate(today)}`, PAGE.margin, qrTop + 42, { size: 6, width: textWidth, align: 'right', color: COLORS.muted });
+
+  doc.end();
+  return finished;
+};
+
+/**
+ * Vaccination card of the herd owner of a record: all of the owner's visits (newest first),
+ * identified by the record's certificate
+ * @param {Document} record - vaccination record with an issued certificate
+ * @param {Object} options - { verificationUrl }
+ * @returns {Promise<Buffer>}
+ */
+const renderCardForRecord = async (record, { verificationUrl }) => {
+  const Vaccination = record.constructor;
+  const Client = require('../models/Client');
+  const HoldingCode = require('../models/HoldingCode');
+  const DropdownList = require('../models/DropdownList');
+
+  const [client, holdingCode, records, intervals] = await Promise.all([
+    record.client ? Client.findById(record.client).populate('village', 'nameArabic nameEnglish') : null,
+    record.holdingCode ? HoldingCode.findById(record.holdingCode).select('code') : null,
+    Vaccination.find(record.client ? { client: record.client } : { _id: record._id })
+      .sort({ date: -1 })
+      .limit(MAX_CARD_VISITS)
+      .select('date vaccineType vaccineCategory herdCounts supervisor'),
+    DropdownList.getBoosterIntervals()
+  ]);
+
+  return renderVaccinationCardPdf({ client, holdingCode, records }, {
+    certificateId: record.certificateId,
+    verificationUrl,
+    intervals
+  });
+};
+
+module.exports = {
+  buildCardRows,
+  renderVaccinationCardPdf,
+  renderCardForRecord
+};
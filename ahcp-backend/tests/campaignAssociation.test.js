@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Campaign = require('../src/models/Campaign');
+const Client = require('../src/models/Client');
+const Vaccination = require('../src/models/Vaccination');
+
+const villageId = new mongoose.Types.ObjectId();
+const clientId = new mongoose.Types.ObjectId();
+
+const buildCampaign = status => new Campaign({
+  name: `PPR ${status}`,
+  vaccineType: 'PPR',
+  startDate: new Date('2024-03-01'),
+  endDate: new Date('2024-03-31'),
+  targetVillages: [villageId],
+  status,
+  createdBy: new mongoose.Types.ObjectId()
+});
+
+// خطافات الحفظ فقط (بدون التحقق ولا قاعدة البيانات)
+const runSaveHooks = record => new Promise((resolve, reject) => {
+  Vaccination.schema.s.hooks.execPre('save', record, [{ validateBeforeSave: false }], error => (error ? reject(error) : resolve(record)));
+});
+
+describe('vaccination campaign association', () => {
+  let campaigns;
+
+  beforeEach(() => {
+    campaigns = [];
+    // يطبق شروط الاستعلام التي يرسلها findForVaccination على الحملات المعرّفة في الاختبار
+    jest.spyOn(Campaign, 'find').mockImplementation(filter => ({
+      sort: async () => campaigns.filter(campaign => !filter.status.$nin.includes(campaign.status) &&
+        filter.vaccineType.test(campaign.vaccineType) &&
+        campaign.startDate <= filter.startDate.$lte &&
+        campaign.endDate >= filter.endDate.$gte)
+    }));
+    jest.spyOn(Client, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ _id: clientId, village: villageId }) })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const buildRecord = () => new Vaccination({
+    vaccineType: 'PPR',
+    date: new Date('2024-03-15'),
+    client: clientId
+  });
+
+  it('links a new record to an active campaign in its date range and village', async () => {
+    const active = buildCampaign('active');
+    campaigns.push(active);
+
+    const record = await runSaveHooks(buildRecord());
+    expect(record.campaign.toString()).toBe(active._id.toString());
+  });
+
+  it('does not link a record to a completed campaign', async () => {
+    campaigns.push(buildCampaign('completed'));
+
+    const record = await runSaveHooks(buildRecord());
+    expect(record.campaign).toBeNull();
+  });
+
+  it('does not link a record to a cancelled campaign', async () => {
+    campaigns.push(buildCampaign('cancelled'));
+
+    const record = await runSaveHooks(buildRecord());
+    expect(record.campaign).toBeNull();
+  });
+
+  it('keeps closed campaigns from taking records in bulk', async () => {
+    const updateMany = jest.spyOn(Vaccination, 'updateMany');
+
+    await expect(buildCampaign('completed').associateRecords()).resolves.toBe(0);
+    await expect(buildCampaign('cancelled').associateRecords()).resolves.toBe(0);
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { parseCertificateId } = require('../src/utils/certificates');
+
+const RECORD_ID = '65f1a2b3c4d5e6f708192a3b';
+
+// نفس توقيع الخادم (HMAC مختصر) لبناء أرقام شهادات صالحة
+const issueId = (prefix, recordId) => {
+  const id = recordId.toUpperCase();
+  const signature = crypto.createHmac('sha256', process.env.CERTIFICATE_SECRET)
+    .update(`${prefix}-${id}`)
+    .digest('hex')
+    .slice(0, 12)
+    .toUpperCase();
+  return `${prefix}-${id}-${signature}`;
+};
+
+describe('parseCertificateId', () => {
+  const originalSecret = process.env.CERTIFICATE_SECRET;
+
+  beforeAll(() => {
+    process.env.CERTIFICATE_SECRET = 'test-certificate-secret';
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) delete process.env.CERTIFICATE_SECRET;
+    else process.env.CERTIFICATE_SECRET = originalSecret;
+  });
+
+  it('returns the record type and ID of a signed certificate ID', () => {
+    const parsed = parseCertificateId(issueId('LAB', RECORD_ID));
+    expect(parsed).toMatchObject({ prefix: 'LAB', recordId: RECORD_ID });
+    expect(parsed.type.modelName).toBe('Laboratory');
+  });
+
+  it('accepts lower case and surrounding spaces', () => {
+    const parsed = parseCertificateId(`  ${issueId('VAC', RECORD_ID).toLowerCase()} `);
+    expect(parsed).toMatchObject({ prefix: 'VAC', recordId: RECORD_ID });
+    expect(parsed.type.modelName).toBe('Vaccination');
+  });
+
+  it('rejects an altered record ID or signature', () => {
+    const id = issueId('LAB', RECORD_ID);
+    expect(parseCertificateId(id.replace(RECORD_ID.toUpperCase(), '65F1A2B3C4D5E6F708192A3C'))).toBeNull();
+    expect(parseCertificateId(`${id.slice(0, -1)}${id.endsWith('0') ? '1' : '0'}`)).toBeNull();
+  });
+
+  it('rejects an ID signed for another record type', () => {
+    const vaccination = issueId('VAC', RECORD_ID);
+    expect(parseCertificateId(vaccination.replace(/^VAC/, 'LAB'))).toBeNull();
+  });
+
+  it('rejects unknown prefixes and malformed input', () => {
+    expect(parseCertificateId(issueId('XYZ', RECORD_ID))).toBeNull();
+    expect(parseCertificateId('LAB-123-ABC')).toBeNull();
+    expect(parseCertificateId('')).toBeNull();
+    expect(parseCertificateId(undefined)).toBeNull();
+  });
+});
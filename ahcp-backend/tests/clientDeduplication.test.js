@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Client = require('../src/models/Client');
+const ClientMerge = require('../src/models/ClientMerge');
+const Vaccination = require('../src/models/Vaccination');
+const ParasiteControl = require('../src/models/ParasiteControl');
+const MobileClinic = require('../src/models/MobileClinic');
+const EquineHealth = require('../src/models/EquineHealth');
+const Laboratory = require('../src/models/Laboratory');
+const Animal = require('../src/models/Animal');
+const Movement = require('../src/models/Movement');
+const {
+  DEFAULT_MIN_SCORE,
+  normalizeArabic,
+  normalizePhone,
+  nameSimilarity,
+  findDuplicateGroups,
+  mergeClients
+} = require('../src/utils/clientDeduplication');
+
+describe('normalizeArabic', () => {
+  it('removes diacritics and unifies hamza and taa marbuta forms', () => {
+    expect(normalizeArabic('فاطِمة')).toBe('فاطمه');
+    expect(normalizeArabic('أحمد')).toBe(normalizeArabic('احمد'));
+    expect(normalizeArabic('مصطفى')).toBe('مصطفي');
+  });
+});
+
+describe('normalizePhone', () => {
+  it('keeps the local number without the country code or spacing', () => {
+    expect(normalizePhone('+966 50 123 4567')).toBe(normalizePhone('0501234567'));
+  });
+
+  it('ignores short and placeholder numbers', () => {
+    expect(normalizePhone('12345')).toBeNull();
+    expect(normalizePhone('0000000000')).toBeNull();
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('matches the same name written in Arabic and English', () => {
+    expect(nameSimilarity('محمد بن عبد الله الشمري', 'Mohammed Abdullah Alshammari')).toBe(1);
+    expect(nameSimilarity('فاطمة', 'Fatima')).toBe(1);
+    expect(nameSimilarity('عمر', 'Omar')).toBe(1);
+  });
+
+  it('treats "عبد الله" and "عبدالله" as one name', () => {
+    expect(nameSimilarity('عبد الله', 'عبدالله')).toBe(1);
+  });
+
+  it('tolerates one name having fewer parts', () => {
+    expect(nameSimilarity('محمد الشمري', 'محمد بن سعد الشمري')).toBeGreaterThanOrEqual(DEFAULT_MIN_SCORE);
+  });
+
+  it('keeps different first names below the duplicate threshold', () => {
+    expect(nameSimilarity('محمد العتيبي', 'خالد العتيبي')).toBeLessThan(DEFAULT_MIN_SCORE);
+  });
+
+  it('is symmetric', () => {
+    expect(nameSimilarity('Mohammed Alshammari', 'محمد بن سعد الشمري'))
+      .toBe(nameSimilarity('محمد بن سعد الشمري', 'Mohammed Alshammari'));
+  });
+
+  it('returns 0 for empty names', () => {
+    expect(nameSimilarity('', 'محمد')).toBe(0);
+    expect(nameSimilarity(null, undefined)).toBe(0);
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  const village = { _id: new mongoose.Types.ObjectId(), nameArabic: 'الروضة' };
+  const buildClient = (name, phone, clientVillage = village) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    phone,
+    village: clientVillage,
+    animals: [],
+    createdAt: new Date('2024-01-01')
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockClients = (clients) => {
+    jest.spyOn(Client, 'find').mockReturnValue({
+      select: () => ({ populate: () => ({ lean: async () => clients }) })
+    });
+  };
+
+  it('groups same-village clients with similar names and clients sharing a phone', async () => {
+    const mohammed = buildClient('محمد الشمري', '0501111111');
+    const muhammad = buildClient('Mohammed Alshammari', '0502222222');
+    const khalid = buildClient('خالد العتيبي', '0503333333', { _id: new mongoose.Types.ObjectId() });
+    const khaled = buildClient('Khaled', '+966 50 333 3333', { _id: new mongoose.Types.ObjectId() });
+    const saad = buildClient('سعد الشمري', '0504444444');
+    mockClients([mohammed, muhammad, khalid, khaled, saad]);
+
+    const groups = await findDuplicateGroups();
+    const ids = groups.map(group => group.clients.map(client => client._id.toString()).sort());
+    expect(ids).toEqual(expect.arrayContaining([
+      [mohammed._id.toString(), muhammad._id.toString()].sort(),
+      [khalid._id.toString(), khaled._id.toString()].sort()
+    ]));
+    expect(groups).toHaveLength(2);
+  });
+});
+
+describe('mergeClients', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockUpdate = (Model, modifiedCount) => jest.spyOn(Model, 'updateMany')
+    .mockReturnValue({ withDeleted: async () => ({ modifiedCount }) });
+
+  it('records each model\'s reassigned count once', async () => {
+    const survivor = new Client({ name: 'محمد الشمري', nationalId: '1000000001', phone: '0501111111' });
+    const duplicate = new Client({ name: 'Mohammed Alshammari', nationalId: '1000000002', phone: '0501111111' });
+    jest.spyOn(survivor, 'save').mockResolvedValue(survivor);
+
+    jest.spyOn(ClientMerge, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ClientMerge, 'create').mockImplementation(async fields => ({ ...fields, save: async function save() { return this; } }));
+    jest.spyOn(Client, 'softDelete').mockResolvedValue({ modifiedCount: 1 });
+
+    mockUpdate(Vaccination, 3);
+    mockUpdate(ParasiteControl, 0);
+    const clinicUpdate = mockUpdate(MobileClinic, 2);
+    const labUpdate = mockUpdate(Laboratory, 1);
+    mockUpdate(Animal, 4);
+    mockUpdate(EquineHealth, 1);
+    jest.spyOn(Movement, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const merge = await mergeClients(survivor, [duplicate], userId);
+
+    expect(merge.status).toBe('completed');
+    expect(merge.reassigned).toEqual({
+      Vaccination: 3,
+      ParasiteControl: 0,
+      MobileClinic: 2,
+      Laboratory: 1,
+      Animal: 4,
+      Movement: 2,
+      EquineHealth: 1
+    });
+    // المرجع ورقم الهوية في استعلام واحد
+    expect(clinicUpdate).toHaveBeenCalledTimes(1);
+    expect(labUpdate).toHaveBeenCalledTimes(1);
+    expect(clinicUpdate.mock.calls[0][0]).toEqual({
+      $or: [{ client: { $in: [duplicate._id] } }, { clientId: { $in: ['1000000002'] } }]
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { Readable } = require('stream');
+const { parseCsv, detectEncoding, detectDelimiter } = require('../src/utils/csvParser');
+
+// "محمد" بترميز Windows-1256
+const WINDOWS_1256_NAME = Buffer.from([0xe3, 0xcd, 0xe3, 0xcf]);
+
+describe('detectEncoding', () => {
+  it('reads UTF-8 and UTF-16 byte order marks', () => {
+    expect(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61]))).toBe('utf-8');
+    expect(detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00]))).toBe('utf-16le');
+    expect(detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x61]))).toBe('utf-16be');
+  });
+
+  it('falls back to Windows-1256 for text that is not UTF-8', () => {
+    expect(detectEncoding(Buffer.from('Name\nمحمد'))).toBe('utf-8');
+    expect(detectEncoding(WINDOWS_1256_NAME)).toBe('windows-1256');
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('picks the most frequent delimiter of the header line', () => {
+    expect(detectDelimiter('a,b,c\n1;2;3;4')).toBe(',');
+    expect(detectDelimiter('a;b;c\n1,2,3,4')).toBe(';');
+    expect(detectDelimiter('a\tb\tc\n1,2')).toBe('\t');
+  });
+
+  it('ignores delimiters inside quoted headers', () => {
+    expect(detectDelimiter('"a;b;c",d,e')).toBe(',');
+    expect(detectDelimiter('"x,y,z";w')).toBe(';');
+  });
+});
+
+describe('parseCsv', () => {
+  it('parses quoted fields with delimiters, line breaks and doubled quotes', async () => {
+    const csv = 'Name,Notes\n"Ali, Saad","line one\nline two"\n"Omar","says ""hi"""\n';
+    await expect(parseCsv(Buffer.from(csv))).resolves.toEqual([
+      { Name: 'Ali, Saad', Notes: 'line one\nline two' },
+      { Name: 'Omar', Notes: 'says "hi"' }
+    ]);
+  });
+
+  it('handles CRLF line endings and a UTF-8 BOM', async () => {
+    const csv = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('Name,ID\r\nمحمد,123\r\n')]);
+    await expect(parseCsv(csv)).resolves.toEqual([{ Name: 'محمد', ID: '123' }]);
+  });
+
+  it('reads semicolon and tab separated files', async () => {
+    await expect(parseCsv(Buffer.from('a;b\n1,5;2\n'))).resolves.toEqual([{ a: '1,5', b: '2' }]);
+    await expect(parseCsv(Buffer.from('a\tb\n1\t2\n'))).resolves.toEqual([{ a: '1', b: '2' }]);
+  });
+
+  it('decodes Windows-1256 text', async () => {
+    const csv = Buffer.concat([Buffer.from('Name\n'), WINDOWS_1256_NAME, Buffer.from('\n')]);
+    await expect(parseCsv(csv)).resolves.toEqual([{ Name: 'محمد' }]);
+  });
+
+  it('trims headers and values and skips blank lines', async () => {
+    await expect(parseCsv(Buffer.from(' a , b \n 1 , 2 \n\n,\n3,4\n'))).resolves.toEqual([
+      { a: '1', b: '2' },
+      { a: '3', b: '4' }
+    ]);
+  });
+
+  it('reads streams split inside multi-byte characters', async () => {
+    const bytes = Buffer.from('Name,Village\nمحمد,الرياض\n');
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 3) chunks.push(bytes.subarray(i, i + 3));
+    await expect(parseCsv(Readable.from(chunks), { encoding: 'utf-8' })).resolves.toEqual([{ Name: 'محمد', Village: 'الرياض' }]);
+  });
+
+  it('rejects a quoted field that is never closed and names its line', async () => {
+    await expect(parseCsv(Buffer.from('a\n"1,2'))).rejects.toMatchObject({
+      statusCode: 400,
+      error: 'CSV_UNTERMINATED_QUOTE',
+      message: expect.stringContaining('line 2')
+    });
+    await expect(parseCsv(Buffer.from('a,b\n1,2\n"5 pipe,2\n3,4\n'))).rejects.toMatchObject({
+      error: 'CSV_UNTERMINATED_QUOTE',
+      message: expect.stringContaining('line 3')
+    });
+  });
+
+  it('keeps a quote inside an unquoted field as text', async () => {
+    const csv = 'Item,Size\npipe 5" long,2\n"Ali ""A""", 4\'6"\n';
+    await expect(parseCsv(Buffer.from(csv))).resolves.toEqual([
+      { Item: 'pipe 5" long', Size: '2' },
+      { Item: 'Ali "A"', Size: '4\'6"' }
+    ]);
+  });
+});
@@ -0,0 +1,38 @@
+const { buildGeoConditions, toGeoPoint } = require('../src/utils/geoLocation');
+
+describe('toGeoPoint', () => {
+  it('stores coordinates as a GeoJSON [lng, lat] point', () => {
+    expect(toGeoPoint({ latitude: 24.7, longitude: 46.6 })).toEqual({ type: 'Point', coordinates: [46.6, 24.7] });
+  });
+
+  it('drops missing, invalid and 0,0 placeholder coordinates', () => {
+    expect(toGeoPoint({ latitude: 0, longitude: 0 })).toBeNull();
+    expect(toGeoPoint({ latitude: 95, longitude: 46 })).toBeNull();
+    expect(toGeoPoint({ latitude: '', longitude: 46 })).toBeNull();
+    expect(toGeoPoint(null)).toBeNull();
+  });
+});
+
+describe('buildGeoConditions', () => {
+  // كل المعاملات بترتيب lat,lng
+  it('reads near as lat,lng', () => {
+    const [condition] = buildGeoConditions({ near: '24.7,46.6', radiusKm: '5' });
+    expect(condition.$geoWithin.$centerSphere[0]).toEqual([46.6, 24.7]);
+  });
+
+  it('reads withinPolygon points as lat,lng and closes the ring', () => {
+    const [condition] = buildGeoConditions({ withinPolygon: '24,46;24,47;25,47' });
+    expect(condition.$geoWithin.$geometry.coordinates[0]).toEqual([[46, 24], [47, 24], [47, 25], [46, 24]]);
+  });
+
+  it('reads bbox as the south-west then north-east corner, each lat,lng', () => {
+    const [condition] = buildGeoConditions({ bbox: '24.5,46.5,25,47' });
+    expect(condition.$geoWithin.$geometry.coordinates[0]).toEqual([
+      [46.5, 24.5], [47, 24.5], [47, 25], [46.5, 25], [46.5, 24.5]
+    ]);
+  });
+
+  it('ignores invalid values', () => {
+    expect(buildGeoConditions({ near: '200,46', bbox: '25,47,24.5,46.5', withinPolygon: '24,46;24,47' })).toEqual([]);
+  });
+});
@@ -0,0 +1,157 @@
+jest.mock('../src/models/ImportMapping', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+
+const ImportMapping = require('../src/models/ImportMapping');
+const {
+  transformValue,
+  applyImportMapping,
+  scoreImportMapping,
+  detectImportMapping,
+  resolveImportMapping,
+  mappedColumnSources
+} = require('../src/utils/importMappings');
+
+const mohMapping = {
+  _id: '65f1a2b3c4d5e6f708192a3b',
+  name: 'MOH vaccination sheet',
+  module: 'vaccination',
+  columns: [
+    { source: 'رقم الاستمارة', field: 'serialNo', transform: 'trim' },
+    { source: 'التاريخ', field: 'date', transform: 'date', dateFormat: 'DD/MM/YYYY' },
+    { source: 'اسم المربي', field: 'client.name' },
+    { source: 'المالك', field: 'client.name' },
+    { source: 'عدد الأغنام', field: 'herdCounts.sheep.total', transform: 'number' }
+  ],
+  defaults: [{ field: 'vaccineType', value: 'PPR' }]
+};
+
+describe('transformValue', () => {
+  it('converts numbers with Arabic-Indic digits and separators', () => {
+    expect(transformValue('١٬٢٣٤', { transform: 'number' })).toBe(1234);
+    expect(transformValue(' 12.5 ', { transform: 'number' })).toBe(12.5);
+  });
+
+  it('reads dates in the profile format', () => {
+    expect(transformValue('05/03/2024', { transform: 'date', dateFormat: 'DD/MM/YYYY' })).toBe('2024-03-05');
+    expect(transformValue('05/03/2024', { transform: 'date', dateFormat: 'MM/DD/YYYY' })).toBe('2024-05-03');
+    expect(transformValue('2024-03-05', { transform: 'date', dateFormat: 'DD/MM/YYYY' })).toBe('2024-03-05');
+    expect(transformValue('٥/٣/٢٤', { transform: 'date' })).toBe('2024-03-05');
+  });
+
+  it('maps booleans and listed values', () => {
+    expect(transformValue('نعم', { transform: 'boolean' })).toBe(true);
+    expect(transformValue('No', { transform: 'boolean' })).toBe(false);
+    expect(transformValue(' good ', { transform: 'map', values: [{ from: 'Good', to: 'Healthy' }] })).toBe('Healthy');
+  });
+
+  it('passes values it cannot convert on unchanged', () => {
+    expect(transformValue('abc', { transform: 'number' })).toBe('abc');
+    expect(transformValue('32/13/2024', { transform: 'date' })).toBe('32/13/2024');
+    expect(transformValue('maybe', { transform: 'boolean' })).toBe('maybe');
+    expect(transformValue(42, { transform: 'uppercase' })).toBe(42);
+    expect(transformValue(null, { transform: 'trim' })).toBeNull();
+  });
+});
+
+describe('applyImportMapping', () => {
+  it('renames mapped columns to the processor headers and keeps the others', () => {
+    const [row] = applyImportMapping([{
+      ' رقم الاستمارة ': ' V-100 ',
+      'التاريخ': '05/03/2024',
+      'اسم المربي': '',
+      'المالك': 'محمد',
+      'عدد الأغنام': '٢٠',
+      'ملاحظات': 'x'
+    }], mohMapping);
+
+    expect(row).toEqual({
+      'Serial No': 'V-100',
+      date: '2024-03-05',
+      Name: 'محمد',
+      Sheep: 20,
+      Vaccine: 'PPR',
+      'ملاحظات': 'x'
+    });
+  });
+
+  it('does not override a value present in the file with a default', () => {
+    const [row] = applyImportMapping([{ Vaccine: 'FMD' }], mohMapping);
+    expect(row.Vaccine).toBe('FMD');
+  });
+});
+
+describe('scoreImportMapping', () => {
+  it('counts distinct source columns found among the headers', () => {
+    expect(scoreImportMapping(mohMapping, ['رقم الاستمارة', 'التاريخ', 'other'])).toEqual({
+      matched: 2,
+      total: 5,
+      coverage: 0.4
+    });
+  });
+});
+
+describe('mappedColumnSources', () => {
+  it('points each filled header at the first file column mapped to it', () => {
+    expect(mappedColumnSources(mohMapping, ['المالك', 'اسم المربي', 'رقم الاستمارة'])).toEqual([
+      { header: 'Serial No', source: 'رقم الاستمارة' },
+      { header: 'Name', source: 'اسم المربي' }
+    ]);
+  });
+});
+
+describe('detectImportMapping', () => {
+  const otherMapping = {
+    ...mohMapping,
+    _id: '65f1a2b3c4d5e6f708192a3c',
+    name: 'Serial only',
+    columns: [{ source: 'رقم الاستمارة', field: 'serialNo' }]
+  };
+
+  beforeEach(() => {
+    ImportMapping.find.mockResolvedValue([otherMapping, mohMapping]);
+  });
+
+  it('picks the active profile matching most columns', async () => {
+    const best = await detectImportMapping('vaccination', ['رقم الاستمارة', 'التاريخ', 'المالك']);
+    expect(best.mapping).toBe(mohMapping);
+    expect(best.score).toMatchObject({ matched: 3, total: 5 });
+    expect(ImportMapping.find).toHaveBeenCalledWith({ module: 'vaccination', isActive: true });
+  });
+
+  it('ignores profiles with less than half of their columns in the file', async () => {
+    ImportMapping.find.mockResolvedValue([mohMapping]);
+    await expect(detectImportMapping('vaccination', ['رقم الاستمارة', 'التاريخ'])).resolves.toBeNull();
+  });
+});
+
+describe('resolveImportMapping', () => {
+  beforeEach(() => {
+    ImportMapping.find.mockResolvedValue([mohMapping]);
+    ImportMapping.find.mockClear();
+  });
+
+  it('applies no profile unless one is asked for', async () => {
+    const headers = ['رقم الاستمارة', 'التاريخ', 'المالك'];
+    await expect(resolveImportMapping('vaccination', undefined, headers)).resolves.toBeNull();
+    await expect(resolveImportMapping('vaccination', 'none', headers)).resolves.toBeNull();
+    expect(ImportMapping.find).not.toHaveBeenCalled();
+  });
+
+  it('detects a profile with auto', async () => {
+    const resolved = await resolveImportMapping('vaccination', 'auto', ['رقم الاستمارة', 'التاريخ', 'المالك']);
+    expect(resolved).toMatchObject({ mapping: mohMapping, detected: true });
+  });
+
+  it('rejects invalid, unknown and other-module profile IDs', async () => {
+    await expect(resolveImportMapping('vaccination', 'abc', [])).rejects.toMatchObject({ statusCode: 400, error: 'INVALID_ID_FORMAT' });
+
+    ImportMapping.findOne.mockResolvedValueOnce(null);
+    await expect(resolveImportMapping('vaccination', mohMapping._id, [])).rejects.toMatchObject({ statusCode: 404 });
+
+    ImportMapping.findOne.mockResolvedValueOnce({ ...mohMapping, module: 'laboratories' });
+    await expect(resolveImportMapping('vaccination', mohMapping._id, []))
+      .rejects.toMatchObject({ statusCode: 400, error: 'IMPORT_MAPPING_MODULE_MISMATCH' });
+  });
+});
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// مهام في الذاكرة بدل قاعدة البيانات؛ findOneAndUpdate يطبق شرط العقد (lockedUntil) كما في claimNextJob
+const mockJobs = new Map();
+
+const mockApplyUpdate = (job, update) => {
+  Object.assign(job, update.$set);
+  Object.keys(update.$unset || {}).forEach((field) => { delete job[field]; });
+  Object.entries(update.$inc || {}).forEach(([field, value]) => { job[field] = (job[field] || 0) + value; });
+  if (update.$min && !job.startedAt) Object.assign(job, update.$min);
+};
+
+// تحديث المهمة مشروط بحامل العقد (lockToken) وحالتها
+const mockOwns = (job, filter) => job.lockToken === filter.lockToken && (!filter.status || job.status === filter.status);
+
+jest.mock('../src/models/ImportJob', () => ({
+  findOneAndUpdate: jest.fn((filter, update) => {
+    if (filter._id) {
+      const job = mockJobs.get(filter._id.toString());
+      if (!job || !mockOwns(job, filter)) return Promise.resolve(null);
+      mockApplyUpdate(job, update);
+      return Promise.resolve({ ...job });
+    }
+
+    // claimNextJob
+    const now = new Date();
+    const job = [...mockJobs.values()].find(candidate => ['queued', 'processing'].includes(candidate.status) &&
+      !(candidate.lockedUntil >= now));
+    if (job) mockApplyUpdate(job, update);
+    return { select: async () => (job ? { ...job, rowData: values => ({ value: values[0] }) } : null) };
+  }),
+  updateOne: jest.fn(async (filter, update) => {
+    const job = mockJobs.get(filter._id.toString());
+    if (!job || !mockOwns(job, filter)) return { modifiedCount: 0 };
+    mockApplyUpdate(job, update);
+    Object.entries(update.$push || {}).forEach(([field, value]) => { job[field] = [...(job[field] || []), ...value.$each]; });
+    return { modifiedCount: 1 };
+  })
+}));
+
+jest.mock('../src/models/ImportBatch', () => ({}));
+
+jest.mock('../src/utils/importBatch', () => ({
+  runBatchRow: (batchId, process) => process().then(record => ({ record }), error => ({ error })),
+  recordBatchRows: jest.fn(async () => {})
+}));
+
+jest.mock('../src/utils/notificationService', () => ({
+  notify: jest.fn(async () => {})
+}));
+
+const { registerImportProcessors, drainImportQueue } = require('../src/utils/importQueue');
+
+const queueJob = (rows) => {
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    source: 'upload',
+    module: 'vaccination',
+    status: 'queued',
+    rows: rows.map(value => [value]),
+    rowNumbers: [],
+    totalRows: rows.length,
+    processedRows: 0,
+    successRows: 0,
+    errorRows: 0,
+    attempts: 0
+  };
+  mockJobs.set(job._id.toString(), job);
+  return job;
+};
+
+// انتهاء العقد دون انتظار دقيقتين
+const expireLease = (job) => {
+  job.lockedUntil = new Date(Date.now() - 1000);
+};
+
+describe('import queue', () => {
+  const processed = [];
+  let onBatch;
+
+  beforeAll(() => {
+    registerImportProcessors('upload', {
+      vaccination: {
+        Model: { modelName: 'Vaccination' },
+        processRow: async (row) => {
+          processed.push(row.value);
+          return { _id: new mongoose.Types.ObjectId() };
+        }
+      }
+    }, { batchSize: 2, onBatch: (...args) => onBatch(...args) });
+  });
+
+  beforeEach(() => {
+    mockJobs.clear();
+    processed.length = 0;
+    onBatch = async () => {};
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('picks a job whose worker threw up again once its lease expires', async () => {
+    const job = queueJob(['a', 'b', 'c']);
+    onBatch = async () => {
+      onBatch = async () => {};
+      throw new Error('connection reset');
+    };
+
+    await drainImportQueue();
+    expect(job).toMatchObject({ status: 'processing', processedRows: 0, attempts: 1, lastError: 'connection reset' });
+    expect(job.lockedUntil > new Date()).toBe(true);
+
+    // العقد ما زال سارياً: لا يتولاها عامل آخر
+    await drainImportQueue();
+    expect(job.attempts).toBe(1);
+
+    expireLease(job);
+    await drainImportQueue();
+    expect(job).toMatchObject({ status: 'completed', processedRows: 3, successRows: 3, attempts: 2 });
+    // الدفعة التي لم يُحفظ تقدمها تُعالج مرة أخرى
+    expect(processed).toEqual(['a', 'b', 'a', 'b', 'c']);
+  });
+
+  it('releases a job when a bounded drain runs out of time without counting an attempt', async () => {
+    const job = queueJob(['a', 'b', 'c', 'd', 'e']);
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    onBatch = async () => { now += 1000; };
+
+    await drainImportQueue({ timeLimitMs: 1500 });
+    expect(job).toMatchObject({ status: 'processing', processedRows: 4, attempts: 0 });
+    expect(job.lockedUntil).toBeUndefined();
+
+    await drainImportQueue({ timeLimitMs: 1500 });
+    expect(job).toMatchObject({ status: 'completed', processedRows: 5, attempts: 1 });
+  });
+});
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Vaccination = require('../src/models/Vaccination');
+const { previewRows } = require('../src/utils/importStaging');
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('previewRows', () => {
+  const existing = {
+    _id: new mongoose.Types.ObjectId(),
+    serialNo: 'V-100',
+    date: new Date('2024-03-05'),
+    vaccineType: 'PPR',
+    vaccineCategory: 'Preventive',
+    herdCounts: { sheep: { total: 20, young: 5, female: 0, vaccinated: 0 } },
+    supervisor: 'Ali',
+    createdAt: new Date('2024-03-06')
+  };
+
+  // السجل الموجود يُبحث عنه بالرقم التسلسلي فقط
+  const importType = {
+    Model: {
+      findOne: filter => ({ lean: async () => (filter.serialNo === existing.serialNo ? existing : null) })
+    },
+    processRow: async row => new Vaccination({
+      serialNo: row.serial,
+      date: new Date(row.date),
+      vaccineType: 'PPR',
+      herdCounts: { sheep: { total: Number(row.sheep), young: 5 } },
+      supervisor: row.supervisor || undefined
+    }),
+    existingKey: row => ({ filter: { serialNo: row.serial }, field: 'serialNo', value: row.serial })
+  };
+
+  it('lists the fields where a duplicate row differs from the existing record', async () => {
+    const { rows } = await previewRows([
+      { serial: 'V-100', date: '2024-03-07', sheep: '25', supervisor: '' },
+      { serial: 'V-101', date: '2024-03-07', sheep: '10', supervisor: 'Ali' }
+    ], importType, userId);
+
+    expect(rows[0].status).toBe('duplicate');
+    expect(rows[0].existing).toMatchObject({ recordId: existing._id, field: 'serialNo', value: 'V-100' });
+    expect(rows[0].existing.changes).toEqual([
+      { field: 'date', from: '2024-03-05T00:00:00.000Z', to: '2024-03-07T00:00:00.000Z' },
+      { field: 'herdCounts.sheep.total', from: 20, to: 25 }
+    ]);
+    expect(rows[1].existing).toBeUndefined();
+  });
+});
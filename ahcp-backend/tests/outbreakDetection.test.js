@@ -0,0 +1,60 @@
+const { radiusClusters } = require('../src/utils/outbreakDetection');
+const { distanceKm } = require('../src/utils/geoLocation');
+
+const sample = (id, latitude, longitude) => ({
+  _id: id,
+  point: { type: 'Point', coordinates: [longitude, latitude] }
+});
+
+// نفس الخوارزمية بالمقارنة الشاملة (الطريقة السابقة) للتحقق من نتائج الشبكة
+const bruteForceClusters = (samples, minPositives, radiusKm) => {
+  const located = samples.filter(item => item.point);
+  const unassigned = new Set(located.map((item, index) => index));
+  const clusters = [];
+  while (unassigned.size >= minPositives) {
+    let best = null;
+    unassigned.forEach((index) => {
+      const neighbours = [...unassigned].filter(other =>
+        distanceKm(located[index].point.coordinates, located[other].point.coordinates) <= radiusKm);
+      if (!best || neighbours.length > best.length) best = neighbours;
+    });
+    if (!best || best.length < minPositives) break;
+    best.forEach(index => unassigned.delete(index));
+    clusters.push(best.map(index => located[index]._id));
+  }
+  return clusters;
+};
+
+const ids = clusters => clusters.map(cluster => cluster.samples.map(item => item._id));
+
+describe('radiusClusters', () => {
+  it('groups samples within the radius and leaves distant ones out', () => {
+    const samples = [
+      sample('a', 24.70, 46.60),
+      sample('b', 24.71, 46.61),
+      sample('c', 24.72, 46.60),
+      sample('far', 26.40, 50.10),
+      { _id: 'no-location', point: null }
+    ];
+    expect(ids(radiusClusters(samples, 3, 5))).toEqual([['a', 'b', 'c']]);
+    expect(radiusClusters(samples, 4, 5)).toEqual([]);
+  });
+
+  it('finds neighbours across grid cells and at high latitudes', () => {
+    const samples = [sample('a', 69.999, 19.999), sample('b', 70.001, 20.001), sample('c', 70.0, 20.0)];
+    expect(ids(radiusClusters(samples, 3, 1))).toEqual([['a', 'b', 'c']]);
+  });
+
+  it('matches the exhaustive pairwise clustering', () => {
+    // مولد عشوائي ثابت لنتائج قابلة للتكرار
+    let seed = 42;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const samples = Array.from({ length: 150 }, (_, index) =>
+      sample(`s${index}`, 24 + random() * 0.5, 46 + random() * 0.5));
+
+    expect(ids(radiusClusters(samples, 3, 3))).toEqual(bruteForceClusters(samples, 3, 3));
+  });
+});
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+// جلسات ومستخدمون في الذاكرة بدل قاعدة البيانات؛ findOneAndUpdate يطبق نفس شروط التبديل الذري
+const mockSessions = new Map();
+const mockUsers = new Map();
+
+const mockMatches = (session, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = session[field];
+  if (condition && condition.$exists === false) return value === undefined;
+  if (condition && condition.$gt) return value > condition.$gt;
+  return String(value) === String(condition);
+});
+
+jest.mock('../src/models/Session', () => ({
+  create: jest.fn(async (fields) => {
+    const session = { _id: new (require('mongoose').Types.ObjectId)(), ...fields };
+    mockSessions.set(session._id.toString(), session);
+    return { ...session };
+  }),
+  findById: jest.fn(id => ({
+    select: async () => {
+      const session = mockSessions.get(id.toString());
+      return session ? { ...session } : null;
+    }
+  })),
+  findOneAndUpdate: jest.fn(async (filter, update) => {
+    const session = mockSessions.get(filter._id.toString());
+    if (!session || !mockMatches(session, filter)) return null;
+    Object.assign(session, update.$set);
+    return { ...session };
+  }),
+  updateOne: jest.fn(async (filter, update) => {
+    const session = mockSessions.get(filter._id.toString());
+    if (!session || !mockMatches(session, filter)) return { modifiedCount: 0 };
+    Object.assign(session, update.$set);
+    return { modifiedCount: 1 };
+  })
+}));
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(async id => mockUsers.get(id.toString()) || null)
+}));
+
+const { createSession, rotateSession, describeDevice } = require('../src/utils/sessionService');
+
+const req = {
+  ip: '10.0.0.1',
+  get: () => 'Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36'
+};
+
+const storedSession = refreshToken => mockSessions.get(refreshToken.split('.')[0]);
+
+// الرمز السابق يُعاد استخدامه بعد انتهاء مهلة الطلبات المتزامنة
+const expireReuseGrace = (refreshToken) => {
+  storedSession(refreshToken).rotatedAt = new Date(Date.now() - 60 * 1000);
+};
+
+describe('sessionService', () => {
+  let user;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  });
+
+  beforeEach(() => {
+    mockSessions.clear();
+    mockUsers.clear();
+    user = { _id: new mongoose.Types.ObjectId(), isActive: true };
+    mockUsers.set(user._id.toString(), user);
+  });
+
+  describe('describeDevice', () => {
+    it('names the browser and system', () => {
+      expect(describeDevice(req.get())).toBe('Chrome on Android');
+      expect(describeDevice(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('rotateSession', () => {
+    it('issues a new refresh token and keeps the session', async () => {
+      const { refreshToken } = await createSession(user, req);
+      const rotated = await rotateSession(refreshToken, req);
+
+      expect(rotated.refreshToken).not.toBe(refreshToken);
+      expect(rotated.refreshToken.split('.')[0]).toBe(refreshToken.split('.')[0]);
+      expect(rotated.token).toEqual(expect.any(String));
+      expect(storedSession(refreshToken).revokedAt).toBeUndefined();
+
+      await expect(rotateSession(rotated.refreshToken, req)).resolves.toMatchObject({ user });
+    });
+
+    it('ends the session when a rotated token is presented again', async () => {
+      const { refreshToken } = await createSession(user, req);
+      const rotated = await rotateSession(refreshToken, req);
+      expireReuseGrace(refreshToken);
+
+      await expect(rotateSession(refreshToken, req)).rejects.toMatchObject({ statusCode: 401, error: 'REFRESH_TOKEN_REUSED' });
+      expect(storedSession(refreshToken).revokedReason).toBe('token_reuse');
+      await expect(rotateSession(rotated.refreshToken, req)).rejects.toMatchObject({ error: 'SESSION_REVOKED' });
+    });
+
+    it('rejects a token reused within the grace window without ending the session', async () => {
+      const { refreshToken } = await createSession(user, req);
+      const rotated = await rotateSession(refreshToken, req);
+
+      await expect(rotateSession(refreshToken, req)).rejects.toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+      expect(storedSession(refreshToken).revokedAt).toBeUndefined();
+      await expect(rotateSession(rotated.refreshToken, req)).resolves.toBeDefined();
+    });
+
+    it('lets only one of two concurrent requests with the same token rotate it', async () => {
+      const { refreshToken } = await createSession(user, req);
+      const results = await Promise.allSettled([rotateSession(refreshToken, req), rotateSession(refreshToken, req)]);
+
+      const fulfilled = results.filter(result => result.status === 'fulfilled');
+      const rejected = results.filter(result => result.status === 'rejected');
+      expect(fulfilled).toHaveLength(1);
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason.error).toBe('INVALID_REFRESH_TOKEN');
+      expect(storedSession(refreshToken).revokedAt).toBeUndefined();
+      await expect(rotateSession(fulfilled[0].value.refreshToken, req)).resolves.toBeDefined();
+    });
+
+    it('rejects malformed and unknown tokens', async () => {
+      const { refreshToken } = await createSession(user, req);
+      const [sessionId] = refreshToken.split('.');
+
+      await expect(rotateSession('not-a-token', req)).rejects.toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+      await expect(rotateSession(undefined, req)).rejects.toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+      await expect(rotateSession(`${sessionId}.wrong-secret`, req)).rejects.toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+      await expect(rotateSession(`${new mongoose.Types.ObjectId()}.secret`, req)).rejects.toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+      expect(storedSession(refreshToken).revokedAt).toBeUndefined();
+    });
+
+    it('rejects expired sessions', async () => {
+      const { refreshToken } = await createSession(user, req);
+      storedSession(refreshToken).expiresAt = new Date(Date.now() - 1000);
+
+      await expect(rotateSession(refreshToken, req)).rejects.toMatchObject({ error: 'REFRESH_TOKEN_EXPIRED' });
+    });
+
+    it('ends the session of a deactivated user', async () => {
+      const { refreshToken } = await createSession(user, req);
+      user.isActive = false;
+
+      await expect(rotateSession(refreshToken, req)).rejects.toMatchObject({ error: 'ACCOUNT_DEACTIVATED' });
+      expect(storedSession(refreshToken).revokedReason).toBe('user_deactivated');
+    });
+  });
+});